@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * capture_fixture: records a vault's raw on-chain responses for tests
+ *
+ * Reads getSafeCashData and, for each collateral token, collateralTokenConfig,
+ * symbol and decimals at one pinned block, and writes the exact call data and
+ * return data to src/test/fixtures/. api.test.js replays every fixture there
+ * through the mock RPC and checks that the recalculated max borrow and total
+ * collateral match the contract's to the unit.
+ *
+ * Usage:
+ *   node scripts/capture_fixture.js <address> [--block <n>] [--network <id>] [--rpc <url,...>]
+ */
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { ethers } from 'ethers';
+import { applyNetworkArgs, splitFlag } from './network.js';
+import { CONTRACTS, NETWORK } from '../src/config/index.js';
+import { CashLensABI, DebtManagerABI, ERC20ABI } from '../src/utils/abi.js';
+import { getProvider } from '../src/utils/provider.js';
+import { ETH_ADDRESS_REGEX } from '../src/utils/constants.js';
+
+const USAGE = 'Usage: node scripts/capture_fixture.js <address> [--block <n>] [--network <id>] [--rpc <url,...>]';
+
+const FIXTURES_DIR = new URL('../src/test/fixtures/', import.meta.url);
+
+const cashLensInterface = new ethers.Interface(CashLensABI);
+const debtManagerInterface = new ethers.Interface(DebtManagerABI);
+const erc20Interface = new ethers.Interface(ERC20ABI);
+
+/**
+ * Splits the arguments into the vault address and the pinned block.
+ */
+function parseArgs(args) {
+    const options = { address: null, block: undefined };
+
+    for (let i = 0; i < args.length; i++) {
+        const { flag, inlineValue } = splitFlag(args[i]);
+        if (flag === '--block') {
+            options.block = Number(inlineValue ?? args[++i]);
+            if (!Number.isInteger(options.block) || options.block < 0) {
+                throw new Error('--block must be a block number');
+            }
+        } else if (ETH_ADDRESS_REGEX.test(flag) && !options.address) {
+            options.address = args[i];
+        } else {
+            throw new Error(`Unexpected argument "${args[i]}"`);
+        }
+    }
+
+    if (!options.address) throw new Error('A vault address is required');
+    return options;
+}
+
+async function capture({ address, block: pinnedBlock }) {
+    const provider = getProvider();
+
+    try {
+        const block = pinnedBlock ?? (await provider.getBlockNumber());
+        const calls = {};
+
+        // Records one eth_call at the pinned block; reverts are recorded as null
+        const record = async (to, iface, name, args) => {
+            const data = iface.encodeFunctionData(name, args);
+            const contractCalls = (calls[to.toLowerCase()] ??= {});
+            try {
+                const result = await provider.call({ to, data, blockTag: block });
+                contractCalls[data] = result;
+                return iface.decodeFunctionResult(name, result);
+            } catch (error) {
+                if (error.code !== 'CALL_EXCEPTION') throw error;
+                contractCalls[data] = null;
+                return null;
+            }
+        };
+
+        const cashData = await record(CONTRACTS.CASH_LENS, cashLensInterface, 'getSafeCashData', [
+            address,
+            [],
+        ]);
+        if (!cashData) throw new Error(`getSafeCashData reverted for ${address}`);
+
+        const [safeData] = cashData;
+        for (const { token } of safeData.collateralBalances) {
+            await record(CONTRACTS.DEBT_MANAGER, debtManagerInterface, 'collateralTokenConfig', [token]);
+            await record(token, erc20Interface, 'symbol', []);
+            await record(token, erc20Interface, 'decimals', []);
+        }
+
+        const fixture = {
+            network: NETWORK.id,
+            chainId: NETWORK.chainId,
+            block,
+            address,
+            capturedAt: new Date().toISOString(),
+            // The contract's own figures, in 6-decimal USD
+            onChain: {
+                totalCollateral: safeData.totalCollateral.toString(),
+                maxBorrow: safeData.maxBorrow.toString(),
+            },
+            calls,
+        };
+
+        mkdirSync(FIXTURES_DIR, { recursive: true });
+        const file = new URL(`${NETWORK.id}-${address.toLowerCase()}-${block}.json`, FIXTURES_DIR);
+        writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+        console.log(fileURLToPath(file));
+    } finally {
+        provider.destroy();
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(applyNetworkArgs());
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    try {
+        await capture(options);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
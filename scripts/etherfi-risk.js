@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * etherfi-risk: headless vault risk reports
+ *
+ * Uses the app's own api and calculation modules, so the numbers match the UI.
+ *
+ * Usage:
+ *   etherfi-risk report <address...> [--block <n>] [--shock GROUP=PCT]... [--format table|json|csv]
+ *                                    [--network <id>] [--rpc <url,...>]
+ *
+ * Examples:
+ *   etherfi-risk report 0xSafe --shock ETH=-30% --shock BTC=-20%
+ *   etherfi-risk report 0xSafeA 0xSafeB --block 12345678 --format csv > risk.csv
+ *
+ * Exits with code 1 if any vault could not be loaded or the RPC fails, and 2 on
+ * invalid arguments.
+ */
+import { applyNetworkArgs, splitFlag } from './network.js';
+import { fetchSafeData, fetchTokensMetadataBatch } from '../src/utils/api.js';
+import { getProvider } from '../src/utils/provider.js';
+import { ETH_ADDRESS_REGEX } from '../src/utils/constants.js';
+import {
+    REPORT_FORMATS,
+    parseShockArgs,
+    buildVaultReport,
+    formatReportTable,
+    formatReportJSON,
+    formatReportCSV,
+} from '../src/utils/report.js';
+
+const USAGE = `Usage: etherfi-risk report <address...> [--block <n>] [--shock GROUP=PCT]...
+                    [--format table|json|csv] [--network <id>] [--rpc <url,...>]`;
+
+const FORMATTERS = {
+    table: formatReportTable,
+    json: formatReportJSON,
+    csv: formatReportCSV,
+};
+
+/**
+ * Splits the report arguments into addresses and options.
+ */
+function parseReportArgs(args) {
+    const options = { addresses: [], block: undefined, shocks: [], format: 'table' };
+
+    for (let i = 0; i < args.length; i++) {
+        const { flag, inlineValue } = splitFlag(args[i]);
+        const takeValue = () => {
+            const value = inlineValue ?? args[++i];
+            if (value === undefined) throw new Error(`Missing value for ${flag}`);
+            return value;
+        };
+
+        if (flag === '--block') {
+            options.block = Number(takeValue());
+            if (!Number.isInteger(options.block) || options.block < 0) {
+                throw new Error('--block must be a block number');
+            }
+        } else if (flag === '--shock') {
+            options.shocks.push(takeValue());
+        } else if (flag === '--format') {
+            options.format = takeValue();
+            if (!REPORT_FORMATS.includes(options.format)) {
+                throw new Error(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+            }
+        } else if (ETH_ADDRESS_REGEX.test(flag)) {
+            options.addresses.push(args[i]);
+        } else {
+            throw new Error(`Unexpected argument "${args[i]}"`);
+        }
+    }
+
+    if (options.addresses.length === 0) throw new Error('At least one vault address is required');
+    return options;
+}
+
+async function report(options, shocks) {
+    const provider = getProvider();
+
+    try {
+        // Read every vault at the same block so the report is consistent
+        const block = options.block ?? (await provider.getBlockNumber());
+
+        const loaded = [];
+        const failures = [];
+        for (const address of options.addresses) {
+            try {
+                loaded.push({ address, data: await fetchSafeData(address, { blockTag: block, provider }) });
+            } catch (error) {
+                failures.push({ address, error: error.message });
+            }
+        }
+
+        const tokens = [
+            ...new Set(
+                loaded.flatMap(({ data }) => data.collateralBalances.map((t) => t.token.toLowerCase()))
+            ),
+        ].map((token) => ({ token }));
+        const metadataMap = await fetchTokensMetadataBatch(tokens, provider);
+
+        const reports = loaded.map(({ address, data }) =>
+            buildVaultReport(address, data, { metadataMap, shocks, block })
+        );
+        if (reports.length > 0) console.log(FORMATTERS[options.format](reports));
+
+        failures.forEach(({ address, error }) => console.error(`${address}: ${error}`));
+        return failures.length > 0 ? 1 : 0;
+    } finally {
+        provider.destroy();
+    }
+}
+
+async function main() {
+    // Only invalid invocations get the usage text and exit code 2
+    let options;
+    let shocks;
+    try {
+        const [command, ...args] = applyNetworkArgs();
+        if (command !== 'report') {
+            console.error(USAGE);
+            process.exitCode = command === '--help' || command === '-h' ? 0 : 2;
+            return;
+        }
+        options = parseReportArgs(args);
+        shocks = parseShockArgs(options.shocks);
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    // RPC outages and other runtime failures are not the caller's fault
+    try {
+        process.exitCode = await report(options, shocks);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,44 @@
+// @vitest-environment node
+/**
+ * etherfi-risk CLI Tests
+ *
+ * Runs the script as a child process and checks its exit-code contract:
+ * 2 for invalid arguments, 1 when vaults cannot be loaded.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('./etherfi-risk.js', import.meta.url));
+const VAULT = '0x0000000000000000000000000000000000000001';
+// Nothing listens on port 1, so connections are refused immediately
+const DEAD_URL = 'http://127.0.0.1:1';
+
+/**
+ * Runs the CLI and resolves with its exit code and output.
+ */
+const run = (args) =>
+    new Promise((resolve) => {
+        execFile(process.execPath, [SCRIPT, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+
+describe('etherfi-risk', () => {
+    it('exits with 2 and prints usage on invalid arguments', async () => {
+        const { code, stderr } = await run(['report', VAULT, '--format', 'xml', '--rpc', DEAD_URL]);
+
+        expect(code).toBe(2);
+        expect(stderr).toContain('--format must be one of');
+        expect(stderr).toContain('Usage: etherfi-risk');
+    });
+
+    it('exits with 1 without usage when the RPC is unreachable', async () => {
+        const { code, stderr } = await run(['report', VAULT, '--rpc', DEAD_URL]);
+
+        expect(code).toBe(1);
+        expect(stderr).toContain('Error: All RPC endpoints failed');
+        expect(stderr).not.toContain('Usage:');
+    });
+});
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * etherfi-watch: liquidation monitoring daemon
+ *
+ * Checks a list of Safes on every new block (or on a fixed interval) against
+ * RISK_THRESHOLDS and sends an alert whenever a vault's risk level changes,
+ * including a recovery message when it drops back to OK.
+ *
+ * Usage:
+ *   etherfi-watch <address...> [--file <watchlist.json|csv>] [--interval <seconds>]
+ *                 [--webhook <url>]... [--log <file.jsonl>] [--once]
+ *                 [--network <id>] [--rpc <url,...>]
+ *
+ * Alerts go to stdout, are appended as JSON lines to --log and POSTed as
+ * JSON to every --webhook. Without --interval the watcher polls the block
+ * number and checks on each new block.
+ */
+import fs from 'node:fs';
+import { applyNetworkArgs, splitFlag } from './network.js';
+import { NETWORK } from '../src/config/index.js';
+import { getProvider } from '../src/utils/provider.js';
+import { ETH_ADDRESS_REGEX } from '../src/utils/constants.js';
+import { normalizeWatchlist, parseWatchlistImport } from '../src/utils/watchlist.js';
+import { createMonitor, sendWebhooks, serializeAlert } from '../src/utils/monitor.js';
+
+const USAGE = `Usage: etherfi-watch <address...> [--file <watchlist.json|csv>] [--interval <seconds>]
+                     [--webhook <url>]... [--log <file.jsonl>] [--once]
+                     [--network <id>] [--rpc <url,...>]`;
+
+/**
+ * Splits the watcher arguments into addresses and options.
+ */
+function parseWatchArgs(args) {
+    const options = { addresses: [], interval: null, webhooks: [], log: null, once: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const { flag, inlineValue } = splitFlag(args[i]);
+        const takeValue = () => {
+            const value = inlineValue ?? args[++i];
+            if (value === undefined) throw new Error(`Missing value for ${flag}`);
+            return value;
+        };
+
+        if (flag === '--file') {
+            const { entries, invalid } = parseWatchlistImport(fs.readFileSync(takeValue(), 'utf8'));
+            if (invalid.length > 0) console.error(`Skipping invalid addresses: ${invalid.join(', ')}`);
+            options.addresses.push(...entries.map((entry) => entry.address));
+        } else if (flag === '--interval') {
+            options.interval = Number(takeValue());
+            if (!(options.interval > 0)) throw new Error('--interval must be a number of seconds');
+        } else if (flag === '--webhook') {
+            const url = takeValue();
+            if (!/^https?:\/\//.test(url)) throw new Error(`--webhook must be an http(s) URL, got "${url}"`);
+            options.webhooks.push(url);
+        } else if (flag === '--log') {
+            options.log = takeValue();
+        } else if (flag === '--once') {
+            options.once = true;
+        } else if (ETH_ADDRESS_REGEX.test(flag)) {
+            options.addresses.push(args[i]);
+        } else {
+            throw new Error(`Unexpected argument "${args[i]}"`);
+        }
+    }
+
+    options.addresses = normalizeWatchlist(options.addresses).entries.map((entry) => entry.address);
+    if (options.addresses.length === 0) throw new Error('At least one vault address is required');
+    return options;
+}
+
+/**
+ * Writes alerts to stdout and the JSON log and delivers them to the webhooks.
+ */
+async function publish(alerts, options) {
+    alerts.forEach((alert) => console.log(`[${alert.timestamp}] block ${alert.block}: ${alert.text}`));
+    if (options.log) {
+        fs.appendFileSync(options.log, alerts.map((alert) => `${serializeAlert(alert)}\n`).join(''));
+    }
+
+    const failures = await sendWebhooks(alerts, options.webhooks);
+    failures.forEach(({ url, address, error }) =>
+        console.error(`Webhook ${url} failed for ${address}: ${error}`)
+    );
+}
+
+async function watch(args) {
+    const options = parseWatchArgs(args);
+    const provider = getProvider();
+    const monitor = createMonitor({ addresses: options.addresses, provider });
+
+    // Ctrl+C or SIGTERM ends the wait for the next check right away
+    let stopped = false;
+    let wake = () => {};
+    const stop = () => {
+        stopped = true;
+        wake();
+    };
+    const sleep = (ms) =>
+        new Promise((resolve) => {
+            const timer = setTimeout(resolve, ms);
+            wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    const mode = options.interval ? `every ${options.interval}s` : 'on every new block';
+    console.error(`Watching ${options.addresses.length} vault(s) ${mode}`);
+
+    let lastBlock = null;
+    let failed = false;
+    try {
+        while (!stopped) {
+            try {
+                const block = await provider.getBlockNumber();
+                if (options.interval || block !== lastBlock) {
+                    await publish(await monitor.check(block), options);
+                    lastBlock = block;
+                }
+                failed = false;
+            } catch (error) {
+                // Keep watching through RPC outages; --once reports them as a failure
+                console.error(`Check failed: ${error.message}`);
+                failed = true;
+            }
+
+            if (options.once) break;
+            await sleep((options.interval ?? NETWORK.blockTime) * 1000);
+        }
+    } finally {
+        provider.destroy();
+    }
+    return failed ? 1 : 0;
+}
+
+async function main() {
+    try {
+        const args = applyNetworkArgs();
+        if (args.includes('--help') || args.includes('-h')) {
+            console.error(USAGE);
+            return;
+        }
+        process.exitCode = await watch(args);
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+    }
+}
+
+main();
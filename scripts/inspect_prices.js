@@ -1,13 +1,17 @@
 import { ethers } from 'ethers';
 import { CashLensABI } from '../src/utils/abi.js';
+import { CONTRACTS, NETWORK } from '../src/config/index.js';
+import { getProvider } from '../src/utils/provider.js';
+import { applyNetworkArgs } from './network.js';
 
 async function main() {
-    const provider = new ethers.JsonRpcProvider('https://rpc.scroll.io');
-    const lensAddress = '0x7DA874f3BacA1A8F0af27E5ceE1b8C66A772F84E';
-    const contract = new ethers.Contract(lensAddress, CashLensABI, provider);
+    // Usage: node scripts/inspect_prices.js [address] [--network <id>] [--rpc <url,...>]
+    const [addressArg] = applyNetworkArgs();
+    const provider = getProvider();
+    const contract = new ethers.Contract(CONTRACTS.CASH_LENS, CashLensABI, provider);
 
-    // Using the user's address first
-    const address = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+    // Defaults to the network's demo vault
+    const address = addressArg || NETWORK.demoVault;
 
     try {
         console.log("Fetching data for", address);
@@ -26,6 +30,8 @@ async function main() {
         // Check if maybe we can find a populated safe if this is empty
     } catch (e) {
         console.error(e);
+    } finally {
+        provider.destroy();
     }
 }
 
@@ -0,0 +1,42 @@
+import { getActiveNetwork, setActiveNetwork, NETWORK } from '../src/config/index.js';
+
+/**
+ * Splits "--flag=value" into its flag and value; other arguments have no inline value.
+ */
+export function splitFlag(arg) {
+    const eq = arg.indexOf('=');
+    if (!arg.startsWith('--') || eq < 0) return { flag: arg, inlineValue: undefined };
+    return { flag: arg.slice(0, eq), inlineValue: arg.slice(eq + 1) };
+}
+
+/**
+ * Applies --network <id> and --rpc <url[,url...]> flags to the app config and
+ * returns the remaining arguments. Without flags the network comes from the
+ * NETWORK / RPC_URLS environment variables (see src/config/networks.js).
+ */
+export function applyNetworkArgs(argv = process.argv.slice(2)) {
+    const rest = [];
+    let networkId = getActiveNetwork().id;
+    let rpcUrls = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const { flag, inlineValue } = splitFlag(arg);
+        if (flag === '--network' || flag === '--rpc') {
+            const value = inlineValue ?? argv[++i];
+            if (!value) throw new Error(`Missing value for ${flag}`);
+            if (flag === '--network') networkId = value;
+            else rpcUrls = value.split(',').map((url) => url.trim()).filter(Boolean);
+        } else {
+            rest.push(arg);
+        }
+    }
+
+    if (networkId !== getActiveNetwork().id) setActiveNetwork(networkId);
+    // --rpc replaces only the endpoints; other environment overrides are kept
+    if (rpcUrls) setActiveNetwork(networkId, { ...getActiveNetwork(), rpcUrls });
+
+    // stderr, so reports piped from stdout stay machine-readable
+    console.error(`Network: ${NETWORK.name} (chain ${NETWORK.chainId}) via ${NETWORK.rpcUrls.join(', ')}`);
+    return rest;
+}
@@ -1,13 +1,17 @@
 import { ethers } from 'ethers';
 import { CashLensABI } from '../src/utils/abi.js';
+import { CONTRACTS } from '../src/config/index.js';
+import { getProvider } from '../src/utils/provider.js';
+import { applyNetworkArgs } from './network.js';
 
 async function main() {
-    const provider = new ethers.JsonRpcProvider('https://rpc.scroll.io');
-    const lensAddress = '0x7DA874f3BacA1A8F0af27E5ceE1b8C66A772F84E';
-    const contract = new ethers.Contract(lensAddress, CashLensABI, provider);
+    // Usage: node scripts/verify_data.js [address] [--network <id>] [--rpc <url,...>]
+    const [addressArg] = applyNetworkArgs();
+    const provider = getProvider();
+    const contract = new ethers.Contract(CONTRACTS.CASH_LENS, CashLensABI, provider);
 
     // Example address - likely to fail if not a real Safe, but tests connection
-    const checkAddress = process.argv[2] || '0x0000000000000000000000000000000000000000';
+    const checkAddress = addressArg || '0x0000000000000000000000000000000000000000';
     console.log(`Checking address: ${checkAddress}...`);
 
     try {
@@ -20,6 +24,8 @@ async function main() {
         console.error('Error fetching data:');
         if (error.reason) console.error('Reason:', error.reason);
         console.error(error);
+    } finally {
+        provider.destroy();
     }
 }
 
@@ -1,16 +1,103 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import VaultInput from './components/VaultInput';
 import RiskVisualizer from './components/RiskVisualizer';
 import TokenList from './components/TokenList';
-import { fetchSafeData, fetchTokensMetadataBatch } from './utils/api';
-import { getProvider } from './utils/provider';
+import ScenarioPanel from './components/ScenarioPanel';
+import HistoryTimeline from './components/HistoryTimeline';
+import MonteCarloPanel from './components/MonteCarloPanel';
+import PortfolioDashboard from './components/PortfolioDashboard';
+import WhatIfPanel from './components/WhatIfPanel';
+import RebalanceSuggestions from './components/RebalanceSuggestions';
+import RpcStatus from './components/RpcStatus';
+import NetworkSelector from './components/NetworkSelector';
+import CardSpendingPanel from './components/CardSpendingPanel';
+import DebtServicePreference from './components/DebtServicePreference';
+import RiskAlertsPanel from './components/RiskAlertsPanel';
+import PrintReport from './components/PrintReport';
+import ReconciliationPanel from './components/ReconciliationPanel';
+import InterestProjectionPanel from './components/InterestProjectionPanel';
+import LiquidationSimulator from './components/LiquidationSimulator';
+import PriceHeatmap from './components/PriceHeatmap';
+import {
+  fetchSafeData,
+  fetchTokensMetadataBatch,
+  fetchTokenLTVsBatch,
+  fetchBorrowRatesBatch,
+} from './utils/api';
+import { getProvider, resetProvider } from './utils/provider';
+import {
+  NETWORK,
+  NETWORKS,
+  getActiveNetwork,
+  setActiveNetwork,
+  loadNetworkPreference,
+  saveNetworkPreference,
+} from './config';
 import {
   calculateVaultMetrics,
+  calculateLiquidationPrices,
+  getCollateralBreakdown,
+  toUSDFloat,
+  toPriceBigInt,
   toUSDScaled,
   mergeSimulatedPrices,
+  subtractPendingWithdrawal,
 } from './utils/calculations';
+import { applyGroupShocks } from './utils/scenarios';
+import { readSimulationState, writeSimulationState } from './utils/urlState';
+import { URL_STATE_DEBOUNCE_MS } from './utils/constants';
+import { applyPositionChanges } from './utils/whatif';
+import { projectWithdrawal } from './utils/cashData';
+import { summarizeVault } from './utils/portfolio';
+import {
+  buildVaultSnapshot,
+  formatSnapshotJSON,
+  formatSnapshotCSV,
+  getSnapshotFilename,
+  parseSnapshotImport,
+} from './utils/snapshot';
+import { downloadFile, readFileAsText } from './utils/download';
 import './App.css';
 
+const VIEWS = {
+  VAULT: 'vault',
+  PORTFOLIO: 'portfolio',
+};
+
+/**
+ * Builds the simulated price object (address to 6-decimal price) from fetched vault data.
+ */
+const getOriginalPrices = (vaultData) => {
+  const prices = {};
+  vaultData.tokenPrices.forEach((p) => {
+    prices[p.token.toLowerCase()] = toPriceBigInt(p.amount);
+  });
+  return prices;
+};
+
+/**
+ * Returns the simulated prices that differ from the fetched ones, in USD.
+ */
+const getPriceOverrides = (vaultData, simulatedPrices) => {
+  const original = getOriginalPrices(vaultData);
+  const overrides = {};
+  Object.entries(simulatedPrices).forEach(([token, price]) => {
+    if (original[token] !== undefined && original[token] !== price) {
+      overrides[token] = toUSDFloat(price);
+    }
+  });
+  return overrides;
+};
+
+/**
+ * Picks the network to start on: a shared link wins over the last UI choice,
+ * which wins over the environment/default network.
+ */
+const getInitialNetworkId = (sharedState) => {
+  if (sharedState.network && NETWORKS[sharedState.network]) return sharedState.network;
+  return loadNetworkPreference() ?? getActiveNetwork().id;
+};
+
 /**
  * App Component
  *
@@ -22,86 +109,308 @@ function App() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [vaultAddress, setVaultAddress] = useState('');
+  const [view, setView] = useState(VIEWS.VAULT);
 
   // Simulation state
   const [simulatedPrices, setSimulatedPrices] = useState({});
   const [metadataMap, setMetadataMap] = useState(new Map());
+  const [ltvMap, setLtvMap] = useState(new Map());
+  const [borrowRates, setBorrowRates] = useState(new Map());
+  // Debt set by dragging the gauge, as a 6-decimal bigint (null = on-chain debt)
+  const [simulatedBorrow, setSimulatedBorrow] = useState(null);
+  // Queued what-if actions (deposit, withdraw, repay, borrow)
+  const [positionChanges, setPositionChanges] = useState([]);
+  // Whether a pending withdrawal is taken out of the collateral
+  const [excludeWithdrawal, setExcludeWithdrawal] = useState(true);
+
+  // Scenario shared through the URL hash, restored once on load
+  const [sharedState] = useState(() => readSimulationState());
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Active network; switched before anything talks to the provider
+  const [networkId, setNetworkId] = useState(() => {
+    const id = getInitialNetworkId(sharedState);
+    if (id !== getActiveNetwork().id) {
+      setActiveNetwork(id);
+      resetProvider();
+    }
+    return id;
+  });
+
+  // Saved snapshot loaded from a file: where it came from (null = on-chain data)
+  const [offlineSnapshot, setOfflineSnapshot] = useState(null);
+
+  // Historical snapshot being viewed (null = live data)
+  const [historicalSnapshot, setHistoricalSnapshot] = useState(null);
+  const vaultData = historicalSnapshot?.data ?? data;
+
+  // Historical snapshots carry the LTV parameters in effect at their block
+  const effectiveLtvMap = vaultData?.ltvMap ?? ltvMap;
+
+  // ...and the metadata of tokens held back then, which the live map may lack
+  // once a token is delisted
+  const historicalMetadataMap = historicalSnapshot?.metadataMap;
+  const effectiveMetadataMap = useMemo(
+    () =>
+      historicalMetadataMap ? new Map([...metadataMap, ...historicalMetadataMap]) : metadataMap,
+    [metadataMap, historicalMetadataMap]
+  );
 
   /**
-   * Derives simulation data by recalculating metrics with current prices.
+   * Derives simulation data by recalculating metrics with current prices,
+   * simulated debt, a pending withdrawal and any what-if position changes.
    * This memoized value updates when data, prices, or metadata changes.
+   * When a historical snapshot is selected, it is used instead of the live data.
    */
   const simulationData = useMemo(() => {
-    if (!data) return null;
+    if (!vaultData) return null;
 
     // Merge original prices with any simulated overrides
-    const effectivePrices = mergeSimulatedPrices(data.tokenPrices, simulatedPrices);
+    const effectivePrices = mergeSimulatedPrices(vaultData.tokenPrices, simulatedPrices);
+    const baseBorrow = simulatedBorrow ?? vaultData.totalBorrow;
+    // Post-withdrawal view: metrics as if the pending withdrawal had finalized
+    const withdrawalRequest = excludeWithdrawal ? vaultData.withdrawalRequest : null;
 
-    // Recalculate metrics if we have the required data
-    const collateralTokens = data.collateralBalances.map((t) => ({
-      token: t.token,
-      amount: t.amount,
-    }));
+    if (effectiveMetadataMap.size === 0) return { ...vaultData, totalBorrow: baseBorrow };
 
-    if (collateralTokens.length > 0 && metadataMap.size > 0) {
-      try {
-        const { maxBorrow, totalCollateral } = calculateVaultMetrics(
-          collateralTokens,
-          effectivePrices,
-          metadataMap
-        );
-
-        // Convert price map back to array format for TokenList
-        const newPrices = [];
-        effectivePrices.forEach((val, key) => {
-          newPrices.push({ token: key, amount: val });
-        });
+    try {
+      const changed = applyPositionChanges(
+        { ...vaultData, totalBorrow: baseBorrow },
+        positionChanges,
+        effectivePrices,
+        effectiveMetadataMap
+      );
+      const { borrows, totalBorrow } = changed;
+      const collateralBalances = subtractPendingWithdrawal(
+        changed.collateralBalances,
+        withdrawalRequest
+      );
 
-        return {
-          ...data,
-          maxBorrow,
-          totalCollateral,
-          tokenPrices: newPrices,
-        };
-      } catch (e) {
-        console.warn('Calculation error', e);
-        return data;
-      }
+      const { maxBorrow, totalCollateral, liquidationLimit } = calculateVaultMetrics(
+        collateralBalances,
+        effectivePrices,
+        effectiveMetadataMap,
+        effectiveLtvMap
+      );
+
+      const liquidationPrices = calculateLiquidationPrices(
+        collateralBalances,
+        effectivePrices,
+        effectiveMetadataMap,
+        effectiveLtvMap,
+        totalBorrow
+      );
+
+      const collateralPositions = getCollateralBreakdown(
+        collateralBalances,
+        effectivePrices,
+        effectiveMetadataMap,
+        effectiveLtvMap
+      );
+
+      // Metrics without the what-if actions, for the before/after comparison
+      const whatIfBaseline =
+        positionChanges.length > 0
+          ? summarizeVault({
+              ...calculateVaultMetrics(
+                vaultData.collateralBalances,
+                effectivePrices,
+                effectiveMetadataMap,
+                effectiveLtvMap,
+                { withdrawalRequest }
+              ),
+              totalBorrow: baseBorrow,
+            })
+          : null;
+
+      // Utilisation and liquidation distance once the pending withdrawal finalizes
+      const withdrawalProjection = projectWithdrawal(
+        {
+          collateralBalances: changed.collateralBalances,
+          totalBorrow,
+          withdrawalRequest: vaultData.withdrawalRequest,
+        },
+        effectivePrices,
+        effectiveMetadataMap,
+        effectiveLtvMap
+      );
+
+      // Convert price map back to array format for TokenList
+      const newPrices = [];
+      effectivePrices.forEach((val, key) => {
+        newPrices.push({ token: key, amount: val });
+      });
+
+      return {
+        ...vaultData,
+        collateralBalances,
+        borrows,
+        totalBorrow,
+        maxBorrow,
+        totalCollateral,
+        liquidationLimit,
+        liquidationPrices,
+        collateralPositions,
+        whatIfBaseline,
+        withdrawalProjection,
+        tokenPrices: newPrices,
+      };
+    } catch (e) {
+      console.warn('Calculation error', e);
+      return { ...vaultData, totalBorrow: baseBorrow };
     }
+  }, [
+    vaultData,
+    simulatedPrices,
+    simulatedBorrow,
+    positionChanges,
+    excludeWithdrawal,
+    effectiveMetadataMap,
+    effectiveLtvMap,
+  ]);
+
+  // Tokens offered by the what-if panel: everything the vault has a price for
+  const whatIfTokens = useMemo(
+    () =>
+      (vaultData?.tokenPrices ?? []).map((p) => ({
+        token: p.token,
+        symbol: effectiveMetadataMap.get(p.token.toLowerCase())?.symbol ?? p.token.substring(0, 8),
+      })),
+    [vaultData, effectiveMetadataMap]
+  );
+
+  // Collateral the card can consume, in the order CashLens returned it
+  const collateralTokens = useMemo(
+    () =>
+      (vaultData?.collateralBalances ?? []).map((b) => ({
+        token: b.token,
+        symbol: effectiveMetadataMap.get(b.token.toLowerCase())?.symbol ?? b.token.substring(0, 8),
+      })),
+    [vaultData, effectiveMetadataMap]
+  );
+
+  // The vault and simulation as exported and printed
+  const snapshot = useMemo(
+    () =>
+      simulationData &&
+      buildVaultSnapshot({
+        address: vaultAddress,
+        network: offlineSnapshot?.network ?? NETWORK,
+        block: offlineSnapshot?.block ?? historicalSnapshot?.blockNumber ?? 'latest',
+        vaultData,
+        simulationData,
+        simulatedBorrow,
+        positionChanges,
+        excludeWithdrawal,
+        metadataMap: effectiveMetadataMap,
+        ltvMap: effectiveLtvMap,
+        borrowRates,
+      }),
+    [
+      simulationData,
+      vaultAddress,
+      offlineSnapshot,
+      historicalSnapshot,
+      vaultData,
+      simulatedBorrow,
+      positionChanges,
+      excludeWithdrawal,
+      effectiveMetadataMap,
+      effectiveLtvMap,
+      borrowRates,
+    ]
+  );
 
-    return data;
-  }, [data, simulatedPrices, metadataMap]);
+  // Scenario mirrored into the URL hash so it can be shared; an offline
+  // snapshot cannot be reopened from a link
+  const urlState = useMemo(
+    () =>
+      vaultData && !offlineSnapshot
+        ? {
+            network: networkId,
+            vault: vaultAddress,
+            prices: getPriceOverrides(vaultData, simulatedPrices),
+            debt: simulatedBorrow === null ? null : toUSDFloat(simulatedBorrow),
+            positionChanges,
+            excludeWithdrawal,
+          }
+        : null,
+    [
+      networkId,
+      vaultData,
+      offlineSnapshot,
+      vaultAddress,
+      simulatedPrices,
+      simulatedBorrow,
+      positionChanges,
+      excludeWithdrawal,
+    ]
+  );
+
+  // Written once changes settle: dragging the gauge changes the debt on every
+  // mousemove, and browsers rate-limit replaceState
+  useEffect(() => {
+    if (!urlState) return;
+    const timer = setTimeout(() => writeSimulationState(urlState), URL_STATE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [urlState]);
 
   /**
    * Handles vault address submission.
-   * Fetches on-chain data and initializes simulation state.
+   * Fetches on-chain data and initializes simulation state, optionally
+   * applying a shared scenario (USD price overrides, debt, what-if actions
+   * and the pending-withdrawal toggle) on top.
    */
-  const handleAddressSubmit = async (address) => {
+  const handleAddressSubmit = async (address, scenario = null) => {
     setLoading(true);
     setError(null);
     setData(null);
     setSimulatedPrices({});
+    setSimulatedBorrow(null);
+    setPositionChanges([]);
+    setHistoricalSnapshot(null);
+    setOfflineSnapshot(null);
     setVaultAddress(address);
 
     try {
       // Fetch main vault data
       const result = await fetchSafeData(address);
 
-      // Fetch metadata for calculation
+      // Fetch metadata, LTV parameters and borrow rates. Every priced token is
+      // included so what-if actions can deposit or repay tokens not yet held,
+      // as are the tokens shown in the card panel.
       const provider = getProvider();
-      const collateralTokens = result.collateralBalances.map((t) => ({
-        token: t.token,
-        amount: t.amount,
-      }));
-      const meta = await fetchTokensMetadataBatch(collateralTokens, provider);
+      const knownTokens = [
+        ...new Set(
+          [
+            ...result.collateralBalances,
+            ...result.borrows,
+            ...result.tokenPrices,
+            ...result.debitMaxSpend.spendable,
+            ...(result.withdrawalRequest?.tokens ?? []),
+          ].map((t) => t.token.toLowerCase())
+        ),
+      ].map((token) => ({ token }));
+      const [meta, ltvs, rates] = await Promise.all([
+        fetchTokensMetadataBatch(knownTokens, provider),
+        fetchTokenLTVsBatch(knownTokens, provider),
+        fetchBorrowRatesBatch(knownTokens, provider),
+      ]);
       setMetadataMap(meta);
+      setLtvMap(ltvs);
+      setBorrowRates(rates);
 
       // Initialize simulated prices from fetched data
-      const initialPrices = {};
-      result.tokenPrices.forEach((p) => {
-        initialPrices[p.token.toLowerCase()] = Number(p.amount);
-      });
-      setSimulatedPrices(initialPrices);
+      const prices = getOriginalPrices(result);
+      if (scenario) {
+        Object.entries(scenario.prices).forEach(([token, priceUSD]) => {
+          if (prices[token] !== undefined) prices[token] = toUSDScaled(priceUSD);
+        });
+        if (scenario.debt !== null) setSimulatedBorrow(toUSDScaled(scenario.debt));
+        setPositionChanges(scenario.positionChanges);
+        setExcludeWithdrawal(scenario.excludeWithdrawal);
+      }
+      setSimulatedPrices(prices);
 
       setData(result);
     } catch (err) {
@@ -111,6 +420,84 @@ function App() {
     }
   };
 
+  /**
+   * Loads a saved snapshot file and replays its scenario (prices, debt,
+   * what-if actions) without any RPC access.
+   */
+  const handleSnapshotImport = async (file) => {
+    setError(null);
+    try {
+      const imported = parseSnapshotImport(await readFileAsText(file));
+
+      setHistoricalSnapshot(null);
+      setVaultAddress(imported.address);
+      setMetadataMap(imported.metadataMap);
+      setLtvMap(imported.ltvMap);
+      setBorrowRates(imported.borrowRates);
+      setSimulatedPrices({
+        ...getOriginalPrices(imported.vaultData),
+        ...imported.scenario.simulatedPrices,
+      });
+      setSimulatedBorrow(imported.scenario.simulatedBorrow);
+      setPositionChanges(imported.scenario.positionChanges);
+      setExcludeWithdrawal(imported.scenario.excludeWithdrawal);
+      setOfflineSnapshot({
+        fileName: file.name,
+        network: imported.network,
+        block: imported.block,
+        exportedAt: imported.exportedAt,
+      });
+      setData(imported.vaultData);
+      writeSimulationState({ vault: null });
+    } catch (err) {
+      setError(`Could not load snapshot: ${err.message}`);
+    }
+  };
+
+  /**
+   * Leaves offline mode, clearing the imported vault.
+   */
+  const handleCloseSnapshot = () => {
+    setOfflineSnapshot(null);
+    setData(null);
+    setVaultAddress('');
+    setSimulatedPrices({});
+    setSimulatedBorrow(null);
+    setPositionChanges([]);
+    setMetadataMap(new Map());
+    setLtvMap(new Map());
+    setBorrowRates(new Map());
+  };
+
+  // Open the vault from a shared link once on load
+  useEffect(() => {
+    if (sharedState.vault) handleAddressSubmit(sharedState.vault, sharedState);
+  }, [sharedState]);
+
+  /**
+   * Switches to another network from the registry. Vault data, simulations
+   * and the shared link belong to the previous network, so they are cleared.
+   */
+  const handleNetworkChange = (id) => {
+    setActiveNetwork(id);
+    resetProvider();
+    saveNetworkPreference(id);
+    setNetworkId(id);
+
+    setData(null);
+    setError(null);
+    setVaultAddress('');
+    setSimulatedPrices({});
+    setSimulatedBorrow(null);
+    setPositionChanges([]);
+    setHistoricalSnapshot(null);
+    setOfflineSnapshot(null);
+    setMetadataMap(new Map());
+    setLtvMap(new Map());
+    setBorrowRates(new Map());
+    writeSimulationState({ vault: null });
+  };
+
   /**
    * Handles price changes from the TokenList component.
    * Updates the simulated price for the given token.
@@ -123,6 +510,95 @@ function App() {
     }));
   };
 
+  /**
+   * Applies several simulated prices at once (6 decimals, by token address),
+   * e.g. the two prices of a heatmap cell.
+   */
+  const handleApplyPrices = (prices) => {
+    setSimulatedPrices((prev) => ({ ...prev, ...prices }));
+  };
+
+  /**
+   * Applies a group shock scenario on top of the on-chain prices.
+   * Ungrouped tokens keep any manual price edits.
+   */
+  const handleApplyShocks = (shocks) => {
+    if (!vaultData) return;
+    const shockedPrices = applyGroupShocks(vaultData.tokenPrices, shocks);
+    setSimulatedPrices((prev) => ({ ...prev, ...shockedPrices }));
+  };
+
+  /**
+   * Restores all simulated prices to the on-chain values.
+   */
+  const handleResetPrices = () => {
+    if (!vaultData) return;
+    setSimulatedPrices(getOriginalPrices(vaultData));
+  };
+
+  /**
+   * Switches the app to a historical snapshot (or back to live with null).
+   * Simulated prices restart from the prices at that block.
+   */
+  const handleSelectSnapshot = (snapshot) => {
+    setHistoricalSnapshot(snapshot);
+    setSimulatedPrices(getOriginalPrices(snapshot?.data ?? data));
+    setSimulatedBorrow(null);
+  };
+
+  /**
+   * Sets the simulated debt from the gauge, rounded to whole dollars.
+   */
+  const handleBorrowChange = (borrowUSD) => {
+    setSimulatedBorrow(toUSDScaled(Math.round(borrowUSD)));
+  };
+
+  /**
+   * Queues a what-if action; actions apply in the order they were added.
+   */
+  const handleAddChange = (change) => {
+    setPositionChanges((prev) => [...prev, change]);
+  };
+
+  const handleRemoveChange = (index) => {
+    setPositionChanges((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Copies the current URL, which carries the scenario, to the clipboard.
+   */
+  const handleCopyLink = async () => {
+    try {
+      // Flush a pending hash write so the link has the latest scenario
+      if (urlState) writeSimulationState(urlState);
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.warn('Failed to copy link', err);
+    }
+  };
+
+  /**
+   * Downloads the current snapshot as JSON (exact bigints) or per-token CSV.
+   */
+  const handleExport = (format) => {
+    const exported = { ...snapshot, exportedAt: new Date().toISOString() };
+    if (format === 'json') {
+      downloadFile(getSnapshotFilename(exported, 'json'), formatSnapshotJSON(exported), 'application/json');
+    } else {
+      downloadFile(getSnapshotFilename(exported, 'csv'), formatSnapshotCSV(exported), 'text/csv');
+    }
+  };
+
+  /**
+   * Opens a vault from the portfolio table in the single-vault view.
+   */
+  const handleSelectVault = (address) => {
+    setView(VIEWS.VAULT);
+    handleAddressSubmit(address);
+  };
+
   /**
    * Formats a vault address for display (0x1234...5678).
    */
@@ -135,54 +611,202 @@ function App() {
     <div className="app-container">
       <header className="app-header">
         <h1>Ether.fi Vault Risk Analyzer</h1>
-        <p className="subtitle">Visualize your LTV and Liquidation Threshold on Scroll</p>
+        <p className="subtitle">Visualize your LTV and Liquidation Threshold on {NETWORK.name}</p>
+        <NetworkSelector value={networkId} onChange={handleNetworkChange} disabled={loading} />
       </header>
 
       <main className="app-content">
-        <VaultInput onAddressSubmit={handleAddressSubmit} isLoading={loading} />
-
-        {error && <div className="error-banner">{error}</div>}
-
-        {loading && (
-          <div className="loading-indicator">
-            <div className="spinner"></div>
-            <p>Fetching on-chain data...</p>
-          </div>
-        )}
-
-        {!loading && simulationData && (
-          <div className="results-container">
-            <div className="address-badge">Vault: {formatAddress(vaultAddress)}</div>
-            <RiskVisualizer data={simulationData} />
-            <div
-              className="assets-grid"
-              style={{
-                display: 'grid',
-                gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
-                gap: '2rem',
-                width: '100%',
-              }}
-            >
-              <TokenList
-                tokens={simulationData.collateralBalances}
-                prices={simulationData.tokenPrices}
-                title="Collateral Assets"
-                configType="collateral"
-                onPriceChange={handlePriceChange}
+        <div className="view-tabs">
+          <button
+            type="button"
+            className={view === VIEWS.VAULT ? 'active' : ''}
+            onClick={() => setView(VIEWS.VAULT)}
+          >
+            Single Vault
+          </button>
+          <button
+            type="button"
+            className={view === VIEWS.PORTFOLIO ? 'active' : ''}
+            onClick={() => setView(VIEWS.PORTFOLIO)}
+          >
+            Portfolio
+          </button>
+        </div>
+
+        {/* Kept mounted so loaded portfolio results survive a drill-down */}
+        <div className="portfolio-view" hidden={view !== VIEWS.PORTFOLIO}>
+          <PortfolioDashboard key={networkId} onSelectVault={handleSelectVault} />
+        </div>
+
+        {/* Also kept mounted, so the risk alerts keep polling from the Portfolio tab */}
+        <div className="vault-view" hidden={view !== VIEWS.VAULT}>
+          <VaultInput
+            key={networkId}
+            onAddressSubmit={handleAddressSubmit}
+            onSnapshotImport={handleSnapshotImport}
+            isLoading={loading}
+            initialAddress={sharedState.vault ?? ''}
+          />
+
+          {error && <div className="error-banner">{error}</div>}
+
+          {loading && (
+            <div className="loading-indicator">
+              <div className="spinner"></div>
+              <p>Fetching on-chain data...</p>
+            </div>
+          )}
+
+          {!loading && simulationData && (
+            <div className="results-container">
+              {offlineSnapshot && (
+                <div className="offline-banner">
+                  Offline snapshot <strong>{offlineSnapshot.fileName}</strong>
+                  {offlineSnapshot.network && ` · ${offlineSnapshot.network.name}`}
+                  {` · Block ${offlineSnapshot.block}`}
+                  {offlineSnapshot.exportedAt &&
+                    ` · Exported ${new Date(offlineSnapshot.exportedAt).toLocaleString()}`}
+                  <button type="button" className="copy-link-btn" onClick={handleCloseSnapshot}>
+                    Close snapshot
+                  </button>
+                  <p>Balances, prices, LTVs and borrow rates come from the file; nothing is read from the chain.</p>
+                </div>
+              )}
+              <div className="address-badge">
+                Vault: {formatAddress(vaultAddress)}
+                {historicalSnapshot && ` · Block ${historicalSnapshot.blockNumber}`}
+                {!offlineSnapshot && (
+                  <button type="button" className="copy-link-btn" onClick={handleCopyLink}>
+                    {linkCopied ? 'Copied!' : 'Copy link'}
+                  </button>
+                )}
+                <button type="button" className="copy-link-btn" onClick={() => handleExport('json')}>
+                  Export JSON
+                </button>
+                <button type="button" className="copy-link-btn" onClick={() => handleExport('csv')}>
+                  Export CSV
+                </button>
+                <button type="button" className="copy-link-btn" onClick={() => window.print()}>
+                  Print report
+                </button>
+              </div>
+              <RiskVisualizer
+                data={simulationData}
+                onBorrowChange={handleBorrowChange}
+                onResetBorrow={() => setSimulatedBorrow(null)}
+                isBorrowSimulated={simulatedBorrow !== null}
+              />
+              <LiquidationSimulator
+                data={simulationData}
+                metadataMap={effectiveMetadataMap}
+                ltvMap={effectiveLtvMap}
+              />
+              {!offlineSnapshot && (
+                <RiskAlertsPanel
+                  key={`${networkId}:${vaultAddress}`}
+                  address={vaultAddress}
+                  data={data}
+                  metadataMap={effectiveMetadataMap}
+                />
+              )}
+              <ReconciliationPanel data={vaultData} metadataMap={effectiveMetadataMap} />
+              <CardSpendingPanel
+                data={simulationData}
+                metadataMap={effectiveMetadataMap}
+                projection={simulationData.withdrawalProjection}
+                excludeWithdrawal={excludeWithdrawal}
+                onToggleWithdrawal={setExcludeWithdrawal}
               />
-              <TokenList
-                tokens={simulationData.borrows}
-                prices={simulationData.tokenPrices}
-                title="Borrowed Assets"
-                configType="borrow"
+              {!offlineSnapshot && collateralTokens.length > 1 && (
+                <DebtServicePreference
+                  key={`${vaultAddress}:${historicalSnapshot?.blockNumber ?? 'latest'}`}
+                  address={vaultAddress}
+                  tokenOptions={collateralTokens}
+                  baseline={vaultData}
+                  metadataMap={effectiveMetadataMap}
+                  blockTag={historicalSnapshot?.blockNumber}
+                />
+              )}
+              <MonteCarloPanel
+                positions={simulationData.collateralPositions}
+                debtUSD={toUSDFloat(simulationData.totalBorrow)}
               />
+              <InterestProjectionPanel
+                data={simulationData}
+                metadataMap={effectiveMetadataMap}
+                ltvMap={effectiveLtvMap}
+                borrowRates={borrowRates}
+              />
+              <WhatIfPanel
+                tokenOptions={whatIfTokens}
+                changes={positionChanges}
+                before={simulationData.whatIfBaseline}
+                after={simulationData.whatIfBaseline ? summarizeVault(simulationData) : null}
+                onAddChange={handleAddChange}
+                onRemoveChange={handleRemoveChange}
+                onClearChanges={() => setPositionChanges([])}
+              >
+                <RebalanceSuggestions
+                  metrics={simulationData}
+                  borrows={simulationData.borrows}
+                  tokenOptions={whatIfTokens}
+                  prices={simulationData.tokenPrices}
+                  metadataMap={effectiveMetadataMap}
+                  ltvMap={effectiveLtvMap}
+                  onApplySuggestion={handleAddChange}
+                />
+              </WhatIfPanel>
+              <ScenarioPanel onApply={handleApplyShocks} onReset={handleResetPrices} />
+              <PriceHeatmap
+                data={simulationData}
+                metadataMap={effectiveMetadataMap}
+                ltvMap={effectiveLtvMap}
+                onApplyPrices={handleApplyPrices}
+              />
+              {!offlineSnapshot && (
+                <HistoryTimeline address={vaultAddress} onSelectSnapshot={handleSelectSnapshot} />
+              )}
+              <div
+                className="assets-grid"
+                style={{
+                  display: 'grid',
+                  gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))',
+                  gap: '2rem',
+                  width: '100%',
+                }}
+              >
+                <TokenList
+                  tokens={simulationData.collateralBalances}
+                  prices={simulationData.tokenPrices}
+                  title="Collateral Assets"
+                  configType="collateral"
+                  onPriceChange={handlePriceChange}
+                  liquidationPrices={simulationData.liquidationPrices}
+                  metadataMap={effectiveMetadataMap}
+                  ltvMap={effectiveLtvMap}
+                />
+                <TokenList
+                  tokens={simulationData.borrows}
+                  prices={simulationData.tokenPrices}
+                  title="Borrowed Assets"
+                  configType="borrow"
+                  metadataMap={effectiveMetadataMap}
+                  ltvMap={effectiveLtvMap}
+                  borrowRates={borrowRates}
+                />
+              </div>
             </div>
-          </div>
-        )}
+          )}
+        </div>
       </main>
 
+      {view === VIEWS.VAULT && !loading && snapshot && (
+        <PrintReport snapshot={snapshot} data={simulationData} />
+      )}
+
       <footer className="app-footer">
-        <p>Data provided by Ether.fi CashLens contract on Scroll Network</p>
+        <p>Data provided by Ether.fi CashLens contract on {NETWORK.name}</p>
+        <RpcStatus key={networkId} />
       </footer>
     </div>
   );
@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { SAFE_MODES, DEFAULT_TOKEN_DECIMALS } from '../utils/constants';
+import { toUSDFloat } from '../utils/calculations';
+import { formatUSD, formatPercent, formatTokenAmount } from '../utils/format';
+import {
+  nowSeconds,
+  getModeStatus,
+  getSecondsToFinalize,
+  formatCountdown,
+  WITHDRAWAL_WARNINGS,
+} from '../utils/cashData';
+import './CardSpendingPanel.css';
+
+const WARNING_MESSAGES = {
+  [WITHDRAWAL_WARNINGS.OVER_MAX_BORROW]:
+    'Once finalized, debt will exceed max borrow: the card can no longer spend on credit.',
+  [WITHDRAWAL_WARNINGS.LIQUIDATABLE]:
+    'Once finalized, debt will exceed the liquidation limit: the vault can be liquidated.',
+};
+
+/**
+ * CardSpendingPanel Component
+ *
+ * Shows the card side of the Safe: debit or credit mode and any scheduled
+ * switch, what can be spent right now, the spending limit left, cashback
+ * earned and a pending withdrawal with its finalize countdown and its
+ * projected effect on utilisation and liquidation distance.
+ */
+const CardSpendingPanel = ({
+  data,
+  metadataMap = new Map(),
+  projection = null,
+  excludeWithdrawal = true,
+  onToggleWithdrawal = () => {},
+}) => {
+  const [now, setNow] = useState(nowSeconds);
+
+  // Tick the countdowns while something is pending
+  const hasCountdown =
+    data.incomingModeStartTime > now || getSecondsToFinalize(data.withdrawalRequest, now) > 0;
+  useEffect(() => {
+    if (!hasCountdown) return undefined;
+    const timer = setInterval(() => setNow(nowSeconds()), 1000);
+    return () => clearInterval(timer);
+  }, [hasCountdown]);
+
+  const modeStatus = getModeStatus(data, now);
+  const isDebit = data.mode === SAFE_MODES.DEBIT;
+  const spendable = data.debitMaxSpend?.spendable ?? [];
+  const withdrawal = data.withdrawalRequest;
+  const secondsToFinalize = getSecondsToFinalize(withdrawal, now);
+  const symbolOf = (token) => metadataMap.get(token.toLowerCase())?.symbol ?? token.substring(0, 8);
+  const decimalsOf = (token) => metadataMap.get(token)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+
+  return (
+    <div className="card-spending-panel">
+      <h3 className="card-spending-header">
+        Card &amp; Spending
+        <span className={`mode-badge ${isDebit ? 'debit' : 'credit'}`}>{modeStatus.label} mode</span>
+      </h3>
+
+      {modeStatus.incomingMode !== null && (
+        <p className="mode-switch">
+          Switching to {modeStatus.incomingLabel} mode in{' '}
+          {formatCountdown(modeStatus.secondsUntilSwitch)}
+        </p>
+      )}
+
+      <div className="card-spending-stats">
+        <div className="card-stat">
+          <span className="card-stat-label">{isDebit ? 'Debit spendable' : 'Credit max spend'}</span>
+          <span className="card-stat-value">
+            {formatUSD(
+              toUSDFloat(isDebit ? data.debitMaxSpend?.totalSpendableInUsd ?? 0n : data.creditMaxSpend)
+            )}
+          </span>
+        </div>
+        <div className="card-stat">
+          <span className="card-stat-label">Spending limit left</span>
+          <span className="card-stat-value">{formatUSD(toUSDFloat(data.spendingLimitAllowance))}</span>
+        </div>
+        <div className="card-stat">
+          <span className="card-stat-label">Cashback earned</span>
+          <span className="card-stat-value">{formatUSD(toUSDFloat(data.totalCashbackEarnedInUsd))}</span>
+        </div>
+      </div>
+
+      {isDebit && spendable.length > 0 && (
+        <table className="card-spending-table">
+          <thead>
+            <tr>
+              <th>Spendable token</th>
+              <th>Amount</th>
+              <th>Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {spendable.map(({ token, amount, amountUSD }) => (
+              <tr key={token}>
+                <td>{symbolOf(token)}</td>
+                <td>{formatTokenAmount(amount, decimalsOf(token.toLowerCase()))}</td>
+                <td>{formatUSD(toUSDFloat(amountUSD))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {withdrawal && (
+        <div className="pending-withdrawal">
+          <div className="pending-withdrawal-header">
+            <strong>Pending withdrawal</strong>
+            <span>
+              {secondsToFinalize > 0
+                ? `Finalizes in ${formatCountdown(secondsToFinalize)}`
+                : 'Ready to finalize'}
+            </span>
+          </div>
+          <ul>
+            {withdrawal.tokens.map(({ token, amount }) => (
+              <li key={token}>
+                {formatTokenAmount(amount, decimalsOf(token.toLowerCase()))} {symbolOf(token)}
+              </li>
+            ))}
+          </ul>
+          <p className="pending-withdrawal-recipient">To {withdrawal.recipient}</p>
+          {projection && (
+            <table className="pending-withdrawal-impact">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Now</th>
+                  <th>After finalization</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>Utilisation</td>
+                  <td>{formatPercent(projection.current.utilisation)}</td>
+                  <td>{formatPercent(projection.projected.utilisation)}</td>
+                </tr>
+                <tr>
+                  <td>Liquidation distance</td>
+                  <td>{formatPercent(projection.current.liquidationDistance)}</td>
+                  <td>{formatPercent(projection.projected.liquidationDistance)}</td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+          {projection?.warnings.map((warning) => (
+            <p key={warning} className="pending-withdrawal-warning">
+              WARNING: {WARNING_MESSAGES[warning]}
+            </p>
+          ))}
+          <label className="pending-withdrawal-toggle">
+            <input
+              type="checkbox"
+              checked={excludeWithdrawal}
+              onChange={(e) => onToggleWithdrawal(e.target.checked)}
+            />
+            Post-withdrawal view: take the withdrawn tokens out of the collateral in the risk metrics
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const amountType = PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]);
+
+CardSpendingPanel.propTypes = {
+  data: PropTypes.shape({
+    mode: PropTypes.number,
+    incomingModeStartTime: PropTypes.number,
+    withdrawalRequest: PropTypes.shape({
+      tokens: PropTypes.arrayOf(
+        PropTypes.shape({ token: PropTypes.string, amount: amountType })
+      ),
+      recipient: PropTypes.string,
+      finalizeTime: PropTypes.number,
+    }),
+    creditMaxSpend: amountType,
+    spendingLimitAllowance: amountType,
+    totalCashbackEarnedInUsd: amountType,
+    debitMaxSpend: PropTypes.shape({
+      spendable: PropTypes.array,
+      totalSpendableInUsd: amountType,
+    }),
+  }).isRequired,
+  metadataMap: PropTypes.instanceOf(Map),
+  projection: PropTypes.shape({
+    current: PropTypes.object.isRequired,
+    projected: PropTypes.object.isRequired,
+    warnings: PropTypes.arrayOf(PropTypes.string).isRequired,
+  }),
+  excludeWithdrawal: PropTypes.bool,
+  onToggleWithdrawal: PropTypes.func,
+};
+
+CardSpendingPanel.defaultProps = {
+  metadataMap: new Map(),
+  projection: null,
+  excludeWithdrawal: true,
+  onToggleWithdrawal: () => {},
+};
+
+export default CardSpendingPanel;
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { fetchSafeData } from '../utils/api';
+import { compareSpending } from '../utils/cashData';
+import { toUSDFloat } from '../utils/calculations';
+import { formatUSD, formatTokenAmount } from '../utils/format';
+import { DEFAULT_TOKEN_DECIMALS } from '../utils/constants';
+import './DebtServicePreference.css';
+
+/**
+ * Returns the CSS class for a spending change (more to spend is better).
+ */
+const getDiffClass = (base, preferred) => {
+  if (base === preferred) return '';
+  return preferred > base ? 'better' : 'worse';
+};
+
+/**
+ * DebtServicePreference Component
+ *
+ * Lets the user order the collateral tokens as a debt-service preference,
+ * re-queries CashLens with that ordering and compares what the card can
+ * spend against the protocol's default ordering.
+ */
+const DebtServicePreference = ({
+  address,
+  tokenOptions,
+  baseline,
+  metadataMap = new Map(),
+  blockTag = undefined,
+}) => {
+  const [order, setOrder] = useState(() => tokenOptions.map((t) => t.token.toLowerCase()));
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const symbolOf = (token) =>
+    tokenOptions.find((t) => t.token.toLowerCase() === token)?.symbol ??
+    metadataMap.get(token)?.symbol ??
+    token.substring(0, 8);
+  const decimalsOf = (token) => metadataMap.get(token)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+
+  const moveToken = (index, offset) => {
+    setOrder((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+    setComparison(null);
+  };
+
+  const handleCompare = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const preferred = await fetchSafeData(address, { blockTag, debtServiceTokenPreference: order });
+      setComparison(compareSpending(baseline, preferred, order));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="debt-service-panel">
+      <h3 className="debt-service-header">
+        Debt Service Preference
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            When you spend on the card, collateral is consumed in this order. Reorder the tokens and
+            compare what can be spent against the default ordering.
+          </div>
+        </div>
+      </h3>
+
+      <ol className="debt-service-order">
+        {order.map((token, index) => (
+          <li key={token}>
+            <span>{symbolOf(token)}</span>
+            <span className="debt-service-move">
+              <button
+                type="button"
+                onClick={() => moveToken(index, -1)}
+                disabled={index === 0}
+                aria-label={`Move ${symbolOf(token)} up`}
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveToken(index, 1)}
+                disabled={index === order.length - 1}
+                aria-label={`Move ${symbolOf(token)} down`}
+              >
+                ↓
+              </button>
+            </span>
+          </li>
+        ))}
+      </ol>
+
+      <button
+        type="button"
+        className="debt-service-compare-btn"
+        onClick={handleCompare}
+        disabled={loading || order.length === 0}
+      >
+        {loading ? 'Querying CashLens...' : 'Compare with default ordering'}
+      </button>
+
+      {error && <p className="debt-service-error">{error}</p>}
+
+      {comparison && (
+        <table className="debt-service-table">
+          <thead>
+            <tr>
+              <th>Spendable (debit)</th>
+              <th>Default</th>
+              <th>Your ordering</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.rows.map((row) => (
+              <tr key={row.token}>
+                <td>{symbolOf(row.token)}</td>
+                <td>
+                  {formatTokenAmount(row.baseAmount, decimalsOf(row.token))} (
+                  {formatUSD(toUSDFloat(row.baseUSD))})
+                </td>
+                <td className={getDiffClass(row.baseUSD, row.preferredUSD)}>
+                  {formatTokenAmount(row.preferredAmount, decimalsOf(row.token))} (
+                  {formatUSD(toUSDFloat(row.preferredUSD))})
+                </td>
+              </tr>
+            ))}
+            <tr className="debt-service-total">
+              <td>Total debit spendable</td>
+              <td>{formatUSD(toUSDFloat(comparison.totals.base))}</td>
+              <td className={getDiffClass(comparison.totals.base, comparison.totals.preferred)}>
+                {formatUSD(toUSDFloat(comparison.totals.preferred))}
+              </td>
+            </tr>
+            <tr className="debt-service-total">
+              <td>Credit max spend</td>
+              <td>{formatUSD(toUSDFloat(comparison.creditMaxSpend.base))}</td>
+              <td
+                className={getDiffClass(
+                  comparison.creditMaxSpend.base,
+                  comparison.creditMaxSpend.preferred
+                )}
+              >
+                {formatUSD(toUSDFloat(comparison.creditMaxSpend.preferred))}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+DebtServicePreference.propTypes = {
+  address: PropTypes.string.isRequired,
+  tokenOptions: PropTypes.arrayOf(
+    PropTypes.shape({
+      token: PropTypes.string.isRequired,
+      symbol: PropTypes.string,
+    })
+  ).isRequired,
+  baseline: PropTypes.shape({
+    creditMaxSpend: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+    debitMaxSpend: PropTypes.shape({
+      spendable: PropTypes.array,
+      totalSpendableInUsd: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+    }),
+  }).isRequired,
+  metadataMap: PropTypes.instanceOf(Map),
+  blockTag: PropTypes.number,
+};
+
+DebtServicePreference.defaultProps = {
+  metadataMap: new Map(),
+  blockTag: undefined,
+};
+
+export default DebtServicePreference;
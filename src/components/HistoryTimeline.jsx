@@ -0,0 +1,190 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { HISTORY_RANGES } from '../config';
+import { getProvider } from '../utils/provider';
+import { getHistoryBlockTags, fetchVaultHistory } from '../utils/history';
+import { formatUSD, formatPercent } from '../utils/format';
+import './HistoryTimeline.css';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 8;
+
+/**
+ * Builds an SVG polyline path for a series scaled to the chart area.
+ */
+const buildLinePoints = (values, maxValue) => {
+  const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  const stepX = values.length > 1 ? innerWidth / (values.length - 1) : 0;
+
+  return values
+    .map((value, i) => {
+      const x = CHART_PADDING + stepX * i;
+      const y = CHART_PADDING + innerHeight - (maxValue > 0 ? value / maxValue : 0) * innerHeight;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+};
+
+/**
+ * Formats a block timestamp for display, falling back to the block number.
+ */
+const formatSnapshotTime = (snapshot) => {
+  if (!snapshot.timestamp) return `Block ${snapshot.blockNumber}`;
+  return new Date(snapshot.timestamp * 1000).toLocaleString();
+};
+
+/**
+ * HistoryTimeline Component
+ *
+ * Loads the vault's state at evenly spaced earlier blocks, charts collateral,
+ * debt and utilisation over time, and lets the user time-travel the rest of
+ * the app to any loaded block with a slider.
+ */
+const HistoryTimeline = ({ address, onSelectSnapshot }) => {
+  const [rangeId, setRangeId] = useState(HISTORY_RANGES[0].id);
+  const [snapshots, setSnapshots] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleLoad = async () => {
+    const range = HISTORY_RANGES.find((r) => r.id === rangeId);
+    setLoading(true);
+    setError(null);
+    setSnapshots([]);
+    setSelectedIndex(null);
+    onSelectSnapshot(null);
+
+    try {
+      const provider = getProvider();
+      const latestBlock = await provider.getBlockNumber();
+      const blocks = getHistoryBlockTags(latestBlock, range.seconds);
+      setProgress({ loaded: 0, total: blocks.length });
+
+      const history = await fetchVaultHistory(address, blocks, {
+        provider,
+        onProgress: (loaded, total) => setProgress({ loaded, total }),
+      });
+      setSnapshots(history);
+      setSelectedIndex(history.length - 1);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setProgress(null);
+    }
+  };
+
+  const handleSliderChange = (index) => {
+    setSelectedIndex(index);
+    // The last sample is the latest block, so it maps back to the live view
+    onSelectSnapshot(index === snapshots.length - 1 ? null : snapshots[index]);
+  };
+
+  const maxUSD = Math.max(0, ...snapshots.map((s) => Math.max(s.totalCollateral, s.totalBorrow)));
+  const maxUtilisation = Math.max(1, ...snapshots.map((s) => s.utilisation));
+  const selected = selectedIndex !== null ? snapshots[selectedIndex] : null;
+  const selectedX =
+    snapshots.length > 1
+      ? CHART_PADDING + ((CHART_WIDTH - CHART_PADDING * 2) / (snapshots.length - 1)) * selectedIndex
+      : CHART_PADDING;
+
+  return (
+    <div className="history-timeline">
+      <h3 className="history-header">
+        Vault History
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            Loads the vault at earlier blocks. Move the slider to view the whole app as of that
+            block; the right end is the live state. Requires an RPC that serves historical state.
+          </div>
+        </div>
+      </h3>
+
+      <div className="history-controls">
+        <select value={rangeId} onChange={(e) => setRangeId(e.target.value)} disabled={loading}>
+          {HISTORY_RANGES.map((range) => (
+            <option key={range.id} value={range.id}>
+              Last {range.label}
+            </option>
+          ))}
+        </select>
+        <button type="button" className="history-load-btn" onClick={handleLoad} disabled={loading}>
+          {loading && progress
+            ? `Loading ${progress.loaded}/${progress.total}...`
+            : 'Load history'}
+        </button>
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+
+      {snapshots.length > 0 && (
+        <>
+          <svg
+            className="history-chart"
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            preserveAspectRatio="none"
+          >
+            <polyline
+              className="history-line collateral"
+              points={buildLinePoints(snapshots.map((s) => s.totalCollateral), maxUSD)}
+            />
+            <polyline
+              className="history-line debt"
+              points={buildLinePoints(snapshots.map((s) => s.totalBorrow), maxUSD)}
+            />
+            <polyline
+              className="history-line utilisation"
+              points={buildLinePoints(snapshots.map((s) => s.utilisation), maxUtilisation)}
+            />
+            <line
+              className="history-cursor"
+              x1={selectedX}
+              x2={selectedX}
+              y1={0}
+              y2={CHART_HEIGHT}
+            />
+          </svg>
+
+          <div className="history-legend">
+            <span className="collateral">Collateral</span>
+            <span className="debt">Debt</span>
+            <span className="utilisation">
+              Utilisation (scaled to max {formatPercent(maxUtilisation)})
+            </span>
+          </div>
+
+          <input
+            type="range"
+            className="history-slider"
+            min={0}
+            max={snapshots.length - 1}
+            step={1}
+            value={selectedIndex ?? snapshots.length - 1}
+            onChange={(e) => handleSliderChange(Number(e.target.value))}
+          />
+
+          {selected && (
+            <div className="history-selected">
+              <span>{formatSnapshotTime(selected)}</span>
+              <span>Collateral {formatUSD(selected.totalCollateral)}</span>
+              <span>Debt {formatUSD(selected.totalBorrow)}</span>
+              <span>Utilisation {formatPercent(selected.utilisation)}</span>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+HistoryTimeline.propTypes = {
+  address: PropTypes.string.isRequired,
+  onSelectSnapshot: PropTypes.func.isRequired,
+};
+
+export default HistoryTimeline;
@@ -0,0 +1,259 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { ASSET_GROUPS, PROJECTION_HORIZONS } from '../config';
+import { BORROW_RATE_SOURCES } from '../utils/constants';
+import { buildPriceMap, toUSDFloat } from '../utils/calculations';
+import { projectVault } from '../utils/projection';
+import { formatUSD, formatPercent } from '../utils/format';
+import './InterestProjectionPanel.css';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 8;
+// Utilisation above this is drawn at the top of the chart
+const CHART_MAX_RATIO = 2;
+
+const EMPTY_DRIFT = Object.fromEntries(Object.keys(ASSET_GROUPS).map((group) => [group, 0]));
+
+/**
+ * Maps a day and a ratio to chart coordinates.
+ */
+const toChartX = (day, horizonDays) =>
+  CHART_PADDING + (horizonDays > 0 ? day / horizonDays : 0) * (CHART_WIDTH - CHART_PADDING * 2);
+
+const toChartY = (ratio, maxRatio) =>
+  CHART_PADDING +
+  (CHART_HEIGHT - CHART_PADDING * 2) * (1 - Math.min(ratio, maxRatio) / maxRatio);
+
+/**
+ * Builds an SVG polyline path for a ratio series over the horizon.
+ */
+const buildLinePoints = (points, getRatio, horizonDays, maxRatio) =>
+  points
+    .map(
+      (point) =>
+        `${toChartX(point.day, horizonDays).toFixed(1)},${toChartY(getRatio(point), maxRatio).toFixed(1)}`
+    )
+    .join(' ');
+
+/**
+ * Debt as a share of the liquidation limit (1 = liquidatable).
+ */
+const liquidationRatio = (point) => (point.healthFactor > 0 ? 1 / point.healthFactor : Infinity);
+
+/**
+ * Describes when a threshold is reached.
+ */
+const formatReached = (point, horizonLabel) => {
+  if (!point) return `Not within ${horizonLabel}`;
+  if (point.day === 0) return 'Already reached';
+  return `${new Date(point.time).toLocaleDateString()} (in ${point.day} days)`;
+};
+
+/**
+ * InterestProjectionPanel Component
+ *
+ * Projects the simulated vault forward: borrows compound at their token's
+ * borrow rate and collateral prices optionally drift per asset group. Charts
+ * utilisation over the horizon and shows when the vault would reach max
+ * borrow and liquidation if nothing else changes.
+ */
+const InterestProjectionPanel = ({
+  data,
+  metadataMap = new Map(),
+  ltvMap = new Map(),
+  borrowRates = new Map(),
+}) => {
+  const [horizonId, setHorizonId] = useState(PROJECTION_HORIZONS[1].id);
+  const [drift, setDrift] = useState(EMPTY_DRIFT);
+
+  const horizon = PROJECTION_HORIZONS.find((h) => h.id === horizonId);
+
+  const projection = useMemo(() => {
+    try {
+      return projectVault(
+        data,
+        buildPriceMap(data.tokenPrices),
+        metadataMap,
+        ltvMap,
+        borrowRates,
+        {
+          horizonDays: horizon.days,
+          drift: Object.fromEntries(
+            Object.entries(drift).map(([group, value]) => [group, parseFloat(value) || 0])
+          ),
+        }
+      );
+    } catch (e) {
+      console.warn('Projection error', e);
+      return null;
+    }
+  }, [data, metadataMap, ltvMap, borrowRates, horizon, drift]);
+
+  if (!projection) return null;
+
+  const { points, maxBorrowReached, liquidationReached, interest } = projection;
+  const last = points[points.length - 1];
+  const maxRatio = Math.min(
+    CHART_MAX_RATIO,
+    Math.max(1.25, ...points.map((p) => Math.max(p.utilisation, liquidationRatio(p))))
+  );
+  const thresholdY = toChartY(1, maxRatio);
+
+  const rates = (data.borrows ?? []).map(({ token }) => {
+    const addr = token.toLowerCase();
+    return {
+      token: addr,
+      symbol: metadataMap.get(addr)?.symbol ?? addr.substring(0, 8),
+      rate: borrowRates.get(addr) ?? null,
+    };
+  });
+
+  return (
+    <div className="projection-panel">
+      <h3 className="projection-header">
+        Interest Projection
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            Compounds the debt daily at each borrowed token&apos;s rate and applies the annual
+            price drift below to every token in the group. Starts from the simulated vault above;
+            nothing else changes (no repayments, deposits or new spending).
+          </div>
+        </div>
+      </h3>
+
+      {rates.length > 0 && (
+        <div className="projection-rates">
+          {rates.map(({ token, symbol, rate }) => (
+            <span key={token}>
+              {symbol} {rate ? formatPercent(rate.apy / 100) : 'no rate'} APY
+              {rate?.source === BORROW_RATE_SOURCES.FALLBACK && (
+                <span className="projection-fallback"> (fallback)</span>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="projection-controls">
+        <label className="projection-horizon">
+          Horizon
+          <select value={horizonId} onChange={(e) => setHorizonId(e.target.value)}>
+            {PROJECTION_HORIZONS.map((h) => (
+              <option key={h.id} value={h.id}>
+                {h.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {Object.entries(ASSET_GROUPS).map(([group, { label }]) => (
+          <label key={group} className="projection-drift">
+            <span className="projection-drift-label">{label}</span>
+            <span className="projection-drift-input">
+              <input
+                type="number"
+                step="1"
+                min="-100"
+                value={drift[group]}
+                onChange={(e) => setDrift((prev) => ({ ...prev, [group]: e.target.value }))}
+              />
+              %/yr
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <svg
+        className="projection-chart"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+      >
+        <line
+          className="projection-threshold"
+          x1={0}
+          x2={CHART_WIDTH}
+          y1={thresholdY}
+          y2={thresholdY}
+        />
+        {maxBorrowReached && (
+          <line
+            className="projection-marker utilisation"
+            x1={toChartX(maxBorrowReached.day, horizon.days)}
+            x2={toChartX(maxBorrowReached.day, horizon.days)}
+            y1={0}
+            y2={CHART_HEIGHT}
+          />
+        )}
+        {liquidationReached && (
+          <line
+            className="projection-marker liquidation"
+            x1={toChartX(liquidationReached.day, horizon.days)}
+            x2={toChartX(liquidationReached.day, horizon.days)}
+            y1={0}
+            y2={CHART_HEIGHT}
+          />
+        )}
+        <polyline
+          className="projection-line utilisation"
+          points={buildLinePoints(points, (p) => p.utilisation, horizon.days, maxRatio)}
+        />
+        <polyline
+          className="projection-line liquidation"
+          points={buildLinePoints(points, liquidationRatio, horizon.days, maxRatio)}
+        />
+      </svg>
+
+      <div className="projection-legend">
+        <span className="utilisation">Debt / max borrow</span>
+        <span className="liquidation">Debt / liquidation limit</span>
+        <span>Dashed line: 100% (top of chart {formatPercent(maxRatio)})</span>
+      </div>
+
+      <div className="projection-summary">
+        <div>
+          <span className="projection-label">Max borrow reached</span>
+          <span className={maxBorrowReached ? 'projection-warning' : ''}>
+            {formatReached(maxBorrowReached, horizon.label)}
+          </span>
+        </div>
+        <div>
+          <span className="projection-label">Liquidation reached</span>
+          <span className={liquidationReached ? 'projection-danger' : ''}>
+            {formatReached(liquidationReached, horizon.label)}
+          </span>
+        </div>
+        <div>
+          <span className="projection-label">Debt after {horizon.label}</span>
+          <span>
+            {formatUSD(toUSDFloat(last.totalBorrow))} (+{formatUSD(toUSDFloat(interest))} interest)
+          </span>
+        </div>
+        <div>
+          <span className="projection-label">Utilisation after {horizon.label}</span>
+          <span>{formatPercent(last.utilisation)}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+InterestProjectionPanel.propTypes = {
+  data: PropTypes.shape({
+    collateralBalances: PropTypes.array,
+    borrows: PropTypes.array,
+    tokenPrices: PropTypes.array,
+    totalBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+  }).isRequired,
+  metadataMap: PropTypes.instanceOf(Map),
+  ltvMap: PropTypes.instanceOf(Map),
+  borrowRates: PropTypes.instanceOf(Map),
+};
+
+InterestProjectionPanel.defaultProps = {
+  metadataMap: new Map(),
+  ltvMap: new Map(),
+  borrowRates: new Map(),
+};
+
+export default InterestProjectionPanel;
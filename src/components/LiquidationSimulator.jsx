@@ -0,0 +1,186 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { LIQUIDATION_CLOSE_FACTOR } from '../config';
+import { DEFAULT_TOKEN_DECIMALS } from '../utils/constants';
+import { buildPriceMap, toUSDFloat } from '../utils/calculations';
+import { simulateLiquidation, SEIZURE_ORDERS, SEIZURE_ORDER_LABELS } from '../utils/liquidation';
+import { formatUSD, formatPercent, formatHealthFactor, formatTokenAmount } from '../utils/format';
+import './LiquidationSimulator.css';
+
+// Rows of the before/after comparison
+const COMPARED_METRICS = [
+  { key: 'totalCollateral', label: 'Collateral', format: (v) => formatUSD(toUSDFloat(v)) },
+  { key: 'totalBorrow', label: 'Debt', format: (v) => formatUSD(toUSDFloat(v)) },
+  { key: 'maxBorrow', label: 'Max borrow', format: (v) => formatUSD(toUSDFloat(v)) },
+  { key: 'utilisation', label: 'Utilisation', format: formatPercent },
+  { key: 'healthFactor', label: 'Health factor', format: formatHealthFactor },
+];
+
+/**
+ * LiquidationSimulator Component
+ *
+ * Shown when the simulated vault is liquidatable. Models one liquidation with
+ * each token's liquidation bonus, a seizure order and a close factor, and
+ * lists the seized collateral, the debt repaid, the bonus the user loses and
+ * the vault left afterwards.
+ */
+const LiquidationSimulator = ({ data, metadataMap = new Map(), ltvMap = new Map() }) => {
+  const [closeFactor, setCloseFactor] = useState(String(LIQUIDATION_CLOSE_FACTOR));
+  const [seizureOrder, setSeizureOrder] = useState(SEIZURE_ORDERS.BONUS);
+
+  const outcome = useMemo(() => {
+    const percent = Math.min(100, Math.max(0, parseFloat(closeFactor) || 0));
+    try {
+      return simulateLiquidation(
+        data,
+        buildPriceMap(data.tokenPrices),
+        metadataMap,
+        ltvMap,
+        { closeFactor: percent, seizureOrder }
+      );
+    } catch (e) {
+      console.warn('Liquidation simulation error', e);
+      return null;
+    }
+  }, [data, metadataMap, ltvMap, closeFactor, seizureOrder]);
+
+  if (!outcome || !outcome.before.liquidatable) return null;
+
+  const symbolOf = (token) => metadataMap.get(token)?.symbol ?? token.substring(0, 8);
+  const decimalsOf = (token) => metadataMap.get(token)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+
+  return (
+    <div className="liquidation-simulator">
+      <h3 className="liquidation-header">
+        Liquidation Outcome
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            A liquidator repays the close factor&apos;s share of the debt and takes collateral worth
+            that amount plus the token&apos;s liquidation bonus. The bonus is what the liquidation
+            costs you. Liquidators pick the seizure order, usually the highest bonus first.
+          </div>
+        </div>
+      </h3>
+
+      <div className="liquidation-controls">
+        <label>
+          Close factor
+          <span className="liquidation-input">
+            <input
+              type="number"
+              min="1"
+              max="100"
+              step="1"
+              value={closeFactor}
+              onChange={(e) => setCloseFactor(e.target.value)}
+            />
+            %
+          </span>
+        </label>
+        <label>
+          Seizure order
+          <select value={seizureOrder} onChange={(e) => setSeizureOrder(e.target.value)}>
+            {Object.values(SEIZURE_ORDERS).map((order) => (
+              <option key={order} value={order}>
+                {SEIZURE_ORDER_LABELS[order]}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <table className="liquidation-table">
+        <thead>
+          <tr>
+            <th>Collateral</th>
+            <th>Seized</th>
+            <th>Value</th>
+            <th>Debt repaid</th>
+            <th>Bonus lost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {outcome.seized.map((s) => (
+            <tr key={s.token}>
+              <td>{symbolOf(s.token)}</td>
+              <td>
+                {formatTokenAmount(s.amount, decimalsOf(s.token))} {symbolOf(s.token)}
+              </td>
+              <td>{formatUSD(toUSDFloat(s.value))}</td>
+              <td>{formatUSD(toUSDFloat(s.debtRepaid))}</td>
+              <td>
+                {formatUSD(toUSDFloat(s.bonus))}{' '}
+                <span className="liquidation-muted">({s.bonusPercent}%)</span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="liquidation-summary">
+        <div>
+          <span className="liquidation-label">Debt repaid</span>
+          <span>{formatUSD(toUSDFloat(outcome.debtRepaid))}</span>
+        </div>
+        <div>
+          <span className="liquidation-label">Collateral seized</span>
+          <span>{formatUSD(toUSDFloat(outcome.collateralSeized))}</span>
+        </div>
+        <div>
+          <span className="liquidation-label">Your loss (bonus)</span>
+          <span className="liquidation-loss">{formatUSD(toUSDFloat(outcome.userLoss))}</span>
+        </div>
+      </div>
+
+      {outcome.unrepaidDebt > 0n && (
+        <p className="liquidation-warning">
+          The collateral covers only part of the repayment: {formatUSD(toUSDFloat(outcome.unrepaidDebt))}{' '}
+          of the debt to repay is left uncovered.
+        </p>
+      )}
+
+      <table className="liquidation-table liquidation-comparison">
+        <thead>
+          <tr>
+            <th>Vault</th>
+            <th>Before</th>
+            <th>After</th>
+          </tr>
+        </thead>
+        <tbody>
+          {COMPARED_METRICS.map(({ key, label, format }) => (
+            <tr key={key}>
+              <td>{label}</td>
+              <td>{format(outcome.before[key])}</td>
+              <td>{format(outcome.after[key])}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {outcome.after.liquidatable && (
+        <p className="liquidation-warning">
+          The vault is still liquidatable afterwards, so another liquidation can follow.
+        </p>
+      )}
+    </div>
+  );
+};
+
+LiquidationSimulator.propTypes = {
+  data: PropTypes.shape({
+    collateralBalances: PropTypes.array,
+    tokenPrices: PropTypes.array,
+    totalBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+  }).isRequired,
+  metadataMap: PropTypes.instanceOf(Map),
+  ltvMap: PropTypes.instanceOf(Map),
+};
+
+LiquidationSimulator.defaultProps = {
+  metadataMap: new Map(),
+  ltvMap: new Map(),
+};
+
+export default LiquidationSimulator;
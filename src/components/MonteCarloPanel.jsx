@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ASSET_GROUPS, RISK_MODEL, MONTE_CARLO_HORIZONS, MONTE_CARLO_DEFAULT_PATHS } from '../config';
+import { simulateLiquidationProbability, SHORTFALL_CONFIDENCE } from '../utils/montecarlo';
+import { formatUSD, formatPercent } from '../utils/format';
+import './MonteCarloPanel.css';
+
+const PATH_OPTIONS = [1000, MONTE_CARLO_DEFAULT_PATHS, 5000, 10000];
+
+/**
+ * Builds a short signature of the simulation inputs, used to flag stale results.
+ */
+const getInputSignature = (positions, debtUSD) =>
+  JSON.stringify([positions.map((p) => [p.token, p.valueUSD, p.liquidationThreshold]), debtUSD]);
+
+/**
+ * MonteCarloPanel Component
+ *
+ * Estimates the probability that the vault is liquidated within a horizon by
+ * sampling correlated price paths, with editable volatility and correlation.
+ */
+const MonteCarloPanel = ({ positions = [], debtUSD = 0 }) => {
+  const [horizonId, setHorizonId] = useState(MONTE_CARLO_HORIZONS[1].id);
+  const [paths, setPaths] = useState(MONTE_CARLO_DEFAULT_PATHS);
+  const [volatility, setVolatility] = useState(() =>
+    Object.fromEntries(
+      Object.entries(RISK_MODEL.volatility).map(([group, vol]) => [group, Math.round(vol * 100)])
+    )
+  );
+  const [correlationScale, setCorrelationScale] = useState(100);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const inputSignature = getInputSignature(positions, debtUSD);
+
+  const handleRun = () => {
+    setRunning(true);
+    setError(null);
+    // Defer so the "Running..." state renders before the synchronous simulation
+    setTimeout(() => {
+      try {
+        const horizon = MONTE_CARLO_HORIZONS.find((h) => h.id === horizonId);
+        const simulation = simulateLiquidationProbability({
+          positions,
+          debtUSD,
+          horizonDays: horizon.days,
+          paths,
+          volatility: Object.fromEntries(
+            Object.entries(volatility).map(([group, pct]) => [group, (parseFloat(pct) || 0) / 100])
+          ),
+          correlationScale: correlationScale / 100,
+        });
+        setResult({ ...simulation, signature: inputSignature, horizonLabel: horizon.label });
+      } catch (err) {
+        // e.g. a correlation matrix that is not positive semi-definite; the
+        // previous result no longer matches the inputs, so it is dropped
+        setResult(null);
+        setError(err.message);
+      } finally {
+        setRunning(false);
+      }
+    }, 0);
+  };
+
+  const isStale = result && result.signature !== inputSignature;
+
+  return (
+    <div className="monte-carlo-panel">
+      <h3 className="monte-carlo-header">
+        Liquidation Probability
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            Samples correlated daily price paths for your collateral and counts how often the
+            vault would cross its liquidation threshold within the horizon. Debt is held constant.
+            Expected shortfall is the average collateral value loss in the worst{' '}
+            {Math.round((1 - SHORTFALL_CONFIDENCE) * 100)}% of paths.
+          </div>
+        </div>
+      </h3>
+
+      <div className="monte-carlo-controls">
+        <label>
+          Horizon
+          <select value={horizonId} onChange={(e) => setHorizonId(e.target.value)}>
+            {MONTE_CARLO_HORIZONS.map((h) => (
+              <option key={h.id} value={h.id}>
+                {h.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Paths
+          <select value={paths} onChange={(e) => setPaths(Number(e.target.value))}>
+            {PATH_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {n.toLocaleString()}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Correlation {correlationScale}%
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={correlationScale}
+            onChange={(e) => setCorrelationScale(Number(e.target.value))}
+          />
+        </label>
+      </div>
+
+      <div className="monte-carlo-volatility">
+        {Object.entries(ASSET_GROUPS).map(([group, { label }]) => (
+          <label key={group}>
+            {label} vol.
+            <span>
+              <input
+                type="number"
+                min={0}
+                value={volatility[group]}
+                onChange={(e) => setVolatility((prev) => ({ ...prev, [group]: e.target.value }))}
+              />
+              %
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        className="monte-carlo-run-btn"
+        onClick={handleRun}
+        disabled={running || positions.length === 0}
+      >
+        {running ? 'Running...' : 'Run simulation'}
+      </button>
+      {error && <p className="monte-carlo-error">Simulation failed: {error}</p>}
+
+      {result && (
+        <div className={`monte-carlo-result ${isStale ? 'stale' : ''}`}>
+          <div>
+            <span className="monte-carlo-label">P(liquidation) in {result.horizonLabel}</span>
+            <span className="monte-carlo-value">
+              {formatPercent(result.liquidationProbability)}
+              <small> ± {formatPercent(result.standardError)}</small>
+            </span>
+          </div>
+          <div>
+            <span className="monte-carlo-label">
+              Expected shortfall ({Math.round(SHORTFALL_CONFIDENCE * 100)}%)
+            </span>
+            <span className="monte-carlo-value">{formatUSD(result.expectedShortfall)}</span>
+          </div>
+          {isStale && <p className="monte-carlo-stale">Inputs changed since this run. Run again.</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+MonteCarloPanel.propTypes = {
+  positions: PropTypes.arrayOf(
+    PropTypes.shape({
+      token: PropTypes.string,
+      valueUSD: PropTypes.number,
+      liquidationThreshold: PropTypes.number,
+    })
+  ),
+  debtUSD: PropTypes.number,
+};
+
+MonteCarloPanel.defaultProps = {
+  positions: [],
+  debtUSD: 0,
+};
+
+export default MonteCarloPanel;
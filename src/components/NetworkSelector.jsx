@@ -0,0 +1,34 @@
+import PropTypes from 'prop-types';
+import { NETWORKS } from '../config';
+import './NetworkSelector.css';
+
+/**
+ * NetworkSelector Component
+ *
+ * Dropdown for switching between the deployments in the network registry
+ * (Scroll mainnet, a local fork, ...).
+ */
+const NetworkSelector = ({ value, onChange, disabled = false }) => (
+  <label className="network-selector">
+    Network
+    <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled}>
+      {Object.values(NETWORKS).map((network) => (
+        <option key={network.id} value={network.id}>
+          {network.name} ({network.chainId})
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+NetworkSelector.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+NetworkSelector.defaultProps = {
+  disabled: false,
+};
+
+export default NetworkSelector;
@@ -0,0 +1,264 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { fetchSafesDataBatch } from '../utils/api';
+import {
+  loadWatchlist,
+  saveWatchlist,
+  normalizeWatchlist,
+  parseWatchlistImport,
+  exportWatchlistJSON,
+  exportWatchlistCSV,
+} from '../utils/watchlist';
+import { summarizeVault, sortPortfolioRows } from '../utils/portfolio';
+import { downloadFile, readFileAsText } from '../utils/download';
+import { formatUSD, formatPercent, formatHealthFactor } from '../utils/format';
+import { RISK_THRESHOLDS } from '../config';
+import './PortfolioDashboard.css';
+
+const COLUMNS = [
+  { key: 'address', label: 'Vault' },
+  { key: 'totalCollateral', label: 'Collateral' },
+  { key: 'totalBorrow', label: 'Debt' },
+  { key: 'utilisation', label: 'Utilisation' },
+  { key: 'healthFactor', label: 'Health Factor' },
+  { key: 'liquidationDistance', label: 'To Liquidation' },
+];
+
+/**
+ * Picks a row colour class from the utilisation.
+ */
+const getRiskClass = (summary) => {
+  if (!summary) return '';
+  if (summary.healthFactor <= 1 || summary.utilisation >= RISK_THRESHOLDS.DANGER) return 'danger';
+  if (summary.utilisation >= RISK_THRESHOLDS.WARNING) return 'warning';
+  return 'safe';
+};
+
+/**
+ * PortfolioDashboard Component
+ *
+ * Manages a watchlist of vault addresses (saved in local storage, importable
+ * and exportable as JSON/CSV), loads them all with batched CashLens calls and
+ * shows a sortable risk table. Clicking a row opens the single-vault view.
+ */
+const PortfolioDashboard = ({ onSelectVault }) => {
+  const [watchlist, setWatchlist] = useState(() => loadWatchlist());
+  const [newAddress, setNewAddress] = useState('');
+  const [newLabel, setNewLabel] = useState('');
+  const [results, setResults] = useState(new Map());
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [sort, setSort] = useState({ key: 'utilisation', direction: 'desc' });
+
+  const updateWatchlist = (entries) => {
+    setWatchlist(entries);
+    saveWatchlist(entries);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const { entries, invalid } = normalizeWatchlist([
+      ...watchlist,
+      { address: newAddress, label: newLabel },
+    ]);
+    if (invalid.length > 0 || newAddress.trim() === '') {
+      setMessage('Invalid Ethereum address format');
+      return;
+    }
+    updateWatchlist(entries);
+    setNewAddress('');
+    setNewLabel('');
+    setMessage(null);
+  };
+
+  const handleRemove = (address) => {
+    updateWatchlist(watchlist.filter((e) => e.address !== address));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseWatchlistImport(await readFileAsText(file));
+      const { entries } = normalizeWatchlist([...watchlist, ...imported.entries]);
+      updateWatchlist(entries);
+      setMessage(
+        `Imported ${imported.entries.length} address(es)` +
+          (imported.invalid.length > 0 ? `, skipped ${imported.invalid.length} invalid` : '')
+      );
+    } catch (err) {
+      setMessage(`Import failed: ${err.message}`);
+    }
+  };
+
+  const handleRefresh = async () => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const batch = await fetchSafesDataBatch(watchlist.map((e) => e.address));
+      setResults(new Map(batch.map((r) => [r.address.toLowerCase(), r])));
+    } catch (err) {
+      setMessage(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSort = (key) => {
+    setSort((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc',
+    }));
+  };
+
+  const rows = useMemo(() => {
+    const unsorted = watchlist.map((entry) => {
+      const result = results.get(entry.address.toLowerCase());
+      return {
+        ...entry,
+        error: result?.error ?? null,
+        summary: result?.data ? summarizeVault(result.data) : null,
+      };
+    });
+    return sortPortfolioRows(unsorted, sort.key, sort.direction);
+  }, [watchlist, results, sort]);
+
+  const totals = rows.reduce(
+    (acc, row) => ({
+      collateral: acc.collateral + (row.summary?.totalCollateral ?? 0),
+      debt: acc.debt + (row.summary?.totalBorrow ?? 0),
+    }),
+    { collateral: 0, debt: 0 }
+  );
+
+  return (
+    <div className="portfolio-dashboard">
+      <div className="portfolio-toolbar">
+        <form className="portfolio-add" onSubmit={handleAdd}>
+          <input
+            type="text"
+            placeholder="Vault address (0x...)"
+            value={newAddress}
+            onChange={(e) => setNewAddress(e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Label (optional)"
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+          />
+          <button type="submit">Add</button>
+        </form>
+
+        <div className="portfolio-actions">
+          <label className="portfolio-file-btn">
+            Import
+            <input type="file" accept=".json,.csv,text/csv,application/json" onChange={handleImport} />
+          </label>
+          <button
+            type="button"
+            disabled={watchlist.length === 0}
+            onClick={() =>
+              downloadFile('watchlist.json', exportWatchlistJSON(watchlist), 'application/json')
+            }
+          >
+            Export JSON
+          </button>
+          <button
+            type="button"
+            disabled={watchlist.length === 0}
+            onClick={() => downloadFile('watchlist.csv', exportWatchlistCSV(watchlist), 'text/csv')}
+          >
+            Export CSV
+          </button>
+          <button
+            type="button"
+            className="portfolio-refresh-btn"
+            disabled={loading || watchlist.length === 0}
+            onClick={handleRefresh}
+          >
+            {loading ? 'Loading...' : 'Load all'}
+          </button>
+        </div>
+      </div>
+
+      {message && <p className="portfolio-message">{message}</p>}
+
+      {watchlist.length === 0 ? (
+        <p className="portfolio-empty">
+          Your watchlist is empty. Add vault addresses above or import a JSON/CSV file.
+        </p>
+      ) : (
+        <table className="portfolio-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((col) => (
+                <th key={col.key} onClick={() => handleSort(col.key)}>
+                  {col.label}
+                  {sort.key === col.key && (sort.direction === 'desc' ? ' ▼' : ' ▲')}
+                </th>
+              ))}
+              <th aria-label="Actions" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr
+                key={row.address}
+                className={`portfolio-row ${getRiskClass(row.summary)}`}
+                onClick={() => onSelectVault(row.address)}
+              >
+                <td className="portfolio-address">
+                  {row.label && <span className="portfolio-label">{row.label}</span>}
+                  {`${row.address.substring(0, 6)}...${row.address.substring(38)}`}
+                </td>
+                {row.summary ? (
+                  <>
+                    <td>{formatUSD(row.summary.totalCollateral)}</td>
+                    <td>{formatUSD(row.summary.totalBorrow)}</td>
+                    <td className="portfolio-risk">{formatPercent(row.summary.utilisation)}</td>
+                    <td>{formatHealthFactor(row.summary.healthFactor)}</td>
+                    <td>{formatPercent(row.summary.liquidationDistance)}</td>
+                  </>
+                ) : (
+                  <td colSpan={COLUMNS.length - 1} className="portfolio-pending">
+                    {row.error ?? 'Not loaded'}
+                  </td>
+                )}
+                <td>
+                  <button
+                    type="button"
+                    className="portfolio-remove-btn"
+                    title="Remove from watchlist"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleRemove(row.address);
+                    }}
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>Total</td>
+              <td>{formatUSD(totals.collateral)}</td>
+              <td>{formatUSD(totals.debt)}</td>
+              <td colSpan={COLUMNS.length - 2} />
+            </tr>
+          </tfoot>
+        </table>
+      )}
+    </div>
+  );
+};
+
+PortfolioDashboard.propTypes = {
+  onSelectVault: PropTypes.func.isRequired,
+};
+
+export default PortfolioDashboard;
@@ -0,0 +1,233 @@
+import { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { HEATMAP_RANGES, HEATMAP_STEPS } from '../config';
+import { buildPriceMap, toUSDFloat } from '../utils/calculations';
+import { buildPriceSteps, computePriceHeatmap, HEATMAP_METRICS } from '../utils/heatmap';
+import { formatUSD, formatPercent, formatHealthFactor } from '../utils/format';
+import './PriceHeatmap.css';
+
+// Every how many columns the horizontal axis is labelled
+const AXIS_LABEL_EVERY = 5;
+
+/**
+ * Formats a percentage price change as an axis label (e.g. "+25%").
+ */
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change}%`;
+
+/**
+ * Formats a 6-decimal price.
+ */
+const formatPrice = (price) => formatUSD(toUSDFloat(price));
+
+/**
+ * PriceHeatmap Component
+ *
+ * Colours a grid of prices for two collateral tokens (all other prices held)
+ * by utilisation or by distance to liquidation, using RISK_THRESHOLDS. The
+ * grid is centred on the simulated prices and redrawn on every change;
+ * clicking a cell applies its two prices to the simulation.
+ */
+const PriceHeatmap = ({ data, metadataMap = new Map(), ltvMap = new Map(), onApplyPrices = null }) => {
+  const [tokenA, setTokenA] = useState(null);
+  const [tokenB, setTokenB] = useState(null);
+  const [range, setRange] = useState(HEATMAP_RANGES[1]);
+  const [metric, setMetric] = useState(HEATMAP_METRICS.UTILISATION);
+
+  const priceMap = useMemo(() => buildPriceMap(data.tokenPrices), [data.tokenPrices]);
+
+  // Priced collateral, largest position first
+  const candidates = useMemo(
+    () =>
+      (data.collateralPositions ?? [])
+        .filter((p) => p.price > 0)
+        .sort((a, b) => b.valueUSD - a.valueUSD)
+        .map((p) => ({
+          token: p.token,
+          symbol: metadataMap.get(p.token)?.symbol ?? p.token.substring(0, 8),
+        })),
+    [data.collateralPositions, metadataMap]
+  );
+
+  // Fall back to the largest positions when nothing (or a token no longer held) is selected
+  const isCandidate = (token) => candidates.some((c) => c.token === token);
+  const selectedA = isCandidate(tokenA) ? tokenA : candidates[0]?.token;
+  const selectedB =
+    isCandidate(tokenB) && tokenB !== selectedA
+      ? tokenB
+      : candidates.find((c) => c.token !== selectedA)?.token;
+
+  const heatmap = useMemo(() => {
+    if (!selectedA || !selectedB) return null;
+    const stepsA = buildPriceSteps(priceMap.get(selectedA), range, HEATMAP_STEPS);
+    const stepsB = buildPriceSteps(priceMap.get(selectedB), range, HEATMAP_STEPS);
+    try {
+      const grid = computePriceHeatmap(
+        data,
+        priceMap,
+        metadataMap,
+        ltvMap,
+        {
+          tokenA: selectedA,
+          tokenB: selectedB,
+          pricesA: stepsA.map((s) => s.price),
+          pricesB: stepsB.map((s) => s.price),
+        },
+        { metric }
+      );
+      return { stepsA, stepsB, grid };
+    } catch (e) {
+      console.warn('Heatmap error', e);
+      return null;
+    }
+  }, [data, priceMap, metadataMap, ltvMap, selectedA, selectedB, range, metric]);
+
+  if (!heatmap) return null;
+
+  const symbolOf = (token) => candidates.find((c) => c.token === token)?.symbol ?? token;
+  const centre = Math.floor(HEATMAP_STEPS / 2);
+
+  const handleSelectA = (token) => {
+    // Swap the axes instead of putting the same token on both
+    if (token === selectedB) setTokenB(selectedA);
+    setTokenA(token);
+  };
+
+  const handleSelectB = (token) => {
+    if (token === selectedA) setTokenA(selectedB);
+    setTokenB(token);
+  };
+
+  const describeCell = (cell) =>
+    `${symbolOf(selectedA)} ${formatPrice(cell.priceA)}, ${symbolOf(selectedB)} ${formatPrice(cell.priceB)}\n` +
+    `Utilisation ${formatPercent(cell.utilisation)}, health factor ${formatHealthFactor(cell.healthFactor)}` +
+    (cell.liquidatable ? '\nLiquidatable' : '');
+
+  return (
+    <div className="heatmap-panel">
+      <h3 className="heatmap-header">
+        Price Sensitivity Heatmap
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            Each cell is the vault with the two tokens at the cell&apos;s prices and every other
+            price unchanged, coloured with the risk thresholds. The centre cell is the current
+            simulation; click a cell to apply its prices.
+          </div>
+        </div>
+      </h3>
+
+      <div className="heatmap-controls">
+        <label>
+          Horizontal
+          <select value={selectedA} onChange={(e) => handleSelectA(e.target.value)}>
+            {candidates.map((c) => (
+              <option key={c.token} value={c.token}>
+                {c.symbol}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Vertical
+          <select value={selectedB} onChange={(e) => handleSelectB(e.target.value)}>
+            {candidates.map((c) => (
+              <option key={c.token} value={c.token}>
+                {c.symbol}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Range
+          <select value={range} onChange={(e) => setRange(Number(e.target.value))}>
+            {HEATMAP_RANGES.map((r) => (
+              <option key={r} value={r}>
+                ±{r}%
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Colour by
+          <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+            <option value={HEATMAP_METRICS.UTILISATION}>Utilisation</option>
+            <option value={HEATMAP_METRICS.HEALTH}>Distance to liquidation</option>
+          </select>
+        </label>
+      </div>
+
+      <table className="heatmap-grid">
+        <tbody>
+          {[...heatmap.grid].reverse().map((row, r) => {
+            const j = heatmap.grid.length - 1 - r;
+            return (
+              <tr key={j}>
+                <th className="heatmap-axis-label">{formatChange(heatmap.stepsB[j].change)}</th>
+                {row.map((cell, i) => (
+                  <td
+                    key={i}
+                    className={[
+                      'heatmap-cell',
+                      cell.level.toLowerCase(),
+                      cell.liquidatable ? 'liquidatable' : '',
+                      i === centre && j === centre ? 'current' : '',
+                      onApplyPrices ? 'clickable' : '',
+                    ]
+                      .filter(Boolean)
+                      .join(' ')}
+                    title={describeCell(cell)}
+                    onClick={
+                      onApplyPrices
+                        ? () => onApplyPrices({ [selectedA]: cell.priceA, [selectedB]: cell.priceB })
+                        : undefined
+                    }
+                  />
+                ))}
+              </tr>
+            );
+          })}
+          <tr>
+            <th />
+            {heatmap.stepsA.map((step, i) => (
+              <th key={i} className="heatmap-axis-label">
+                {i % AXIS_LABEL_EVERY === 0 ? formatChange(step.change) : ''}
+              </th>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="heatmap-legend">
+        <span>
+          → {symbolOf(selectedA)} (now {formatPrice(priceMap.get(selectedA))}) · ↑{' '}
+          {symbolOf(selectedB)} (now {formatPrice(priceMap.get(selectedB))})
+        </span>
+        <span className="heatmap-swatch ok">Safe</span>
+        <span className="heatmap-swatch warning">Warning</span>
+        <span className="heatmap-swatch danger">Danger</span>
+        <span className="heatmap-swatch critical">Critical</span>
+        <span className="heatmap-swatch liquidatable">Liquidatable</span>
+      </div>
+    </div>
+  );
+};
+
+PriceHeatmap.propTypes = {
+  data: PropTypes.shape({
+    collateralBalances: PropTypes.array,
+    collateralPositions: PropTypes.array,
+    tokenPrices: PropTypes.array,
+    totalBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+  }).isRequired,
+  metadataMap: PropTypes.instanceOf(Map),
+  ltvMap: PropTypes.instanceOf(Map),
+  onApplyPrices: PropTypes.func,
+};
+
+PriceHeatmap.defaultProps = {
+  metadataMap: new Map(),
+  ltvMap: new Map(),
+  onApplyPrices: null,
+};
+
+export default PriceHeatmap;
@@ -0,0 +1,149 @@
+import PropTypes from 'prop-types';
+import RiskVisualizer from './RiskVisualizer';
+import { toUSDFloat } from '../utils/calculations';
+import { formatUSD, formatPercent, formatHealthFactor } from '../utils/format';
+import './PrintReport.css';
+
+/**
+ * Formats a fractional price change with its sign (e.g. "-30.00%").
+ */
+const formatChange = (change) =>
+  change === 0 ? '—' : `${change > 0 ? '+' : ''}${formatPercent(change)}`;
+
+/**
+ * PrintReport Component
+ *
+ * A print-only risk report of the vault under the current simulation: the
+ * gauge, the totals and a scenario table of on-chain versus simulated prices
+ * with balances and LTVs. Hidden on screen; the rest of the page is hidden
+ * when printing, so "Print report" (or saving as PDF) produces just this.
+ */
+const PrintReport = ({ snapshot, data }) => {
+  const { totals, summary, scenario } = snapshot;
+  const rows = [
+    ['Total collateral', formatUSD(toUSDFloat(totals.totalCollateral))],
+    ['Total debt', formatUSD(toUSDFloat(totals.totalBorrow))],
+    ['Max borrow', formatUSD(toUSDFloat(totals.maxBorrow))],
+    ['Liquidation limit', formatUSD(toUSDFloat(totals.liquidationLimit))],
+    ['Utilisation', formatPercent(summary.utilisation)],
+    ['Health factor', formatHealthFactor(summary.healthFactor)],
+    ['Liquidation distance', formatPercent(summary.liquidationDistance)],
+  ];
+
+  return (
+    <section className="print-report">
+      <header className="print-report-header">
+        <h1>Vault Risk Report</h1>
+        <dl>
+          <dt>Vault</dt>
+          <dd>{snapshot.address}</dd>
+          <dt>Network</dt>
+          <dd>
+            {snapshot.network.name} (chain {snapshot.network.chainId})
+          </dd>
+          <dt>Block</dt>
+          <dd>{snapshot.block}</dd>
+          <dt>Generated</dt>
+          <dd>{new Date(snapshot.exportedAt).toLocaleString()}</dd>
+        </dl>
+        <p className={`print-report-scenario ${scenario.isSimulated ? 'simulated' : ''}`}>
+          {scenario.isSimulated
+            ? 'Simulated scenario: figures use the edited prices, debt and actions below, not the on-chain state.'
+            : 'On-chain state, no simulation applied.'}
+        </p>
+      </header>
+
+      <RiskVisualizer data={data} />
+
+      <h2>Totals</h2>
+      <table className="print-report-table">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}>
+              <th scope="row">{label}</th>
+              <td>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2>Scenario</h2>
+      <table className="print-report-table">
+        <thead>
+          <tr>
+            <th>Token</th>
+            <th>Side</th>
+            <th>Amount</th>
+            <th>On-chain price</th>
+            <th>Scenario price</th>
+            <th>Change</th>
+            <th>Value</th>
+            <th>LTV</th>
+            <th>Liq. threshold</th>
+            <th>Liq. price</th>
+          </tr>
+        </thead>
+        <tbody>
+          {snapshot.tokens.map((row) => (
+            <tr key={`${row.role}:${row.token}`}>
+              <td>{row.symbol}</td>
+              <td>{row.role === 'collateral' ? 'Collateral' : 'Borrow'}</td>
+              <td>{Number(row.amount).toLocaleString('en-US', { maximumFractionDigits: 6 })}</td>
+              <td>{formatUSD(row.originalPrice)}</td>
+              <td>{formatUSD(row.simulatedPrice)}</td>
+              <td>
+                {formatChange(row.originalPrice > 0 ? row.simulatedPrice / row.originalPrice - 1 : 0)}
+              </td>
+              <td>{formatUSD(row.valueUSD)}</td>
+              <td>{row.ltv === null ? '—' : `${row.ltv}%`}</td>
+              <td>{row.liquidationThreshold === null ? '—' : `${row.liquidationThreshold}%`}</td>
+              <td>{row.liquidationPrice === null ? '—' : formatUSD(row.liquidationPrice)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {(scenario.simulatedBorrow !== null || scenario.positionChanges.length > 0) && (
+        <>
+          <h2>Simulation inputs</h2>
+          <ul className="print-report-inputs">
+            {scenario.simulatedBorrow !== null && (
+              <li>Debt set to {formatUSD(toUSDFloat(scenario.simulatedBorrow))}</li>
+            )}
+            {scenario.positionChanges.map((change, index) => (
+              <li key={index}>
+                {change.type} {change.amount}{' '}
+                {snapshot.metadata.find((m) => m.token === change.token.toLowerCase())?.symbol ??
+                  change.token}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+};
+
+PrintReport.propTypes = {
+  snapshot: PropTypes.shape({
+    address: PropTypes.string.isRequired,
+    block: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    exportedAt: PropTypes.string.isRequired,
+    network: PropTypes.shape({
+      name: PropTypes.string,
+      chainId: PropTypes.number,
+    }).isRequired,
+    metadata: PropTypes.array.isRequired,
+    scenario: PropTypes.shape({
+      simulatedBorrow: PropTypes.bigint,
+      positionChanges: PropTypes.array,
+      isSimulated: PropTypes.bool,
+    }).isRequired,
+    tokens: PropTypes.array.isRequired,
+    totals: PropTypes.object.isRequired,
+    summary: PropTypes.object.isRequired,
+  }).isRequired,
+  data: PropTypes.object.isRequired,
+};
+
+export default PrintReport;
@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { SOLVER_TARGETS, isTargetMet, solveRepay, solveDeposit } from '../utils/solver';
+import { WHATIF_ACTIONS } from '../utils/whatif';
+import { buildPriceMap, toUSDFloat } from '../utils/calculations';
+import { formatUSD } from '../utils/format';
+import './RebalanceSuggestions.css';
+
+const DEFAULT_TARGETS = {
+  [SOLVER_TARGETS.UTILISATION]: '50',
+  [SOLVER_TARGETS.HEALTH_FACTOR]: '1.5',
+};
+
+/**
+ * Converts the raw target input into a solver target, or null if invalid.
+ * Utilisation is entered as a percentage.
+ */
+const parseTarget = (type, raw) => {
+  const value = parseFloat(raw);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return { type, value: type === SOLVER_TARGETS.UTILISATION ? value / 100 : value };
+};
+
+/**
+ * RebalanceSuggestions Component
+ *
+ * Solves the minimum repay per borrowed token, or deposit per supported
+ * collateral token, that brings the vault to a target utilisation or health
+ * factor, and offers each as a one-click what-if action.
+ */
+const RebalanceSuggestions = ({
+  metrics,
+  borrows = [],
+  tokenOptions = [],
+  prices = [],
+  metadataMap,
+  ltvMap,
+  onApplySuggestion,
+}) => {
+  const [targetType, setTargetType] = useState(SOLVER_TARGETS.UTILISATION);
+  const [targetValue, setTargetValue] = useState(DEFAULT_TARGETS[SOLVER_TARGETS.UTILISATION]);
+
+  const target = parseTarget(targetType, targetValue);
+
+  const priceMap = buildPriceMap(prices);
+  const met = target ? isTargetMet(metrics, target) : false;
+  const repays = target && !met ? solveRepay(metrics, target, borrows, priceMap, metadataMap) : [];
+  const deposits =
+    target && !met ? solveDeposit(metrics, target, tokenOptions, priceMap, metadataMap, ltvMap) : [];
+
+  const symbolOf = (address) =>
+    tokenOptions.find((t) => t.token.toLowerCase() === address.toLowerCase())?.symbol ?? address;
+
+  const handleTypeChange = (type) => {
+    setTargetType(type);
+    setTargetValue(DEFAULT_TARGETS[type]);
+  };
+
+  const renderSuggestion = (type, suggestion) => (
+    <li key={`${type}-${suggestion.token}`}>
+      <button
+        type="button"
+        className="rebalance-suggestion-btn"
+        disabled={!suggestion.feasible}
+        title={suggestion.feasible ? 'Add as a what-if action' : 'More than the outstanding debt in this token'}
+        onClick={() =>
+          onApplySuggestion({ type, token: suggestion.token, amount: suggestion.formattedAmount })
+        }
+      >
+        {type === WHATIF_ACTIONS.REPAY ? 'Repay' : 'Deposit'} {suggestion.formattedAmount}{' '}
+        {symbolOf(suggestion.token)}
+        <small>≈ {formatUSD(toUSDFloat(suggestion.valueUSD))}</small>
+      </button>
+    </li>
+  );
+
+  return (
+    <div className="rebalance-suggestions">
+      <div className="rebalance-target">
+        <span>Reach</span>
+        <select value={targetType} onChange={(e) => handleTypeChange(e.target.value)}>
+          <option value={SOLVER_TARGETS.UTILISATION}>utilisation of at most</option>
+          <option value={SOLVER_TARGETS.HEALTH_FACTOR}>health factor of at least</option>
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={targetValue}
+          onChange={(e) => setTargetValue(e.target.value)}
+        />
+        {targetType === SOLVER_TARGETS.UTILISATION && <span>%</span>}
+      </div>
+
+      {!target && <p className="rebalance-note">Enter a positive target.</p>}
+      {target && met && <p className="rebalance-note met">Target already met.</p>}
+
+      {target && !met && (
+        <div className="rebalance-columns">
+          <div>
+            <h4>Repay one of</h4>
+            {repays.length > 0 ? (
+              <ul>{repays.map((s) => renderSuggestion(WHATIF_ACTIONS.REPAY, s))}</ul>
+            ) : (
+              <p className="rebalance-note">Repaying alone cannot reach this target.</p>
+            )}
+          </div>
+          <div>
+            <h4>Or deposit one of</h4>
+            {deposits.length > 0 ? (
+              <ul>{deposits.map((s) => renderSuggestion(WHATIF_ACTIONS.DEPOSIT, s))}</ul>
+            ) : (
+              <p className="rebalance-note">No supported collateral can reach this target.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+RebalanceSuggestions.propTypes = {
+  metrics: PropTypes.shape({
+    totalBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+    maxBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+    liquidationLimit: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+  }).isRequired,
+  borrows: PropTypes.arrayOf(
+    PropTypes.shape({
+      token: PropTypes.string.isRequired,
+      amount: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]).isRequired,
+    })
+  ),
+  tokenOptions: PropTypes.arrayOf(
+    PropTypes.shape({
+      token: PropTypes.string.isRequired,
+      symbol: PropTypes.string.isRequired,
+    })
+  ),
+  prices: PropTypes.arrayOf(
+    PropTypes.shape({
+      token: PropTypes.string.isRequired,
+      amount: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]).isRequired,
+    })
+  ),
+  metadataMap: PropTypes.instanceOf(Map).isRequired,
+  ltvMap: PropTypes.instanceOf(Map),
+  onApplySuggestion: PropTypes.func.isRequired,
+};
+
+RebalanceSuggestions.defaultProps = {
+  borrows: [],
+  tokenOptions: [],
+  prices: [],
+  ltvMap: null,
+};
+
+export default RebalanceSuggestions;
@@ -0,0 +1,121 @@
+import PropTypes from 'prop-types';
+import { toUSDFloat } from '../utils/calculations';
+import { formatUSD, formatPercent } from '../utils/format';
+import { RECONCILIATION_TOLERANCE_BPS } from '../utils/constants';
+import { reconcileVault } from '../utils/reconciliation';
+import './ReconciliationPanel.css';
+
+/**
+ * Formats a reconciliation value in its unit.
+ */
+const formatValue = (value, unit) =>
+  unit === 'usd' ? formatUSD(toUSDFloat(value)) : formatPercent(value);
+
+/**
+ * Formats a signed difference (e.g. "+$12.00", "−0.35%").
+ */
+const formatDifference = (difference, unit) => {
+  const isZero = unit === 'usd' ? difference === 0n : difference === 0;
+  if (isZero) return '—';
+  const negative = unit === 'usd' ? difference < 0n : difference < 0;
+  const magnitude = negative ? -difference : difference;
+  return `${negative ? '−' : '+'}${formatValue(magnitude, unit)}`;
+};
+
+/**
+ * ReconciliationPanel Component
+ *
+ * Lists, for each metric CashLens reports, the on-chain value next to the
+ * one recalculated from prices and LTV parameters, and flags differences
+ * above the tolerance, a failed recalculation and tokens valued with the
+ * hardcoded LTV_CONFIG fallback.
+ */
+const ReconciliationPanel = ({
+  data,
+  metadataMap = new Map(),
+  toleranceBps = RECONCILIATION_TOLERANCE_BPS,
+}) => {
+  const reconciliation = reconcileVault(data, toleranceBps);
+  if (!reconciliation) return null;
+
+  const symbolOf = (token) => metadataMap.get(token)?.symbol ?? token.substring(0, 8);
+
+  return (
+    <div className="reconciliation-panel">
+      <h3 className="reconciliation-header">
+        On-chain vs Recalculated
+        <span className={`reconciliation-badge ${reconciliation.flagged ? 'drift' : 'ok'}`}>
+          {reconciliation.flagged ? 'Drift detected' : 'In sync'}
+        </span>
+      </h3>
+
+      {reconciliation.recalculationError && (
+        <p className="reconciliation-warning">
+          Recalculation failed, so the app shows the contract&apos;s values:{' '}
+          {reconciliation.recalculationError}
+        </p>
+      )}
+
+      <table className="reconciliation-table">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>On-chain</th>
+            <th>Recalculated</th>
+            <th>Difference</th>
+          </tr>
+        </thead>
+        <tbody>
+          {reconciliation.rows.map((row) => (
+            <tr key={row.key} className={row.flagged ? 'flagged' : ''}>
+              <td>{row.label}</td>
+              <td>{formatValue(row.onChain, row.unit)}</td>
+              <td>{formatValue(row.local, row.unit)}</td>
+              <td>
+                {formatDifference(row.difference, row.unit)}
+                {row.unit === 'usd' && row.relativeDifference !== null && row.difference !== 0n && (
+                  <span className="reconciliation-relative">
+                    {' '}
+                    ({formatPercent(row.relativeDifference)})
+                  </span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {reconciliation.fallbackTokens.length > 0 && (
+        <p className="reconciliation-warning">
+          No on-chain LTV for {reconciliation.fallbackTokens.map(symbolOf).join(', ')}: valued with
+          the hardcoded LTV_CONFIG.
+        </p>
+      )}
+
+      <p className="reconciliation-note">
+        Differences above {formatPercent(reconciliation.toleranceBps / 10_000)} are flagged.
+        Utilisation is compared in percentage points.
+      </p>
+    </div>
+  );
+};
+
+ReconciliationPanel.propTypes = {
+  data: PropTypes.shape({
+    onChainMetrics: PropTypes.shape({
+      totalCollateral: PropTypes.bigint,
+      totalBorrow: PropTypes.bigint,
+      maxBorrow: PropTypes.bigint,
+    }),
+    recalculationError: PropTypes.string,
+  }).isRequired,
+  metadataMap: PropTypes.instanceOf(Map),
+  toleranceBps: PropTypes.number,
+};
+
+ReconciliationPanel.defaultProps = {
+  metadataMap: new Map(),
+  toleranceBps: RECONCILIATION_TOLERANCE_BPS,
+};
+
+export default ReconciliationPanel;
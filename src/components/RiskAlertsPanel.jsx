@@ -0,0 +1,258 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { fetchSafeData } from '../utils/api';
+import { summarizeVault } from '../utils/portfolio';
+import { getRiskLevel, getAlertType } from '../utils/monitor';
+import {
+  DEFAULT_ALERT_SETTINGS,
+  loadAlertSettings,
+  saveAlertSettings,
+  loadAlertHistory,
+  appendAlertHistory,
+  clearAlertHistory,
+  createAlertEntry,
+  validateThresholds,
+  getNotificationPermission,
+  showAlertNotification,
+} from '../utils/alerts';
+import { ALERT_POLL_INTERVAL_MS } from '../utils/constants';
+import { formatUSD, formatPercent, formatHealthFactor } from '../utils/format';
+import './RiskAlertsPanel.css';
+
+const THRESHOLD_FIELDS = [
+  { key: 'WARNING', label: 'Warning at' },
+  { key: 'DANGER', label: 'Danger at' },
+  { key: 'CRITICAL', label: 'Critical at' },
+];
+
+/**
+ * Converts thresholds to percent strings for the inputs.
+ */
+const toPercentInputs = (thresholds) =>
+  Object.fromEntries(
+    Object.entries(thresholds).map(([key, value]) => [key, String(Math.round(value * 1000) / 10)])
+  );
+
+/**
+ * RiskAlertsPanel Component
+ *
+ * Re-checks the loaded vault in the background and records every time its
+ * utilisation crosses one of its alert thresholds (per-vault, defaulting to
+ * RISK_THRESHOLDS), with the collateral prices at that moment. Crossings can
+ * also raise a Web Notification so they are seen with the tab in the background.
+ */
+const RiskAlertsPanel = ({ address, data, metadataMap = new Map() }) => {
+  const [settings, setSettings] = useState(() => loadAlertSettings(address));
+  const [inputs, setInputs] = useState(() => toPercentInputs(settings.thresholds));
+  const [settingsError, setSettingsError] = useState(null);
+  const [history, setHistory] = useState(() => loadAlertHistory(address));
+  const [permission, setPermission] = useState(getNotificationPermission);
+  const [status, setStatus] = useState(() => ({
+    summary: summarizeVault(data),
+    checkedAt: null,
+    error: null,
+  }));
+
+  // Level at the last check, the baseline for the next crossing. It starts from
+  // the last recorded crossing, so one that happened while the panel was
+  // unmounted (a reload, or before the page was opened) is still recorded.
+  const levelRef = useRef(history[0]?.level ?? getRiskLevel(status.summary, settings.thresholds));
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const check = async () => {
+      try {
+        const result = await fetchSafeData(address);
+        if (cancelled) return;
+
+        const summary = summarizeVault(result);
+        const level = getRiskLevel(summary, settings.thresholds);
+        const type = getAlertType(levelRef.current, level);
+        const previousLevel = levelRef.current;
+        levelRef.current = level;
+        setStatus({ summary, checkedAt: new Date(), error: null });
+
+        if (!type) return;
+        const entry = createAlertEntry({
+          address,
+          type,
+          level,
+          previousLevel,
+          summary,
+          data: result,
+          metadataMap,
+        });
+        setHistory(appendAlertHistory(address, entry));
+        if (settings.notify) showAlertNotification(address, entry);
+      } catch (err) {
+        if (!cancelled) setStatus((prev) => ({ ...prev, error: err.message }));
+      }
+    };
+
+    const timer = setInterval(check, ALERT_POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [address, settings, metadataMap]);
+
+  const currentLevel = getRiskLevel(status.summary, settings.thresholds);
+
+  const updateSettings = (next) => {
+    setSettings(next);
+    saveAlertSettings(address, next);
+    // New thresholds move the baseline without counting as a crossing
+    levelRef.current = getRiskLevel(status.summary, next.thresholds);
+  };
+
+  const handleSaveThresholds = (e) => {
+    e.preventDefault();
+    const thresholds = Object.fromEntries(
+      THRESHOLD_FIELDS.map(({ key }) => [key, parseFloat(inputs[key]) / 100])
+    );
+    const validationError = validateThresholds(thresholds);
+    setSettingsError(validationError);
+    if (!validationError) updateSettings({ ...settings, thresholds });
+  };
+
+  const handleResetThresholds = () => {
+    const defaults = { ...DEFAULT_ALERT_SETTINGS.thresholds };
+    setInputs(toPercentInputs(defaults));
+    setSettingsError(null);
+    updateSettings({ ...settings, thresholds: defaults });
+  };
+
+  const handleToggleNotify = async (enabled) => {
+    let result = permission;
+    if (enabled && result === 'default') {
+      result = await Notification.requestPermission();
+      setPermission(result);
+    }
+    updateSettings({ ...settings, notify: enabled && result === 'granted' });
+  };
+
+  const handleClearHistory = () => {
+    clearAlertHistory(address);
+    setHistory([]);
+  };
+
+  return (
+    <div className="risk-alerts-panel">
+      <h3 className="risk-alerts-header">
+        Risk Alerts
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            While this page is open, the vault is re-checked every{' '}
+            {Math.round(ALERT_POLL_INTERVAL_MS / 1000)} seconds with live on-chain data (simulated
+            prices and debt are ignored). Crossing a threshold in either direction is recorded below
+            and can raise a browser notification.
+          </div>
+        </div>
+        <span className={`risk-level-badge ${currentLevel.toLowerCase()}`}>{currentLevel}</span>
+      </h3>
+
+      <p className="risk-alerts-status">
+        Utilisation {formatPercent(status.summary.utilisation)} · Health factor{' '}
+        {formatHealthFactor(status.summary.healthFactor)} ·{' '}
+        {status.checkedAt
+          ? `Last checked ${status.checkedAt.toLocaleTimeString()}`
+          : 'Waiting for the first check'}
+      </p>
+      {status.error && <p className="risk-alerts-error">Last check failed: {status.error}</p>}
+
+      <form className="risk-alerts-thresholds" onSubmit={handleSaveThresholds}>
+        {THRESHOLD_FIELDS.map(({ key, label }) => (
+          <label key={key}>
+            {label} (%)
+            <input
+              type="number"
+              min="1"
+              max="100"
+              step="0.1"
+              value={inputs[key]}
+              onChange={(e) => setInputs((prev) => ({ ...prev, [key]: e.target.value }))}
+            />
+          </label>
+        ))}
+        <div className="risk-alerts-actions">
+          <button type="submit">Save thresholds</button>
+          <button type="button" className="secondary" onClick={handleResetThresholds}>
+            Defaults
+          </button>
+        </div>
+      </form>
+      {settingsError && <p className="risk-alerts-error">{settingsError}</p>}
+
+      <label className="risk-alerts-notify">
+        <input
+          type="checkbox"
+          checked={settings.notify}
+          disabled={permission === 'unsupported' || permission === 'denied'}
+          onChange={(e) => handleToggleNotify(e.target.checked)}
+        />
+        Browser notifications
+        {permission === 'denied' && ' (blocked in the browser settings)'}
+        {permission === 'unsupported' && ' (not supported by this browser)'}
+      </label>
+
+      <div className="risk-alerts-history-header">
+        <h4>Alert history</h4>
+        {history.length > 0 && (
+          <button type="button" className="secondary" onClick={handleClearHistory}>
+            Clear
+          </button>
+        )}
+      </div>
+      {history.length === 0 ? (
+        <p className="risk-alerts-empty">No threshold crossings recorded for this vault yet.</p>
+      ) : (
+        <table className="risk-alerts-history">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Change</th>
+              <th>Utilisation</th>
+              <th>Health factor</th>
+              <th>Prices</th>
+            </tr>
+          </thead>
+          <tbody>
+            {history.map((entry) => (
+              <tr key={`${entry.timestamp}:${entry.level}`}>
+                <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                <td>
+                  {entry.previousLevel ?? 'OK'} →{' '}
+                  <span className={`risk-level-text ${entry.level.toLowerCase()}`}>{entry.level}</span>
+                </td>
+                <td>{formatPercent(entry.utilisation)}</td>
+                <td>{formatHealthFactor(entry.healthFactor ?? Infinity)}</td>
+                <td>
+                  {entry.prices.map((p) => `${p.symbol} ${formatUSD(p.price)}`).join(', ')}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+RiskAlertsPanel.propTypes = {
+  address: PropTypes.string.isRequired,
+  data: PropTypes.shape({
+    totalCollateral: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+    totalBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+    maxBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+    liquidationLimit: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+  }).isRequired,
+  metadataMap: PropTypes.instanceOf(Map),
+};
+
+RiskAlertsPanel.defaultProps = {
+  metadataMap: new Map(),
+};
+
+export default RiskAlertsPanel;
@@ -1,21 +1,24 @@
 import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import PropTypes from 'prop-types';
-import { formatUSD, formatPercent } from '../utils/format';
+import { formatUSD, formatPercent, formatHealthFactor } from '../utils/format';
 import { RISK_THRESHOLDS } from '../config';
 import { PRICE_MULTIPLIER } from '../utils/constants';
+import { calculateLiquidationHealthFactor } from '../utils/calculations';
 import './RiskVisualizer.css';
 
 /**
  * RiskVisualizer Component
  *
- * Displays vault metrics (collateral, debt, borrowing power) and an
+ * Displays vault metrics (collateral, debt, borrowing power, health factor) and an
  * interactive gauge for visualizing and simulating liquidation risk.
- * The gauge can be dragged to simulate different debt levels.
+ * The gauge spans up to the liquidation limit and marks the max borrow line,
+ * so the buffer between the two is visible. It can be dragged to simulate
+ * different debt levels; the simulated debt is owned by the parent so it can
+ * feed the other calculations and be shared.
  */
-const RiskVisualizer = ({ data }) => {
+const RiskVisualizer = ({ data, onBorrowChange, onResetBorrow, isBorrowSimulated }) => {
   const trackRef = useRef(null);
   const [isDragging, setIsDragging] = useState(false);
-  const [dragBorrow, setDragBorrow] = useState(null);
 
   // Memoize derived values from data
   const metrics = useMemo(() => {
@@ -24,31 +27,32 @@ const RiskVisualizer = ({ data }) => {
       maxBorrow: Number(data.maxBorrow) / PRICE_MULTIPLIER,
       totalBorrow: Number(data.totalBorrow) / PRICE_MULTIPLIER,
       totalCollateral: Number(data.totalCollateral) / PRICE_MULTIPLIER,
+      liquidationLimit: Number(data.liquidationLimit ?? 0) / PRICE_MULTIPLIER,
     };
   }, [data]);
 
-  // Current displayed borrow value: drag value during interaction, otherwise actual
-  const displayBorrow = dragBorrow ?? metrics?.totalBorrow ?? 0;
+  // Current displayed borrow value (already includes any simulated debt)
+  const displayBorrow = metrics?.totalBorrow ?? 0;
   const maxBorrow = metrics?.maxBorrow ?? 0;
+  // Gauge spans to the liquidation line; fall back to max borrow when it is unknown
+  const gaugeMax = Math.max(metrics?.liquidationLimit ?? 0, maxBorrow);
 
   const handleMouseDown = useCallback((e) => {
     e.preventDefault();
     setIsDragging(true);
-    // Initialize drag at current value
-    setDragBorrow(displayBorrow);
-  }, [displayBorrow]);
+  }, []);
 
   // Drag simulation effect - handles mouse move and release
   useEffect(() => {
     if (!isDragging) return;
 
     const handleMouseMove = (e) => {
-      if (!trackRef.current || maxBorrow === 0) return;
+      if (!trackRef.current || gaugeMax === 0) return;
 
       const rect = trackRef.current.getBoundingClientRect();
       const x = e.clientX - rect.left;
       const percentage = Math.max(0, Math.min(1, x / rect.width));
-      setDragBorrow(percentage * maxBorrow);
+      onBorrowChange?.(percentage * gaugeMax);
     };
 
     const handleMouseUp = () => {
@@ -63,19 +67,16 @@ const RiskVisualizer = ({ data }) => {
       window.removeEventListener('mousemove', handleMouseMove);
       window.removeEventListener('mouseup', handleMouseUp);
     };
-  }, [isDragging, maxBorrow]);
-
-  // Reset drag state when new data loads (e.g., new vault address)
-  // This is intentional - we want to reset simulation when underlying data changes
-  const dataId = data?.maxBorrow?.toString();
-  useEffect(() => {
-    setDragBorrow(null); // eslint-disable-line react-hooks/set-state-in-effect
-  }, [dataId]);
+  }, [isDragging, gaugeMax, onBorrowChange]);
 
   // Early return AFTER all hooks
   if (!metrics) return null;
 
-  const healthFactor = maxBorrow > 0 ? displayBorrow / maxBorrow : 0;
+  const utilisation = maxBorrow > 0 ? displayBorrow / maxBorrow : 0;
+  const healthFactor = calculateLiquidationHealthFactor(displayBorrow, metrics.liquidationLimit);
+  const gaugePosition = gaugeMax > 0 ? displayBorrow / gaugeMax : 0;
+  const maxBorrowPosition = gaugeMax > 0 ? maxBorrow / gaugeMax : 0;
+  const isLiquidatable = metrics.liquidationLimit > 0 && healthFactor <= 1;
 
   const getRiskColor = (usage) => {
     if (usage >= RISK_THRESHOLDS.DANGER) return 'var(--danger)';
@@ -83,7 +84,7 @@ const RiskVisualizer = ({ data }) => {
     return 'var(--success)';
   };
 
-  const riskColor = getRiskColor(healthFactor);
+  const riskColor = isLiquidatable ? 'var(--danger)' : getRiskColor(utilisation);
 
   return (
     <div className="risk-visualizer">
@@ -97,17 +98,28 @@ const RiskVisualizer = ({ data }) => {
           <p
             className="value"
             style={{
-              color: isDragging || dragBorrow !== null ? riskColor : 'inherit',
+              color: isDragging || isBorrowSimulated ? riskColor : 'inherit',
               transition: 'color 0.2s',
             }}
           >
             {formatUSD(displayBorrow)}
           </p>
+          {isBorrowSimulated && onResetBorrow && (
+            <button type="button" className="reset-borrow-btn" onClick={onResetBorrow}>
+              Reset to actual
+            </button>
+          )}
         </div>
         <div className="stat-card">
           <h3>Borrowing Power</h3>
           <p className="value">{formatUSD(maxBorrow)}</p>
         </div>
+        <div className="stat-card">
+          <h3>Health Factor</h3>
+          <p className="value" style={{ color: riskColor }}>
+            {formatHealthFactor(healthFactor)}
+          </p>
+        </div>
       </div>
 
       <div className="gauge-container">
@@ -117,7 +129,8 @@ const RiskVisualizer = ({ data }) => {
             <span className="tooltip-icon">?</span>
             <div className="tooltip-content">
               Drag the white handle to simulate how increasing your debt affects your liquidation risk
-              and health factor.
+              and health factor. Past the max borrow line you cannot borrow more; at the liquidation
+              line (health factor 1) the vault can be liquidated.
             </div>
           </div>
         </h3>
@@ -133,7 +146,7 @@ const RiskVisualizer = ({ data }) => {
           <div
             className="gauge-fill"
             style={{
-              width: `${Math.min(healthFactor * 100, 100)}%`,
+              width: `${Math.min(gaugePosition * 100, 100)}%`,
               backgroundColor: riskColor,
               boxShadow: `0 0 12px ${riskColor}`,
               transition: isDragging
@@ -141,8 +154,8 @@ const RiskVisualizer = ({ data }) => {
                 : 'width 1s cubic-bezier(0.4, 0, 0.2, 1), background-color 0.5s',
             }}
           >
-            {healthFactor >= 0.13 && (
-              <span className="gauge-percentage">{formatPercent(healthFactor)}</span>
+            {gaugePosition >= 0.13 && (
+              <span className="gauge-percentage">{formatPercent(utilisation)}</span>
             )}
 
             {/* Drag Handle */}
@@ -153,12 +166,26 @@ const RiskVisualizer = ({ data }) => {
             />
           </div>
 
+          {/* Max Borrow Line */}
+          {maxBorrowPosition > 0 && maxBorrowPosition < 1 && (
+            <div className="gauge-marker" style={{ left: `${maxBorrowPosition * 100}%` }}>
+              <span className="gauge-marker-label">Max borrow</span>
+            </div>
+          )}
+
+          {/* Liquidation Line */}
+          {metrics.liquidationLimit > 0 && (
+            <div className="gauge-marker liquidation" style={{ left: '100%' }}>
+              <span className="gauge-marker-label">Liquidation</span>
+            </div>
+          )}
+
           {/* Floating Label for Total Borrow */}
-          {healthFactor <= 0.82 && (
+          {gaugePosition <= 0.82 && (
             <div
               className="gauge-value floating"
               style={{
-                left: `${Math.min(healthFactor * 100, 100)}%`,
+                left: `${Math.min(gaugePosition * 100, 100)}%`,
                 color: riskColor,
                 transition: isDragging ? 'none' : 'left 1s cubic-bezier(0.4, 0, 0.2, 1)',
                 pointerEvents: 'none',
@@ -168,13 +195,21 @@ const RiskVisualizer = ({ data }) => {
             </div>
           )}
 
-          {/* Fixed Label for Max Borrow */}
-          <div className="gauge-value max">{formatUSD(maxBorrow)}</div>
+          {/* Fixed Label for the end of the gauge (liquidation limit) */}
+          <div className="gauge-value max">{formatUSD(gaugeMax)}</div>
+        </div>
+        <div className="gauge-buffer">
+          Buffer between max borrow and liquidation:{' '}
+          <strong>{formatUSD(Math.max(gaugeMax - maxBorrow, 0))}</strong>
         </div>
       </div>
 
-      {healthFactor > RISK_THRESHOLDS.CRITICAL && (
-        <div className="risk-alert">WARNING: Your position is at high risk of liquidation!</div>
+      {isLiquidatable ? (
+        <div className="risk-alert">WARNING: Your position is below the liquidation threshold!</div>
+      ) : (
+        utilisation > RISK_THRESHOLDS.CRITICAL && (
+          <div className="risk-alert">WARNING: Your position is at high risk of liquidation!</div>
+        )
       )}
     </div>
   );
@@ -185,11 +220,18 @@ RiskVisualizer.propTypes = {
     totalCollateral: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
     totalBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
     maxBorrow: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
+    liquidationLimit: PropTypes.oneOfType([PropTypes.number, PropTypes.bigint]),
   }),
+  onBorrowChange: PropTypes.func,
+  onResetBorrow: PropTypes.func,
+  isBorrowSimulated: PropTypes.bool,
 };
 
 RiskVisualizer.defaultProps = {
   data: null,
+  onBorrowChange: null,
+  onResetBorrow: null,
+  isBorrowSimulated: false,
 };
 
 export default RiskVisualizer;
@@ -0,0 +1,69 @@
+import { useState, useEffect } from 'react';
+import { getProvider } from '../utils/provider';
+import './RpcStatus.css';
+
+/**
+ * Shortens an endpoint URL to its host for display.
+ */
+const formatEndpoint = (url) => {
+  try {
+    const { host, pathname } = new URL(url);
+    return pathname && pathname !== '/' ? `${host}${pathname}` : host;
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Classifies an endpoint for the health dot colour.
+ */
+const getHealthClass = (endpoint) => {
+  if (endpoint.cooldownUntil > Date.now()) return 'down';
+  if (endpoint.successes + endpoint.failures === 0) return 'unknown';
+  return endpoint.score >= 0.6 ? 'healthy' : 'degraded';
+};
+
+/**
+ * RpcStatus Component
+ *
+ * Shows which RPC endpoint served the latest data and the health of every
+ * configured endpoint, updated after each request.
+ */
+const RpcStatus = () => {
+  const [status, setStatus] = useState(() => {
+    const provider = getProvider();
+    return { lastEndpoint: provider.lastEndpoint, endpoints: provider.getEndpointHealth() };
+  });
+
+  useEffect(() => getProvider().addStatusListener(setStatus), []);
+
+  return (
+    <div className="rpc-status">
+      <span>
+        {status.lastEndpoint
+          ? `Served by ${status.lastEndpoint.split(', ').map(formatEndpoint).join(', ')}`
+          : 'No RPC requests yet'}
+      </span>
+      <ul className="rpc-endpoints">
+        {status.endpoints.map((endpoint) => (
+          <li
+            key={endpoint.url}
+            className={`rpc-endpoint ${getHealthClass(endpoint)}`}
+            title={[
+              `Score ${endpoint.score.toFixed(2)}`,
+              endpoint.latencyMs !== null && `${Math.round(endpoint.latencyMs)} ms`,
+              `${endpoint.successes} ok / ${endpoint.failures} failed`,
+              endpoint.lastError && `Last error: ${endpoint.lastError}`,
+            ]
+              .filter(Boolean)
+              .join(' · ')}
+          >
+            {formatEndpoint(endpoint.url)}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RpcStatus;
@@ -0,0 +1,104 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { ASSET_GROUPS, SHOCK_PRESETS } from '../config';
+import { combineShocks } from '../utils/scenarios';
+import './ScenarioPanel.css';
+
+const EMPTY_SHOCKS = Object.fromEntries(Object.keys(ASSET_GROUPS).map((group) => [group, 0]));
+
+/**
+ * Parses the raw input values into numbers, treating blanks as 0.
+ */
+const normalizeShocks = (shocks) =>
+  Object.fromEntries(
+    Object.entries(shocks).map(([group, value]) => [group, parseFloat(value) || 0])
+  );
+
+/**
+ * ScenarioPanel Component
+ *
+ * Lets the user shock whole asset groups (ETH-beta, BTC-beta, stables, ...)
+ * by a percentage, and combine preset market crash scenarios.
+ */
+const ScenarioPanel = ({ onApply, onReset }) => {
+  const [shocks, setShocks] = useState(EMPTY_SHOCKS);
+
+  const handleShockChange = (group, value) => {
+    setShocks((prev) => ({ ...prev, [group]: value }));
+  };
+
+  const handlePreset = (preset) => {
+    setShocks((prev) => combineShocks(normalizeShocks(prev), preset.shocks));
+  };
+
+  const handleApply = () => {
+    onApply(normalizeShocks(shocks));
+  };
+
+  const handleReset = () => {
+    setShocks(EMPTY_SHOCKS);
+    onReset();
+  };
+
+  return (
+    <div className="scenario-panel">
+      <h3 className="scenario-header">
+        Market Shock Scenarios
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            Shock a whole asset group at once. Presets combine: clicking two presets compounds
+            their shocks. Applying sets grouped token prices to the on-chain price plus the shock.
+          </div>
+        </div>
+      </h3>
+
+      <div className="scenario-presets">
+        {SHOCK_PRESETS.map((preset) => (
+          <button
+            key={preset.id}
+            type="button"
+            className="scenario-preset-btn"
+            onClick={() => handlePreset(preset)}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="scenario-groups">
+        {Object.entries(ASSET_GROUPS).map(([group, { label }]) => (
+          <label key={group} className="scenario-group">
+            <span className="scenario-group-label">{label}</span>
+            <span className="scenario-group-input">
+              <input
+                type="number"
+                step="1"
+                min="-100"
+                value={shocks[group]}
+                onChange={(e) => handleShockChange(group, e.target.value)}
+              />
+              %
+            </span>
+          </label>
+        ))}
+      </div>
+
+      <div className="scenario-actions">
+        <button type="button" className="scenario-reset-btn" onClick={handleReset}>
+          Reset prices
+        </button>
+        <button type="button" className="scenario-apply-btn" onClick={handleApply}>
+          Apply scenario
+        </button>
+      </div>
+    </div>
+  );
+};
+
+ScenarioPanel.propTypes = {
+  onApply: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+};
+
+export default ScenarioPanel;
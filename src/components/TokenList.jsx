@@ -1,9 +1,9 @@
-import { useEffect, useState } from 'react';
+import { useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
 import { ethers } from 'ethers';
-import { fetchTokensMetadataBatch, fetchTokenLTVsBatch } from '../utils/api';
-import { getProvider } from '../utils/provider';
-import { PRICE_MULTIPLIER, DEFAULT_BORROW_APY } from '../utils/constants';
+import { PRICE_DECIMALS, LTV_SOURCES, BORROW_RATE_SOURCES } from '../utils/constants';
+import { toFloat, tokenToUSD } from '../utils/fixedPoint';
+import { toPriceBigInt } from '../utils/calculations';
 import './TokenList.css';
 
 /**
@@ -26,7 +26,7 @@ const PriceInput = ({ initialValue, onSave }) => {
 
   const handleCommit = () => {
     const num = parseFloat(value);
-    if (!isNaN(num)) {
+    if (Number.isFinite(num)) {
       onSave(num);
     } else {
       setValue(formattedInitial);
@@ -63,11 +63,48 @@ PriceInput.defaultProps = {
   initialValue: 0,
 };
 
+/**
+ * LiquidationPriceLabel Component
+ *
+ * Shows the price at which a collateral token alone would trigger
+ * liquidation, and how far that is from the current price.
+ */
+const LiquidationPriceLabel = ({ liquidation }) => {
+  if (liquidation === undefined) return null;
+
+  if (liquidation === null) {
+    return <span className="token-liq-price safe">Liq. price: none</span>;
+  }
+
+  const price = toFloat(liquidation.price, PRICE_DECIMALS);
+  return (
+    <span className={`token-liq-price ${liquidation.dropPercent <= 0 ? 'breached' : ''}`}>
+      Liq. price: $
+      {price.toLocaleString(undefined, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })}{' '}
+      ({liquidation.dropPercent > 0 ? `−${(liquidation.dropPercent * 100).toFixed(1)}%` : 'reached'})
+    </span>
+  );
+};
+
+LiquidationPriceLabel.propTypes = {
+  liquidation: PropTypes.shape({
+    price: PropTypes.number,
+    dropPercent: PropTypes.number,
+  }),
+};
+
 /**
  * TokenList Component
  *
  * Displays a list of tokens (collateral or borrowed) with their
- * amounts, prices, and values. Collateral tokens show editable prices.
+ * amounts, prices, and values. Collateral tokens show editable prices
+ * and, when provided, the price at which each would trigger liquidation.
+ * Borrowed tokens show their borrow rate. Token metadata, LTVs and rates
+ * come from the parent, so the list renders the same for live data and for
+ * an imported snapshot.
  */
 const TokenList = ({
   tokens,
@@ -75,90 +112,61 @@ const TokenList = ({
   title = 'Collateral Assets',
   configType = 'collateral',
   onPriceChange,
+  liquidationPrices,
+  metadataMap = new Map(),
+  ltvMap = new Map(),
+  borrowRates = new Map(),
 }) => {
-  const [enrichedTokens, setEnrichedTokens] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const enrichedTokens = useMemo(() => {
+    if (!tokens) return [];
 
-  useEffect(() => {
-    const loadMetadata = async () => {
-      if (!tokens || tokens.length === 0) {
-        setLoading(false);
-        return;
-      }
-
-      setLoading(true);
-      const provider = getProvider();
-
-      try {
-        // Create price map (prices are 6 decimals USD)
-        const priceMap = {};
-        if (prices) {
-          prices.forEach((p) => {
-            priceMap[p.token.toLowerCase()] = Number(p.amount) / PRICE_MULTIPLIER;
-          });
-        }
-
-        // Fetch metadata and LTVs (if collateral)
-        const promises = [fetchTokensMetadataBatch(tokens, provider)];
-        if (configType === 'collateral') {
-          promises.push(fetchTokenLTVsBatch(tokens));
-        }
-
-        const [metadataMap, ltvMap] = await Promise.all(promises);
-
-        const results = tokens.map((t) => {
-          const tokenAddress = t.token || t[0];
-          const amount = t.amount || t[1];
-
-          const metadata = metadataMap.get(tokenAddress.toLowerCase()) || {
-            symbol: 'UNKNOWN',
-            decimals: 18,
-          };
+    // Create price map (prices are 6 decimals USD)
+    const priceMap = {};
+    if (prices) {
+      prices.forEach((p) => {
+        priceMap[p.token.toLowerCase()] = toPriceBigInt(p.amount);
+      });
+    }
 
-          let ltv = 0;
-          if (configType === 'collateral' && ltvMap) {
-            const config = ltvMap.get(tokenAddress.toLowerCase()) || { ltv: 0 };
-            ltv = config.ltv;
-          }
+    return tokens.map((t) => {
+      const tokenAddress = t.token || t[0];
+      const amount = t.amount || t[1];
 
-          const formattedAmount = ethers.formatUnits(amount, metadata.decimals);
-          const unitPrice = priceMap[tokenAddress.toLowerCase()] || 0;
-          const totalValue = Number(formattedAmount) * unitPrice;
+      const metadata = metadataMap.get(tokenAddress.toLowerCase()) || {
+        symbol: 'UNKNOWN',
+        decimals: 18,
+      };
 
-          return {
-            token: tokenAddress,
-            amount: amount,
-            symbol: metadata.symbol,
-            decimals: metadata.decimals,
-            ltv,
-            formattedAmount,
-            unitPrice,
-            totalValue,
-          };
-        });
+      const ltvConfig =
+        configType === 'collateral' ? ltvMap.get(tokenAddress.toLowerCase()) || null : null;
+      const borrowRate =
+        configType === 'borrow' ? borrowRates.get(tokenAddress.toLowerCase()) || null : null;
 
-        setEnrichedTokens(results);
-      } catch (err) {
-        console.error('Failed to load token metadata', err);
-      } finally {
-        setLoading(false);
-      }
-    };
+      const formattedAmount = ethers.formatUnits(amount, metadata.decimals);
+      const price = priceMap[tokenAddress.toLowerCase()] ?? 0n;
+      // Valued exactly, as in the vault metrics, then converted for display
+      const unitPrice = toFloat(price, PRICE_DECIMALS);
+      const totalValue = toFloat(tokenToUSD(amount, price, metadata.decimals), PRICE_DECIMALS);
 
-    loadMetadata();
-  }, [tokens, prices, configType]);
+      return {
+        token: tokenAddress,
+        amount: amount,
+        symbol: metadata.symbol,
+        decimals: metadata.decimals,
+        ltv: ltvConfig?.ltv ?? 0,
+        liquidationThreshold: ltvConfig?.liquidationThreshold ?? 0,
+        liquidationBonus: ltvConfig?.liquidationBonus ?? 0,
+        ltvSource: ltvConfig?.source ?? null,
+        borrowRate,
+        formattedAmount,
+        unitPrice,
+        totalValue,
+      };
+    });
+  }, [tokens, prices, configType, metadataMap, ltvMap, borrowRates]);
 
   if (!tokens || tokens.length === 0) return null;
 
-  if (loading) {
-    return (
-      <div className="token-list-container">
-        <h3 className="token-list-header">{title}</h3>
-        <div className="loading-tokens">Loading token details...</div>
-      </div>
-    );
-  }
-
   /**
    * Gets the token logo URL from TrustWallet assets.
    */
@@ -202,10 +210,25 @@ const TokenList = ({
                 <span className="token-symbol">
                   {token.symbol}
                   {configType === 'collateral' && token.ltv > 0 && (
-                    <span className="token-ltv"> @ {token.ltv}% LTV</span>
+                    <span
+                      className="token-ltv"
+                      title={`Liquidation threshold ${token.liquidationThreshold}%, liquidation bonus ${token.liquidationBonus}%`}
+                    >
+                      {' '}
+                      @ {token.ltv}% LTV · {token.liquidationThreshold}% LT
+                      {token.ltvSource === LTV_SOURCES.FALLBACK && (
+                        <span className="token-ltv-fallback"> (fallback)</span>
+                      )}
+                    </span>
                   )}
-                  {configType === 'borrow' && (
-                    <span className="token-ltv"> @ {DEFAULT_BORROW_APY}% APY</span>
+                  {configType === 'borrow' && token.borrowRate && (
+                    <span className="token-ltv">
+                      {' '}
+                      @ {token.borrowRate.apy.toFixed(2)}% APY
+                      {token.borrowRate.source === BORROW_RATE_SOURCES.FALLBACK && (
+                        <span className="token-ltv-fallback"> (fallback)</span>
+                      )}
+                    </span>
                   )}
                 </span>
                 {configType === 'collateral' && onPriceChange ? (
@@ -222,6 +245,11 @@ const TokenList = ({
                     })}
                   </span>
                 )}
+                {configType === 'collateral' && liquidationPrices && (
+                  <LiquidationPriceLabel
+                    liquidation={liquidationPrices.get(token.token.toLowerCase())}
+                  />
+                )}
               </div>
             </div>
             <div className="token-values">
@@ -263,6 +291,10 @@ TokenList.propTypes = {
   title: PropTypes.string,
   configType: PropTypes.oneOf(['collateral', 'borrow']),
   onPriceChange: PropTypes.func,
+  liquidationPrices: PropTypes.instanceOf(Map),
+  metadataMap: PropTypes.instanceOf(Map),
+  ltvMap: PropTypes.instanceOf(Map),
+  borrowRates: PropTypes.instanceOf(Map),
 };
 
 TokenList.defaultProps = {
@@ -271,6 +303,10 @@ TokenList.defaultProps = {
   title: 'Collateral Assets',
   configType: 'collateral',
   onPriceChange: null,
+  liquidationPrices: null,
+  metadataMap: new Map(),
+  ltvMap: new Map(),
+  borrowRates: new Map(),
 };
 
 export default TokenList;
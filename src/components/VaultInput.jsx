@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import PropTypes from 'prop-types';
-import { DEMO_VAULT_ADDRESS } from '../config';
+import { NETWORK } from '../config';
 import { ETH_ADDRESS_REGEX } from '../utils/constants';
 import './VaultInput.css';
 
@@ -8,10 +8,11 @@ import './VaultInput.css';
  * VaultInput Component
  *
  * Input form for entering an Ether.fi Safe vault address.
- * Includes validation and a demo button for quick testing.
+ * Includes validation and a demo button for quick testing, and optionally
+ * loading a saved snapshot file instead of reading the chain.
  */
-const VaultInput = ({ onAddressSubmit, isLoading }) => {
-  const [address, setAddress] = useState('');
+const VaultInput = ({ onAddressSubmit, onSnapshotImport = null, isLoading, initialAddress = '' }) => {
+  const [address, setAddress] = useState(initialAddress);
   const [error, setError] = useState('');
 
   const handleSubmit = (e) => {
@@ -31,8 +32,14 @@ const VaultInput = ({ onAddressSubmit, isLoading }) => {
     onAddressSubmit(address);
   };
 
+  const handleSnapshotChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onSnapshotImport(file);
+  };
+
   const handleDemoClick = () => {
-    setAddress(DEMO_VAULT_ADDRESS);
+    setAddress(NETWORK.demoVault);
     setError('');
   };
 
@@ -51,24 +58,41 @@ const VaultInput = ({ onAddressSubmit, isLoading }) => {
           />
         </div>
         {error && <p className="error-message">{error}</p>}
-        <button type="button" className="demo-btn" onClick={handleDemoClick}>
-          Do you want to try a demo vault? Click here
-        </button>
+        {NETWORK.demoVault && (
+          <button type="button" className="demo-btn" onClick={handleDemoClick}>
+            Do you want to try a demo vault? Click here
+          </button>
+        )}
         <button type="submit" className="submit-btn" disabled={isLoading}>
           {isLoading ? 'Loading...' : 'Analyze Vault'}
         </button>
       </form>
+      {onSnapshotImport && (
+        <label className={`snapshot-import-btn ${isLoading ? 'disabled' : ''}`}>
+          Or load a saved snapshot (offline)
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleSnapshotChange}
+            disabled={isLoading}
+          />
+        </label>
+      )}
     </div>
   );
 };
 
 VaultInput.propTypes = {
   onAddressSubmit: PropTypes.func.isRequired,
+  onSnapshotImport: PropTypes.func,
   isLoading: PropTypes.bool,
+  initialAddress: PropTypes.string,
 };
 
 VaultInput.defaultProps = {
+  onSnapshotImport: null,
   isLoading: false,
+  initialAddress: '',
 };
 
 export default VaultInput;
@@ -0,0 +1,197 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { WHATIF_ACTIONS } from '../utils/whatif';
+import { formatUSD, formatPercent, formatHealthFactor } from '../utils/format';
+import './WhatIfPanel.css';
+
+const ACTION_LABELS = {
+  [WHATIF_ACTIONS.DEPOSIT]: 'Deposit collateral',
+  [WHATIF_ACTIONS.WITHDRAW]: 'Withdraw collateral',
+  [WHATIF_ACTIONS.REPAY]: 'Repay',
+  [WHATIF_ACTIONS.BORROW]: 'Borrow',
+};
+
+// Metrics shown in the before/after table; `higherIsBetter` drives the diff colour
+const DIFF_ROWS = [
+  { key: 'totalCollateral', label: 'Collateral', format: formatUSD, higherIsBetter: true },
+  { key: 'totalBorrow', label: 'Debt', format: formatUSD, higherIsBetter: false },
+  { key: 'maxBorrow', label: 'Max borrow', format: formatUSD, higherIsBetter: true },
+  { key: 'utilisation', label: 'Utilisation', format: formatPercent, higherIsBetter: false },
+  { key: 'healthFactor', label: 'Health factor', format: formatHealthFactor, higherIsBetter: true },
+];
+
+/**
+ * Returns the CSS class for a metric change.
+ */
+const getDiffClass = (before, after, higherIsBetter) => {
+  if (before === after || (!Number.isFinite(before) && !Number.isFinite(after))) return '';
+  return after > before === higherIsBetter ? 'better' : 'worse';
+};
+
+/**
+ * WhatIfPanel Component
+ *
+ * Queues user-controlled position changes (deposit, withdraw, repay, borrow)
+ * and shows how they move the vault metrics compared to the current state.
+ */
+const WhatIfPanel = ({
+  tokenOptions = [],
+  changes = [],
+  before = null,
+  after = null,
+  onAddChange,
+  onRemoveChange,
+  onClearChanges,
+  children = null,
+}) => {
+  const [type, setType] = useState(WHATIF_ACTIONS.DEPOSIT);
+  const [token, setToken] = useState('');
+  const [amount, setAmount] = useState('');
+
+  const selectedToken = token || tokenOptions[0]?.token || '';
+  const symbolOf = (address) =>
+    tokenOptions.find((t) => t.token.toLowerCase() === address.toLowerCase())?.symbol ?? address;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!selectedToken || !(parseFloat(amount) > 0)) return;
+    onAddChange({ type, token: selectedToken, amount });
+    setAmount('');
+  };
+
+  return (
+    <div className="whatif-panel">
+      <h3 className="whatif-header">
+        What-If Actions
+        <div className="tooltip-container">
+          <span className="tooltip-icon">?</span>
+          <div className="tooltip-content">
+            Simulate transactions you control. Actions apply in order on top of the current
+            prices and debt. Withdrawals and repays are capped at the current balance.
+          </div>
+        </div>
+      </h3>
+
+      <form className="whatif-form" onSubmit={handleSubmit}>
+        <select value={type} onChange={(e) => setType(e.target.value)}>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select value={selectedToken} onChange={(e) => setToken(e.target.value)}>
+          {tokenOptions.map((t) => (
+            <option key={t.token} value={t.token}>
+              {t.symbol}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          placeholder="Amount"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+        />
+        <button type="submit" className="whatif-add-btn">
+          Add
+        </button>
+      </form>
+
+      {children}
+
+      {changes.length > 0 && (
+        <>
+          <ul className="whatif-changes">
+            {changes.map((change, index) => (
+              <li key={`${change.type}-${change.token}-${index}`}>
+                <span>
+                  {ACTION_LABELS[change.type]} {change.amount} {symbolOf(change.token)}
+                </span>
+                <button
+                  type="button"
+                  className="whatif-remove-btn"
+                  onClick={() => onRemoveChange(index)}
+                  aria-label="Remove action"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {before && after && (
+            <table className="whatif-diff">
+              <thead>
+                <tr>
+                  <th>Metric</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {DIFF_ROWS.map(({ key, label, format, higherIsBetter }) => (
+                  <tr key={key}>
+                    <td>{label}</td>
+                    <td>{format(before[key])}</td>
+                    <td className={getDiffClass(before[key], after[key], higherIsBetter)}>
+                      {format(after[key])}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="whatif-actions">
+            <button type="button" className="whatif-clear-btn" onClick={onClearChanges}>
+              Clear actions
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const summaryShape = PropTypes.shape({
+  totalCollateral: PropTypes.number,
+  totalBorrow: PropTypes.number,
+  maxBorrow: PropTypes.number,
+  utilisation: PropTypes.number,
+  healthFactor: PropTypes.number,
+});
+
+WhatIfPanel.propTypes = {
+  tokenOptions: PropTypes.arrayOf(
+    PropTypes.shape({
+      token: PropTypes.string.isRequired,
+      symbol: PropTypes.string.isRequired,
+    })
+  ),
+  changes: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.oneOf(Object.values(WHATIF_ACTIONS)).isRequired,
+      token: PropTypes.string.isRequired,
+      amount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+    })
+  ),
+  before: summaryShape,
+  after: summaryShape,
+  onAddChange: PropTypes.func.isRequired,
+  onRemoveChange: PropTypes.func.isRequired,
+  onClearChanges: PropTypes.func.isRequired,
+  children: PropTypes.node,
+};
+
+WhatIfPanel.defaultProps = {
+  tokenOptions: [],
+  changes: [],
+  before: null,
+  after: null,
+  children: null,
+};
+
+export default WhatIfPanel;
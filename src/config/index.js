@@ -6,59 +6,202 @@
  * for easy maintenance and environment-specific overrides.
  */
 
-// Network Configuration
-export const NETWORK = {
-  name: 'Scroll',
-  chainId: 534352,
-  rpcUrl: 'https://rpc.scroll.io',
-};
+import { getActiveNetwork, onNetworkChange } from './networks.js';
 
-// Contract Addresses (Scroll Network)
-export const CONTRACTS = {
-  CASH_LENS: '0x7DA874f3BacA1A8F0af27E5ceE1b8C66A772F84E',
-  MULTICALL3: '0xcA11bde05977b3631167028862bE2a173976CA11',
-  DEBT_MANAGER: '0x8f9d2Cd33551CE06dD0564Ba147513F715c2F4a0',
-};
+export {
+  NETWORKS,
+  DEFAULT_NETWORK_ID,
+  getActiveNetwork,
+  setActiveNetwork,
+  onNetworkChange,
+  loadNetworkPreference,
+  saveNetworkPreference,
+} from './networks.js';
+
+/**
+ * Network Configuration
+ *
+ * NETWORK, CONTRACTS, LTV_CONFIG, BORROW_APY_CONFIG and the ASSET_GROUPS token lists are views of
+ * the active network in the registry (see networks.js). They are updated in
+ * place when the network changes, so modules can keep importing them.
+ */
+export const NETWORK = {};
 
-// Demo vault address for quick testing
-export const DEMO_VAULT_ADDRESS = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+// Contract Addresses (CASH_LENS, MULTICALL3, DEBT_MANAGER) of the active network
+export const CONTRACTS = {};
+
+// RPC failover settings (see utils/provider.js)
+export const RPC_CONFIG = {
+  strategy: 'fallback', // 'fallback' or 'quorum'
+  quorum: 2, // Matching answers required in quorum mode
+  retries: 2, // Extra rounds over all endpoints after the first
+  baseDelayMs: 250, // Backoff before retry n is baseDelayMs * 2^(n-1)
+  timeoutMs: 10000, // Per-request timeout
+  cooldownMs: 30000, // How long a failing endpoint is skipped
+  failuresBeforeCooldown: 3, // Consecutive failures before the cooldown starts
+};
 
 /**
  * Loan-to-Value (LTV) Configuration by Token Address
  *
  * These values represent the maximum percentage of collateral value
- * that can be borrowed against each token. Values are from Ether.fi documentation.
+ * that can be borrowed against each token, taken from the active network's
+ * token list (`fallbackLtv`).
+ *
+ * Live parameters are read from the DebtManager contract; this table is only
+ * used as a fallback when the on-chain call fails or the token is not configured.
  *
  * Example: 55% LTV means you can borrow up to $55 for every $100 of collateral
  */
-export const LTV_CONFIG = {
-  // Native/Wrapped ETH
-  '0x5300000000000000000000000000000000000004': 55, // wETH
-
-  // Stablecoins (highest LTV)
-  '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4': 90, // USDC
-  '0xf55bec9cafdbe8730f096aa55dad6d22d44099df': 90, // USDT
-
-  // Ether.fi Native Tokens
-  '0x01f0a31698c4d065659b9bdc21b3610292a1c506': 55, // weETH
-  '0x939778d83b46b456224a33fb59630b11dec56663': 80, // eUSD
-  '0x657e8c867d8b37dcc18fa4caead9c45eb088c642': 52, // eBTC
-  '0x056a5fa5da84ceb7f93d36e545c5905607d8bd81': 20, // ETHFI
-
-  // Liquid Tokens
-  '0xf0bb20865277abd641a307ece5ee04e79073416c': 50, // LiquidETH
-  '0x5f46d540b6ed704c3c8789105f30e075aa900726': 50, // LiquidBTC
-  '0x08c6f91e2b681faf5e17227f2a44c307b3c1364c': 80, // LiquidUSD
-
-  // Partner Tokens
-  '0xd83e3d560ba6f05094d9d8b3eb8aaea571d1864e': 45, // wHYPE
-  '0xa519afbc91986c0e7501d7e34968fee51cd901ac': 40, // beHYPE
-  '0xd29687c813d741e2f938f4ac377128810e217b1b': 20, // SCR
+export const LTV_CONFIG = {};
+
+/**
+ * Borrow Rate Configuration by Token Address
+ *
+ * Annual borrow rate percentages of the borrowable tokens, taken from the
+ * active network's token list (`fallbackBorrowApy`). Live rates are read from
+ * the DebtManager (borrowApyPerSecond); this table is only used when that fails.
+ */
+export const BORROW_APY_CONFIG = {};
+
+/**
+ * Correlated Asset Groups
+ *
+ * Tokens that move together in a market crash. Price shock scenarios are
+ * applied per group, so e.g. a -30% ETH shock hits wETH, weETH and LiquidETH at once.
+ */
+export const ASSET_GROUPS = {
+  ETH: { label: 'ETH-beta', tokens: [] },
+  BTC: { label: 'BTC-beta', tokens: [] },
+  STABLE: { label: 'Stables', tokens: [] },
+  HYPE: { label: 'HYPE', tokens: [] },
+  GOVERNANCE: { label: 'Governance', tokens: [] },
 };
 
+/**
+ * Points NETWORK, CONTRACTS, LTV_CONFIG, BORROW_APY_CONFIG and ASSET_GROUPS at a network.
+ *
+ * @param {import('./networks.js').NetworkConfig} network - Network to apply
+ */
+const applyNetwork = (network) => {
+  Object.assign(NETWORK, {
+    id: network.id,
+    name: network.name,
+    chainId: network.chainId,
+    rpcUrl: network.rpcUrls[0],
+    rpcUrls: network.rpcUrls,
+    blockTime: network.blockTime, // Approximate seconds per block, used to pick historical blocks
+    demoVault: network.demoVault,
+  });
+  Object.assign(CONTRACTS, network.contracts);
+
+  Object.keys(LTV_CONFIG).forEach((addr) => delete LTV_CONFIG[addr]);
+  Object.keys(BORROW_APY_CONFIG).forEach((addr) => delete BORROW_APY_CONFIG[addr]);
+  Object.values(ASSET_GROUPS).forEach((group) => {
+    group.tokens = [];
+  });
+  network.tokens.forEach(({ address, fallbackLtv, fallbackBorrowApy, group }) => {
+    const addr = address.toLowerCase();
+    LTV_CONFIG[addr] = fallbackLtv;
+    if (fallbackBorrowApy !== undefined) BORROW_APY_CONFIG[addr] = fallbackBorrowApy;
+    if (ASSET_GROUPS[group]) ASSET_GROUPS[group].tokens.push(addr);
+  });
+};
+
+applyNetwork(getActiveNetwork());
+onNetworkChange(applyNetwork);
+
+/**
+ * Preset Market Shock Scenarios
+ *
+ * Percentage price changes per asset group. Presets can be combined;
+ * shocks on the same group compound.
+ */
+export const SHOCK_PRESETS = [
+  {
+    id: 'broad-crash',
+    label: 'ETH −30%, BTC −20%, stable depeg 2%',
+    shocks: { ETH: -30, BTC: -20, STABLE: -2 },
+  },
+  { id: 'eth-flash-crash', label: 'ETH flash crash −15%', shocks: { ETH: -15 } },
+  { id: 'btc-drawdown', label: 'BTC −40%', shocks: { BTC: -40 } },
+  { id: 'stable-depeg', label: 'Stable depeg 5%', shocks: { STABLE: -5 } },
+  { id: 'alt-collapse', label: 'HYPE & governance −50%', shocks: { HYPE: -50, GOVERNANCE: -50 } },
+];
+
+/**
+ * Price Risk Model for Monte Carlo Simulation
+ *
+ * Annualised volatilities per asset group and correlations between groups.
+ * Tokens inside a group share most of their moves (intraGroupCorrelation);
+ * ungrouped tokens move independently with the default volatility.
+ */
+export const RISK_MODEL = {
+  volatility: {
+    ETH: 0.65,
+    BTC: 0.5,
+    STABLE: 0.03,
+    HYPE: 1.0,
+    GOVERNANCE: 1.0,
+  },
+  defaultVolatility: 0.8,
+  intraGroupCorrelation: 0.95,
+  // Symmetric; missing pairs are uncorrelated
+  groupCorrelations: {
+    'ETH:BTC': 0.8,
+    'ETH:HYPE': 0.6,
+    'ETH:GOVERNANCE': 0.7,
+    'BTC:HYPE': 0.55,
+    'BTC:GOVERNANCE': 0.6,
+    'HYPE:GOVERNANCE': 0.55,
+  },
+};
+
+// Horizons offered by the Monte Carlo liquidation estimate
+export const MONTE_CARLO_HORIZONS = [
+  { id: '1d', label: '1 day', days: 1 },
+  { id: '7d', label: '7 days', days: 7 },
+  { id: '30d', label: '30 days', days: 30 },
+];
+
+export const MONTE_CARLO_DEFAULT_PATHS = 2000;
+
+// Horizons offered by the interest projection (debt is compounded daily)
+export const PROJECTION_HORIZONS = [
+  { id: '30d', label: '30 days', days: 30 },
+  { id: '90d', label: '90 days', days: 90 },
+  { id: '180d', label: '6 months', days: 180 },
+  { id: '1y', label: '1 year', days: 365 },
+  { id: '2y', label: '2 years', days: 730 },
+];
+
+/**
+ * Liquidation Model
+ *
+ * Percentage of the debt repaid by one liquidation (close factor), used as the
+ * liquidation simulator's default. The liquidator chooses which collateral is
+ * seized first by passing its own token preference to DebtManager.liquidate.
+ */
+export const LIQUIDATION_CLOSE_FACTOR = 50;
+
 // Risk Thresholds for UI coloring
 export const RISK_THRESHOLDS = {
   WARNING: 0.6,  // 60% - Yellow warning
   DANGER: 0.8,   // 80% - Red danger
   CRITICAL: 0.9, // 90% - Show alert banner
 };
+
+// Price sensitivity heatmap: cells per axis (odd, so the current prices sit in
+// the centre) and the ranges offered, as ± percentage around the current price
+export const HEATMAP_STEPS = 21;
+export const HEATMAP_RANGES = [25, 50, 75];
+
+// Time ranges offered by the vault history timeline
+export const HISTORY_RANGES = [
+  { id: '24h', label: '24 hours', seconds: 24 * 60 * 60 },
+  { id: '7d', label: '7 days', seconds: 7 * 24 * 60 * 60 },
+  { id: '30d', label: '30 days', seconds: 30 * 24 * 60 * 60 },
+];
+
+// Number of blocks sampled across a history range
+export const HISTORY_SAMPLES = 12;
@@ -0,0 +1,240 @@
+/**
+ * Network Registry
+ *
+ * Every deployment the app can talk to: chain id, RPC endpoints, ether.fi
+ * Cash contracts and the token list. One entry is active at a time; it is
+ * picked from (highest priority first) an explicit setActiveNetwork call,
+ * the VITE_NETWORK / NETWORK environment variable, or DEFAULT_NETWORK_ID.
+ *
+ * Environment variables can also override single fields of that entry:
+ * VITE_RPC_URLS (comma-separated), VITE_CHAIN_ID, VITE_CASH_LENS,
+ * VITE_DEBT_MANAGER and VITE_MULTICALL3. In Node (scripts) the same names
+ * are read from process.env, with or without the VITE_ prefix.
+ */
+
+/**
+ * @typedef {Object} NetworkToken
+ * @property {string} address - Lowercase token address
+ * @property {string} symbol - Display symbol
+ * @property {number} fallbackLtv - LTV percentage used when the DebtManager can't be read
+ * @property {number} [fallbackBorrowApy] - Annual borrow rate percentage used when the
+ *   DebtManager can't be read (borrowable tokens only)
+ * @property {string} [group] - Correlated asset group key (see ASSET_GROUPS)
+ */
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {string} id - Registry key
+ * @property {string} name - Display name
+ * @property {number} chainId - Chain id
+ * @property {string[]} rpcUrls - RPC endpoints, in order of preference
+ * @property {number} blockTime - Approximate seconds per block
+ * @property {{CASH_LENS: string, DEBT_MANAGER: string, MULTICALL3: string}} contracts - Deployments
+ * @property {string|null} demoVault - Vault used by the demo button
+ * @property {NetworkToken[]} tokens - Known tokens
+ */
+
+const SCROLL_CONTRACTS = {
+  CASH_LENS: '0x7DA874f3BacA1A8F0af27E5ceE1b8C66A772F84E',
+  MULTICALL3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+  DEBT_MANAGER: '0x8f9d2Cd33551CE06dD0564Ba147513F715c2F4a0',
+};
+
+// Fallback LTVs are from the Ether.fi documentation; the fallback borrow APY
+// is only an estimate for when the DebtManager's live rate can't be read
+const SCROLL_TOKENS = [
+  // Native/Wrapped ETH
+  { address: '0x5300000000000000000000000000000000000004', symbol: 'wETH', fallbackLtv: 55, group: 'ETH' },
+
+  // Stablecoins (highest LTV)
+  { address: '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4', symbol: 'USDC', fallbackLtv: 90, fallbackBorrowApy: 4, group: 'STABLE' },
+  { address: '0xf55bec9cafdbe8730f096aa55dad6d22d44099df', symbol: 'USDT', fallbackLtv: 90, group: 'STABLE' },
+
+  // Ether.fi Native Tokens
+  { address: '0x01f0a31698c4d065659b9bdc21b3610292a1c506', symbol: 'weETH', fallbackLtv: 55, group: 'ETH' },
+  { address: '0x939778d83b46b456224a33fb59630b11dec56663', symbol: 'eUSD', fallbackLtv: 80, group: 'STABLE' },
+  { address: '0x657e8c867d8b37dcc18fa4caead9c45eb088c642', symbol: 'eBTC', fallbackLtv: 52, group: 'BTC' },
+  { address: '0x056a5fa5da84ceb7f93d36e545c5905607d8bd81', symbol: 'ETHFI', fallbackLtv: 20, group: 'GOVERNANCE' },
+
+  // Liquid Tokens
+  { address: '0xf0bb20865277abd641a307ece5ee04e79073416c', symbol: 'LiquidETH', fallbackLtv: 50, group: 'ETH' },
+  { address: '0x5f46d540b6ed704c3c8789105f30e075aa900726', symbol: 'LiquidBTC', fallbackLtv: 50, group: 'BTC' },
+  { address: '0x08c6f91e2b681faf5e17227f2a44c307b3c1364c', symbol: 'LiquidUSD', fallbackLtv: 80, group: 'STABLE' },
+
+  // Partner Tokens
+  { address: '0xd83e3d560ba6f05094d9d8b3eb8aaea571d1864e', symbol: 'wHYPE', fallbackLtv: 45, group: 'HYPE' },
+  { address: '0xa519afbc91986c0e7501d7e34968fee51cd901ac', symbol: 'beHYPE', fallbackLtv: 40, group: 'HYPE' },
+  { address: '0xd29687c813d741e2f938f4ac377128810e217b1b', symbol: 'SCR', fallbackLtv: 20, group: 'GOVERNANCE' },
+];
+
+/** @type {Object<string, NetworkConfig>} */
+export const NETWORKS = {
+  scroll: {
+    id: 'scroll',
+    name: 'Scroll',
+    chainId: 534352,
+    rpcUrls: [
+      'https://rpc.scroll.io',
+      'https://scroll.drpc.org',
+      'https://scroll-mainnet.public.blastapi.io',
+      'https://1rpc.io/scroll',
+    ],
+    blockTime: 3,
+    contracts: SCROLL_CONTRACTS,
+    demoVault: '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94',
+    tokens: SCROLL_TOKENS,
+  },
+  // `anvil --fork-url https://rpc.scroll.io` keeps Scroll's chain id and deployments
+  'scroll-fork': {
+    id: 'scroll-fork',
+    name: 'Local Scroll fork (anvil)',
+    chainId: 534352,
+    rpcUrls: ['http://127.0.0.1:8545'],
+    blockTime: 3,
+    contracts: SCROLL_CONTRACTS,
+    demoVault: '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94',
+    tokens: SCROLL_TOKENS,
+  },
+};
+
+export const DEFAULT_NETWORK_ID = 'scroll';
+
+/**
+ * Reads an environment variable from Vite (import.meta.env) or Node (process.env).
+ * In Node the name is also tried without the VITE_ prefix.
+ *
+ * @param {string} name - Variable name, including the VITE_ prefix
+ * @returns {string|undefined} Value, if set and non-empty
+ */
+export const readEnv = (name) => {
+  const value =
+    import.meta.env?.[name] ??
+    globalThis.process?.env?.[name] ??
+    globalThis.process?.env?.[name.replace(/^VITE_/, '')];
+  return value === undefined || value === '' ? undefined : String(value);
+};
+
+/**
+ * Collects network field overrides from environment variables.
+ *
+ * @returns {Object} Partial NetworkConfig
+ */
+export const getEnvOverrides = () => {
+  const overrides = {};
+  const rpcUrls = readEnv('VITE_RPC_URLS') ?? readEnv('VITE_RPC_URL');
+  if (rpcUrls) overrides.rpcUrls = rpcUrls.split(',').map((url) => url.trim()).filter(Boolean);
+
+  const chainId = readEnv('VITE_CHAIN_ID');
+  if (chainId) overrides.chainId = Number(chainId);
+
+  const contracts = {};
+  const cashLens = readEnv('VITE_CASH_LENS');
+  const debtManager = readEnv('VITE_DEBT_MANAGER');
+  const multicall = readEnv('VITE_MULTICALL3');
+  if (cashLens) contracts.CASH_LENS = cashLens;
+  if (debtManager) contracts.DEBT_MANAGER = debtManager;
+  if (multicall) contracts.MULTICALL3 = multicall;
+  if (Object.keys(contracts).length > 0) overrides.contracts = contracts;
+
+  return overrides;
+};
+
+/**
+ * Builds a network config from a registry entry plus overrides.
+ *
+ * @param {string} id - Registry key
+ * @param {Object} [overrides] - Partial NetworkConfig (contracts are merged)
+ * @returns {NetworkConfig} Resolved network
+ * @throws {Error} If the id is not in the registry
+ */
+export const resolveNetwork = (id, overrides = {}) => {
+  const base = NETWORKS[id];
+  if (!base) {
+    throw new Error(`Unknown network "${id}". Available: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  return {
+    ...base,
+    ...overrides,
+    contracts: { ...base.contracts, ...overrides.contracts },
+  };
+};
+
+/**
+ * Returns the network id selected through VITE_NETWORK / NETWORK, or the default.
+ *
+ * @returns {string} Registry key
+ */
+const getEnvNetworkId = () => {
+  const id = readEnv('VITE_NETWORK');
+  if (id && !NETWORKS[id]) {
+    console.warn(`Unknown network "${id}" in environment, using ${DEFAULT_NETWORK_ID}`);
+    return DEFAULT_NETWORK_ID;
+  }
+  return id ?? DEFAULT_NETWORK_ID;
+};
+
+// Environment overrides belong to the environment-selected network only
+const envNetworkId = getEnvNetworkId();
+let activeNetwork = resolveNetwork(envNetworkId, getEnvOverrides());
+const listeners = new Set();
+
+/**
+ * Returns the active network.
+ *
+ * @returns {NetworkConfig} Active network
+ */
+export const getActiveNetwork = () => activeNetwork;
+
+/**
+ * Switches the active network. Environment overrides are re-applied when
+ * switching back to the environment-selected network, unless `overrides`
+ * is given.
+ *
+ * @param {string} id - Registry key
+ * @param {Object} [overrides] - Partial NetworkConfig
+ * @returns {NetworkConfig} New active network
+ * @throws {Error} If the id is not in the registry
+ */
+export const setActiveNetwork = (id, overrides = id === envNetworkId ? getEnvOverrides() : {}) => {
+  activeNetwork = resolveNetwork(id, overrides);
+  listeners.forEach((listener) => listener(activeNetwork));
+  return activeNetwork;
+};
+
+/**
+ * Subscribes to active network changes.
+ *
+ * @param {function(NetworkConfig): void} listener - Called with the new network
+ * @returns {function(): void} Unsubscribe function
+ */
+export const onNetworkChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const NETWORK_STORAGE_KEY = 'etherfi-risk:network';
+
+/**
+ * Loads the network picked in the UI last time.
+ *
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ * @returns {string|null} Registry key, or null if unset or no longer in the registry
+ */
+export const loadNetworkPreference = (storage = globalThis.localStorage) => {
+  try {
+    const id = storage?.getItem(NETWORK_STORAGE_KEY);
+    return id && NETWORKS[id] ? id : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Remembers the network picked in the UI.
+ *
+ * @param {string} id - Registry key
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ */
+export const saveNetworkPreference = (id, storage = globalThis.localStorage) => {
+  storage?.setItem(NETWORK_STORAGE_KEY, id);
+};
@@ -0,0 +1,113 @@
+/**
+ * Network Registry Tests
+ *
+ * Unit tests for resolving networks, environment overrides and keeping the
+ * config views (NETWORK, CONTRACTS, LTV_CONFIG, BORROW_APY_CONFIG, ASSET_GROUPS) in sync.
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  NETWORKS,
+  DEFAULT_NETWORK_ID,
+  resolveNetwork,
+  getEnvOverrides,
+  loadNetworkPreference,
+  saveNetworkPreference,
+} from './networks';
+import {
+  NETWORK,
+  CONTRACTS,
+  LTV_CONFIG,
+  BORROW_APY_CONFIG,
+  ASSET_GROUPS,
+  getActiveNetwork,
+  setActiveNetwork,
+  onNetworkChange,
+} from './index';
+
+const WETH = '0x5300000000000000000000000000000000000004';
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  setActiveNetwork(DEFAULT_NETWORK_ID);
+});
+
+describe('resolveNetwork', () => {
+  it('merges overrides over the registry entry, including single contracts', () => {
+    const network = resolveNetwork('scroll', {
+      rpcUrls: ['http://localhost:8545'],
+      contracts: { CASH_LENS: '0x0000000000000000000000000000000000000001' },
+    });
+
+    expect(network.rpcUrls).toEqual(['http://localhost:8545']);
+    expect(network.contracts.CASH_LENS).toBe('0x0000000000000000000000000000000000000001');
+    expect(network.contracts.DEBT_MANAGER).toBe(NETWORKS.scroll.contracts.DEBT_MANAGER);
+    expect(NETWORKS.scroll.rpcUrls).not.toContain('http://localhost:8545');
+  });
+
+  it('rejects unknown networks', () => {
+    expect(() => resolveNetwork('goerli')).toThrow(/Unknown network "goerli"/);
+  });
+});
+
+describe('getEnvOverrides', () => {
+  it('reads RPC URLs, chain id and contract addresses', () => {
+    vi.stubEnv('VITE_RPC_URLS', 'http://a:8545, http://b:8545');
+    vi.stubEnv('VITE_CHAIN_ID', '31337');
+    vi.stubEnv('VITE_DEBT_MANAGER', '0x0000000000000000000000000000000000000002');
+
+    expect(getEnvOverrides()).toEqual({
+      rpcUrls: ['http://a:8545', 'http://b:8545'],
+      chainId: 31337,
+      contracts: { DEBT_MANAGER: '0x0000000000000000000000000000000000000002' },
+    });
+  });
+});
+
+describe('setActiveNetwork', () => {
+  it('updates the config views in place and notifies listeners', () => {
+    const listener = vi.fn();
+    const unsubscribe = onNetworkChange(listener);
+
+    setActiveNetwork('scroll-fork', {
+      contracts: { CASH_LENS: '0x0000000000000000000000000000000000000003' },
+      tokens: [{ address: WETH, symbol: 'wETH', fallbackLtv: 70, fallbackBorrowApy: 3, group: 'ETH' }],
+    });
+    unsubscribe();
+
+    expect(getActiveNetwork().id).toBe('scroll-fork');
+    expect(listener).toHaveBeenCalledWith(getActiveNetwork());
+    expect(NETWORK.rpcUrl).toBe('http://127.0.0.1:8545');
+    expect(CONTRACTS.CASH_LENS).toBe('0x0000000000000000000000000000000000000003');
+    expect(LTV_CONFIG).toEqual({ [WETH]: 70 });
+    expect(BORROW_APY_CONFIG).toEqual({ [WETH]: 3 });
+    expect(ASSET_GROUPS.ETH.tokens).toEqual([WETH]);
+    expect(ASSET_GROUPS.BTC.tokens).toEqual([]);
+  });
+
+  it('restores the registry values when switching back', () => {
+    setActiveNetwork('scroll-fork', { rpcUrls: ['http://x:1'] });
+    setActiveNetwork('scroll');
+
+    expect(NETWORK.rpcUrls).toEqual(NETWORKS.scroll.rpcUrls);
+    expect(Object.keys(LTV_CONFIG)).toHaveLength(NETWORKS.scroll.tokens.length);
+  });
+});
+
+describe('network preference', () => {
+  const createStorage = () => {
+    const data = new Map();
+    return { getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, v) };
+  };
+
+  it('round-trips known ids and ignores stale ones', () => {
+    const storage = createStorage();
+    expect(loadNetworkPreference(storage)).toBeNull();
+
+    saveNetworkPreference('scroll-fork', storage);
+    expect(loadNetworkPreference(storage)).toBe('scroll-fork');
+
+    saveNetworkPreference('removed-network', storage);
+    expect(loadNetworkPreference(storage)).toBeNull();
+  });
+});
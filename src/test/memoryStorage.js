@@ -0,0 +1,19 @@
+/**
+ * In-Memory Storage
+ *
+ * A minimal stand-in for the Web Storage API, for tests of modules that
+ * take their storage backend as an argument.
+ */
+
+/**
+ * Creates an empty in-memory storage with getItem and setItem.
+ *
+ * @returns {{getItem: (key: string) => string|null, setItem: (key: string, value: *) => void}}
+ */
+export const createMemoryStorage = () => {
+  const store = new Map();
+  return {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+  };
+};
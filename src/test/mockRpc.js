@@ -0,0 +1,307 @@
+/**
+ * Mock JSON-RPC Server
+ *
+ * A local stand-in for a Scroll RPC endpoint used by tests. It serves
+ * fixed responses for eth_call per contract address and block, and
+ * understands Multicall3.tryAggregate so batched calls are dispatched
+ * to the same per-contract handlers.
+ */
+
+import http from 'node:http';
+import { ethers } from 'ethers';
+import { CashLensABI, DebtManagerABI, ERC20ABI, MulticallABI } from '../utils/abi.js';
+import { CONTRACTS, NETWORK } from '../config/index.js';
+
+const cashLensInterface = new ethers.Interface(CashLensABI);
+const multicallInterface = new ethers.Interface(MulticallABI);
+const erc20Interface = new ethers.Interface(ERC20ABI);
+const debtManagerInterface = new ethers.Interface(DebtManagerABI);
+
+const ZERO_ADDRESS = ethers.ZeroAddress;
+const ZERO_HASH = ethers.ZeroHash;
+
+const toHex = (value) => ethers.toQuantity(value);
+
+/**
+ * Encodes a getSafeCashData return value, filling in empty defaults
+ * for every field that is not provided.
+ *
+ * @param {Object} fields - Partial SafeCashData (token arrays as {token, amount})
+ * @returns {string} ABI-encoded return data
+ */
+export const encodeSafeCashData = (fields = {}) => {
+  const tokenData = (list = []) => list.map((t) => [t.token, t.amount]);
+  const withdrawal = fields.withdrawalRequest || {};
+  const debit = fields.debitMaxSpend || {};
+
+  return cashLensInterface.encodeFunctionResult('getSafeCashData', [
+    [
+      fields.mode ?? 0,
+      tokenData(fields.collateralBalances),
+      tokenData(fields.borrows),
+      tokenData(fields.tokenPrices),
+      [
+        withdrawal.tokens || [],
+        withdrawal.amounts || [],
+        withdrawal.recipient || ZERO_ADDRESS,
+        withdrawal.finalizeTime ?? 0,
+      ],
+      fields.totalCollateral ?? 0n,
+      fields.totalBorrow ?? 0n,
+      fields.maxBorrow ?? 0n,
+      fields.creditMaxSpend ?? 0n,
+      fields.spendingLimitAllowance ?? 0n,
+      fields.totalCashbackEarnedInUsd ?? 0n,
+      fields.incomingModeStartTime ?? 0n,
+      [
+        debit.spendableTokens || [],
+        debit.spendableAmounts || [],
+        debit.amountsInUsd || [],
+        debit.totalSpendableInUsd ?? 0n,
+      ],
+    ],
+  ]);
+};
+
+/**
+ * Decodes the arguments of a getSafeCashData call.
+ *
+ * @param {string} callData - Encoded call data
+ * @returns {{safe: string, debtServiceTokenPreference: string[]}}
+ */
+export const decodeSafeCashDataCall = (callData) => {
+  const [safe, debtServiceTokenPreference] = cashLensInterface.decodeFunctionData(
+    'getSafeCashData',
+    callData
+  );
+  return { safe, debtServiceTokenPreference: [...debtServiceTokenPreference] };
+};
+
+/**
+ * Creates a contract handler answering ERC20 symbol() and decimals().
+ *
+ * @param {string} symbol - Token symbol
+ * @param {number} decimals - Token decimals
+ * @returns {function(string): string} Contract handler
+ */
+export const erc20Handler = (symbol, decimals) => (callData) => {
+  const { name } = erc20Interface.parseTransaction({ data: callData });
+  if (name === 'symbol') return erc20Interface.encodeFunctionResult('symbol', [symbol]);
+  return erc20Interface.encodeFunctionResult('decimals', [decimals]);
+};
+
+/**
+ * Creates a DebtManager handler answering collateralTokenConfig(token) and
+ * borrowApyPerSecond(token). Percentages are given as plain numbers and
+ * encoded with 18 decimals, or as bigints already in 18 decimals; borrow
+ * rates are raw per-second values.
+ *
+ * @param {Object<string, {ltv: number|bigint, liquidationThreshold: number|bigint, liquidationBonus: number|bigint}>} configs
+ *   Token address to config; unknown tokens return all zeros
+ * @param {Object<string, bigint|null>} [borrowApys] - Token address to borrowApyPerSecond;
+ *   unknown tokens return 0 and tokens mapped to null revert
+ * @returns {function(string): string} Contract handler
+ */
+export const debtManagerHandler = (configs, borrowApys = {}) => {
+  const byToken = Object.fromEntries(
+    Object.entries(configs).map(([addr, config]) => [addr.toLowerCase(), config])
+  );
+  const apyByToken = Object.fromEntries(
+    Object.entries(borrowApys).map(([addr, apy]) => [addr.toLowerCase(), apy])
+  );
+  const toWad = (pct) => (typeof pct === 'bigint' ? pct : ethers.parseUnits(String(pct), 18));
+
+  return (callData) => {
+    const { name } = debtManagerInterface.parseTransaction({ data: callData });
+    if (name === 'borrowApyPerSecond') {
+      const [token] = debtManagerInterface.decodeFunctionData(name, callData);
+      const apy = apyByToken[token.toLowerCase()];
+      if (apy === null) throw new MockRevert();
+      return debtManagerInterface.encodeFunctionResult(name, [apy ?? 0n]);
+    }
+
+    const [token] = debtManagerInterface.decodeFunctionData('collateralTokenConfig', callData);
+    const config = byToken[token.toLowerCase()];
+    return debtManagerInterface.encodeFunctionResult('collateralTokenConfig', [
+      toWad(config?.ltv ?? 0),
+      toWad(config?.liquidationThreshold ?? 0),
+      toWad(config?.liquidationBonus ?? 0),
+    ]);
+  };
+};
+
+/**
+ * Error thrown by a contract handler to simulate a revert.
+ */
+export class MockRevert extends Error {
+  constructor(data = '0x') {
+    super('execution reverted');
+    this.data = data;
+  }
+}
+
+/**
+ * Creates a contract handler replaying responses recorded from a live RPC
+ * (see scripts/capture_fixture.js). Calls that were not recorded, or that
+ * reverted when recorded (null), revert.
+ *
+ * @param {Object<string, string|null>} calls - Call data to return data
+ * @returns {function(string): string} Contract handler
+ */
+export const recordedCallsHandler = (calls) => {
+  const byData = Object.fromEntries(
+    Object.entries(calls).map(([data, result]) => [data.toLowerCase(), result])
+  );
+  return (callData) => {
+    const result = byData[callData.toLowerCase()];
+    if (result === undefined || result === null) throw new MockRevert();
+    return result;
+  };
+};
+
+/**
+ * Starts a mock JSON-RPC server on a random local port.
+ *
+ * Contract handlers receive (callData, blockNumber) and return hex return data,
+ * or throw a MockRevert. The block number is resolved from the request's block tag.
+ *
+ * @param {Object} [options]
+ * @param {Object<string, function(string, number): string>} [options.contracts] - Handlers by address
+ * @param {number} [options.blockNumber] - Latest block number
+ * @param {number} [options.chainId] - Chain id to report
+ * @param {function(number): number} [options.blockTimestamp] - Timestamp for a block number
+ * @param {function(Object): ({status: number, body: *, headers: Object}|undefined)} [options.intercept] -
+ *   Called with each parsed request body; returning a response short-circuits normal handling
+ * @returns {Promise<{url: string, requests: Array, close: function(): Promise<void>}>}
+ */
+export const startMockRpcServer = async ({
+  contracts = {},
+  blockNumber = 1000,
+  chainId = NETWORK.chainId,
+  blockTimestamp = (n) => 1700000000 + n * NETWORK.blockTime,
+  intercept,
+} = {}) => {
+  const handlers = Object.fromEntries(
+    Object.entries(contracts).map(([addr, fn]) => [addr.toLowerCase(), fn])
+  );
+  const requests = [];
+
+  const resolveBlock = (tag) => {
+    if (tag === undefined || tag === 'latest' || tag === 'pending' || tag === 'safe' || tag === 'finalized') {
+      return blockNumber;
+    }
+    if (tag === 'earliest') return 0;
+    return Number(tag);
+  };
+
+  const callContract = (target, data, block) => {
+    const handler = handlers[target.toLowerCase()];
+    if (!handler) throw new MockRevert();
+    return handler(data, block);
+  };
+
+  const handleCall = (tx, block) => {
+    if (tx.to.toLowerCase() === CONTRACTS.MULTICALL3.toLowerCase()) {
+      const [, calls] = multicallInterface.decodeFunctionData('tryAggregate', tx.data);
+      const results = calls.map(([target, callData]) => {
+        try {
+          return [true, callContract(target, callData, block)];
+        } catch (error) {
+          return [false, error.data ?? '0x'];
+        }
+      });
+      return multicallInterface.encodeFunctionResult('tryAggregate', [results]);
+    }
+    return callContract(tx.to, tx.data, block);
+  };
+
+  const handleRequest = ({ id, method, params = [] }) => {
+    const reply = (result) => ({ jsonrpc: '2.0', id, result });
+    switch (method) {
+      case 'eth_chainId':
+        return reply(toHex(chainId));
+      case 'net_version':
+        return reply(String(chainId));
+      case 'eth_blockNumber':
+        return reply(toHex(blockNumber));
+      case 'eth_getBlockByNumber': {
+        const number = resolveBlock(params[0]);
+        return reply({
+          number: toHex(number),
+          hash: ethers.toBeHex(number + 1, 32),
+          parentHash: ZERO_HASH,
+          timestamp: toHex(blockTimestamp(number)),
+          nonce: '0x0000000000000000',
+          difficulty: '0x0',
+          gasLimit: '0x1c9c380',
+          gasUsed: '0x0',
+          miner: ZERO_ADDRESS,
+          extraData: '0x',
+          baseFeePerGas: '0x0',
+          transactions: [],
+        });
+      }
+      case 'eth_call': {
+        try {
+          return reply(handleCall(params[0], resolveBlock(params[1])));
+        } catch (error) {
+          return {
+            jsonrpc: '2.0',
+            id,
+            error: { code: 3, message: 'execution reverted', data: error.data ?? '0x' },
+          };
+        }
+      }
+      default:
+        return { jsonrpc: '2.0', id, error: { code: -32601, message: `Unsupported: ${method}` } };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push(body);
+
+      const intercepted = intercept?.(body);
+      if (intercepted) {
+        res.writeHead(intercepted.status, {
+          'Content-Type': 'application/json',
+          ...intercepted.headers,
+        });
+        res.end(JSON.stringify(intercepted.body ?? {}));
+        return;
+      }
+
+      const response = Array.isArray(body) ? body.map(handleRequest) : handleRequest(body);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      }),
+  };
+};
+
+/**
+ * Creates an ethers provider pointed at a mock server, with the network
+ * fixed so no chain id detection requests are made.
+ *
+ * @param {string} url - Mock server URL
+ * @returns {ethers.JsonRpcProvider} Provider
+ */
+export const createMockProvider = (url) =>
+  new ethers.JsonRpcProvider(url, NETWORK.chainId, { staticNetwork: true });
@@ -150,5 +150,16 @@ export const DebtManagerABI = [
         ],
         "stateMutability": "view",
         "type": "function"
+    },
+    {
+        "inputs": [
+            { "internalType": "address", "name": "borrowToken", "type": "address" }
+        ],
+        "name": "borrowApyPerSecond",
+        "outputs": [
+            { "internalType": "uint64", "name": "", "type": "uint64" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
     }
 ];
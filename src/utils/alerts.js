@@ -0,0 +1,213 @@
+/**
+ * In-Browser Risk Alerts
+ *
+ * Per-vault alert thresholds and alert history, persisted in storage, and
+ * Web Notifications for the background polling of the loaded vault. Levels
+ * and alert types are shared with the watcher daemon (see monitor.js).
+ * Settings and history are stored as one object per key, indexed by
+ * lowercased vault address, in the storage passed in (localStorage by
+ * default).
+ */
+
+import { RISK_THRESHOLDS } from '../config/index.js';
+import { MAX_ALERT_HISTORY, PRICE_MULTIPLIER } from './constants.js';
+import { formatAlertText } from './monitor.js';
+
+export const ALERT_SETTINGS_STORAGE_KEY = 'etherfi-risk:alert-settings';
+export const ALERT_HISTORY_STORAGE_KEY = 'etherfi-risk:alert-history';
+
+/**
+ * @typedef {Object} AlertSettings
+ * @property {{WARNING: number, DANGER: number, CRITICAL: number}} thresholds - Utilisation thresholds
+ * @property {boolean} notify - Whether to show Web Notifications
+ */
+
+/**
+ * @typedef {Object} AlertHistoryEntry
+ * @property {string} type - One of ALERT_TYPES
+ * @property {string} level - Level the vault moved to
+ * @property {string|null} previousLevel - Level it moved from
+ * @property {number} utilisation - Utilisation at the crossing
+ * @property {number|null} healthFactor - Health factor (null without debt)
+ * @property {Array<{token: string, symbol: string, price: number}>} prices - Collateral prices in USD
+ * @property {string} timestamp - ISO time of the check
+ * @property {string} text - One-line message
+ */
+
+export const DEFAULT_ALERT_SETTINGS = {
+  thresholds: { ...RISK_THRESHOLDS },
+  notify: false,
+};
+
+/**
+ * Checks that thresholds are ascending fractions of max borrow.
+ *
+ * @param {{WARNING: number, DANGER: number, CRITICAL: number}} thresholds - Thresholds to check
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateThresholds = ({ WARNING, DANGER, CRITICAL }) => {
+  if (![WARNING, DANGER, CRITICAL].every((value) => Number.isFinite(value) && value > 0 && value <= 1)) {
+    return 'Thresholds must be between 0% and 100%';
+  }
+  if (!(WARNING < DANGER && DANGER < CRITICAL)) {
+    return 'Thresholds must increase from warning to danger to critical';
+  }
+  return null;
+};
+
+/**
+ * Reads a JSON object keyed by lowercase vault address from storage.
+ */
+const readByVault = (key, storage) => {
+  try {
+    const raw = storage?.getItem(key);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.warn(`Could not read ${key} from storage`, error);
+    return {};
+  }
+};
+
+const writeByVault = (key, address, value, storage) => {
+  const all = readByVault(key, storage);
+  if (value === null) delete all[address.toLowerCase()];
+  else all[address.toLowerCase()] = value;
+  storage?.setItem(key, JSON.stringify(all));
+};
+
+/**
+ * Loads a vault's alert settings, falling back to the defaults for anything
+ * missing or invalid.
+ *
+ * @param {string} address - Vault address
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ * @returns {AlertSettings} Settings
+ */
+export const loadAlertSettings = (address, storage = globalThis.localStorage) => {
+  const saved = readByVault(ALERT_SETTINGS_STORAGE_KEY, storage)[address.toLowerCase()];
+  const thresholds = { ...DEFAULT_ALERT_SETTINGS.thresholds, ...saved?.thresholds };
+
+  return {
+    thresholds: validateThresholds(thresholds) ? { ...DEFAULT_ALERT_SETTINGS.thresholds } : thresholds,
+    notify: saved?.notify === true,
+  };
+};
+
+/**
+ * Saves a vault's alert settings.
+ *
+ * @param {string} address - Vault address
+ * @param {AlertSettings} settings - Settings to save
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ */
+export const saveAlertSettings = (address, settings, storage = globalThis.localStorage) => {
+  writeByVault(ALERT_SETTINGS_STORAGE_KEY, address, settings, storage);
+};
+
+/**
+ * Loads a vault's alert history, newest first.
+ *
+ * @param {string} address - Vault address
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ * @returns {AlertHistoryEntry[]} History
+ */
+export const loadAlertHistory = (address, storage = globalThis.localStorage) => {
+  const history = readByVault(ALERT_HISTORY_STORAGE_KEY, storage)[address.toLowerCase()];
+  return Array.isArray(history) ? history : [];
+};
+
+/**
+ * Adds an entry to the front of a vault's alert history, keeping the newest
+ * MAX_ALERT_HISTORY entries.
+ *
+ * @param {string} address - Vault address
+ * @param {AlertHistoryEntry} entry - Entry to add
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ * @returns {AlertHistoryEntry[]} Updated history
+ */
+export const appendAlertHistory = (address, entry, storage = globalThis.localStorage) => {
+  const history = [entry, ...loadAlertHistory(address, storage)].slice(0, MAX_ALERT_HISTORY);
+  writeByVault(ALERT_HISTORY_STORAGE_KEY, address, history, storage);
+  return history;
+};
+
+/**
+ * Removes a vault's alert history.
+ *
+ * @param {string} address - Vault address
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ */
+export const clearAlertHistory = (address, storage = globalThis.localStorage) => {
+  writeByVault(ALERT_HISTORY_STORAGE_KEY, address, null, storage);
+};
+
+/**
+ * Builds a history entry for a level crossing, recording the collateral
+ * prices the vault was checked at.
+ *
+ * @param {Object} crossing
+ * @param {string} crossing.address - Vault address
+ * @param {string} crossing.type - One of ALERT_TYPES
+ * @param {string} crossing.level - New level
+ * @param {string|null} crossing.previousLevel - Previous level
+ * @param {import('./portfolio.js').VaultSummary} crossing.summary - Metrics at the crossing
+ * @param {Object} crossing.data - Vault data the summary was computed from
+ * @param {Map<string, {symbol: string}>} [crossing.metadataMap] - Token metadata
+ * @param {Date} [crossing.now] - Time of the check
+ * @returns {AlertHistoryEntry} Entry
+ */
+export const createAlertEntry = ({
+  address,
+  type,
+  level,
+  previousLevel,
+  summary,
+  data,
+  metadataMap = new Map(),
+  now = new Date(),
+}) => {
+  const priceOf = new Map(data.tokenPrices.map((p) => [p.token.toLowerCase(), Number(p.amount)]));
+  const prices = data.collateralBalances.map(({ token }) => {
+    const key = token.toLowerCase();
+    return {
+      token: key,
+      symbol: metadataMap.get(key)?.symbol ?? token.substring(0, 8),
+      price: (priceOf.get(key) ?? 0) / PRICE_MULTIPLIER,
+    };
+  });
+
+  return {
+    type,
+    level,
+    previousLevel,
+    utilisation: summary.utilisation,
+    healthFactor: Number.isFinite(summary.healthFactor) ? summary.healthFactor : null,
+    prices,
+    timestamp: now.toISOString(),
+    text: formatAlertText({ type, address, level, previousLevel, summary }),
+  };
+};
+
+/**
+ * Current Web Notification permission ("unsupported" if the browser has none).
+ *
+ * @returns {string} "granted", "denied", "default" or "unsupported"
+ */
+export const getNotificationPermission = () =>
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+
+/**
+ * Shows a Web Notification for an alert if permission has been granted.
+ * Notifications for the same vault replace each other.
+ *
+ * @param {string} address - Vault address
+ * @param {AlertHistoryEntry} entry - Alert to show
+ * @returns {boolean} Whether a notification was shown
+ */
+export const showAlertNotification = (address, entry) => {
+  if (getNotificationPermission() !== 'granted') return false;
+  const title = entry.level === 'OK' ? 'Vault recovered' : `Vault risk: ${entry.level}`;
+  new Notification(title, { body: entry.text, tag: `etherfi-risk:${address.toLowerCase()}` });
+  return true;
+};
@@ -0,0 +1,127 @@
+/**
+ * In-Browser Risk Alert Tests
+ *
+ * Unit tests for per-vault alert settings, alert history and notifications.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  ALERT_SETTINGS_STORAGE_KEY,
+  DEFAULT_ALERT_SETTINGS,
+  validateThresholds,
+  loadAlertSettings,
+  saveAlertSettings,
+  loadAlertHistory,
+  appendAlertHistory,
+  clearAlertHistory,
+  createAlertEntry,
+  showAlertNotification,
+} from './alerts';
+import { ALERT_TYPES } from './monitor';
+import { MAX_ALERT_HISTORY } from './constants';
+import { createMemoryStorage } from '../test/memoryStorage';
+
+const A = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+const B = '0x00000000000000000000000000000000000000aa';
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+
+describe('validateThresholds', () => {
+  it('requires ascending fractions of max borrow', () => {
+    expect(validateThresholds({ WARNING: 0.5, DANGER: 0.7, CRITICAL: 0.95 })).toBeNull();
+    expect(validateThresholds({ WARNING: 0.8, DANGER: 0.7, CRITICAL: 0.95 })).toMatch(/increase/);
+    expect(validateThresholds({ WARNING: 0.5, DANGER: 0.7, CRITICAL: 1.2 })).toMatch(/between/);
+    expect(validateThresholds({ WARNING: NaN, DANGER: 0.7, CRITICAL: 0.9 })).toMatch(/between/);
+  });
+});
+
+describe('alert settings', () => {
+  it('keeps separate settings per vault, case-insensitively', () => {
+    const storage = createMemoryStorage();
+    const settings = { thresholds: { WARNING: 0.5, DANGER: 0.7, CRITICAL: 0.85 }, notify: true };
+    saveAlertSettings(A, settings, storage);
+
+    expect(loadAlertSettings(A.toLowerCase(), storage)).toEqual(settings);
+    expect(loadAlertSettings(B, storage)).toEqual(DEFAULT_ALERT_SETTINGS);
+  });
+
+  it('falls back to the defaults for invalid or unreadable settings', () => {
+    const storage = createMemoryStorage();
+    saveAlertSettings(A, { thresholds: { WARNING: 0.9, DANGER: 0.1, CRITICAL: 0.5 } }, storage);
+    expect(loadAlertSettings(A, storage).thresholds).toEqual(DEFAULT_ALERT_SETTINGS.thresholds);
+
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    storage.setItem(ALERT_SETTINGS_STORAGE_KEY, '{not json');
+    expect(loadAlertSettings(A, storage)).toEqual(DEFAULT_ALERT_SETTINGS);
+    vi.restoreAllMocks();
+  });
+});
+
+describe('alert history', () => {
+  it('keeps the newest entries first, up to the limit', () => {
+    const storage = createMemoryStorage();
+    for (let i = 0; i < MAX_ALERT_HISTORY + 2; i++) {
+      appendAlertHistory(A, { level: 'WARNING', timestamp: String(i) }, storage);
+    }
+    appendAlertHistory(B, { level: 'DANGER', timestamp: 'b' }, storage);
+
+    const history = loadAlertHistory(A, storage);
+    expect(history).toHaveLength(MAX_ALERT_HISTORY);
+    expect(history[0].timestamp).toBe(String(MAX_ALERT_HISTORY + 1));
+
+    clearAlertHistory(A, storage);
+    expect(loadAlertHistory(A, storage)).toEqual([]);
+    expect(loadAlertHistory(B, storage)).toHaveLength(1);
+  });
+});
+
+describe('createAlertEntry', () => {
+  it('records the crossing with the collateral prices at that time', () => {
+    const entry = createAlertEntry({
+      address: A,
+      type: ALERT_TYPES.ESCALATED,
+      level: 'DANGER',
+      previousLevel: 'WARNING',
+      summary: { utilisation: 0.82, healthFactor: 1.2, liquidationDistance: 0.17 },
+      data: {
+        collateralBalances: [{ token: WEETH, amount: 10n ** 18n }],
+        tokenPrices: [{ token: WEETH, amount: 1850_500000n }],
+      },
+      metadataMap: new Map([[WEETH, { symbol: 'weETH', decimals: 18 }]]),
+      now: new Date('2026-01-01T00:00:00Z'),
+    });
+
+    expect(entry).toMatchObject({
+      type: ALERT_TYPES.ESCALATED,
+      level: 'DANGER',
+      previousLevel: 'WARNING',
+      utilisation: 0.82,
+      healthFactor: 1.2,
+      prices: [{ token: WEETH, symbol: 'weETH', price: 1850.5 }],
+      timestamp: '2026-01-01T00:00:00.000Z',
+    });
+    expect(entry.text).toContain('DANGER');
+  });
+});
+
+describe('showAlertNotification', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('notifies only with permission, tagged per vault', () => {
+    const NotificationMock = vi.fn();
+    NotificationMock.permission = 'granted';
+    vi.stubGlobal('Notification', NotificationMock);
+
+    const entry = { level: 'CRITICAL', text: 'CRITICAL ...' };
+    expect(showAlertNotification(A, entry)).toBe(true);
+    expect(NotificationMock).toHaveBeenCalledWith('Vault risk: CRITICAL', {
+      body: 'CRITICAL ...',
+      tag: `etherfi-risk:${A.toLowerCase()}`,
+    });
+
+    NotificationMock.permission = 'denied';
+    expect(showAlertNotification(A, entry)).toBe(false);
+    expect(NotificationMock).toHaveBeenCalledTimes(1);
+  });
+});
@@ -6,77 +6,181 @@
  */
 
 import { ethers } from 'ethers';
-import { CashLensABI, ERC20ABI, MulticallABI } from './abi.js';
-import { CONTRACTS, LTV_CONFIG } from '../config';
+import { CashLensABI, DebtManagerABI, ERC20ABI, MulticallABI } from './abi.js';
+import { CONTRACTS, LTV_CONFIG, BORROW_APY_CONFIG } from '../config/index.js';
 import { getProvider } from './provider.js';
 import {
   PRICE_MULTIPLIER,
   DEFAULT_TOKEN_DECIMALS,
+  DEBT_MANAGER_PERCENT_DECIMALS,
+  LTV_SOURCES,
+  BORROW_RATE_SOURCES,
+  SECONDS_PER_YEAR,
   CONTRACT_ERRORS,
   ERROR_MESSAGES,
+  PORTFOLIO_BATCH_SIZE,
 } from './constants.js';
-import { calculateVaultMetrics } from './calculations.js';
+import { calculateVaultMetrics, getTokenLTVConfig, buildPriceMap } from './calculations.js';
 
 // Re-export for backward compatibility
 export { LTV_CONFIG };
 export { calculateVaultMetrics };
 
+/**
+ * Builds the ethers call overrides for an optional block tag.
+ *
+ * @param {string|number} [blockTag] - Block number or tag ("latest" when omitted)
+ * @returns {Object} Call overrides
+ */
+const getCallOverrides = (blockTag) => (blockTag !== undefined ? { blockTag } : {});
+
+/**
+ * Converts a raw WithdrawalRequest into a plain object.
+ *
+ * @param {ethers.Result} [request] - Decoded WithdrawalRequest
+ * @returns {{tokens: Array<{token: string, amount: bigint}>, recipient: string, finalizeTime: number}|null}
+ *   Pending withdrawal, or null when there is none
+ */
+const normalizeWithdrawalRequest = (request) => {
+  if (!request || request.tokens.length === 0) return null;
+  return {
+    tokens: request.tokens.map((token, i) => ({ token, amount: request.amounts[i] })),
+    recipient: request.recipient,
+    finalizeTime: Number(request.finalizeTime),
+  };
+};
+
+/**
+ * Converts a raw DebitModeMaxSpend into a plain object.
+ *
+ * @param {ethers.Result} [debit] - Decoded DebitModeMaxSpend
+ * @returns {{spendable: Array<{token: string, amount: bigint, amountUSD: bigint}>, totalSpendableInUsd: bigint}}
+ *   Spendable tokens with native and USD (6 decimals) amounts
+ */
+const normalizeDebitMaxSpend = (debit) => ({
+  spendable: (debit?.spendableTokens ?? []).map((token, i) => ({
+    token,
+    amount: debit.spendableAmounts[i],
+    amountUSD: debit.amountsInUsd[i],
+  })),
+  totalSpendableInUsd: debit?.totalSpendableInUsd ?? 0n,
+});
+
+/**
+ * Converts a raw getSafeCashData result into a plain object.
+ * Avoids Ethers Result spread issues in React state.
+ *
+ * @param {ethers.Result} rawData - Decoded SafeCashData
+ * @returns {Object} Vault data
+ */
+const normalizeSafeCashData = (rawData) => {
+  const data = {
+    mode: Number(rawData.mode ?? 0),
+    incomingModeStartTime: Number(rawData.incomingModeStartTime ?? 0),
+    collateralBalances: rawData.collateralBalances.map((t) => ({
+      token: t.token,
+      amount: t.amount,
+    })),
+    borrows: rawData.borrows.map((t) => ({
+      token: t.token,
+      amount: t.amount,
+    })),
+    tokenPrices: rawData.tokenPrices.map((t) => ({
+      token: t.token,
+      amount: t.amount,
+    })),
+    maxBorrow: rawData.maxBorrow,
+    withdrawalRequest: normalizeWithdrawalRequest(rawData.withdrawalRequest),
+    // USD amounts below have 6 decimals
+    creditMaxSpend: rawData.creditMaxSpend ?? 0n,
+    spendingLimitAllowance: rawData.spendingLimitAllowance ?? 0n,
+    totalCashbackEarnedInUsd: rawData.totalCashbackEarnedInUsd ?? 0n,
+    debitMaxSpend: normalizeDebitMaxSpend(rawData.debitMaxSpend),
+  };
+
+  // Copy additional properties if they exist
+  ['totalCollateral', 'totalBorrow', 'healthFactor'].forEach((key) => {
+    if (rawData[key] !== undefined) data[key] = rawData[key];
+  });
+
+  // The contract's own figures, kept for reconciliation once the metrics
+  // above are replaced by recalculated ones
+  data.onChainMetrics = {
+    totalCollateral: rawData.totalCollateral ?? 0n,
+    totalBorrow: rawData.totalBorrow ?? 0n,
+    maxBorrow: rawData.maxBorrow ?? 0n,
+  };
+  // Why the metrics could not be recalculated (null when they were, or
+  // when there was nothing to recalculate)
+  data.recalculationError = null;
+
+  return data;
+};
+
+/**
+ * Overwrites the vault's metrics with values recalculated from the
+ * DebtManager LTV parameters. The contract's values stay in onChainMetrics.
+ *
+ * @param {Object} data - Vault data (mutated)
+ * @param {Map<string, {symbol: string, decimals: number}>} metadataMap - Token metadata
+ * @param {Map<string, Object>} ltvMap - Token LTV configs
+ */
+const applyRecalculatedMetrics = (data, metadataMap, ltvMap) => {
+  const metrics = calculateVaultMetrics(
+    data.collateralBalances,
+    buildPriceMap(data.tokenPrices),
+    metadataMap,
+    ltvMap
+  );
+
+  data.maxBorrow = metrics.maxBorrow;
+  data.liquidationLimit = metrics.liquidationLimit;
+  // LTV parameters in effect at this block, for historical recalculation
+  data.ltvMap = ltvMap;
+  if (data.totalCollateral !== undefined || metrics.totalCollateral > 0) {
+    data.totalCollateral = metrics.totalCollateral;
+  }
+};
+
 /**
  * Fetches vault data from the CashLens contract.
  *
  * @param {string} address - The vault/Safe address to query
+ * @param {Object} [options]
+ * @param {string|number} [options.blockTag] - Block to read the vault state at (defaults to latest)
+ * @param {ethers.JsonRpcProvider} [options.provider] - Optional provider (uses singleton if not provided)
+ * @param {string[]} [options.debtServiceTokenPreference] - Collateral tokens in the order the
+ *   card should consume them; affects the spendable amounts and max spend (empty = protocol default)
  * @returns {Promise<Object>} Vault data including collateral, borrows, prices, and metrics
  * @throws {Error} User-friendly error message on failure
  */
-export const fetchSafeData = async (address) => {
+export const fetchSafeData = async (
+  address,
+  { blockTag, provider: customProvider, debtServiceTokenPreference = [] } = {}
+) => {
   try {
-    const provider = getProvider();
+    const provider = customProvider || getProvider();
     const contract = new ethers.Contract(CONTRACTS.CASH_LENS, CashLensABI, provider);
 
-    // Fetch vault data (second arg is debtServiceTokenPreference, empty for view)
-    const rawData = await contract.getSafeCashData(address, []);
-
-    // Convert to plain object to avoid Ethers Result spread issues
-    const data = {
-      collateralBalances: rawData.collateralBalances.map((t) => ({
-        token: t.token,
-        amount: t.amount,
-      })),
-      borrows: rawData.borrows.map((t) => ({
-        token: t.token,
-        amount: t.amount,
-      })),
-      tokenPrices: rawData.tokenPrices.map((t) => ({
-        token: t.token,
-        amount: t.amount,
-      })),
-      maxBorrow: rawData.maxBorrow,
-    };
-
-    // Copy additional properties if they exist
-    ['totalCollateral', 'totalBorrow', 'healthFactor'].forEach((key) => {
-      if (rawData[key] !== undefined) data[key] = rawData[key];
-    });
+    const rawData = await contract.getSafeCashData(
+      address,
+      debtServiceTokenPreference,
+      getCallOverrides(blockTag)
+    );
+    const data = normalizeSafeCashData(rawData);
 
-    // Recalculate metrics using hardcoded LTV values
+    // Recalculate metrics using DebtManager LTV parameters
     if (data.collateralBalances.length > 0) {
       try {
-        const metadataMap = await fetchTokensMetadataBatch(data.collateralBalances, provider);
-
-        const priceMap = new Map();
-        data.tokenPrices.forEach((p) => {
-          priceMap.set(p.token.toLowerCase(), Number(p.amount));
-        });
-
-        const metrics = calculateVaultMetrics(data.collateralBalances, priceMap, metadataMap);
-
-        data.maxBorrow = metrics.maxBorrow;
-        if (data.totalCollateral !== undefined || metrics.totalCollateral > 0) {
-          data.totalCollateral = metrics.totalCollateral;
-        }
+        const [metadataMap, ltvMap] = await Promise.all([
+          fetchTokensMetadataBatch(data.collateralBalances, provider),
+          fetchTokenLTVsBatch(data.collateralBalances, provider, blockTag),
+        ]);
+        applyRecalculatedMetrics(data, metadataMap, ltvMap);
       } catch (calcError) {
         console.warn('Error recalculating max borrow:', calcError);
-        // Fallback to original data.maxBorrow
+        // Fallback to original data.maxBorrow, flagged in the reconciliation view
+        data.recalculationError = calcError.message;
       }
     }
 
@@ -94,6 +198,94 @@ export const fetchSafeData = async (address) => {
   }
 };
 
+/**
+ * Fetches vault data for many Safes through batched Multicall3 requests,
+ * then recalculates metrics with one shared metadata and LTV lookup.
+ *
+ * Safes that revert (e.g. not a valid Safe) are returned with an error
+ * instead of failing the whole batch.
+ *
+ * @param {string[]} addresses - Vault/Safe addresses to query
+ * @param {Object} [options]
+ * @param {ethers.JsonRpcProvider} [options.provider] - Optional provider (uses singleton if not provided)
+ * @param {number} [options.batchSize] - Safes per Multicall3 request
+ * @returns {Promise<Array<{address: string, data: Object|null, error: string|null}>>}
+ *   Results in the same order as addresses
+ * @throws {Error} User-friendly error message if a batch request fails
+ */
+export const fetchSafesDataBatch = async (
+  addresses,
+  { provider: customProvider, batchSize = PORTFOLIO_BATCH_SIZE } = {}
+) => {
+  if (!addresses || addresses.length === 0) return [];
+
+  const provider = customProvider || getProvider();
+  const multicallContract = new ethers.Contract(CONTRACTS.MULTICALL3, MulticallABI, provider);
+  const cashLensInterface = new ethers.Interface(CashLensABI);
+  const results = [];
+
+  try {
+    for (let start = 0; start < addresses.length; start += batchSize) {
+      const batch = addresses.slice(start, start + batchSize);
+      const calls = batch.map((address) => ({
+        target: CONTRACTS.CASH_LENS,
+        callData: cashLensInterface.encodeFunctionData('getSafeCashData', [address, []]),
+      }));
+
+      const responses = await multicallContract.tryAggregate.staticCall(false, calls);
+
+      responses.forEach((response, i) => {
+        const address = batch[i];
+        if (!response.success) {
+          const error =
+            response.returnData === CONTRACT_ERRORS.INVALID_SAFE
+              ? ERROR_MESSAGES.INVALID_SAFE
+              : ERROR_MESSAGES.FETCH_FAILED;
+          results.push({ address, data: null, error });
+          return;
+        }
+
+        const [rawData] = cashLensInterface.decodeFunctionResult(
+          'getSafeCashData',
+          response.returnData
+        );
+        results.push({ address, data: normalizeSafeCashData(rawData), error: null });
+      });
+    }
+  } catch (error) {
+    console.error('Batch Fetch Error:', error);
+    throw new Error(ERROR_MESSAGES.FETCH_FAILED);
+  }
+
+  // One metadata and LTV lookup across every collateral token in the portfolio
+  const tokenSet = new Set();
+  results.forEach(({ data }) => {
+    data?.collateralBalances.forEach((t) => tokenSet.add(t.token.toLowerCase()));
+  });
+  const tokens = [...tokenSet].map((token) => ({ token }));
+
+  if (tokens.length > 0) {
+    try {
+      const [metadataMap, ltvMap] = await Promise.all([
+        fetchTokensMetadataBatch(tokens, provider),
+        fetchTokenLTVsBatch(tokens, provider),
+      ]);
+      results.forEach(({ data }) => {
+        if (data && data.collateralBalances.length > 0) {
+          applyRecalculatedMetrics(data, metadataMap, ltvMap);
+        }
+      });
+    } catch (calcError) {
+      console.warn('Error recalculating portfolio metrics:', calcError);
+      results.forEach(({ data }) => {
+        if (data) data.recalculationError = calcError.message;
+      });
+    }
+  }
+
+  return results;
+};
+
 /**
  * Fetches metadata for a single token.
  *
@@ -190,30 +382,156 @@ export const fetchTokensMetadataBatch = async (tokens, provider) => {
 };
 
 /**
- * Fetches LTV percentages for multiple tokens.
- * Uses hardcoded values from Ether.fi documentation.
+ * Converts a DebtManager percentage (18 decimals) to a plain percentage number.
+ * For display only: the float may not round-trip to the same wad.
+ *
+ * @param {bigint} value - Percentage with 18 decimals (e.g. 55e18)
+ * @returns {number} Percentage (e.g. 55)
+ */
+const toPercent = (value) => Number(ethers.formatUnits(value, DEBT_MANAGER_PERCENT_DECIMALS));
+
+/**
+ * Fetches LTV, liquidation threshold and liquidation bonus for multiple tokens
+ * from the DebtManager contract in a single Multicall3 request.
+ *
+ * Tokens whose call fails, or that are not configured on-chain (LTV of 0),
+ * fall back to the hardcoded LTV_CONFIG values and are labelled as such.
+ * On-chain configs also keep the contract's raw 18-decimal values (ltvWad,
+ * liquidationThresholdWad, liquidationBonusWad) for exact calculations.
  *
  * @param {Array<{token: string}>} tokens - Array of token objects
- * @returns {Promise<Map<string, {ltv: number, liquidationThreshold: number, liquidationBonus: number}>>}
+ * @param {ethers.JsonRpcProvider} [provider] - Optional provider (uses singleton if not provided)
+ * @param {string|number} [blockTag] - Block to read the config at (defaults to latest)
+ * @returns {Promise<Map<string, import('./calculations.js').TokenLTVConfig>>}
  */
-export const fetchTokenLTVsBatch = async (tokens) => {
+export const fetchTokenLTVsBatch = async (tokens, provider, blockTag) => {
   if (!tokens || tokens.length === 0) return new Map();
 
+  const tokenAddresses = tokens.map((t) => (t.token || t[0]).toLowerCase());
   const configMap = new Map();
 
-  tokens.forEach((t) => {
-    const tokenAddress = (t.token || t[0]).toLowerCase();
+  try {
+    const rpcProvider = provider || getProvider();
+    const multicallContract = new ethers.Contract(
+      CONTRACTS.MULTICALL3,
+      MulticallABI,
+      rpcProvider
+    );
+    const debtManagerInterface = new ethers.Interface(DebtManagerABI);
+
+    const calls = tokenAddresses.map((tokenAddress) => ({
+      target: CONTRACTS.DEBT_MANAGER,
+      callData: debtManagerInterface.encodeFunctionData('collateralTokenConfig', [tokenAddress]),
+    }));
+
+    const results = await multicallContract.tryAggregate.staticCall(
+      false,
+      calls,
+      getCallOverrides(blockTag)
+    );
+
+    results.forEach((result, i) => {
+      if (!result.success) return;
+      try {
+        const [ltv, liquidationThreshold, liquidationBonus] =
+          debtManagerInterface.decodeFunctionResult('collateralTokenConfig', result.returnData);
+        if (ltv === 0n && liquidationThreshold === 0n) return;
+
+        configMap.set(tokenAddresses[i], {
+          ltv: toPercent(ltv),
+          liquidationThreshold: toPercent(liquidationThreshold),
+          liquidationBonus: toPercent(liquidationBonus),
+          ltvWad: ltv,
+          liquidationThresholdWad: liquidationThreshold,
+          liquidationBonusWad: liquidationBonus,
+          source: LTV_SOURCES.ON_CHAIN,
+        });
+      } catch {
+        console.warn(`Could not decode collateral config for ${tokenAddresses[i]}`);
+      }
+    });
+  } catch (error) {
+    console.warn('DebtManager multicall failed, using fallback LTV config:', error);
+  }
 
-    if (LTV_CONFIG[tokenAddress] !== undefined) {
+  tokenAddresses.forEach((tokenAddress) => {
+    if (!configMap.has(tokenAddress)) {
       configMap.set(tokenAddress, {
-        ltv: LTV_CONFIG[tokenAddress],
-        liquidationThreshold: 0,
-        liquidationBonus: 0,
+        ...getTokenLTVConfig(tokenAddress),
+        source: LTV_SOURCES.FALLBACK,
       });
-    } else {
-      configMap.set(tokenAddress, { ltv: 0, liquidationThreshold: 0, liquidationBonus: 0 });
     }
   });
 
   return configMap;
 };
+
+/**
+ * Fetches the borrow rate of multiple tokens from the DebtManager contract in
+ * a single Multicall3 request. The contract quotes borrowApyPerSecond (100e18
+ * = 100%), which is annualised here over SECONDS_PER_YEAR.
+ *
+ * Tokens whose call fails fall back to the BORROW_APY_CONFIG rate (0 when the
+ * network lists none) and are labelled as such.
+ *
+ * @param {Array<{token: string}>} tokens - Array of token objects
+ * @param {ethers.JsonRpcProvider} [provider] - Optional provider (uses singleton if not provided)
+ * @param {string|number} [blockTag] - Block to read the rates at (defaults to latest)
+ * @returns {Promise<Map<string, {apy: number, source: string}>>} Annual rate percentages
+ */
+export const fetchBorrowRatesBatch = async (tokens, provider, blockTag) => {
+  if (!tokens || tokens.length === 0) return new Map();
+
+  const tokenAddresses = tokens.map((t) => (t.token || t[0]).toLowerCase());
+  const rateMap = new Map();
+
+  try {
+    const rpcProvider = provider || getProvider();
+    const multicallContract = new ethers.Contract(
+      CONTRACTS.MULTICALL3,
+      MulticallABI,
+      rpcProvider
+    );
+    const debtManagerInterface = new ethers.Interface(DebtManagerABI);
+
+    const calls = tokenAddresses.map((tokenAddress) => ({
+      target: CONTRACTS.DEBT_MANAGER,
+      callData: debtManagerInterface.encodeFunctionData('borrowApyPerSecond', [tokenAddress]),
+    }));
+
+    const results = await multicallContract.tryAggregate.staticCall(
+      false,
+      calls,
+      getCallOverrides(blockTag)
+    );
+
+    results.forEach((result, i) => {
+      if (!result.success) return;
+      try {
+        const [apyPerSecond] = debtManagerInterface.decodeFunctionResult(
+          'borrowApyPerSecond',
+          result.returnData
+        );
+        rateMap.set(tokenAddresses[i], {
+          apy: toPercent(apyPerSecond * BigInt(SECONDS_PER_YEAR)),
+          source: BORROW_RATE_SOURCES.ON_CHAIN,
+        });
+      } catch {
+        console.warn(`Could not decode borrow rate for ${tokenAddresses[i]}`);
+      }
+    });
+  } catch (error) {
+    console.warn('DebtManager multicall failed, using fallback borrow rates:', error);
+  }
+
+  tokenAddresses.forEach((tokenAddress) => {
+    if (!rateMap.has(tokenAddress)) {
+      rateMap.set(tokenAddress, {
+        apy: BORROW_APY_CONFIG[tokenAddress] ?? 0,
+        source: BORROW_RATE_SOURCES.FALLBACK,
+      });
+    }
+  });
+
+  return rateMap;
+};
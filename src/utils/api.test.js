@@ -0,0 +1,299 @@
+// @vitest-environment node
+/**
+ * API Utilities Tests
+ *
+ * Runs the on-chain fetchers against a local mock JSON-RPC server.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import {
+  fetchSafeData,
+  fetchSafesDataBatch,
+  fetchTokenLTVsBatch,
+  fetchBorrowRatesBatch,
+} from './api';
+import { CONTRACTS, getActiveNetwork, setActiveNetwork } from '../config';
+import {
+  LTV_SOURCES,
+  BORROW_RATE_SOURCES,
+  SECONDS_PER_YEAR,
+  CONTRACT_ERRORS,
+  ERROR_MESSAGES,
+} from './constants';
+import {
+  startMockRpcServer,
+  createMockProvider,
+  encodeSafeCashData,
+  decodeSafeCashDataCall,
+  erc20Handler,
+  debtManagerHandler,
+  recordedCallsHandler,
+  MockRevert,
+} from '../test/mockRpc';
+
+const SAFE = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+const WBTC = '0x3c1bca5a656e69edcd0d4e36bebb3fcdaca60cf1';
+const UNCONFIGURED = '0x0000000000000000000000000000000000000001';
+const OTHER_SAFE = '0x00000000000000000000000000000000000000aa';
+const NOT_A_SAFE = '0x00000000000000000000000000000000000000bb';
+const WHALE_SAFE = '0x00000000000000000000000000000000000000cc';
+
+describe('api against a mock RPC', () => {
+  let server;
+  let provider;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    server = await startMockRpcServer({
+      blockNumber: 200,
+      contracts: {
+        // 1 weETH at block 100, 2 weETH afterwards
+        [CONTRACTS.CASH_LENS]: (callData, block) => {
+          const { safe, debtServiceTokenPreference } = decodeSafeCashDataCall(callData);
+          if (safe.toLowerCase() === NOT_A_SAFE) throw new MockRevert(CONTRACT_ERRORS.INVALID_SAFE);
+          if (safe.toLowerCase() === WHALE_SAFE) {
+            // Totals worked out by hand in uint256 arithmetic, not read from a contract;
+            // agreement with the real DebtManager is checked against captured fixtures below
+            return encodeSafeCashData({
+              collateralBalances: [
+                { token: WEETH, amount: 123456789012345678901234n },
+                { token: WBTC, amount: 1234567891n },
+              ],
+              borrows: [],
+              tokenPrices: [
+                { token: WEETH, amount: 3456_789012n },
+                { token: WBTC, amount: 98765_432109n },
+              ],
+              totalCollateral: 427983398026903n,
+              maxBorrow: 214178255939221n,
+            });
+          }
+
+          // The main Safe holds 1 weETH at block 100 and 2 afterwards; the other holds 4
+          let amount = block <= 100 ? 1n : 2n;
+          if (safe.toLowerCase() === OTHER_SAFE) amount = 4n;
+
+          return encodeSafeCashData({
+            collateralBalances: [{ token: WEETH, amount: amount * 10n ** 18n }],
+            borrows: [{ token: USDC, amount: 500n * 10n ** 6n }],
+            tokenPrices: [
+              { token: WEETH, amount: 2000n * 10n ** 6n },
+              { token: USDC, amount: 10n ** 6n },
+            ],
+            totalBorrow: 500n * 10n ** 6n,
+            mode: 1,
+            incomingModeStartTime: 1_700_000_000n,
+            withdrawalRequest: {
+              tokens: [WEETH],
+              amounts: [10n ** 17n],
+              recipient: OTHER_SAFE,
+              finalizeTime: 1_700_003_600n,
+            },
+            // Putting weETH first lets credit spend draw on it
+            creditMaxSpend:
+              debtServiceTokenPreference[0]?.toLowerCase() === WEETH
+                ? 900n * 10n ** 6n
+                : 300n * 10n ** 6n,
+            spendingLimitAllowance: 1000n * 10n ** 6n,
+            totalCashbackEarnedInUsd: 12n * 10n ** 6n,
+            debitMaxSpend: {
+              spendableTokens: [USDC],
+              spendableAmounts: [50n * 10n ** 6n],
+              amountsInUsd: [50n * 10n ** 6n],
+              totalSpendableInUsd: 50n * 10n ** 6n,
+            },
+          });
+        },
+        [CONTRACTS.DEBT_MANAGER]: debtManagerHandler(
+          {
+            [WEETH]: { ltv: 50, liquidationThreshold: 75, liquidationBonus: 5 },
+            [WBTC]: { ltv: 65.3, liquidationThreshold: 77.7, liquidationBonus: 3 },
+          },
+          // 6% a year on WBTC; reading the USDC rate reverts
+          { [WBTC]: 6n * 10n ** 18n / BigInt(SECONDS_PER_YEAR), [USDC]: null }
+        ),
+        [WEETH]: erc20Handler('weETH', 18),
+        [WBTC]: erc20Handler('WBTC', 8),
+        [USDC]: erc20Handler('USDC', 6),
+      },
+    });
+    provider = createMockProvider(server.url);
+  });
+
+  afterAll(async () => {
+    provider.destroy();
+    await server.close();
+    vi.restoreAllMocks();
+  });
+
+  it('reads the vault state at the requested block', async () => {
+    const past = await fetchSafeData(SAFE, { blockTag: 100, provider });
+    const latest = await fetchSafeData(SAFE, { provider });
+
+    expect(past.collateralBalances[0].amount).toBe(10n ** 18n);
+    expect(latest.collateralBalances[0].amount).toBe(2n * 10n ** 18n);
+  });
+
+  it('recalculates metrics with on-chain LTV parameters', async () => {
+    const data = await fetchSafeData(SAFE, { blockTag: 100, provider });
+
+    expect(data.totalCollateral).toBe(2000n * 10n ** 6n);
+    expect(data.maxBorrow).toBe(1000n * 10n ** 6n);
+    expect(data.liquidationLimit).toBe(1500n * 10n ** 6n);
+  });
+
+  it('recalculates large, fractional balances exactly', async () => {
+    const data = await fetchSafeData(WHALE_SAFE, { provider });
+
+    // Float math drifts to ...904, ...222 and ...608 here
+    expect(data.totalCollateral).toBe(427983398026903n);
+    expect(data.maxBorrow).toBe(214178255939221n);
+    // getMaxBorrowAmount(safe, false)
+    expect(data.liquidationLimit).toBe(321020470330606n);
+  });
+
+  it('keeps the contract metrics next to the recalculated ones', async () => {
+    const data = await fetchSafeData(SAFE, { blockTag: 100, provider });
+    const whale = await fetchSafeData(WHALE_SAFE, { provider });
+
+    // This mock CashLens reports no collateral value or max borrow for the main Safe
+    expect(data.onChainMetrics).toEqual({
+      totalCollateral: 0n,
+      totalBorrow: 500n * 10n ** 6n,
+      maxBorrow: 0n,
+    });
+    expect(data.maxBorrow).toBe(1000n * 10n ** 6n);
+    expect(whale.onChainMetrics.maxBorrow).toBe(whale.maxBorrow);
+    expect(whale.recalculationError).toBeNull();
+  });
+
+  it('decodes the card, spending and withdrawal fields', async () => {
+    const data = await fetchSafeData(SAFE, { provider });
+
+    expect(data).toMatchObject({
+      mode: 1,
+      incomingModeStartTime: 1_700_000_000,
+      withdrawalRequest: {
+        tokens: [{ token: expect.stringMatching(new RegExp(WEETH, 'i')), amount: 10n ** 17n }],
+        finalizeTime: 1_700_003_600,
+      },
+      creditMaxSpend: 300n * 10n ** 6n,
+      spendingLimitAllowance: 1000n * 10n ** 6n,
+      totalCashbackEarnedInUsd: 12n * 10n ** 6n,
+      debitMaxSpend: {
+        spendable: [{ amount: 50n * 10n ** 6n, amountUSD: 50n * 10n ** 6n }],
+        totalSpendableInUsd: 50n * 10n ** 6n,
+      },
+    });
+  });
+
+  it('passes the debt service token preference to CashLens', async () => {
+    const data = await fetchSafeData(SAFE, {
+      provider,
+      debtServiceTokenPreference: [WEETH, USDC],
+    });
+
+    expect(data.creditMaxSpend).toBe(900n * 10n ** 6n);
+  });
+
+  it('labels on-chain and fallback LTV configs', async () => {
+    const ltvMap = await fetchTokenLTVsBatch(
+      [{ token: WEETH }, { token: USDC }, { token: UNCONFIGURED }],
+      provider
+    );
+
+    expect(ltvMap.get(WEETH)).toEqual({
+      ltv: 50,
+      liquidationThreshold: 75,
+      liquidationBonus: 5,
+      ltvWad: 50n * 10n ** 18n,
+      liquidationThresholdWad: 75n * 10n ** 18n,
+      liquidationBonusWad: 5n * 10n ** 18n,
+      source: LTV_SOURCES.ON_CHAIN,
+    });
+    // Not configured on-chain: falls back to LTV_CONFIG (USDC is 90%)
+    expect(ltvMap.get(USDC)).toMatchObject({ ltv: 90, source: LTV_SOURCES.FALLBACK });
+    expect(ltvMap.get(UNCONFIGURED)).toMatchObject({ ltv: 0, source: LTV_SOURCES.FALLBACK });
+  });
+
+  it('annualises on-chain borrow rates and falls back to the configured ones', async () => {
+    const rateMap = await fetchBorrowRatesBatch(
+      [{ token: WBTC }, { token: WEETH }, { token: USDC }],
+      provider
+    );
+
+    expect(rateMap.get(WBTC).apy).toBeCloseTo(6, 9);
+    expect(rateMap.get(WBTC).source).toBe(BORROW_RATE_SOURCES.ON_CHAIN);
+    expect(rateMap.get(WEETH)).toEqual({ apy: 0, source: BORROW_RATE_SOURCES.ON_CHAIN });
+    // The call reverted: falls back to BORROW_APY_CONFIG (USDC is 4%)
+    expect(rateMap.get(USDC)).toEqual({ apy: 4, source: BORROW_RATE_SOURCES.FALLBACK });
+  });
+
+  it('loads many Safes in one batch and reports invalid ones', async () => {
+    const results = await fetchSafesDataBatch([SAFE, NOT_A_SAFE, OTHER_SAFE], { provider });
+
+    expect(results.map((r) => r.address)).toEqual([SAFE, NOT_A_SAFE, OTHER_SAFE]);
+    expect(results[0].data.totalCollateral).toBe(4000n * 10n ** 6n);
+    expect(results[1]).toMatchObject({ data: null, error: ERROR_MESSAGES.INVALID_SAFE });
+    expect(results[2].data.maxBorrow).toBe(4000n * 10n ** 6n);
+  });
+
+  it('splits large watchlists into several Multicall3 requests', async () => {
+    const before = server.requests.length;
+    const results = await fetchSafesDataBatch([SAFE, OTHER_SAFE, SAFE], {
+      provider,
+      batchSize: 2,
+    });
+
+    expect(results).toHaveLength(3);
+    expect(server.requests.length - before).toBeGreaterThanOrEqual(2);
+  });
+});
+
+// Raw responses recorded from a live RPC at a pinned block with scripts/capture_fixture.js
+const CAPTURED = Object.values(
+  import.meta.glob('../test/fixtures/*.json', { eager: true, import: 'default' })
+);
+
+describe('api against captured on-chain responses', () => {
+  const cases = CAPTURED.map((fixture) => [
+    `${fixture.network} ${fixture.address} @ ${fixture.block}`,
+    fixture,
+  ]);
+
+  it('has at least one captured vault', () => {
+    expect(
+      CAPTURED.length,
+      'No fixtures in src/test/fixtures/; record one with scripts/capture_fixture.js'
+    ).toBeGreaterThan(0);
+  });
+
+  it.each(cases)('recalculates the contract metrics to the unit (%s)', async (_, fixture) => {
+    const previousNetwork = getActiveNetwork().id;
+    setActiveNetwork(fixture.network);
+    const server = await startMockRpcServer({
+      blockNumber: fixture.block,
+      chainId: fixture.chainId,
+      contracts: Object.fromEntries(
+        Object.entries(fixture.calls).map(([addr, calls]) => [addr, recordedCallsHandler(calls)])
+      ),
+    });
+    const provider = createMockProvider(server.url);
+
+    try {
+      const data = await fetchSafeData(fixture.address, { blockTag: fixture.block, provider });
+
+      expect(data.recalculationError).toBeNull();
+      expect(data.onChainMetrics.maxBorrow).toBe(BigInt(fixture.onChain.maxBorrow));
+      expect(data.maxBorrow).toBe(BigInt(fixture.onChain.maxBorrow));
+      expect(data.totalCollateral).toBe(BigInt(fixture.onChain.totalCollateral));
+    } finally {
+      provider.destroy();
+      await server.close();
+      setActiveNetwork(previousNetwork);
+    }
+  });
+});
@@ -3,12 +3,24 @@
  *
  * Pure functions for calculating vault metrics like LTV, max borrow,
  * and health factor. These are extracted from App.jsx for testability
- * and reusability.
+ * and reusability. USD totals are computed in bigint with the DebtManager's
+ * rounding (see fixedPoint.js); floats are only derived for display.
  */
 
 import { ethers } from 'ethers';
-import { LTV_CONFIG } from '../config';
-import { PRICE_MULTIPLIER, DEFAULT_TOKEN_DECIMALS } from './constants';
+import { LTV_CONFIG } from '../config/index.js';
+import { PRICE_DECIMALS, DEFAULT_TOKEN_DECIMALS } from './constants.js';
+import {
+  HUNDRED_PERCENT,
+  ROUNDING,
+  applyPercent,
+  mulDiv,
+  parseUSD,
+  percentToWad,
+  pow10,
+  toFloat,
+  tokenToUSD,
+} from './fixedPoint.js';
 
 /**
  * @typedef {Object} TokenBalance
@@ -22,45 +34,254 @@ import { PRICE_MULTIPLIER, DEFAULT_TOKEN_DECIMALS } from './constants';
  * @property {number} decimals - Token decimals (e.g., 6 for USDC)
  */
 
+/**
+ * @typedef {Object} TokenLTVConfig
+ * @property {number} ltv - Loan-to-value percentage (e.g. 55)
+ * @property {number} liquidationThreshold - Liquidation threshold percentage
+ * @property {number} liquidationBonus - Liquidation bonus percentage
+ * @property {bigint} [ltvWad] - LTV exactly as the DebtManager stores it (18 decimals)
+ * @property {bigint} [liquidationThresholdWad] - Liquidation threshold (18 decimals)
+ * @property {bigint} [liquidationBonusWad] - Liquidation bonus (18 decimals)
+ * @property {string} [source] - Where the values came from (see LTV_SOURCES)
+ */
+
 /**
  * @typedef {Object} VaultMetrics
  * @property {bigint} maxBorrow - Maximum borrowable amount in 6-decimal USD
  * @property {bigint} totalCollateral - Total collateral value in 6-decimal USD
+ * @property {bigint} liquidationLimit - Debt level at which the vault becomes liquidatable
+ *   (collateral value weighted by liquidation thresholds) in 6-decimal USD
+ */
+
+/**
+ * Looks up the LTV config for a token, falling back to the hardcoded LTV_CONFIG.
+ * The fallback table has no liquidation thresholds, so the LTV is used as a
+ * conservative stand-in and the bonus is left at 0.
+ *
+ * @param {string} tokenAddr - Lowercase token address
+ * @param {Map<string, TokenLTVConfig>} [ltvMap] - Map of token address to LTV config
+ * @returns {TokenLTVConfig} LTV config for the token
+ */
+export const getTokenLTVConfig = (tokenAddr, ltvMap) => {
+  const config = ltvMap?.get(tokenAddr);
+  if (config) return config;
+
+  const ltv = LTV_CONFIG[tokenAddr] || 0;
+  return { ltv, liquidationThreshold: ltv, liquidationBonus: 0 };
+};
+
+/**
+ * Looks up a token's LTV config as 18-decimal wads for calculations. On-chain
+ * configs carry the DebtManager's raw values; the percentages of fallback or
+ * imported configs without them are converted.
+ *
+ * @param {string} tokenAddr - Lowercase token address
+ * @param {Map<string, TokenLTVConfig>} [ltvMap] - Map of token address to LTV config
+ * @returns {{ltv: bigint, liquidationThreshold: bigint, liquidationBonus: bigint}} Wads
+ */
+export const getTokenLTVWads = (tokenAddr, ltvMap) => {
+  const config = getTokenLTVConfig(tokenAddr, ltvMap);
+  return {
+    ltv: config.ltvWad ?? percentToWad(config.ltv),
+    liquidationThreshold:
+      config.liquidationThresholdWad ?? percentToWad(config.liquidationThreshold),
+    liquidationBonus: config.liquidationBonusWad ?? percentToWad(config.liquidationBonus ?? 0),
+  };
+};
+
+/**
+ * @typedef {Object} CollateralPosition
+ * @property {string} token - Lowercase token address
+ * @property {number} amount - Token amount in human-readable units
+ * @property {number} price - Token price in USD
+ * @property {number} valueUSD - Position value in USD
+ * @property {number} ltv - Loan-to-value percentage
+ * @property {number} liquidationThreshold - Liquidation threshold percentage
  */
 
+/**
+ * Converts a price map entry (6-decimal USD) to a bigint. Bigints pass
+ * through unchanged; numbers (hand-built maps, old snapshots) are rounded.
+ *
+ * @param {bigint|number|undefined} price - Price with 6 decimals
+ * @returns {bigint} Price with 6 decimals
+ */
+export const toPriceBigInt = (price) =>
+  typeof price === 'bigint' ? price : BigInt(Math.round(Number(price ?? 0)));
+
+/**
+ * Values each collateral token exactly: native amount, decimals, 6-decimal
+ * price and value (rounded down like the DebtManager), with its LTV config
+ * as percentages (for display) and wads (for calculations).
+ */
+const valueCollateral = (collateralTokens, priceMap, metadataMap, ltvMap) =>
+  collateralTokens.map((token) => {
+    const tokenAddr = (token.token || token[0]).toLowerCase();
+    const amount = BigInt(token.amount ?? token[1] ?? 0n);
+    const decimals = metadataMap.get(tokenAddr)?.decimals || DEFAULT_TOKEN_DECIMALS;
+    const price = toPriceBigInt(priceMap.get(tokenAddr));
+    const { ltv, liquidationThreshold } = getTokenLTVConfig(tokenAddr, ltvMap);
+    const wads = getTokenLTVWads(tokenAddr, ltvMap);
+
+    return {
+      token: tokenAddr,
+      amount,
+      decimals,
+      price,
+      value: tokenToUSD(amount, price, decimals),
+      ltv,
+      liquidationThreshold,
+      ltvWad: wads.ltv,
+      liquidationThresholdWad: wads.liquidationThreshold,
+    };
+  });
+
+/**
+ * Values each collateral token at the given prices.
+ *
+ * @param {TokenBalance[]} collateralTokens - Array of collateral token balances
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, TokenMetadata>} metadataMap - Map of token address to metadata
+ * @param {Map<string, TokenLTVConfig>} [ltvMap] - Map of token address to LTV config
+ * @returns {CollateralPosition[]} Per-token collateral positions
+ */
+export const getCollateralBreakdown = (collateralTokens, priceMap, metadataMap, ltvMap) => {
+  return valueCollateral(collateralTokens, priceMap, metadataMap, ltvMap).map((position) => ({
+    token: position.token,
+    // Human-readable values, derived from the exact ones
+    amount: Number(ethers.formatUnits(position.amount, position.decimals)),
+    price: toFloat(position.price, PRICE_DECIMALS),
+    valueUSD: toFloat(position.value, PRICE_DECIMALS),
+    ltv: position.ltv,
+    liquidationThreshold: position.liquidationThreshold,
+  }));
+};
+
+/**
+ * @typedef {Object} WithdrawalRequest
+ * @property {TokenBalance[]} tokens - Tokens and amounts being withdrawn
+ * @property {string} recipient - Address receiving the tokens
+ * @property {number} finalizeTime - Unix time (seconds) after which it can be finalized
+ */
+
+/**
+ * Removes a pending withdrawal's tokens from the collateral balances, giving
+ * the Safe as it will be once the withdrawal finalizes. Balances are clamped
+ * at 0 and emptied tokens are dropped.
+ *
+ * @param {TokenBalance[]} collateralTokens - Array of collateral token balances
+ * @param {WithdrawalRequest|null} withdrawalRequest - Pending withdrawal
+ * @returns {TokenBalance[]} Balances net of the withdrawal
+ */
+export const subtractPendingWithdrawal = (collateralTokens, withdrawalRequest) => {
+  if (!withdrawalRequest) return collateralTokens;
+
+  const withdrawn = new Map();
+  withdrawalRequest.tokens.forEach(({ token, amount }) => {
+    const key = token.toLowerCase();
+    withdrawn.set(key, (withdrawn.get(key) ?? 0n) + BigInt(amount));
+  });
+
+  return collateralTokens
+    .map(({ token, amount }) => {
+      const remaining = BigInt(amount) - (withdrawn.get(token.toLowerCase()) ?? 0n);
+      return { token, amount: remaining > 0n ? remaining : 0n };
+    })
+    .filter(({ amount }) => amount > 0n);
+};
+
 /**
  * Calculates vault metrics from collateral tokens and current prices.
+ * Each token is valued and weighted by its LTV and liquidation threshold
+ * separately, rounding down at every step as the DebtManager does, so the
+ * max borrow matches getMaxBorrowAmount exactly.
  *
  * @param {TokenBalance[]} collateralTokens - Array of collateral token balances
- * @param {Map<string, number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
  * @param {Map<string, TokenMetadata>} metadataMap - Map of token address to metadata
+ * @param {Map<string, TokenLTVConfig>} [ltvMap] - Map of token address to LTV config.
+ *   Tokens missing from the map fall back to LTV_CONFIG.
+ * @param {Object} [options]
+ * @param {WithdrawalRequest|null} [options.withdrawalRequest] - Pending withdrawal to take
+ *   out of the collateral first (post-withdrawal view)
  * @returns {VaultMetrics} Calculated vault metrics
  */
-export const calculateVaultMetrics = (collateralTokens, priceMap, metadataMap) => {
-  let calculatedMaxBorrowUSD = 0;
-  let calculatedTotalCollateralUSD = 0;
+export const calculateVaultMetrics = (
+  collateralTokens,
+  priceMap,
+  metadataMap,
+  ltvMap,
+  { withdrawalRequest = null } = {}
+) => {
+  const metrics = { maxBorrow: 0n, totalCollateral: 0n, liquidationLimit: 0n };
 
-  collateralTokens.forEach((token) => {
-    const tokenAddr = (token.token || token[0]).toLowerCase();
-    const amount = token.amount || token[1];
-    const decimals = metadataMap.get(tokenAddr)?.decimals || DEFAULT_TOKEN_DECIMALS;
-    const price = priceMap.get(tokenAddr) || 0;
-    const ltv = LTV_CONFIG[tokenAddr] || 0;
+  const collateral = subtractPendingWithdrawal(collateralTokens, withdrawalRequest);
+  valueCollateral(collateral, priceMap, metadataMap, ltvMap).forEach((position) => {
+    metrics.maxBorrow += applyPercent(position.value, position.ltvWad);
+    metrics.totalCollateral += position.value;
+    metrics.liquidationLimit += applyPercent(position.value, position.liquidationThresholdWad);
+  });
 
-    // Convert to human-readable values
-    const amountFloat = Number(ethers.formatUnits(amount, decimals));
-    const priceFloat = price / PRICE_MULTIPLIER;
-    const valueUSD = amountFloat * priceFloat;
-    const borrowPower = valueUSD * (ltv / 100);
+  return metrics;
+};
 
-    calculatedMaxBorrowUSD += borrowPower;
-    calculatedTotalCollateralUSD += valueUSD;
+/**
+ * @typedef {Object} LiquidationPrice
+ * @property {number} price - Price (6 decimals) at which the vault becomes liquidatable
+ * @property {number} dropPercent - Fractional drop from the current price (0-1, 0 if already liquidatable)
+ */
+
+/**
+ * Calculates, for each collateral token, the price at which that token alone
+ * would push the vault into liquidation with all other prices held constant.
+ *
+ * Solves: otherLiquidationValue + amount * price * liquidationThreshold = debt
+ * in bigint, rounding the price down.
+ *
+ * @param {TokenBalance[]} collateralTokens - Array of collateral token balances
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, TokenMetadata>} metadataMap - Map of token address to metadata
+ * @param {Map<string, TokenLTVConfig>} ltvMap - Map of token address to LTV config
+ * @param {bigint|number} totalBorrow - Current debt in 6-decimal USD
+ * @returns {Map<string, LiquidationPrice|null>} Map of token address to liquidation price;
+ *   null when the token cannot trigger liquidation on its own (no debt, or safe even at $0)
+ */
+export const calculateLiquidationPrices = (
+  collateralTokens,
+  priceMap,
+  metadataMap,
+  ltvMap,
+  totalBorrow
+) => {
+  const debt = BigInt(totalBorrow ?? 0n);
+  const positions = valueCollateral(collateralTokens, priceMap, metadataMap, ltvMap);
+  const weighted = positions.map((p) => applyPercent(p.value, p.liquidationThresholdWad));
+  const liquidationLimit = weighted.reduce((sum, w) => sum + w, 0n);
+
+  const result = new Map();
+  positions.forEach((position, i) => {
+    // amount * threshold, in native units times DebtManager percent precision
+    const weight = position.amount * position.liquidationThresholdWad;
+    const needed = debt - (liquidationLimit - weighted[i]);
+    const liquidationPrice =
+      weight > 0n && needed > 0n
+        ? mulDiv(needed * HUNDRED_PERCENT, pow10(position.decimals), weight, ROUNDING.FLOOR)
+        : 0n;
+
+    if (debt <= 0n || liquidationPrice <= 0n) {
+      result.set(position.token, null);
+      return;
+    }
+
+    const dropPercent =
+      position.price > 0n ? 1 - Number(liquidationPrice) / Number(position.price) : 0;
+    result.set(position.token, {
+      price: Number(liquidationPrice),
+      dropPercent: Math.max(dropPercent, 0),
+    });
   });
 
-  return {
-    maxBorrow: BigInt(Math.floor(calculatedMaxBorrowUSD * PRICE_MULTIPLIER)),
-    totalCollateral: BigInt(Math.floor(calculatedTotalCollateralUSD * PRICE_MULTIPLIER)),
-  };
+  return result;
 };
 
 /**
@@ -71,31 +292,46 @@ export const calculateVaultMetrics = (collateralTokens, priceMap, metadataMap) =
  */
 export const toUSDFloat = (value) => {
   if (!value) return 0;
-  return Number(value) / PRICE_MULTIPLIER;
+  return toFloat(typeof value === 'bigint' ? value : Math.round(value), PRICE_DECIMALS);
 };
 
 /**
- * Converts a float USD value to 6-decimal integer.
+ * Converts a float USD value to 6-decimal integer, rounding down.
+ * Reads the value's decimal digits exactly, so 0.29 gives 290000 rather
+ * than the 289999 of a float multiplication.
  *
- * @param {number} value - Float USD value
- * @returns {number} Scaled integer (6 decimals)
+ * @param {number|string} value - Float USD value
+ * @returns {bigint} Scaled integer (6 decimals)
  */
-export const toUSDScaled = (value) => {
-  return Math.floor(value * PRICE_MULTIPLIER);
-};
+export const toUSDScaled = (value) => parseUSD(value);
 
 /**
- * Calculates the health factor (borrow usage ratio).
+ * Calculates the borrow utilisation (debt / max borrow).
+ * This is the point where no further borrowing is possible, not where
+ * liquidation happens; see calculateLiquidationHealthFactor for that.
  *
  * @param {number} currentBorrow - Current borrowed amount in USD
  * @param {number} maxBorrow - Maximum borrowable amount in USD
- * @returns {number} Health factor (0-1+, where 1 = fully utilized)
+ * @returns {number} Utilisation ratio (0-1+, where 1 = fully utilized)
  */
 export const calculateHealthFactor = (currentBorrow, maxBorrow) => {
   if (maxBorrow <= 0) return 0;
   return currentBorrow / maxBorrow;
 };
 
+/**
+ * Calculates the liquidation health factor: collateral value weighted by each
+ * token's liquidation threshold, divided by debt. Below 1 the vault can be liquidated.
+ *
+ * @param {number} currentBorrow - Current borrowed amount in USD
+ * @param {number} liquidationLimit - Liquidation-threshold-weighted collateral in USD
+ * @returns {number} Health factor (Infinity when there is no debt)
+ */
+export const calculateLiquidationHealthFactor = (currentBorrow, liquidationLimit) => {
+  if (currentBorrow <= 0) return Infinity;
+  return liquidationLimit / currentBorrow;
+};
+
 /**
  * Calculates the Loan-to-Value ratio.
  *
@@ -112,13 +348,13 @@ export const calculateLTV = (currentBorrow, totalCollateral) => {
  * Builds a price map from token price data.
  *
  * @param {Array<{token: string, amount: number|bigint}>} tokenPrices - Price data from contract
- * @returns {Map<string, number>} Map of lowercase address to price (6 decimals)
+ * @returns {Map<string, bigint>} Map of lowercase address to price (6 decimals)
  */
 export const buildPriceMap = (tokenPrices) => {
   const priceMap = new Map();
   if (tokenPrices) {
     tokenPrices.forEach((p) => {
-      priceMap.set(p.token.toLowerCase(), Number(p.amount));
+      priceMap.set(p.token.toLowerCase(), toPriceBigInt(p.amount));
     });
   }
   return priceMap;
@@ -127,16 +363,16 @@ export const buildPriceMap = (tokenPrices) => {
 /**
  * Merges original prices with simulated price overrides.
  *
- * @param {Array<{token: string, amount: number}>} originalPrices - Original price data
- * @param {Object<string, number>} simulatedPrices - Object of address to simulated price
- * @returns {Map<string, number>} Merged price map
+ * @param {Array<{token: string, amount: number|bigint}>} originalPrices - Original price data
+ * @param {Object<string, bigint|number>} simulatedPrices - Object of address to simulated price
+ * @returns {Map<string, bigint>} Merged price map
  */
 export const mergeSimulatedPrices = (originalPrices, simulatedPrices) => {
   const priceMap = buildPriceMap(originalPrices);
 
   // Override with simulated prices
   Object.keys(simulatedPrices).forEach((addr) => {
-    priceMap.set(addr, simulatedPrices[addr]);
+    priceMap.set(addr, toPriceBigInt(simulatedPrices[addr]));
   });
 
   return priceMap;
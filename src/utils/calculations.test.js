@@ -9,10 +9,14 @@ import {
   toUSDFloat,
   toUSDScaled,
   calculateHealthFactor,
+  calculateLiquidationHealthFactor,
   calculateLTV,
   buildPriceMap,
   mergeSimulatedPrices,
   calculateVaultMetrics,
+  calculateLiquidationPrices,
+  getTokenLTVConfig,
+  subtractPendingWithdrawal,
 } from './calculations';
 
 describe('toUSDFloat', () => {
@@ -35,14 +39,19 @@ describe('toUSDFloat', () => {
 
 describe('toUSDScaled', () => {
   it('converts float to 6-decimal scaled integer', () => {
-    expect(toUSDScaled(1)).toBe(1000000);
-    expect(toUSDScaled(1.5)).toBe(1500000);
-    expect(toUSDScaled(0.000001)).toBe(1);
+    expect(toUSDScaled(1)).toBe(1000000n);
+    expect(toUSDScaled(1.5)).toBe(1500000n);
+    expect(toUSDScaled(0.000001)).toBe(1n);
   });
 
   it('floors fractional values', () => {
-    expect(toUSDScaled(1.0000001)).toBe(1000000);
-    expect(toUSDScaled(1.9999999)).toBe(1999999);
+    expect(toUSDScaled(1.0000001)).toBe(1000000n);
+    expect(toUSDScaled(1.9999999)).toBe(1999999n);
+  });
+
+  it('reads decimal digits exactly instead of multiplying floats', () => {
+    expect(toUSDScaled(4.1)).toBe(4100000n);
+    expect(toUSDScaled(1.005)).toBe(1005000n);
   });
 });
 
@@ -62,6 +71,18 @@ describe('calculateHealthFactor', () => {
   });
 });
 
+describe('calculateLiquidationHealthFactor', () => {
+  it('divides threshold-weighted collateral by debt', () => {
+    expect(calculateLiquidationHealthFactor(50, 100)).toBe(2);
+    expect(calculateLiquidationHealthFactor(100, 100)).toBe(1);
+    expect(calculateLiquidationHealthFactor(200, 100)).toBe(0.5);
+  });
+
+  it('returns Infinity when there is no debt', () => {
+    expect(calculateLiquidationHealthFactor(0, 100)).toBe(Infinity);
+  });
+});
+
 describe('calculateLTV', () => {
   it('calculates loan-to-value ratio', () => {
     expect(calculateLTV(50, 100)).toBe(0.5);
@@ -81,15 +102,15 @@ describe('buildPriceMap', () => {
     ];
     const map = buildPriceMap(prices);
 
-    expect(map.get('0xabc')).toBe(1000000);
-    expect(map.get('0xdef')).toBe(2000000);
+    expect(map.get('0xabc')).toBe(1000000n);
+    expect(map.get('0xdef')).toBe(2000000n);
   });
 
   it('lowercases addresses', () => {
     const prices = [{ token: '0xABCDEF', amount: 1000000 }];
     const map = buildPriceMap(prices);
 
-    expect(map.get('0xabcdef')).toBe(1000000);
+    expect(map.get('0xabcdef')).toBe(1000000n);
     expect(map.has('0xABCDEF')).toBe(false);
   });
 
@@ -109,8 +130,8 @@ describe('mergeSimulatedPrices', () => {
 
     const merged = mergeSimulatedPrices(original, simulated);
 
-    expect(merged.get('0xaaa')).toBe(1500000); // Overridden
-    expect(merged.get('0xbbb')).toBe(2000000); // Original
+    expect(merged.get('0xaaa')).toBe(1500000n); // Overridden
+    expect(merged.get('0xbbb')).toBe(2000000n); // Original
   });
 });
 
@@ -161,4 +182,190 @@ describe('calculateVaultMetrics', () => {
     // But max borrow is 0 (0% LTV)
     expect(Number(result.maxBorrow) / 1e6).toBe(0);
   });
+
+  it('prefers LTV values from the ltvMap over LTV_CONFIG', () => {
+    const token = '0xf0bb20865277abd641a307ece5ee04e79073416c'; // 50% in LTV_CONFIG
+    const collateralTokens = [{ token, amount: BigInt('1000000000000000000') }];
+    const priceMap = new Map([[token, 1000000000]]);
+    const metadataMap = new Map([[token, { symbol: 'TEST', decimals: 18 }]]);
+    const ltvMap = new Map([[token, { ltv: 70, liquidationThreshold: 75, liquidationBonus: 5 }]]);
+
+    const result = calculateVaultMetrics(collateralTokens, priceMap, metadataMap, ltvMap);
+
+    expect(Number(result.maxBorrow) / 1e6).toBe(700);
+    expect(Number(result.liquidationLimit) / 1e6).toBe(750);
+  });
+
+  it('matches the DebtManager to the unit for large, fractional balances', () => {
+    const weETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+    const wBTC = '0x3c1bca5a656e69edcd0d4e36bebb3fcdaca60cf1';
+    const collateralTokens = [
+      { token: weETH, amount: 123456789012345678901234n }, // 123456.789... weETH
+      { token: wBTC, amount: 1234567891n }, // 12.34567891 wBTC
+    ];
+    const priceMap = new Map([
+      [weETH, 3456789012], // $3456.789012
+      [wBTC, 98765432109], // $98765.432109
+    ]);
+    const metadataMap = new Map([
+      [weETH, { symbol: 'weETH', decimals: 18 }],
+      [wBTC, { symbol: 'WBTC', decimals: 8 }],
+    ]);
+    const ltvMap = new Map([
+      [weETH, { ltv: 72.5, liquidationThreshold: 80, liquidationBonus: 5 }],
+      [wBTC, { ltv: 65.3, liquidationThreshold: 77.7, liquidationBonus: 3 }],
+    ]);
+
+    // Expected values worked out by hand from the contract's uint256 formula: per
+    // token, value = amount * price / 10^decimals and value * ltv / 100e18, rounded
+    // down. Captured contract outputs are replayed in api.test.js.
+    expect(calculateVaultMetrics(collateralTokens, priceMap, metadataMap, ltvMap)).toEqual({
+      totalCollateral: 427983398026903n,
+      maxBorrow: 310200172075023n,
+      liquidationLimit: 342358673916340n,
+    });
+  });
+
+  it('weights by the raw on-chain wads rather than the display percentages', () => {
+    const token = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+    const collateralTokens = [{ token, amount: 10n ** 18n }];
+    const priceMap = new Map([[token, 3000_000000]]);
+    const metadataMap = new Map([[token, { symbol: 'weETH', decimals: 18 }]]);
+    // 33.33...% does not survive a round-trip through a float (33.333333333333336)
+    const ltvWad = 33333333333333333333n;
+    const config = { ltv: 33.333333333333336, liquidationThreshold: 50, liquidationBonus: 5 };
+    const ltvMap = new Map([
+      [token, { ...config, ltvWad, liquidationThresholdWad: 50n * 10n ** 18n }],
+    ]);
+
+    const result = calculateVaultMetrics(collateralTokens, priceMap, metadataMap, ltvMap);
+
+    // 3000e6 * 33333333333333333333 / 100e18, rounded down
+    expect(result.maxBorrow).toBe(999999999n);
+    expect(result.liquidationLimit).toBe(1500_000000n);
+    // The float alone would give 1000000000
+    const floatOnly = calculateVaultMetrics(
+      collateralTokens,
+      priceMap,
+      metadataMap,
+      new Map([[token, config]])
+    );
+    expect(floatOnly.maxBorrow).toBe(1000_000000n);
+  });
+
+  it('takes a pending withdrawal out of the collateral in the post-withdrawal view', () => {
+    const token = '0xf0bb20865277abd641a307ece5ee04e79073416c'; // 50% in LTV_CONFIG
+    const collateralTokens = [{ token, amount: BigInt('2000000000000000000') }];
+    const priceMap = new Map([[token, 1000000000]]);
+    const metadataMap = new Map([[token, { symbol: 'TEST', decimals: 18 }]]);
+    const withdrawalRequest = {
+      tokens: [{ token, amount: BigInt('500000000000000000') }],
+      recipient: '0x00000000000000000000000000000000000000aa',
+      finalizeTime: 0,
+    };
+
+    const result = calculateVaultMetrics(collateralTokens, priceMap, metadataMap, undefined, {
+      withdrawalRequest,
+    });
+
+    expect(Number(result.totalCollateral) / 1e6).toBe(1500);
+    expect(Number(result.maxBorrow) / 1e6).toBe(750);
+  });
+});
+
+describe('subtractPendingWithdrawal', () => {
+  const WETH = '0x5300000000000000000000000000000000000004';
+  const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+  it('subtracts withdrawn amounts case-insensitively and drops emptied tokens', () => {
+    const balances = [
+      { token: WETH, amount: 3n * 10n ** 18n },
+      { token: USDC, amount: 400n * 10n ** 6n },
+    ];
+    const request = {
+      tokens: [
+        { token: WETH, amount: 10n ** 18n },
+        { token: USDC.toUpperCase().replace('0X', '0x'), amount: 500n * 10n ** 6n },
+      ],
+    };
+
+    expect(subtractPendingWithdrawal(balances, request)).toEqual([
+      { token: WETH, amount: 2n * 10n ** 18n },
+    ]);
+  });
+
+  it('returns the balances unchanged without a withdrawal', () => {
+    const balances = [{ token: WETH, amount: 1n }];
+    expect(subtractPendingWithdrawal(balances, null)).toBe(balances);
+  });
+});
+
+describe('getTokenLTVConfig', () => {
+  it('returns the ltvMap entry when present', () => {
+    const config = { ltv: 60, liquidationThreshold: 70, liquidationBonus: 2 };
+    expect(getTokenLTVConfig('0xabc', new Map([['0xabc', config]]))).toBe(config);
+  });
+
+  it('falls back to LTV_CONFIG with the LTV as liquidation threshold', () => {
+    expect(getTokenLTVConfig('0x01f0a31698c4d065659b9bdc21b3610292a1c506')).toEqual({
+      ltv: 55,
+      liquidationThreshold: 55,
+      liquidationBonus: 0,
+    });
+    expect(getTokenLTVConfig('0x0000000000000000000000000000000000000000').ltv).toBe(0);
+  });
+});
+
+describe('calculateLiquidationPrices', () => {
+  const ETH = '0x5300000000000000000000000000000000000004';
+  const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+  const collateralTokens = [
+    { token: ETH, amount: BigInt('2000000000000000000') }, // 2 ETH
+    { token: USDC, amount: BigInt('1000000000') }, // 1000 USDC
+  ];
+  const priceMap = new Map([
+    [ETH, 2000000000], // $2000
+    [USDC, 1000000], // $1
+  ]);
+  const metadataMap = new Map([
+    [ETH, { symbol: 'WETH', decimals: 18 }],
+    [USDC, { symbol: 'USDC', decimals: 6 }],
+  ]);
+  const ltvMap = new Map([
+    [ETH, { ltv: 50, liquidationThreshold: 80, liquidationBonus: 5 }],
+    [USDC, { ltv: 90, liquidationThreshold: 90, liquidationBonus: 2 }],
+  ]);
+
+  it('solves the price at which each token alone triggers liquidation', () => {
+    // Debt $2500: USDC contributes $900, so ETH liquidates at (2500 - 900) / (2 * 0.8) = $1000
+    const result = calculateLiquidationPrices(
+      collateralTokens,
+      priceMap,
+      metadataMap,
+      ltvMap,
+      2500000000n
+    );
+
+    expect(result.get(ETH).price).toBe(1000000000);
+    expect(result.get(ETH).dropPercent).toBeCloseTo(0.5);
+    // ETH alone covers $3200 > $2500, so USDC cannot trigger liquidation
+    expect(result.get(USDC)).toBeNull();
+  });
+
+  it('returns null for every token when there is no debt', () => {
+    const result = calculateLiquidationPrices(collateralTokens, priceMap, metadataMap, ltvMap, 0n);
+    expect(result.get(ETH)).toBeNull();
+    expect(result.get(USDC)).toBeNull();
+  });
+
+  it('reports a zero drop when the vault is already liquidatable', () => {
+    const result = calculateLiquidationPrices(
+      collateralTokens,
+      priceMap,
+      metadataMap,
+      ltvMap,
+      5000000000n
+    );
+    expect(result.get(ETH).dropPercent).toBe(0);
+  });
 });
@@ -0,0 +1,173 @@
+/**
+ * Card & Spending Data
+ *
+ * Helpers for the card-related parts of SafeCashData: the debit/credit mode
+ * and a pending switch between them, and a pending withdrawal, which still
+ * sits in the Safe but will leave it once finalized, together with its
+ * projected effect on the risk metrics, and comparisons of what the card can
+ * spend under different debt-service token orderings.
+ */
+
+import { SAFE_MODES, SAFE_MODE_LABELS } from './constants.js';
+import { calculateVaultMetrics } from './calculations.js';
+import { summarizeVault } from './portfolio.js';
+
+// Limits a pending withdrawal can push the vault over once it finalizes
+export const WITHDRAWAL_WARNINGS = {
+  OVER_MAX_BORROW: 'over-max-borrow', // Debt above max borrow: no new spending or borrowing
+  LIQUIDATABLE: 'liquidatable', // Debt above the liquidation limit
+};
+
+/**
+ * Current Unix time in seconds.
+ *
+ * @returns {number} Seconds since the epoch
+ */
+export const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Describes the card mode and any scheduled switch.
+ * A switch is pending while incomingModeStartTime is in the future; it
+ * always goes to the other mode.
+ *
+ * @param {{mode: number, incomingModeStartTime: number}} data - Vault data
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {{mode: number, label: string, incomingMode: number|null, incomingLabel: string|null, secondsUntilSwitch: number}}
+ *   Mode status (incomingMode is null without a pending switch)
+ */
+export const getModeStatus = ({ mode, incomingModeStartTime }, now = nowSeconds()) => {
+  const pending = incomingModeStartTime > now;
+  const otherMode = mode === SAFE_MODES.DEBIT ? SAFE_MODES.CREDIT : SAFE_MODES.DEBIT;
+  const incomingMode = pending ? otherMode : null;
+
+  return {
+    mode,
+    label: SAFE_MODE_LABELS[mode] ?? `Mode ${mode}`,
+    incomingMode,
+    incomingLabel: pending ? SAFE_MODE_LABELS[incomingMode] : null,
+    secondsUntilSwitch: pending ? incomingModeStartTime - now : 0,
+  };
+};
+
+/**
+ * Seconds left before a pending withdrawal can be finalized (0 once it can).
+ *
+ * @param {{finalizeTime: number}|null} withdrawalRequest - Pending withdrawal
+ * @param {number} [now] - Current Unix time in seconds
+ * @returns {number} Seconds until finalization
+ */
+export const getSecondsToFinalize = (withdrawalRequest, now = nowSeconds()) =>
+  withdrawalRequest ? Math.max(0, withdrawalRequest.finalizeTime - now) : 0;
+
+/**
+ * @typedef {Object} WithdrawalProjection
+ * @property {import('./portfolio.js').VaultSummary} current - Summary with the withdrawn tokens still in the Safe
+ * @property {import('./portfolio.js').VaultSummary} projected - Summary after the withdrawal finalizes
+ * @property {string[]} warnings - WITHDRAWAL_WARNINGS the projected vault triggers
+ */
+
+/**
+ * Projects a vault's utilisation and liquidation distance after its pending
+ * withdrawal finalizes, at the given prices and debt.
+ *
+ * @param {{collateralBalances: Array, totalBorrow: bigint, withdrawalRequest: Object|null}} vault -
+ *   Collateral, debt (6-decimal USD) and pending withdrawal
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, {decimals: number}>} metadataMap - Map of token address to metadata
+ * @param {Map<string, Object>} [ltvMap] - Map of token address to LTV config
+ * @returns {WithdrawalProjection|null} Projection, or null without a pending withdrawal
+ */
+export const projectWithdrawal = (
+  { collateralBalances, totalBorrow, withdrawalRequest },
+  priceMap,
+  metadataMap,
+  ltvMap
+) => {
+  if (!withdrawalRequest) return null;
+
+  const summarize = (options) =>
+    summarizeVault({
+      ...calculateVaultMetrics(collateralBalances, priceMap, metadataMap, ltvMap, options),
+      totalBorrow,
+    });
+  const projected = summarize({ withdrawalRequest });
+
+  const warnings = [];
+  if (projected.totalBorrow > projected.maxBorrow) warnings.push(WITHDRAWAL_WARNINGS.OVER_MAX_BORROW);
+  if (projected.totalBorrow > 0 && projected.liquidationDistance === 0) {
+    warnings.push(WITHDRAWAL_WARNINGS.LIQUIDATABLE);
+  }
+
+  return { current: summarize(), projected, warnings };
+};
+
+/**
+ * @typedef {Object} SpendingComparisonRow
+ * @property {string} token - Lowercase token address
+ * @property {bigint} baseAmount - Spendable amount with the default ordering (native units)
+ * @property {bigint} baseUSD - Its value in 6-decimal USD
+ * @property {bigint} preferredAmount - Spendable amount with the preferred ordering
+ * @property {bigint} preferredUSD - Its value in 6-decimal USD
+ */
+
+/**
+ * Lines up the card spending figures of two getSafeCashData results that
+ * differ only in debtServiceTokenPreference.
+ *
+ * @param {Object} base - Vault data fetched with the default ordering
+ * @param {Object} preferred - Vault data fetched with the preferred ordering
+ * @param {string[]} [order] - Preferred token order; rows follow it, other tokens come last
+ * @returns {{rows: SpendingComparisonRow[], totals: {base: bigint, preferred: bigint},
+ *   creditMaxSpend: {base: bigint, preferred: bigint}}} Side-by-side figures
+ */
+export const compareSpending = (base, preferred, order = []) => {
+  const rowsByToken = new Map();
+  const getRow = (token) => {
+    const key = token.toLowerCase();
+    if (!rowsByToken.has(key)) {
+      rowsByToken.set(key, {
+        token: key,
+        baseAmount: 0n,
+        baseUSD: 0n,
+        preferredAmount: 0n,
+        preferredUSD: 0n,
+      });
+    }
+    return rowsByToken.get(key);
+  };
+
+  order.forEach(getRow);
+  base.debitMaxSpend.spendable.forEach(({ token, amount, amountUSD }) => {
+    Object.assign(getRow(token), { baseAmount: amount, baseUSD: amountUSD });
+  });
+  preferred.debitMaxSpend.spendable.forEach(({ token, amount, amountUSD }) => {
+    Object.assign(getRow(token), { preferredAmount: amount, preferredUSD: amountUSD });
+  });
+
+  return {
+    rows: [...rowsByToken.values()],
+    totals: {
+      base: base.debitMaxSpend.totalSpendableInUsd,
+      preferred: preferred.debitMaxSpend.totalSpendableInUsd,
+    },
+    creditMaxSpend: { base: base.creditMaxSpend, preferred: preferred.creditMaxSpend },
+  };
+};
+
+/**
+ * Formats a duration as a short countdown (e.g. "2d 4h", "3h 12m", "45s").
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Countdown text
+ */
+export const formatCountdown = (seconds) => {
+  const s = Math.max(0, Math.floor(seconds));
+  const days = Math.floor(s / 86400);
+  const hours = Math.floor((s % 86400) / 3600);
+  const minutes = Math.floor((s % 3600) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${s % 60}s`;
+  return `${s}s`;
+};
@@ -0,0 +1,123 @@
+/**
+ * Card & Spending Data Tests
+ *
+ * Unit tests for mode switches, withdrawal countdowns and the projected
+ * effect of a pending withdrawal on the risk metrics.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getModeStatus,
+  getSecondsToFinalize,
+  projectWithdrawal,
+  compareSpending,
+  formatCountdown,
+  WITHDRAWAL_WARNINGS,
+} from './cashData';
+import { SAFE_MODES } from './constants';
+
+const WETH = '0x5300000000000000000000000000000000000004';
+const NOW = 1_700_000_000;
+
+describe('getModeStatus', () => {
+  it('reports a pending switch to the other mode', () => {
+    expect(getModeStatus({ mode: SAFE_MODES.DEBIT, incomingModeStartTime: NOW + 90 }, NOW)).toEqual({
+      mode: SAFE_MODES.DEBIT,
+      label: 'Debit',
+      incomingMode: SAFE_MODES.CREDIT,
+      incomingLabel: 'Credit',
+      secondsUntilSwitch: 90,
+    });
+  });
+
+  it('ignores switch times in the past', () => {
+    const status = getModeStatus({ mode: SAFE_MODES.CREDIT, incomingModeStartTime: NOW - 1 }, NOW);
+    expect(status.incomingMode).toBeNull();
+    expect(status.secondsUntilSwitch).toBe(0);
+  });
+});
+
+describe('getSecondsToFinalize', () => {
+  it('counts down to the finalize time', () => {
+    const request = { tokens: [{ token: WETH, amount: 10n ** 18n }], finalizeTime: NOW + 3600 };
+
+    expect(getSecondsToFinalize(request, NOW)).toBe(3600);
+    expect(getSecondsToFinalize(request, NOW + 7200)).toBe(0);
+    expect(getSecondsToFinalize(null, NOW)).toBe(0);
+  });
+});
+
+describe('projectWithdrawal', () => {
+  // 2 wETH at $1000 with 50% LTV and 80% liquidation threshold
+  const priceMap = new Map([[WETH, 1000 * 1e6]]);
+  const metadataMap = new Map([[WETH, { symbol: 'wETH', decimals: 18 }]]);
+  const ltvMap = new Map([[WETH, { ltv: 50, liquidationThreshold: 80, liquidationBonus: 5 }]]);
+  const vault = (totalBorrow, withdrawWeth) => ({
+    collateralBalances: [{ token: WETH, amount: 2n * 10n ** 18n }],
+    totalBorrow: totalBorrow * 10n ** 6n,
+    withdrawalRequest: {
+      tokens: [{ token: WETH, amount: withdrawWeth }],
+      recipient: '0x00000000000000000000000000000000000000aa',
+      finalizeTime: NOW,
+    },
+  });
+
+  it('projects utilisation and liquidation distance after finalization', () => {
+    const projection = projectWithdrawal(vault(500n, 10n ** 18n), priceMap, metadataMap, ltvMap);
+
+    expect(projection.current.utilisation).toBe(0.5);
+    expect(projection.projected.utilisation).toBe(1);
+    expect(projection.current.liquidationDistance).toBeCloseTo(1 - 500 / 1600);
+    expect(projection.projected.liquidationDistance).toBeCloseTo(1 - 500 / 800);
+    expect(projection.warnings).toEqual([]);
+  });
+
+  it('warns when the withdrawal pushes the vault over its limits', () => {
+    expect(
+      projectWithdrawal(vault(600n, 10n ** 18n), priceMap, metadataMap, ltvMap).warnings
+    ).toEqual([WITHDRAWAL_WARNINGS.OVER_MAX_BORROW]);
+    expect(
+      projectWithdrawal(vault(600n, 3n * 10n ** 18n / 2n), priceMap, metadataMap, ltvMap).warnings
+    ).toEqual([WITHDRAWAL_WARNINGS.OVER_MAX_BORROW, WITHDRAWAL_WARNINGS.LIQUIDATABLE]);
+  });
+
+  it('returns null without a pending withdrawal', () => {
+    expect(
+      projectWithdrawal({ ...vault(0n, 0n), withdrawalRequest: null }, priceMap, metadataMap, ltvMap)
+    ).toBeNull();
+  });
+});
+
+describe('compareSpending', () => {
+  const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+  const spending = (spendable, creditMaxSpend) => ({
+    creditMaxSpend,
+    debitMaxSpend: {
+      spendable: spendable.map(([token, amount, amountUSD]) => ({ token, amount, amountUSD })),
+      totalSpendableInUsd: spendable.reduce((sum, [, , usd]) => sum + usd, 0n),
+    },
+  });
+
+  it('lines up both orderings token by token, in the preferred order', () => {
+    const base = spending([[USDC, 100n, 100n]], 50n);
+    const preferred = spending([[WETH.toUpperCase().replace('0X', '0x'), 1n, 2000n]], 80n);
+
+    expect(compareSpending(base, preferred, [WETH, USDC])).toEqual({
+      rows: [
+        { token: WETH, baseAmount: 0n, baseUSD: 0n, preferredAmount: 1n, preferredUSD: 2000n },
+        { token: USDC, baseAmount: 100n, baseUSD: 100n, preferredAmount: 0n, preferredUSD: 0n },
+      ],
+      totals: { base: 100n, preferred: 2000n },
+      creditMaxSpend: { base: 50n, preferred: 80n },
+    });
+  });
+});
+
+describe('formatCountdown', () => {
+  it('shows the two largest units', () => {
+    expect(formatCountdown(2 * 86400 + 4 * 3600 + 5)).toBe('2d 4h');
+    expect(formatCountdown(3 * 3600 + 12 * 60)).toBe('3h 12m');
+    expect(formatCountdown(125)).toBe('2m 5s');
+    expect(formatCountdown(-3)).toBe('0s');
+  });
+});
@@ -11,6 +11,35 @@ export const PRICE_MULTIPLIER = 1e6;
 // Default token decimals when metadata fetch fails
 export const DEFAULT_TOKEN_DECIMALS = 18;
 
+// DebtManager stores percentages with 18 decimals (HUNDRED_PERCENT = 100e18)
+export const DEBT_MANAGER_PERCENT_DECIMALS = 18;
+
+// Where a token's LTV parameters came from
+export const LTV_SOURCES = {
+  ON_CHAIN: 'on-chain', // DebtManager.collateralTokenConfig
+  FALLBACK: 'fallback', // Hardcoded LTV_CONFIG table
+};
+
+// Where a token's borrow rate came from
+export const BORROW_RATE_SOURCES = {
+  ON_CHAIN: 'on-chain', // DebtManager.borrowApyPerSecond
+  FALLBACK: 'fallback', // BORROW_APY_CONFIG from the network's token list
+};
+
+// The DebtManager quotes borrow rates per second; rates are annualised over 365 days
+export const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// Cash card modes (CashLens `mode`, enum Mode)
+export const SAFE_MODES = {
+  DEBIT: 0, // Card spends the Safe's own tokens
+  CREDIT: 1, // Card spends borrowed funds
+};
+
+export const SAFE_MODE_LABELS = {
+  [SAFE_MODES.DEBIT]: 'Debit',
+  [SAFE_MODES.CREDIT]: 'Credit',
+};
+
 // Error codes from smart contracts
 export const CONTRACT_ERRORS = {
   INVALID_SAFE: '0x34d0b499', // CashLens error for non-Safe addresses
@@ -19,12 +48,30 @@ export const CONTRACT_ERRORS = {
 // Error messages for user display
 export const ERROR_MESSAGES = {
   INVALID_SAFE: 'This address is not a valid Ether.fi Safe.',
-  FETCH_FAILED: 'Could not fetch vault data. Ensure address is a valid Safe on Scroll.',
+  FETCH_FAILED: 'Could not fetch vault data. Ensure address is a valid Safe on the selected network.',
   UNKNOWN: 'An unknown error occurred while fetching data.',
 };
 
+// Safes per Multicall3 request when loading a portfolio (keeps eth_call gas in check)
+export const PORTFOLIO_BATCH_SIZE = 20;
+
+// How often the loaded vault is re-checked for risk alerts in the browser
+export const ALERT_POLL_INTERVAL_MS = 60_000;
+
+// Quiet period before the scenario is written to the URL hash, so dragging the
+// debt gauge does not call history.replaceState on every mousemove
+export const URL_STATE_DEBOUNCE_MS = 300;
+
+// Delay before a download's blob URL is revoked; Firefox and Safari cancel
+// the download if it is revoked before the download has started
+export const BLOB_URL_REVOKE_DELAY_MS = 1000;
+
+// Alert history entries kept per vault
+export const MAX_ALERT_HISTORY = 50;
+
+// Difference between on-chain and recalculated metrics above which the
+// reconciliation view flags them, in basis points (10 = 0.1%)
+export const RECONCILIATION_TOLERANCE_BPS = 10;
+
 // Ethereum address validation regex
 export const ETH_ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
-
-// Default APY display for borrowed assets (for UI display only)
-export const DEFAULT_BORROW_APY = 4;
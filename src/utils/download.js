@@ -0,0 +1,42 @@
+/**
+ * Download Utilities
+ *
+ * Browser helpers for saving generated content as a file.
+ */
+
+import { BLOB_URL_REVOKE_DELAY_MS } from './constants.js';
+
+/**
+ * Triggers a browser download of text content.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} [mimeType] - MIME type of the content
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), BLOB_URL_REVOKE_DELAY_MS);
+};
+
+/**
+ * Reads a user-selected file as text.
+ *
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<string>} File contents
+ */
+export const readFileAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
@@ -0,0 +1,178 @@
+/**
+ * Fixed-Point Math
+ *
+ * Exact bigint arithmetic for token amounts, 6-decimal USD values and
+ * DebtManager percentages, with the rounding modes of OpenZeppelin's
+ * Math.mulDiv. The DebtManager values collateral per token as
+ * amount * price / 10^decimals and weights it by LTV or liquidation
+ * threshold as value * percent / HUNDRED_PERCENT, both rounded down;
+ * repeating that per token (instead of on float sums) reproduces its
+ * maxBorrow to the unit.
+ */
+
+import { DEBT_MANAGER_PERCENT_DECIMALS, PRICE_DECIMALS } from './constants.js';
+
+// Same names and meaning as OpenZeppelin's Math.Rounding
+export const ROUNDING = {
+  FLOOR: 'floor', // Toward negative infinity
+  CEIL: 'ceil', // Toward positive infinity
+  TRUNC: 'trunc', // Toward zero
+  EXPAND: 'expand', // Away from zero
+};
+
+// 100% in DebtManager precision (100e18)
+export const HUNDRED_PERCENT = 100n * 10n ** BigInt(DEBT_MANAGER_PERCENT_DECIMALS);
+
+/**
+ * Returns 10^decimals as a bigint.
+ *
+ * @param {number} decimals - Number of decimals
+ * @returns {bigint} Scale factor
+ */
+export const pow10 = (decimals) => 10n ** BigInt(decimals);
+
+/**
+ * Computes a * b / denominator with full precision and the given rounding.
+ *
+ * @param {bigint} a - First factor
+ * @param {bigint} b - Second factor
+ * @param {bigint} denominator - Divisor (non-zero)
+ * @param {string} [rounding] - One of ROUNDING (defaults to FLOOR)
+ * @returns {bigint} Rounded quotient
+ * @throws {RangeError} If the denominator is 0
+ */
+export const mulDiv = (a, b, denominator, rounding = ROUNDING.FLOOR) => {
+  if (denominator === 0n) throw new RangeError('mulDiv: division by zero');
+
+  const product = BigInt(a) * BigInt(b);
+  const quotient = product / denominator; // Truncates toward zero
+  if (product % denominator === 0n) return quotient;
+
+  const negative = product < 0n !== denominator < 0n;
+  switch (rounding) {
+    case ROUNDING.FLOOR:
+      return negative ? quotient - 1n : quotient;
+    case ROUNDING.CEIL:
+      return negative ? quotient : quotient + 1n;
+    case ROUNDING.EXPAND:
+      return negative ? quotient - 1n : quotient + 1n;
+    case ROUNDING.TRUNC:
+      return quotient;
+    default:
+      throw new RangeError(`Unknown rounding mode: ${rounding}`);
+  }
+};
+
+/**
+ * Divides with the given rounding.
+ *
+ * @param {bigint} a - Dividend
+ * @param {bigint} b - Divisor (non-zero)
+ * @param {string} [rounding] - One of ROUNDING (defaults to FLOOR)
+ * @returns {bigint} Rounded quotient
+ */
+export const divRound = (a, b, rounding = ROUNDING.FLOOR) => mulDiv(a, 1n, b, rounding);
+
+/**
+ * Parses a decimal number or string (including exponent notation such as
+ * 1e-7) into a fixed-point bigint. Numbers are read from their shortest
+ * decimal representation, so 0.29 becomes exactly 290000 at 6 decimals.
+ *
+ * @param {number|string|bigint} value - Decimal value
+ * @param {number} decimals - Decimals of the result
+ * @param {string} [rounding] - Rounding for digits beyond `decimals` (defaults to FLOOR)
+ * @returns {bigint} Value scaled by 10^decimals
+ * @throws {RangeError} If the value is not a finite decimal number
+ */
+export const parseFixed = (value, decimals, rounding = ROUNDING.FLOOR) => {
+  if (typeof value === 'bigint') return value * pow10(decimals);
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new RangeError(`Invalid decimal number: ${value}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  const digits = BigInt(`${sign === '-' ? '-' : ''}${whole}${fraction}` || '0');
+  const shift = Number(exponent) - fraction.length + decimals;
+  return shift >= 0 ? digits * pow10(shift) : divRound(digits, pow10(-shift), rounding);
+};
+
+/**
+ * Converts a fixed-point bigint to the nearest float, for display and
+ * statistics only.
+ *
+ * @param {bigint|number} value - Fixed-point value
+ * @param {number} decimals - Decimals of the value
+ * @returns {number} Float value
+ */
+export const toFloat = (value, decimals) => {
+  const scale = pow10(decimals);
+  const big = BigInt(value);
+  const whole = big / scale;
+  const fraction = big % scale;
+  const sign = big < 0n ? '-' : '';
+  const abs = (n) => (n < 0n ? -n : n);
+  return Number(`${sign}${abs(whole)}.${abs(fraction).toString().padStart(decimals, '0')}`);
+};
+
+/**
+ * Values a token amount in 6-decimal USD, like the DebtManager's
+ * convertCollateralTokenToUsd (amount * price / 10^decimals, rounded down).
+ *
+ * @param {bigint} amount - Token amount in native units
+ * @param {bigint|number} price - Token price in 6-decimal USD
+ * @param {number} decimals - Token decimals
+ * @param {string} [rounding] - One of ROUNDING (defaults to FLOOR)
+ * @returns {bigint} Value in 6-decimal USD
+ */
+export const tokenToUSD = (amount, price, decimals, rounding = ROUNDING.FLOOR) =>
+  mulDiv(BigInt(amount), BigInt(price), pow10(decimals), rounding);
+
+/**
+ * Converts a 6-decimal USD value to a token amount at the given price.
+ *
+ * @param {bigint} valueUSD - Value in 6-decimal USD
+ * @param {bigint|number} price - Token price in 6-decimal USD (non-zero)
+ * @param {number} decimals - Token decimals
+ * @param {string} [rounding] - One of ROUNDING (defaults to FLOOR)
+ * @returns {bigint} Token amount in native units
+ */
+export const usdToToken = (valueUSD, price, decimals, rounding = ROUNDING.FLOOR) =>
+  mulDiv(BigInt(valueUSD), pow10(decimals), BigInt(price), rounding);
+
+/**
+ * Converts a plain percentage (e.g. 72.5) to DebtManager precision (72.5e18).
+ * Exact for any percentage written with up to 18 decimals.
+ *
+ * @param {number|string} percent - Percentage
+ * @returns {bigint} Percentage with 18 decimals
+ */
+export const percentToWad = (percent) => parseFixed(percent, DEBT_MANAGER_PERCENT_DECIMALS);
+
+/**
+ * Applies a percentage to a value, like the DebtManager's
+ * value * percent / HUNDRED_PERCENT (rounded down by default).
+ *
+ * @param {bigint} value - Fixed-point value
+ * @param {number|string|bigint} percent - Plain percentage, or a bigint already in 18 decimals
+ * @param {string} [rounding] - One of ROUNDING (defaults to FLOOR)
+ * @returns {bigint} Weighted value in the same precision as `value`
+ */
+export const applyPercent = (value, percent, rounding = ROUNDING.FLOOR) =>
+  mulDiv(
+    BigInt(value),
+    typeof percent === 'bigint' ? percent : percentToWad(percent),
+    HUNDRED_PERCENT,
+    rounding
+  );
+
+/**
+ * Parses a float USD amount into 6-decimal USD.
+ *
+ * @param {number|string} value - USD amount
+ * @param {string} [rounding] - One of ROUNDING (defaults to FLOOR)
+ * @returns {bigint} Value in 6-decimal USD
+ */
+export const parseUSD = (value, rounding = ROUNDING.FLOOR) =>
+  parseFixed(value, PRICE_DECIMALS, rounding);
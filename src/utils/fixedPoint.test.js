@@ -0,0 +1,103 @@
+/**
+ * Fixed-Point Math Tests
+ *
+ * Unit tests for bigint rounding, decimal parsing and the DebtManager-style
+ * USD and percentage conversions.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  ROUNDING,
+  HUNDRED_PERCENT,
+  mulDiv,
+  divRound,
+  parseFixed,
+  toFloat,
+  tokenToUSD,
+  usdToToken,
+  percentToWad,
+  applyPercent,
+  parseUSD,
+} from './fixedPoint';
+
+describe('mulDiv', () => {
+  it('rounds like OpenZeppelin Math.mulDiv', () => {
+    expect(mulDiv(7n, 3n, 2n, ROUNDING.FLOOR)).toBe(10n);
+    expect(mulDiv(7n, 3n, 2n, ROUNDING.CEIL)).toBe(11n);
+    expect(mulDiv(7n, 3n, 2n, ROUNDING.TRUNC)).toBe(10n);
+    expect(mulDiv(7n, 3n, 2n, ROUNDING.EXPAND)).toBe(11n);
+    expect(mulDiv(6n, 3n, 2n, ROUNDING.CEIL)).toBe(9n);
+  });
+
+  it('rounds negative results toward the right infinity', () => {
+    expect(divRound(-7n, 2n, ROUNDING.FLOOR)).toBe(-4n);
+    expect(divRound(-7n, 2n, ROUNDING.CEIL)).toBe(-3n);
+    expect(divRound(-7n, 2n, ROUNDING.TRUNC)).toBe(-3n);
+    expect(divRound(-7n, 2n, ROUNDING.EXPAND)).toBe(-4n);
+  });
+
+  it('keeps full precision for products beyond 256 bits', () => {
+    const big = 2n ** 255n;
+    expect(mulDiv(big, big, big)).toBe(big);
+  });
+
+  it('rejects a zero denominator and unknown rounding modes', () => {
+    expect(() => mulDiv(1n, 1n, 0n)).toThrow(RangeError);
+    expect(() => mulDiv(1n, 1n, 3n, 'nearest')).toThrow('Unknown rounding mode');
+  });
+});
+
+describe('parseFixed', () => {
+  it('reads the decimal digits of a number exactly', () => {
+    // Math.floor(x * 1e6) gives 4099999, 8199999 and 1004999
+    expect(parseUSD(4.1)).toBe(4_100000n);
+    expect(parseUSD(8.2)).toBe(8_200000n);
+    expect(parseUSD(1.005)).toBe(1_005000n);
+  });
+
+  it('handles exponents, signs and extra digits with the given rounding', () => {
+    expect(parseFixed(1e-7, 6)).toBe(0n);
+    expect(parseFixed(1e-7, 6, ROUNDING.CEIL)).toBe(1n);
+    expect(parseFixed('1.5e3', 2)).toBe(150000n);
+    expect(parseFixed('-1.0000015', 6)).toBe(-1_000002n);
+    expect(parseFixed('.5', 1)).toBe(5n);
+    expect(parseFixed(3n, 6)).toBe(3_000000n);
+  });
+
+  it('rejects values that are not finite decimals', () => {
+    expect(() => parseFixed('abc', 6)).toThrow('Invalid decimal number');
+    expect(() => parseFixed(Infinity, 6)).toThrow(RangeError);
+    expect(() => parseFixed('', 6)).toThrow(RangeError);
+  });
+});
+
+describe('toFloat', () => {
+  it('converts fixed-point values to the nearest float', () => {
+    expect(toFloat(123_456789n, 6)).toBe(123.456789);
+    expect(toFloat(-500000n, 6)).toBe(-0.5);
+    expect(toFloat(42n, 0)).toBe(42);
+  });
+});
+
+describe('DebtManager conversions', () => {
+  it('values token amounts as amount * price / 10^decimals, rounded down', () => {
+    // 123456.789012345678901234 weETH at $3456.789012
+    expect(tokenToUSD(123456789012345678901234n, 3456_789012n, 18)).toBe(426764071714678n);
+    expect(tokenToUSD(1n, 3456_789012n, 18)).toBe(0n);
+    expect(tokenToUSD(1n, 3456_789012n, 18, ROUNDING.CEIL)).toBe(1n);
+  });
+
+  it('converts USD back to token amounts', () => {
+    expect(usdToToken(1000_000000n, 2000_000000n, 18)).toBe(5n * 10n ** 17n);
+    expect(usdToToken(1n, 3_000000n, 6, ROUNDING.CEIL)).toBe(1n);
+  });
+
+  it('applies percentages in 18-decimal precision', () => {
+    expect(percentToWad(72.5)).toBe(725n * 10n ** 17n);
+    expect(percentToWad('33.333333333333333333')).toBe(33333333333333333333n);
+    expect(applyPercent(1000_000000n, 72.5)).toBe(725_000000n);
+    expect(applyPercent(3n, 50)).toBe(1n);
+    expect(applyPercent(3n, 50, ROUNDING.CEIL)).toBe(2n);
+    expect(applyPercent(1000n, HUNDRED_PERCENT / 3n)).toBe(333n);
+  });
+});
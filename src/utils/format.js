@@ -1,3 +1,5 @@
+import { ethers } from 'ethers';
+
 export const formatUSD = (value) => {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
@@ -14,3 +16,14 @@ export const formatPercent = (value) => {
         maximumFractionDigits: 2
     }).format(value);
 };
+
+export const formatHealthFactor = (value) => {
+    if (!Number.isFinite(value)) return '∞';
+    return value.toFixed(2);
+};
+
+export const formatTokenAmount = (amount, decimals) => {
+    return Number(ethers.formatUnits(amount, decimals)).toLocaleString('en-US', {
+        maximumFractionDigits: 6
+    });
+};
@@ -0,0 +1,136 @@
+/**
+ * Price Sensitivity Heatmap
+ *
+ * Computes vault metrics over a grid of prices for two collateral tokens,
+ * holding every other price constant. The DebtManager values and weights
+ * each token separately before summing, so a cell's max borrow and
+ * liquidation limit are the other tokens' part plus one contribution per
+ * axis token. Only 2 × steps tokens are valued with calculateVaultMetrics and
+ * the cells are bigint sums of those, so a grid is cheap enough to recompute
+ * on every input change without a Web Worker, and exact to the unit.
+ */
+
+import {
+  calculateVaultMetrics,
+  calculateHealthFactor,
+  calculateLiquidationHealthFactor,
+  toPriceBigInt,
+  toUSDFloat,
+} from './calculations.js';
+import { HUNDRED_PERCENT, applyPercent, percentToWad } from './fixedPoint.js';
+import { getRiskLevel } from './monitor.js';
+
+// What the cells are coloured by
+export const HEATMAP_METRICS = {
+  UTILISATION: 'utilisation', // Debt / max borrow
+  HEALTH: 'health', // Debt / liquidation limit (the inverse of the health factor)
+};
+
+/**
+ * Builds evenly spaced prices around a current price.
+ *
+ * @param {bigint|number} price - Current price (6 decimals)
+ * @param {number} range - Largest change either side, in percent (e.g. 50 for -50%..+50%)
+ * @param {number} steps - Number of prices (odd keeps the current price in the middle)
+ * @returns {Array<{change: number, price: bigint}>} Percentage changes and prices (6 decimals),
+ *   lowest first
+ */
+export const buildPriceSteps = (price, range, steps) =>
+  Array.from({ length: steps }, (_, i) => {
+    const raw = steps > 1 ? -range + (2 * range * i) / (steps - 1) : 0;
+    // Round away float noise such as 4.999999999999999
+    const change = Math.round(raw * 1e6) / 1e6;
+    const percent = HUNDRED_PERCENT + percentToWad(change);
+    return {
+      change,
+      price: percent > 0n ? applyPercent(toPriceBigInt(price), percent) : 0n,
+    };
+  });
+
+/**
+ * @typedef {Object} HeatmapCell
+ * @property {bigint} priceA - Price of token A (6 decimals)
+ * @property {bigint} priceB - Price of token B (6 decimals)
+ * @property {bigint} maxBorrow - Max borrow (6-decimal USD)
+ * @property {bigint} liquidationLimit - Liquidation limit (6-decimal USD)
+ * @property {number} utilisation - Debt / max borrow
+ * @property {number} healthFactor - Liquidation limit / debt (Infinity without debt)
+ * @property {string} level - Risk level of the coloured metric (one of RISK_LEVELS)
+ * @property {boolean} liquidatable - Whether debt reaches the liquidation limit
+ */
+
+/**
+ * Computes the heatmap for two collateral tokens.
+ *
+ * @param {{collateralBalances: Array<{token: string, amount: bigint}>, totalBorrow: bigint}} vault -
+ *   Vault state
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, {decimals: number}>} metadataMap - Map of token address to metadata
+ * @param {Map<string, Object>} ltvMap - Map of token address to LTV config
+ * @param {Object} axes
+ * @param {string} axes.tokenA - Token on the horizontal axis
+ * @param {string} axes.tokenB - Token on the vertical axis (must differ from tokenA)
+ * @param {bigint[]} axes.pricesA - Prices of token A (6 decimals), one per column
+ * @param {bigint[]} axes.pricesB - Prices of token B (6 decimals), one per row
+ * @param {Object} [options]
+ * @param {string} [options.metric] - One of HEATMAP_METRICS (defaults to UTILISATION)
+ * @param {{WARNING: number, DANGER: number, CRITICAL: number}} [options.thresholds] -
+ *   Thresholds for the levels (defaults to RISK_THRESHOLDS)
+ * @returns {HeatmapCell[][]} Rows by token B price, each with one cell per token A price
+ * @throws {Error} If both axes use the same token
+ */
+export const computePriceHeatmap = (
+  { collateralBalances, totalBorrow },
+  priceMap,
+  metadataMap,
+  ltvMap,
+  { tokenA, tokenB, pricesA, pricesB },
+  { metric = HEATMAP_METRICS.UTILISATION, thresholds } = {}
+) => {
+  const addrA = tokenA.toLowerCase();
+  const addrB = tokenB.toLowerCase();
+  if (addrA === addrB) throw new Error('The heatmap needs two different tokens');
+
+  const balancesOf = (addr) => collateralBalances.filter((b) => b.token.toLowerCase() === addr);
+  const others = collateralBalances.filter((b) => {
+    const addr = b.token.toLowerCase();
+    return addr !== addrA && addr !== addrB;
+  });
+
+  const base = calculateVaultMetrics(others, priceMap, metadataMap, ltvMap);
+  const contributions = (addr, prices) => {
+    const balances = balancesOf(addr);
+    return prices.map((price) =>
+      calculateVaultMetrics(balances, new Map([[addr, price]]), metadataMap, ltvMap)
+    );
+  };
+  const columns = contributions(addrA, pricesA);
+  const rows = contributions(addrB, pricesB);
+
+  const debt = BigInt(totalBorrow ?? 0n);
+  const debtUSD = toUSDFloat(debt);
+
+  return rows.map((row, j) =>
+    columns.map((column, i) => {
+      const maxBorrow = base.maxBorrow + column.maxBorrow + row.maxBorrow;
+      const liquidationLimit = base.liquidationLimit + column.liquidationLimit + row.liquidationLimit;
+      const utilisation = calculateHealthFactor(debtUSD, toUSDFloat(maxBorrow));
+      const healthFactor = calculateLiquidationHealthFactor(debtUSD, toUSDFloat(liquidationLimit));
+      const colouredBy =
+        metric === HEATMAP_METRICS.HEALTH
+          ? { utilisation: healthFactor > 0 ? 1 / healthFactor : Infinity, healthFactor }
+          : { utilisation, healthFactor };
+
+      return {
+        priceA: pricesA[i],
+        priceB: pricesB[j],
+        maxBorrow,
+        liquidationLimit,
+        utilisation,
+        healthFactor,
+        level: getRiskLevel(colouredBy, thresholds),
+        liquidatable: liquidationLimit > 0n && debt >= liquidationLimit,
+      };
+    })
+  );
+};
@@ -0,0 +1,105 @@
+/**
+ * Price Sensitivity Heatmap Tests
+ *
+ * Unit tests for the price axes and for heatmap cells matching a full
+ * recalculation of the vault at the same prices.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildPriceSteps, computePriceHeatmap, HEATMAP_METRICS } from './heatmap';
+import { calculateVaultMetrics } from './calculations';
+
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const EBTC = '0x657e8c867d8b37dcc18fa4caead9c45eb088c642';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+const metadataMap = new Map([
+  [WEETH, { symbol: 'weETH', decimals: 18 }],
+  [EBTC, { symbol: 'eBTC', decimals: 8 }],
+  [USDC, { symbol: 'USDC', decimals: 6 }],
+]);
+const ltvMap = new Map([
+  [WEETH, { ltv: 72.5, liquidationThreshold: 80, liquidationBonus: 5 }],
+  [EBTC, { ltv: 65.3, liquidationThreshold: 77.7, liquidationBonus: 10 }],
+  [USDC, { ltv: 90, liquidationThreshold: 95, liquidationBonus: 2 }],
+]);
+const priceMap = new Map([
+  [WEETH, 3456_789012],
+  [EBTC, 98765_432109],
+  [USDC, 999_900],
+]);
+const vault = {
+  collateralBalances: [
+    { token: WEETH, amount: 1234567890123456789n },
+    { token: EBTC, amount: 3456789n },
+    { token: USDC, amount: 1500_123456n },
+  ],
+  totalBorrow: 4400_000000n,
+};
+
+describe('buildPriceSteps', () => {
+  it('spreads prices evenly around the current one', () => {
+    const steps = buildPriceSteps(2000_000000, 50, 5);
+
+    expect(steps.map((s) => s.change)).toEqual([-50, -25, 0, 25, 50]);
+    expect(steps.map((s) => s.price)).toEqual([
+      1000_000000n, 1500_000000n, 2000_000000n, 2500_000000n, 3000_000000n,
+    ]);
+    expect(buildPriceSteps(2000_000000, 100, 3)[0].price).toBe(0n);
+  });
+});
+
+describe('computePriceHeatmap', () => {
+  const pricesA = buildPriceSteps(priceMap.get(WEETH), 60, 7).map((s) => s.price);
+  const pricesB = buildPriceSteps(priceMap.get(EBTC), 60, 5).map((s) => s.price);
+
+  it('matches a full recalculation of the vault in every cell', () => {
+    const grid = computePriceHeatmap(vault, priceMap, metadataMap, ltvMap, {
+      tokenA: WEETH,
+      tokenB: EBTC,
+      pricesA,
+      pricesB,
+    });
+
+    expect(grid).toHaveLength(5);
+    expect(grid[0]).toHaveLength(7);
+    grid.forEach((row, j) =>
+      row.forEach((cell, i) => {
+        const prices = new Map(priceMap);
+        prices.set(WEETH, pricesA[i]);
+        prices.set(EBTC, pricesB[j]);
+        const expected = calculateVaultMetrics(vault.collateralBalances, prices, metadataMap, ltvMap);
+
+        expect(cell.maxBorrow).toBe(expected.maxBorrow);
+        expect(cell.liquidationLimit).toBe(expected.liquidationLimit);
+      })
+    );
+  });
+
+  it('colours cells by utilisation or by distance to liquidation', () => {
+    const axes = { tokenA: WEETH, tokenB: EBTC, pricesA, pricesB };
+    const byUtilisation = computePriceHeatmap(vault, priceMap, metadataMap, ltvMap, axes);
+    const byHealth = computePriceHeatmap(vault, priceMap, metadataMap, ltvMap, axes, {
+      metric: HEATMAP_METRICS.HEALTH,
+    });
+
+    // Current prices: $4400 of debt against ~$6670 max borrow and ~$7490 liquidation limit
+    expect(byUtilisation[2][3].utilisation).toBeCloseTo(0.66, 2);
+    expect(byUtilisation[2][3].level).toBe('WARNING');
+    expect(byHealth[2][3].level).toBe('OK');
+    // Both prices down 60%: liquidatable, so CRITICAL whatever the metric
+    expect(byUtilisation[0][0].liquidatable).toBe(true);
+    expect(byHealth[0][0].level).toBe('CRITICAL');
+  });
+
+  it('rejects the same token on both axes', () => {
+    expect(() =>
+      computePriceHeatmap(vault, priceMap, metadataMap, ltvMap, {
+        tokenA: WEETH,
+        tokenB: WEETH.toUpperCase().replace('0X', '0x'),
+        pricesA,
+        pricesB,
+      })
+    ).toThrow('two different tokens');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Vault History Utilities
+ *
+ * Functions for loading a vault's state at earlier blocks through
+ * block-tagged CashLens queries.
+ */
+
+import { NETWORK, HISTORY_SAMPLES } from '../config/index.js';
+import { fetchSafeData, fetchTokensMetadataBatch } from './api.js';
+import { getProvider } from './provider.js';
+import { calculateHealthFactor, toUSDFloat } from './calculations.js';
+
+/**
+ * @typedef {Object} VaultSnapshot
+ * @property {number} blockNumber - Block the state was read at
+ * @property {number|null} timestamp - Block timestamp in seconds (null if unavailable)
+ * @property {Object} data - Vault data as returned by fetchSafeData
+ * @property {number} totalCollateral - Collateral value in USD
+ * @property {number} totalBorrow - Debt in USD
+ * @property {number} utilisation - Debt divided by max borrow
+ * @property {Map<string, {symbol: string, decimals: number}>} metadataMap - Metadata of every
+ *   token in the loaded snapshots, including tokens no longer held or priced today
+ */
+
+/**
+ * Picks evenly spaced block numbers covering a time range, oldest first.
+ * The last entry is always the latest block.
+ *
+ * @param {number} latestBlock - Most recent block number
+ * @param {number} rangeSeconds - Length of the range in seconds
+ * @param {number} [samples] - Number of blocks to return
+ * @param {number} [blockTime] - Average seconds per block
+ * @returns {number[]} Block numbers in ascending order
+ */
+export const getHistoryBlockTags = (
+  latestBlock,
+  rangeSeconds,
+  samples = HISTORY_SAMPLES,
+  blockTime = NETWORK.blockTime
+) => {
+  const rangeBlocks = Math.min(Math.floor(rangeSeconds / blockTime), latestBlock);
+  if (samples <= 1 || rangeBlocks === 0) return [latestBlock];
+
+  const step = rangeBlocks / (samples - 1);
+  const blocks = [];
+  for (let i = 0; i < samples; i++) {
+    blocks.push(latestBlock - rangeBlocks + Math.round(step * i));
+  }
+  // Drop duplicates when the range is shorter than the sample count
+  return [...new Set(blocks)];
+};
+
+/**
+ * Loads the vault state at each of the given blocks.
+ * Blocks are fetched one after another to stay within public RPC rate limits.
+ * Token metadata does not change between blocks, so it is fetched once for
+ * every token seen in any snapshot and shared by all of them.
+ *
+ * @param {string} address - The vault/Safe address to query
+ * @param {number[]} blockNumbers - Blocks to read the vault state at
+ * @param {Object} [options]
+ * @param {ethers.JsonRpcProvider} [options.provider] - Optional provider (uses singleton if not provided)
+ * @param {function(number, number): void} [options.onProgress] - Called with (loaded, total) after each block
+ * @returns {Promise<VaultSnapshot[]>} Snapshots in the same order as blockNumbers
+ */
+export const fetchVaultHistory = async (address, blockNumbers, { provider, onProgress } = {}) => {
+  const rpcProvider = provider || getProvider();
+  const snapshots = [];
+
+  for (const blockNumber of blockNumbers) {
+    const [data, block] = await Promise.all([
+      fetchSafeData(address, { blockTag: blockNumber, provider: rpcProvider }),
+      rpcProvider.getBlock(blockNumber).catch(() => null),
+    ]);
+
+    const totalCollateral = toUSDFloat(data.totalCollateral);
+    const totalBorrow = toUSDFloat(data.totalBorrow);
+
+    snapshots.push({
+      blockNumber,
+      timestamp: block?.timestamp ?? null,
+      data,
+      totalCollateral,
+      totalBorrow,
+      utilisation: calculateHealthFactor(totalBorrow, toUSDFloat(data.maxBorrow)),
+    });
+
+    onProgress?.(snapshots.length, blockNumbers.length);
+  }
+
+  const tokens = [
+    ...new Set(
+      snapshots.flatMap(({ data }) =>
+        [
+          ...data.collateralBalances,
+          ...data.borrows,
+          ...data.tokenPrices,
+          ...(data.withdrawalRequest?.tokens ?? []),
+        ].map((t) => t.token.toLowerCase())
+      )
+    ),
+  ].map((token) => ({ token }));
+  const metadataMap = await fetchTokensMetadataBatch(tokens, rpcProvider);
+
+  return snapshots.map((snapshot) => ({ ...snapshot, metadataMap }));
+};
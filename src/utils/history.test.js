@@ -0,0 +1,108 @@
+// @vitest-environment node
+/**
+ * Vault History Tests
+ *
+ * Unit tests for historical block selection, and loading snapshots
+ * from a mock JSON-RPC server that serves fixed per-block responses.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { getHistoryBlockTags, fetchVaultHistory } from './history';
+import { CONTRACTS } from '../config';
+import {
+  startMockRpcServer,
+  createMockProvider,
+  encodeSafeCashData,
+  erc20Handler,
+  debtManagerHandler,
+} from '../test/mockRpc';
+
+describe('getHistoryBlockTags', () => {
+  it('spreads samples evenly and ends at the latest block', () => {
+    // 1 hour at 3s blocks = 1200 blocks
+    expect(getHistoryBlockTags(10000, 3600, 5, 3)).toEqual([8800, 9100, 9400, 9700, 10000]);
+  });
+
+  it('does not go below block 0 or repeat blocks', () => {
+    expect(getHistoryBlockTags(3, 3600, 6, 3)).toEqual([0, 1, 2, 3]);
+  });
+
+  it('returns only the latest block for a single sample', () => {
+    expect(getHistoryBlockTags(500, 3600, 1, 3)).toEqual([500]);
+  });
+});
+
+describe('fetchVaultHistory', () => {
+  const SAFE = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+  const WETH = '0x5300000000000000000000000000000000000004';
+  const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+  // Held (unpriced) at block 100 only, like a token delisted since
+  const WBTC = '0x3c1bca5a656e69edcd0d4e36bebb3fcdaca60cf1';
+
+  // Fixed historical responses: ETH falls and debt grows as blocks advance
+  const HISTORY = {
+    100: { price: 3000n, debt: 1000n },
+    200: { price: 2500n, debt: 1200n },
+    300: { price: 2000n, debt: 1500n },
+  };
+
+  let server;
+  let provider;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    server = await startMockRpcServer({
+      blockNumber: 300,
+      contracts: {
+        [CONTRACTS.CASH_LENS]: (callData, block) => {
+          const state = HISTORY[block];
+          return encodeSafeCashData({
+            collateralBalances: [
+              { token: WETH, amount: 10n ** 18n },
+              ...(block === 100 ? [{ token: WBTC, amount: 10n ** 8n }] : []),
+            ],
+            borrows: [{ token: USDC, amount: state.debt * 10n ** 6n }],
+            tokenPrices: [{ token: WETH, amount: state.price * 10n ** 6n }],
+            totalBorrow: state.debt * 10n ** 6n,
+          });
+        },
+        [CONTRACTS.DEBT_MANAGER]: debtManagerHandler({
+          [WETH]: { ltv: 80, liquidationThreshold: 85, liquidationBonus: 5 },
+        }),
+        [WETH]: erc20Handler('WETH', 18),
+        [WBTC]: erc20Handler('WBTC', 8),
+        [USDC]: erc20Handler('USDC', 6),
+      },
+    });
+    provider = createMockProvider(server.url);
+  });
+
+  afterAll(async () => {
+    provider.destroy();
+    await server.close();
+    vi.restoreAllMocks();
+  });
+
+  it('loads collateral, debt and utilisation at each block', async () => {
+    const onProgress = vi.fn();
+    const snapshots = await fetchVaultHistory(SAFE, [100, 200, 300], { provider, onProgress });
+
+    expect(snapshots.map((s) => s.blockNumber)).toEqual([100, 200, 300]);
+    expect(snapshots.map((s) => s.totalCollateral)).toEqual([3000, 2500, 2000]);
+    expect(snapshots.map((s) => s.totalBorrow)).toEqual([1000, 1200, 1500]);
+    expect(snapshots[0].utilisation).toBeCloseTo(1000 / 2400);
+    expect(snapshots[2].utilisation).toBeCloseTo(1500 / 1600);
+    expect(snapshots[1].timestamp).toBe(1700000000 + 200 * 3);
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+  });
+
+  it('carries metadata for every token held in any snapshot', async () => {
+    const snapshots = await fetchVaultHistory(SAFE, [100, 300], { provider });
+
+    snapshots.forEach(({ metadataMap }) => {
+      expect(metadataMap.get(WBTC)).toEqual({ symbol: 'WBTC', decimals: 8 });
+      expect(metadataMap.get(USDC)).toEqual({ symbol: 'USDC', decimals: 6 });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Liquidation Outcome Simulation
+ *
+ * Models what a liquidation does to a vault: the liquidator repays part of
+ * the debt (the close factor) and seizes collateral worth that repayment plus
+ * each token's liquidation bonus, token by token in a seizure order. The
+ * bonus is the user's loss; the remaining position is recalculated with
+ * calculateVaultMetrics.
+ */
+
+import { LIQUIDATION_CLOSE_FACTOR } from '../config/index.js';
+import {
+  calculateVaultMetrics,
+  calculateHealthFactor,
+  calculateLiquidationHealthFactor,
+  getTokenLTVConfig,
+  getTokenLTVWads,
+  toPriceBigInt,
+  toUSDFloat,
+} from './calculations.js';
+import {
+  ROUNDING,
+  HUNDRED_PERCENT,
+  mulDiv,
+  tokenToUSD,
+  usdToToken,
+  applyPercent,
+} from './fixedPoint.js';
+import { DEFAULT_TOKEN_DECIMALS } from './constants.js';
+
+// Orders in which a liquidator may seize collateral
+export const SEIZURE_ORDERS = {
+  BONUS: 'bonus', // Highest liquidation bonus first, the most profitable for the liquidator
+  VALUE: 'value', // Largest position first
+  VAULT: 'vault', // Order CashLens lists the collateral in
+};
+
+export const SEIZURE_ORDER_LABELS = {
+  [SEIZURE_ORDERS.BONUS]: 'Highest bonus first',
+  [SEIZURE_ORDERS.VALUE]: 'Largest position first',
+  [SEIZURE_ORDERS.VAULT]: 'Vault order',
+};
+
+/**
+ * Checks whether a vault can be liquidated: debt at or above the liquidation limit.
+ *
+ * @param {bigint} totalBorrow - Debt (6-decimal USD)
+ * @param {bigint} liquidationLimit - Liquidation limit (6-decimal USD)
+ * @returns {boolean} True if the vault is liquidatable
+ */
+export const isLiquidatable = (totalBorrow, liquidationLimit) =>
+  liquidationLimit > 0n && totalBorrow >= liquidationLimit;
+
+/**
+ * Summarises a vault's metrics for the before/after comparison.
+ */
+const summarize = (collateralBalances, totalBorrow, priceMap, metadataMap, ltvMap) => {
+  const metrics = calculateVaultMetrics(collateralBalances, priceMap, metadataMap, ltvMap);
+  return {
+    ...metrics,
+    totalBorrow,
+    utilisation: calculateHealthFactor(toUSDFloat(totalBorrow), toUSDFloat(metrics.maxBorrow)),
+    healthFactor: calculateLiquidationHealthFactor(
+      toUSDFloat(totalBorrow),
+      toUSDFloat(metrics.liquidationLimit)
+    ),
+    liquidatable: isLiquidatable(totalBorrow, metrics.liquidationLimit),
+  };
+};
+
+/**
+ * @typedef {Object} SeizedCollateral
+ * @property {string} token - Lowercase token address
+ * @property {bigint} amount - Seized amount in native units
+ * @property {bigint} value - Seized value (6-decimal USD)
+ * @property {bigint} debtRepaid - Debt repaid in exchange (6-decimal USD)
+ * @property {bigint} bonus - Value paid to the liquidator on top of the debt (6-decimal USD)
+ * @property {number} bonusPercent - Token's liquidation bonus percentage
+ */
+
+/**
+ * @typedef {Object} LiquidationOutcome
+ * @property {number} closeFactor - Percentage of the debt the liquidation repays
+ * @property {string} seizureOrder - One of SEIZURE_ORDERS
+ * @property {bigint} debtToRepay - Debt the liquidator sets out to repay (6-decimal USD)
+ * @property {bigint} debtRepaid - Debt actually repaid (6-decimal USD)
+ * @property {bigint} unrepaidDebt - Part of debtToRepay the collateral could not cover
+ * @property {SeizedCollateral[]} seized - Seized collateral, in seizure order
+ * @property {bigint} collateralSeized - Total seized value (6-decimal USD)
+ * @property {bigint} userLoss - Total bonus paid by the user (6-decimal USD)
+ * @property {Object} before - Metrics before the liquidation (with utilisation,
+ *   healthFactor and liquidatable)
+ * @property {Object} after - Metrics after the liquidation, plus the remaining collateralBalances
+ */
+
+/**
+ * Simulates one liquidation of a vault at the given prices.
+ *
+ * For each token in seizure order, the liquidator takes collateral worth the
+ * remaining repayment times (100% + bonus), rounded up; if the position is
+ * smaller, all of it is seized and repays value / (100% + bonus), rounded down.
+ *
+ * @param {{collateralBalances: Array<{token: string, amount: bigint}>, totalBorrow: bigint}} vault -
+ *   Vault state
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, {decimals: number}>} metadataMap - Map of token address to metadata
+ * @param {Map<string, Object>} ltvMap - Map of token address to LTV config (with liquidationBonus)
+ * @param {Object} [options]
+ * @param {number} [options.closeFactor] - Percentage of the debt repaid (defaults to LIQUIDATION_CLOSE_FACTOR)
+ * @param {string} [options.seizureOrder] - One of SEIZURE_ORDERS (defaults to BONUS)
+ * @returns {LiquidationOutcome} Outcome
+ */
+export const simulateLiquidation = (
+  { collateralBalances, totalBorrow },
+  priceMap,
+  metadataMap,
+  ltvMap,
+  { closeFactor = LIQUIDATION_CLOSE_FACTOR, seizureOrder = SEIZURE_ORDERS.BONUS } = {}
+) => {
+  const debt = BigInt(totalBorrow ?? 0n);
+
+  const positions = collateralBalances.map((balance, index) => {
+    const token = balance.token.toLowerCase();
+    const amount = BigInt(balance.amount);
+    const decimals = metadataMap.get(token)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+    const price = toPriceBigInt(priceMap.get(token));
+    return {
+      token,
+      index,
+      amount,
+      decimals,
+      price,
+      value: tokenToUSD(amount, price, decimals),
+      bonusPercent: getTokenLTVConfig(token, ltvMap).liquidationBonus ?? 0,
+      bonusWad: getTokenLTVWads(token, ltvMap).liquidationBonus,
+    };
+  });
+
+  const ordered = [...positions].sort((a, b) => {
+    if (seizureOrder === SEIZURE_ORDERS.BONUS && a.bonusWad !== b.bonusWad) {
+      return a.bonusWad < b.bonusWad ? 1 : -1;
+    }
+    if (seizureOrder !== SEIZURE_ORDERS.VAULT && a.value !== b.value) {
+      return a.value < b.value ? 1 : -1;
+    }
+    return a.index - b.index;
+  });
+
+  const debtToRepay = applyPercent(debt, closeFactor);
+  let remaining = debtToRepay;
+  const seized = [];
+
+  ordered.forEach((position) => {
+    if (remaining === 0n || position.value === 0n) return;
+
+    const withBonus = HUNDRED_PERCENT + position.bonusWad;
+    const owed = mulDiv(remaining, withBonus, HUNDRED_PERCENT, ROUNDING.CEIL);
+
+    let amount;
+    let debtRepaid;
+    if (owed < position.value) {
+      amount = usdToToken(owed, position.price, position.decimals, ROUNDING.CEIL);
+      if (amount > position.amount) amount = position.amount;
+      debtRepaid = remaining;
+    } else {
+      amount = position.amount;
+      debtRepaid = mulDiv(position.value, HUNDRED_PERCENT, withBonus);
+    }
+    const value = tokenToUSD(amount, position.price, position.decimals);
+
+    remaining -= debtRepaid;
+    seized.push({
+      token: position.token,
+      amount,
+      value,
+      debtRepaid,
+      bonus: value > debtRepaid ? value - debtRepaid : 0n,
+      bonusPercent: position.bonusPercent,
+    });
+  });
+
+  const seizedAmounts = new Map(seized.map((s) => [s.token, s.amount]));
+  const remainingBalances = positions
+    .map(({ token, amount }) => ({ token, amount: amount - (seizedAmounts.get(token) ?? 0n) }))
+    .filter(({ amount }) => amount > 0n);
+  const debtRepaid = debtToRepay - remaining;
+
+  return {
+    closeFactor,
+    seizureOrder,
+    debtToRepay,
+    debtRepaid,
+    unrepaidDebt: remaining,
+    seized,
+    collateralSeized: seized.reduce((sum, s) => sum + s.value, 0n),
+    userLoss: seized.reduce((sum, s) => sum + s.bonus, 0n),
+    before: summarize(collateralBalances, debt, priceMap, metadataMap, ltvMap),
+    after: {
+      ...summarize(remainingBalances, debt - debtRepaid, priceMap, metadataMap, ltvMap),
+      collateralBalances: remainingBalances,
+    },
+  };
+};
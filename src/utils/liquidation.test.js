@@ -0,0 +1,116 @@
+/**
+ * Liquidation Simulation Tests
+ *
+ * Unit tests for the close factor, seizure orders, liquidation bonus and the
+ * vault left after a liquidation.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { simulateLiquidation, isLiquidatable, SEIZURE_ORDERS } from './liquidation';
+
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const EBTC = '0x657e8c867d8b37dcc18fa4caead9c45eb088c642';
+
+const metadataMap = new Map([
+  [WEETH, { symbol: 'weETH', decimals: 18 }],
+  [EBTC, { symbol: 'eBTC', decimals: 8 }],
+]);
+const ltvMap = new Map([
+  [WEETH, { ltv: 50, liquidationThreshold: 75, liquidationBonus: 5 }],
+  [EBTC, { ltv: 60, liquidationThreshold: 70, liquidationBonus: 10 }],
+]);
+const priceMap = new Map([
+  [WEETH, 2000_000000],
+  [EBTC, 100000_000000],
+]);
+
+// $2000 of weETH and $1000 of eBTC: liquidation limit $2200
+const collateralBalances = [
+  { token: WEETH, amount: 10n ** 18n },
+  { token: EBTC, amount: 1_000000n },
+];
+
+describe('isLiquidatable', () => {
+  it('is true from the liquidation limit up, and never without a limit', () => {
+    expect(isLiquidatable(2200_000000n, 2200_000000n)).toBe(true);
+    expect(isLiquidatable(2199_999999n, 2200_000000n)).toBe(false);
+    expect(isLiquidatable(100n, 0n)).toBe(false);
+  });
+});
+
+describe('simulateLiquidation', () => {
+  it('seizes the highest-bonus collateral first and charges its bonus', () => {
+    const outcome = simulateLiquidation(
+      { collateralBalances, totalBorrow: 2300_000000n },
+      priceMap,
+      metadataMap,
+      ltvMap
+    );
+
+    expect(outcome.before.liquidatable).toBe(true);
+    expect(outcome.debtToRepay).toBe(1150_000000n);
+    // All eBTC ($1000) repays $1000 / 1.10; weETH covers the rest plus 5%
+    expect(outcome.seized).toEqual([
+      {
+        token: EBTC,
+        amount: 1_000000n,
+        value: 1000_000000n,
+        debtRepaid: 909_090909n,
+        bonus: 90_909091n,
+        bonusPercent: 10,
+      },
+      {
+        token: WEETH,
+        amount: 126477273000000000n,
+        value: 252_954546n,
+        debtRepaid: 240_909091n,
+        bonus: 12_045455n,
+        bonusPercent: 5,
+      },
+    ]);
+    expect(outcome.debtRepaid).toBe(1150_000000n);
+    expect(outcome.unrepaidDebt).toBe(0n);
+    expect(outcome.userLoss).toBe(102_954546n);
+    expect(outcome.after.collateralBalances).toEqual([
+      { token: WEETH, amount: 873522727000000000n },
+    ]);
+    expect(outcome.after.totalBorrow).toBe(1150_000000n);
+    expect(outcome.after.liquidationLimit).toBe(1310_284090n);
+    expect(outcome.after.liquidatable).toBe(false);
+  });
+
+  it('follows the vault order and the close factor when asked', () => {
+    const outcome = simulateLiquidation(
+      { collateralBalances, totalBorrow: 2300_000000n },
+      priceMap,
+      metadataMap,
+      ltvMap,
+      { closeFactor: 50, seizureOrder: SEIZURE_ORDERS.VAULT }
+    );
+
+    expect(outcome.seized).toHaveLength(1);
+    expect(outcome.seized[0]).toMatchObject({
+      token: WEETH,
+      amount: 603750000000000000n,
+      debtRepaid: 1150_000000n,
+      bonus: 57_500000n,
+    });
+    expect(outcome.userLoss).toBe(57_500000n);
+  });
+
+  it('reports the debt the collateral could not cover', () => {
+    const outcome = simulateLiquidation(
+      { collateralBalances, totalBorrow: 5000_000000n },
+      priceMap,
+      metadataMap,
+      ltvMap,
+      { closeFactor: 100 }
+    );
+
+    expect(outcome.collateralSeized).toBe(3000_000000n);
+    expect(outcome.debtRepaid).toBe(909_090909n + 1904_761904n);
+    expect(outcome.unrepaidDebt).toBe(5000_000000n - outcome.debtRepaid);
+    expect(outcome.after.collateralBalances).toEqual([]);
+    expect(outcome.after.totalBorrow).toBe(outcome.unrepaidDebt);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Liquidation Monitoring
+ *
+ * Evaluates watched vaults against RISK_THRESHOLDS and turns level changes
+ * into alerts for the watcher daemon (see scripts/etherfi-watch.js). Alerts
+ * are de-duplicated: a vault only alerts when its level changes, and a
+ * recovery message is sent when it drops back below the warning threshold.
+ */
+
+import { RISK_THRESHOLDS } from '../config/index.js';
+import { fetchSafesDataBatch } from './api.js';
+import { summarizeVault } from './portfolio.js';
+
+// Risk levels, from least to most severe
+export const RISK_LEVELS = ['OK', 'WARNING', 'DANGER', 'CRITICAL'];
+
+export const ALERT_TYPES = {
+  ESCALATED: 'escalated', // Level went up
+  IMPROVED: 'improved', // Level went down but is still above OK
+  RECOVERED: 'recovered', // Back to OK
+  ERROR: 'error', // Vault could not be loaded
+};
+
+/**
+ * @typedef {Object} Alert
+ * @property {string} type - One of ALERT_TYPES
+ * @property {string} address - Vault address
+ * @property {string|null} level - Current risk level (null for errors)
+ * @property {string|null} previousLevel - Level before this alert (null on first sight)
+ * @property {import('./portfolio.js').VaultSummary|null} summary - Current metrics
+ * @property {string|null} error - Load error, for ERROR alerts
+ * @property {number|null} block - Block the check ran at
+ * @property {string} timestamp - ISO time of the check
+ * @property {string} text - Human-readable one-line message
+ */
+
+/**
+ * Classifies a vault summary. Utilisation is compared against the
+ * thresholds (RISK_THRESHOLDS unless a vault has its own); a vault at or
+ * below a health factor of 1 is liquidatable and therefore always CRITICAL.
+ *
+ * @param {import('./portfolio.js').VaultSummary} summary - Vault summary
+ * @param {{WARNING: number, DANGER: number, CRITICAL: number}} [thresholds] - Utilisation thresholds
+ * @returns {string} One of RISK_LEVELS
+ */
+export const getRiskLevel = (summary, thresholds = RISK_THRESHOLDS) => {
+  if (summary.healthFactor <= 1 || summary.utilisation >= thresholds.CRITICAL) return 'CRITICAL';
+  if (summary.utilisation >= thresholds.DANGER) return 'DANGER';
+  if (summary.utilisation >= thresholds.WARNING) return 'WARNING';
+  return 'OK';
+};
+
+/**
+ * Picks the alert type for a level change, or null if nothing should be sent.
+ * A vault seen for the first time only alerts if it is already at risk.
+ *
+ * @param {string|null} previousLevel - Last known level (null if never evaluated)
+ * @param {string} level - New level
+ * @returns {string|null} One of ALERT_TYPES, or null
+ */
+export const getAlertType = (previousLevel, level) => {
+  const from = RISK_LEVELS.indexOf(previousLevel ?? 'OK');
+  const to = RISK_LEVELS.indexOf(level);
+  if (to === from) return null;
+  if (to > from) return ALERT_TYPES.ESCALATED;
+  return level === 'OK' ? ALERT_TYPES.RECOVERED : ALERT_TYPES.IMPROVED;
+};
+
+const formatPct = (value) => `${(value * 100).toFixed(2)}%`;
+const formatHealth = (value) => (Number.isFinite(value) ? value.toFixed(2) : '∞');
+
+/**
+ * Builds the one-line message for an alert.
+ *
+ * @param {Omit<Alert, 'text' | 'timestamp' | 'block'>} alert - Alert fields
+ * @returns {string} Message
+ */
+export const formatAlertText = ({ type, address, level, previousLevel, summary, error }) => {
+  if (type === ALERT_TYPES.ERROR) return `ERROR ${address}: ${error}`;
+
+  const metrics =
+    `utilisation ${formatPct(summary.utilisation)}, ` +
+    `health factor ${formatHealth(summary.healthFactor)}, ` +
+    `liq. distance ${formatPct(summary.liquidationDistance)}`;
+  if (type === ALERT_TYPES.RECOVERED) {
+    return `RECOVERED ${address} back to OK from ${previousLevel}: ${metrics}`;
+  }
+  return `${level} ${address} (was ${previousLevel ?? 'OK'}): ${metrics}`;
+};
+
+/**
+ * Serializes an alert as a single JSON line. Infinite health factors
+ * (no debt) become null.
+ *
+ * @param {Alert} alert - Alert
+ * @returns {string} JSON
+ */
+export const serializeAlert = (alert) =>
+  JSON.stringify(alert, (key, value) =>
+    typeof value === 'number' && !Number.isFinite(value) ? null : value
+  );
+
+/**
+ * Creates a monitor for a fixed list of vaults. Each check loads every vault
+ * in one batch and returns the alerts for vaults whose level changed since
+ * the previous check; unchanged vaults and repeated load errors stay silent.
+ *
+ * @param {Object} options
+ * @param {string[]} options.addresses - Vault addresses to watch
+ * @param {Object} [options.provider] - ethers provider (defaults to the app provider)
+ * @param {function(): Date} [options.now] - Clock, for tests
+ * @returns {{check: function(number=): Promise<Alert[]>, getLevels: function(): Map<string, string>}}
+ *   Monitor; check() rejects if the batch itself fails (e.g. the RPC is down)
+ */
+export const createMonitor = ({ addresses, provider, now = () => new Date() }) => {
+  // Lowercase address -> { level, error } from the last check
+  const states = new Map();
+
+  const check = async (block = null) => {
+    const results = await fetchSafesDataBatch(addresses, { provider });
+    const timestamp = now().toISOString();
+    const alerts = [];
+
+    results.forEach(({ address, data, error }) => {
+      const key = address.toLowerCase();
+      const previous = states.get(key) ?? { level: null, error: null };
+
+      if (!data) {
+        states.set(key, { level: previous.level, error });
+        if (error === previous.error) return;
+        const alert = {
+          type: ALERT_TYPES.ERROR,
+          address,
+          level: null,
+          previousLevel: previous.level,
+          summary: null,
+          error,
+        };
+        alerts.push({ ...alert, block, timestamp, text: formatAlertText(alert) });
+        return;
+      }
+
+      const summary = summarizeVault(data);
+      const level = getRiskLevel(summary);
+      states.set(key, { level, error: null });
+
+      const type = getAlertType(previous.level, level);
+      if (!type) return;
+      const alert = { type, address, level, previousLevel: previous.level, summary, error: null };
+      alerts.push({ ...alert, block, timestamp, text: formatAlertText(alert) });
+    });
+
+    return alerts;
+  };
+
+  const getLevels = () =>
+    new Map([...states].filter(([, state]) => state.level).map(([key, state]) => [key, state.level]));
+
+  return { check, getLevels };
+};
+
+/**
+ * Posts alerts as JSON to every webhook, one request per alert. The body is
+ * the alert itself, whose `text` field chat integrations can show as-is.
+ * Failures are collected rather than thrown so one bad endpoint does not
+ * stop the others.
+ *
+ * @param {Alert[]} alerts - Alerts to deliver
+ * @param {string[]} webhooks - Webhook URLs
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {function} [options.fetchImpl] - fetch implementation
+ * @returns {Promise<Array<{url: string, address: string, error: string}>>} Failed deliveries
+ */
+export const sendWebhooks = async (alerts, webhooks, { timeoutMs = 10000, fetchImpl = fetch } = {}) => {
+  const deliveries = alerts.flatMap((alert) => webhooks.map((url) => ({ url, alert })));
+
+  const results = await Promise.allSettled(
+    deliveries.map(async ({ url, alert }) => {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: serializeAlert(alert),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    })
+  );
+
+  return results.flatMap((result, i) =>
+    result.status === 'rejected'
+      ? [{ url: deliveries[i].url, address: deliveries[i].alert.address, error: result.reason.message }]
+      : []
+  );
+};
@@ -0,0 +1,193 @@
+// @vitest-environment node
+/**
+ * Liquidation Monitoring Tests
+ *
+ * Risk levels and alert de-duplication against a mock RPC, and webhook
+ * delivery to a local receiver.
+ */
+
+import http from 'node:http';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import {
+  getRiskLevel,
+  getAlertType,
+  createMonitor,
+  sendWebhooks,
+  serializeAlert,
+  ALERT_TYPES,
+} from './monitor';
+import { CONTRACTS } from '../config';
+import { CONTRACT_ERRORS, ERROR_MESSAGES } from './constants';
+import {
+  startMockRpcServer,
+  createMockProvider,
+  encodeSafeCashData,
+  decodeSafeCashDataCall,
+  erc20Handler,
+  debtManagerHandler,
+  MockRevert,
+} from '../test/mockRpc';
+
+const SAFE = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+const NOT_A_SAFE = '0x00000000000000000000000000000000000000bb';
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+
+const summary = (utilisation, healthFactor = 2) => ({ utilisation, healthFactor });
+
+describe('getRiskLevel', () => {
+  it('maps utilisation onto RISK_THRESHOLDS', () => {
+    expect(getRiskLevel(summary(0.3))).toBe('OK');
+    expect(getRiskLevel(summary(0.6))).toBe('WARNING');
+    expect(getRiskLevel(summary(0.85))).toBe('DANGER');
+    expect(getRiskLevel(summary(0.95))).toBe('CRITICAL');
+  });
+
+  it('treats a liquidatable vault as critical', () => {
+    expect(getRiskLevel(summary(0.5, 0.99))).toBe('CRITICAL');
+  });
+});
+
+describe('getAlertType', () => {
+  it('only alerts on level changes', () => {
+    expect(getAlertType(null, 'OK')).toBeNull();
+    expect(getAlertType(null, 'DANGER')).toBe(ALERT_TYPES.ESCALATED);
+    expect(getAlertType('WARNING', 'WARNING')).toBeNull();
+    expect(getAlertType('CRITICAL', 'WARNING')).toBe(ALERT_TYPES.IMPROVED);
+    expect(getAlertType('DANGER', 'OK')).toBe(ALERT_TYPES.RECOVERED);
+  });
+});
+
+describe('createMonitor against a mock RPC', () => {
+  let server;
+  let provider;
+  // 2 weETH at $2000 with 50% LTV: $2000 max borrow, $3000 liquidation limit
+  let debt = 500n;
+
+  beforeAll(async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    server = await startMockRpcServer({
+      contracts: {
+        [CONTRACTS.CASH_LENS]: (callData) => {
+          const { safe } = decodeSafeCashDataCall(callData);
+          if (safe.toLowerCase() === NOT_A_SAFE) throw new MockRevert(CONTRACT_ERRORS.INVALID_SAFE);
+          return encodeSafeCashData({
+            collateralBalances: [{ token: WEETH, amount: 2n * 10n ** 18n }],
+            tokenPrices: [{ token: WEETH, amount: 2000n * 10n ** 6n }],
+            totalBorrow: debt * 10n ** 6n,
+          });
+        },
+        [CONTRACTS.DEBT_MANAGER]: debtManagerHandler({
+          [WEETH]: { ltv: 50, liquidationThreshold: 75, liquidationBonus: 5 },
+        }),
+        [WEETH]: erc20Handler('weETH', 18),
+      },
+    });
+    provider = createMockProvider(server.url);
+  });
+
+  afterAll(async () => {
+    provider.destroy();
+    await server.close();
+    vi.restoreAllMocks();
+  });
+
+  it('alerts on escalation and recovery, and stays silent otherwise', async () => {
+    const monitor = createMonitor({
+      addresses: [SAFE, NOT_A_SAFE],
+      provider,
+      now: () => new Date('2026-01-01T00:00:00Z'),
+    });
+
+    // Healthy vault: only the invalid Safe is reported
+    const first = await monitor.check(1000);
+    expect(first).toHaveLength(1);
+    expect(first[0]).toMatchObject({
+      type: ALERT_TYPES.ERROR,
+      address: NOT_A_SAFE,
+      error: ERROR_MESSAGES.INVALID_SAFE,
+    });
+
+    debt = 1700n;
+    const danger = await monitor.check(1001);
+    expect(danger).toEqual([
+      expect.objectContaining({
+        type: ALERT_TYPES.ESCALATED,
+        address: SAFE,
+        level: 'DANGER',
+        previousLevel: 'OK',
+        block: 1001,
+        timestamp: '2026-01-01T00:00:00.000Z',
+      }),
+    ]);
+    expect(danger[0].summary.utilisation).toBeCloseTo(0.85);
+    expect(danger[0].text).toContain('DANGER');
+
+    // Same level and same load error: de-duplicated
+    expect(await monitor.check(1002)).toEqual([]);
+
+    debt = 3100n;
+    expect((await monitor.check(1003))[0]).toMatchObject({ level: 'CRITICAL', previousLevel: 'DANGER' });
+
+    debt = 500n;
+    const recovered = await monitor.check(1004);
+    expect(recovered[0]).toMatchObject({ type: ALERT_TYPES.RECOVERED, level: 'OK' });
+    expect(recovered[0].text).toMatch(/^RECOVERED .* from CRITICAL/);
+    expect(monitor.getLevels().get(SAFE.toLowerCase())).toBe('OK');
+  });
+});
+
+describe('sendWebhooks', () => {
+  let receiver;
+  let baseUrl;
+  const received = [];
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        if (req.url === '/broken') {
+          res.writeHead(500).end();
+          return;
+        }
+        received.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+        res.writeHead(204).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  it('posts each alert as JSON and reports failed endpoints', async () => {
+    const alert = {
+      type: ALERT_TYPES.RECOVERED,
+      address: SAFE,
+      level: 'OK',
+      previousLevel: 'WARNING',
+      summary: { utilisation: 0, healthFactor: Infinity },
+      error: null,
+      block: 7,
+      timestamp: '2026-01-01T00:00:00.000Z',
+      text: 'RECOVERED',
+    };
+
+    const failures = await sendWebhooks([alert], [`${baseUrl}/hook`, `${baseUrl}/broken`]);
+
+    expect(received).toEqual([
+      {
+        path: '/hook',
+        contentType: 'application/json',
+        body: JSON.parse(serializeAlert(alert)),
+      },
+    ]);
+    expect(received[0].body.summary.healthFactor).toBeNull();
+    expect(failures).toEqual([{ url: `${baseUrl}/broken`, address: SAFE, error: 'HTTP 500' }]);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Monte Carlo Liquidation Simulation
+ *
+ * Samples correlated price paths for a vault's collateral tokens and
+ * estimates the probability of crossing the liquidation threshold
+ * within a horizon, plus the expected shortfall of collateral value.
+ */
+
+import { ASSET_GROUPS, RISK_MODEL, MONTE_CARLO_DEFAULT_PATHS } from '../config/index.js';
+import { getTokenGroup } from './scenarios.js';
+
+const DAYS_PER_YEAR = 365;
+
+// Tail used for expected shortfall (worst 5% of paths)
+export const SHORTFALL_CONFIDENCE = 0.95;
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32) returning floats in [0, 1).
+ *
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Random number generator
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draws a standard normal sample using the Box-Muller transform.
+ *
+ * @param {function(): number} random - Uniform random generator
+ * @returns {number} Standard normal sample
+ */
+const sampleNormal = (random) => {
+  const u = 1 - random(); // (0, 1] so log() is finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Computes the lower-triangular Cholesky factor of a correlation matrix.
+ *
+ * @param {number[][]} matrix - Symmetric positive semi-definite matrix
+ * @returns {number[][]} Lower-triangular matrix L with L * L^T = matrix
+ * @throws {Error} If the matrix is not positive semi-definite
+ */
+export const choleskyDecompose = (matrix) => {
+  const n = matrix.length;
+  const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+
+      if (i === j) {
+        // Allow tiny negative values from float rounding
+        if (sum < -1e-9) throw new Error('Correlation matrix is not positive semi-definite');
+        lower[i][j] = Math.sqrt(Math.max(sum, 0));
+      } else {
+        lower[i][j] = lower[j][j] > 0 ? sum / lower[j][j] : 0;
+      }
+    }
+  }
+
+  return lower;
+};
+
+/**
+ * Builds the correlation matrix between asset groups.
+ * Off-diagonal entries are scaled by `correlationScale`, which keeps the
+ * matrix positive semi-definite for any scale between 0 and 1.
+ *
+ * @param {string[]} groups - Group keys
+ * @param {Object<string, number>} groupCorrelations - "A:B" pair to correlation
+ * @param {number} [correlationScale] - Multiplier applied to every cross-group correlation
+ * @returns {number[][]} Correlation matrix
+ */
+export const buildGroupCorrelationMatrix = (groups, groupCorrelations, correlationScale = 1) =>
+  groups.map((a, i) =>
+    groups.map((b, j) => {
+      if (i === j) return 1;
+      const rho = groupCorrelations[`${a}:${b}`] ?? groupCorrelations[`${b}:${a}`] ?? 0;
+      return rho * correlationScale;
+    })
+  );
+
+/**
+ * @typedef {Object} MonteCarloResult
+ * @property {number} liquidationProbability - Share of paths that crossed the liquidation threshold
+ * @property {number} standardError - Standard error of the probability estimate
+ * @property {number} expectedShortfall - Mean collateral value loss in USD across the worst
+ *   (1 - SHORTFALL_CONFIDENCE) share of paths at the horizon
+ * @property {number} paths - Number of simulated paths
+ * @property {number} horizonDays - Simulated horizon in days
+ */
+
+/**
+ * Estimates the probability that a vault is liquidated within a horizon.
+ *
+ * Each token follows a geometric Brownian motion with daily steps. Groups are
+ * correlated through a Cholesky factor of the group matrix, and tokens inside a
+ * group share the group factor. Debt is held constant in USD. A path counts as
+ * liquidated if, at any step, the threshold-weighted collateral falls below the debt.
+ *
+ * @param {Object} params
+ * @param {Array<{token: string, valueUSD: number, liquidationThreshold: number}>} params.positions -
+ *   Collateral positions (see getCollateralBreakdown)
+ * @param {number} params.debtUSD - Current debt in USD
+ * @param {number} params.horizonDays - Horizon in days
+ * @param {number} [params.paths] - Number of paths to sample
+ * @param {number} [params.seed] - Seed for reproducible results
+ * @param {Object<string, number>} [params.volatility] - Annualised volatility per group
+ * @param {number} [params.correlationScale] - Multiplier on cross-group correlations (0-1)
+ * @returns {MonteCarloResult} Simulation result
+ */
+export const simulateLiquidationProbability = ({
+  positions,
+  debtUSD,
+  horizonDays,
+  paths = MONTE_CARLO_DEFAULT_PATHS,
+  seed = 1,
+  volatility = RISK_MODEL.volatility,
+  correlationScale = 1,
+}) => {
+  const active = positions.filter((p) => p.valueUSD > 0);
+  const initialValue = active.reduce((sum, p) => sum + p.valueUSD, 0);
+
+  // Factor per known group, plus one independent factor per ungrouped token
+  const groups = Object.keys(ASSET_GROUPS);
+  const tokenFactors = active.map((p) => {
+    const group = getTokenGroup(p.token);
+    return group ? { group, index: groups.indexOf(group) } : { group: null, index: -1 };
+  });
+  const cholesky = choleskyDecompose(
+    buildGroupCorrelationMatrix(groups, RISK_MODEL.groupCorrelations, correlationScale)
+  );
+
+  const steps = Math.max(1, Math.ceil(horizonDays));
+  const dt = horizonDays / steps / DAYS_PER_YEAR;
+  const intra = RISK_MODEL.intraGroupCorrelation;
+  const drifts = active.map((_, i) => {
+    const sigma = tokenFactors[i].group
+      ? volatility[tokenFactors[i].group] ?? RISK_MODEL.defaultVolatility
+      : RISK_MODEL.defaultVolatility;
+    return { drift: -0.5 * sigma * sigma * dt, scale: sigma * Math.sqrt(dt) };
+  });
+
+  const random = createRandom(seed);
+  const losses = [];
+  let liquidated = 0;
+
+  for (let path = 0; path < paths; path++) {
+    const logReturns = new Array(active.length).fill(0);
+    let hitLiquidation = false;
+
+    for (let step = 0; step < steps; step++) {
+      const independent = groups.map(() => sampleNormal(random));
+      const groupShocks = cholesky.map((row) =>
+        row.reduce((sum, weight, k) => sum + weight * independent[k], 0)
+      );
+
+      let liquidationValue = 0;
+      active.forEach((position, i) => {
+        const { index } = tokenFactors[i];
+        const idiosyncratic = sampleNormal(random);
+        const z =
+          index >= 0
+            ? Math.sqrt(intra) * groupShocks[index] + Math.sqrt(1 - intra) * idiosyncratic
+            : idiosyncratic;
+
+        logReturns[i] += drifts[i].drift + drifts[i].scale * z;
+        liquidationValue +=
+          position.valueUSD * Math.exp(logReturns[i]) * (position.liquidationThreshold / 100);
+      });
+
+      if (debtUSD > 0 && liquidationValue < debtUSD) hitLiquidation = true;
+    }
+
+    if (hitLiquidation) liquidated++;
+
+    const finalValue = active.reduce((sum, p, i) => sum + p.valueUSD * Math.exp(logReturns[i]), 0);
+    losses.push(initialValue - finalValue);
+  }
+
+  losses.sort((a, b) => b - a);
+  const tailCount = Math.max(1, Math.floor(paths * (1 - SHORTFALL_CONFIDENCE)));
+  const expectedShortfall = losses.slice(0, tailCount).reduce((sum, l) => sum + l, 0) / tailCount;
+
+  const probability = paths > 0 ? liquidated / paths : 0;
+
+  return {
+    liquidationProbability: probability,
+    standardError: paths > 0 ? Math.sqrt((probability * (1 - probability)) / paths) : 0,
+    expectedShortfall: Math.max(expectedShortfall, 0),
+    paths,
+    horizonDays,
+  };
+};
@@ -0,0 +1,111 @@
+/**
+ * Monte Carlo Simulation Tests
+ *
+ * Unit tests for the random generator, Cholesky factorisation and
+ * liquidation probability estimates.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createRandom,
+  choleskyDecompose,
+  buildGroupCorrelationMatrix,
+  simulateLiquidationProbability,
+} from './montecarlo';
+import { ASSET_GROUPS, RISK_MODEL } from '../config';
+
+const WETH = '0x5300000000000000000000000000000000000004';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+describe('createRandom', () => {
+  it('is deterministic for a seed and stays within [0, 1)', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const values = Array.from({ length: 100 }, () => a());
+
+    expect(values).toEqual(Array.from({ length: 100 }, () => b()));
+    expect(values.every((v) => v >= 0 && v < 1)).toBe(true);
+  });
+});
+
+describe('choleskyDecompose', () => {
+  it('reconstructs the original matrix', () => {
+    const matrix = [
+      [1, 0.8, 0.3],
+      [0.8, 1, 0.5],
+      [0.3, 0.5, 1],
+    ];
+    const lower = choleskyDecompose(matrix);
+
+    matrix.forEach((row, i) =>
+      row.forEach((value, j) => {
+        const product = lower[i].reduce((sum, l, k) => sum + l * lower[j][k], 0);
+        expect(product).toBeCloseTo(value);
+      })
+    );
+  });
+
+  it('rejects matrices that are not positive semi-definite', () => {
+    expect(() =>
+      choleskyDecompose([
+        [1, 0.9, -0.9],
+        [0.9, 1, 0.9],
+        [-0.9, 0.9, 1],
+      ])
+    ).toThrow();
+  });
+
+  it('accepts the configured group correlations at any scale', () => {
+    const groups = Object.keys(ASSET_GROUPS);
+    [0, 0.5, 1].forEach((scale) => {
+      expect(() =>
+        choleskyDecompose(buildGroupCorrelationMatrix(groups, RISK_MODEL.groupCorrelations, scale))
+      ).not.toThrow();
+    });
+  });
+});
+
+describe('simulateLiquidationProbability', () => {
+  const ethPosition = { token: WETH, valueUSD: 10000, liquidationThreshold: 80 };
+
+  it('never liquidates a vault without debt', () => {
+    const result = simulateLiquidationProbability({
+      positions: [ethPosition],
+      debtUSD: 0,
+      horizonDays: 30,
+      paths: 200,
+    });
+    expect(result.liquidationProbability).toBe(0);
+  });
+
+  it('always liquidates a vault already over its threshold', () => {
+    const result = simulateLiquidationProbability({
+      positions: [ethPosition],
+      debtUSD: 9000,
+      horizonDays: 1,
+      paths: 200,
+    });
+    expect(result.liquidationProbability).toBe(1);
+  });
+
+  it('grows with the horizon and is reproducible for a seed', () => {
+    const params = { positions: [ethPosition], debtUSD: 6000, paths: 1000, seed: 7 };
+    const oneDay = simulateLiquidationProbability({ ...params, horizonDays: 1 });
+    const month = simulateLiquidationProbability({ ...params, horizonDays: 30 });
+
+    expect(month.liquidationProbability).toBeGreaterThan(oneDay.liquidationProbability);
+    expect(simulateLiquidationProbability({ ...params, horizonDays: 30 })).toEqual(month);
+  });
+
+  it('treats stablecoin collateral as nearly riskless', () => {
+    const result = simulateLiquidationProbability({
+      positions: [{ token: USDC, valueUSD: 10000, liquidationThreshold: 90 }],
+      debtUSD: 8000,
+      horizonDays: 30,
+      paths: 500,
+    });
+
+    expect(result.liquidationProbability).toBe(0);
+    expect(result.expectedShortfall).toBeLessThan(500);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Portfolio Utilities
+ *
+ * Summaries and sorting for the multi-vault portfolio dashboard.
+ */
+
+import {
+  calculateHealthFactor,
+  calculateLiquidationHealthFactor,
+  toUSDFloat,
+} from './calculations.js';
+
+/**
+ * @typedef {Object} VaultSummary
+ * @property {number} totalCollateral - Collateral value in USD
+ * @property {number} totalBorrow - Debt in USD
+ * @property {number} maxBorrow - Max borrow in USD
+ * @property {number} utilisation - Debt divided by max borrow
+ * @property {number} healthFactor - Liquidation health factor (Infinity without debt)
+ * @property {number} liquidationDistance - Share of threshold-weighted collateral value
+ *   that can be lost before liquidation (1 without debt, 0 when liquidatable)
+ */
+
+/**
+ * Summarizes a vault's data into the figures shown in the portfolio table.
+ *
+ * @param {Object} data - Vault data as returned by fetchSafeData / fetchSafesDataBatch
+ * @returns {VaultSummary} Summary
+ */
+export const summarizeVault = (data) => {
+  const totalCollateral = toUSDFloat(data.totalCollateral);
+  const totalBorrow = toUSDFloat(data.totalBorrow);
+  const maxBorrow = toUSDFloat(data.maxBorrow);
+  const liquidationLimit = toUSDFloat(data.liquidationLimit);
+
+  let liquidationDistance = totalBorrow > 0 ? 0 : 1;
+  if (liquidationLimit > 0) {
+    liquidationDistance = Math.max(0, 1 - totalBorrow / liquidationLimit);
+  }
+
+  return {
+    totalCollateral,
+    totalBorrow,
+    maxBorrow,
+    utilisation: calculateHealthFactor(totalBorrow, maxBorrow),
+    healthFactor: calculateLiquidationHealthFactor(totalBorrow, liquidationLimit),
+    liquidationDistance,
+  };
+};
+
+/**
+ * Sorts portfolio rows by a summary field. Rows without a summary
+ * (failed loads) always sort last.
+ *
+ * @param {Array<{address: string, summary: VaultSummary|null}>} rows - Table rows
+ * @param {string} key - Summary field or "address"
+ * @param {'asc'|'desc'} direction - Sort direction
+ * @returns {Array} New sorted array
+ */
+export const sortPortfolioRows = (rows, key, direction) => {
+  const sign = direction === 'asc' ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    if (key === 'address') return sign * a.address.localeCompare(b.address);
+    if (!a.summary) return b.summary ? 1 : 0;
+    if (!b.summary) return -1;
+
+    const diff = a.summary[key] - b.summary[key];
+    // Infinity - Infinity is NaN; treat as equal
+    return Number.isNaN(diff) ? 0 : sign * diff;
+  });
+};
@@ -0,0 +1,66 @@
+/**
+ * Portfolio Tests
+ *
+ * Unit tests for vault summaries and portfolio table sorting.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { summarizeVault, sortPortfolioRows } from './portfolio';
+
+const usd = (value) => BigInt(value) * 1000000n;
+
+describe('summarizeVault', () => {
+  it('derives utilisation, health factor and distance to liquidation', () => {
+    const summary = summarizeVault({
+      totalCollateral: usd(10000),
+      totalBorrow: usd(4000),
+      maxBorrow: usd(5000),
+      liquidationLimit: usd(8000),
+    });
+
+    expect(summary).toEqual({
+      totalCollateral: 10000,
+      totalBorrow: 4000,
+      maxBorrow: 5000,
+      utilisation: 0.8,
+      healthFactor: 2,
+      liquidationDistance: 0.5,
+    });
+  });
+
+  it('treats vaults without debt as fully safe', () => {
+    const summary = summarizeVault({ totalCollateral: usd(100), totalBorrow: 0n, maxBorrow: usd(50) });
+
+    expect(summary.healthFactor).toBe(Infinity);
+    expect(summary.liquidationDistance).toBe(1);
+  });
+});
+
+describe('sortPortfolioRows', () => {
+  const rows = [
+    { address: '0xb', summary: { utilisation: 0.2, healthFactor: Infinity } },
+    { address: '0xa', summary: null },
+    { address: '0xc', summary: { utilisation: 0.9, healthFactor: 1.1 } },
+  ];
+
+  it('sorts by a summary field and keeps failed rows last', () => {
+    expect(sortPortfolioRows(rows, 'utilisation', 'desc').map((r) => r.address)).toEqual([
+      '0xc',
+      '0xb',
+      '0xa',
+    ]);
+    expect(sortPortfolioRows(rows, 'utilisation', 'asc').map((r) => r.address)).toEqual([
+      '0xb',
+      '0xc',
+      '0xa',
+    ]);
+  });
+
+  it('sorts by address', () => {
+    expect(sortPortfolioRows(rows, 'address', 'asc').map((r) => r.address)).toEqual([
+      '0xa',
+      '0xb',
+      '0xc',
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Interest Projection Tests
+ *
+ * Unit tests for compounding debt over time, price drift per asset group and
+ * the dates a vault reaches max borrow and liquidation.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { projectVault, debtGrowthFactor, priceDriftFactor } from './projection';
+import { toUSDFloat } from './calculations';
+
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+const START = Date.UTC(2026, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const metadataMap = new Map([
+  [WEETH, { symbol: 'weETH', decimals: 18 }],
+  [USDC, { symbol: 'USDC', decimals: 6 }],
+]);
+const ltvMap = new Map([[WEETH, { ltv: 50, liquidationThreshold: 75, liquidationBonus: 5 }]]);
+const priceMap = new Map([
+  [WEETH, 2000_000000],
+  [USDC, 1_000000],
+]);
+
+// 1 weETH at $2000 (max borrow $1000, liquidation at $1500) against 900 USDC
+const vault = {
+  collateralBalances: [{ token: WEETH, amount: 10n ** 18n }],
+  borrows: [{ token: USDC, amount: 900_000000n }],
+  totalBorrow: 900_000000n,
+};
+const rates = new Map([[USDC, { apy: 10, source: 'on-chain' }]]);
+
+describe('growth factors', () => {
+  it('compounds debt daily and drifts prices to the annual change after a year', () => {
+    expect(debtGrowthFactor(10, 365)).toBeCloseTo(1.1051557816, 9);
+    expect(debtGrowthFactor(0, 365)).toBe(1);
+    expect(priceDriftFactor(-50, 365)).toBe(0.5);
+    expect(priceDriftFactor(-100, 10)).toBe(0);
+  });
+});
+
+describe('projectVault', () => {
+  it('accrues interest and finds the day debt reaches max borrow', () => {
+    const projection = projectVault(vault, priceMap, metadataMap, ltvMap, rates, {
+      horizonDays: 730,
+      startTime: START,
+    });
+
+    expect(projection.points).toHaveLength(731);
+    expect(projection.points[0].totalBorrow).toBe(900_000000n);
+    expect(projection.points[0].maxBorrow).toBe(1000_000000n);
+    expect(toUSDFloat(projection.points[365].totalBorrow)).toBeCloseTo(994.64, 2);
+    expect(projection.maxBorrowReached.day).toBe(385);
+    expect(projection.maxBorrowReached.time).toBe(START + 385 * DAY_MS);
+    expect(projection.liquidationReached).toBeNull();
+    expect(projection.interest).toBe(projection.points[730].totalBorrow - 900_000000n);
+  });
+
+  it('drifts collateral prices per asset group', () => {
+    const projection = projectVault(vault, priceMap, metadataMap, ltvMap, rates, {
+      horizonDays: 365,
+      drift: { ETH: -50 },
+      startTime: START,
+    });
+
+    expect(projection.points[365].totalCollateral).toBe(1000_000000n);
+    expect(projection.points[365].maxBorrow).toBe(500_000000n);
+    expect(projection.maxBorrowReached.day).toBe(49);
+    expect(projection.liquidationReached.day).toBe(236);
+    expect(projection.liquidationReached.healthFactor).toBeLessThanOrEqual(1);
+  });
+
+  it('applies the blended borrow rate to a simulated debt', () => {
+    const projection = projectVault(
+      { ...vault, totalBorrow: 1800_000000n },
+      priceMap,
+      metadataMap,
+      ltvMap,
+      rates,
+      { horizonDays: 365, stepDays: 30 }
+    );
+
+    expect(projection.points.map((p) => p.day).slice(-2)).toEqual([360, 365]);
+    expect(toUSDFloat(projection.interest)).toBeCloseTo(189.28, 1);
+    // Already above both thresholds today
+    expect(projection.maxBorrowReached.day).toBe(0);
+    expect(projection.liquidationReached.day).toBe(0);
+  });
+
+  it('keeps the debt flat without borrow rates', () => {
+    const projection = projectVault(vault, priceMap, metadataMap, ltvMap, new Map(), {
+      horizonDays: 30,
+    });
+
+    expect(projection.interest).toBe(0n);
+    expect(projection.maxBorrowReached).toBeNull();
+    expect(projection.points.every((p) => p.utilisation === 0.9)).toBe(true);
+  });
+});
@@ -3,10 +3,423 @@
  *
  * Provides a single shared RPC provider instance to avoid
  * creating multiple connections across the application.
+ *
+ * The provider spreads requests over a list of RPC endpoints: it retries
+ * with exponential backoff, falls back to the next endpoint (or asks several
+ * for a quorum), and ranks endpoints by a health score built from recent
+ * successes, failures and latency. Status listeners are told which endpoint
+ * served each request so the UI can show it.
  */
 
 import { ethers } from 'ethers';
-import { NETWORK } from '../config';
+import { NETWORK, RPC_CONFIG } from '../config/index.js';
+
+export const RPC_STRATEGIES = {
+  FALLBACK: 'fallback', // Ask endpoints one at a time, best first
+  QUORUM: 'quorum', // Ask several endpoints and require matching answers
+};
+
+// JSON-RPC error codes that mean "try again / try elsewhere" rather than a real answer
+const RETRYABLE_RPC_CODES = new Set([-32005, -32603, 429]);
+const RETRYABLE_RPC_MESSAGE = /rate limit|too many requests|timeout|timed out|header not found/i;
+
+// Results that legitimately differ between healthy nodes are not put to a vote
+const QUORUM_EXEMPT_METHODS = new Set(['eth_blockNumber', 'eth_chainId', 'net_version']);
+
+// Position of the block tag in methods that read state at a block. In quorum
+// mode "latest" is pinned to one block number so nodes at different heights
+// answer the same question.
+const BLOCK_TAG_PARAM_INDEX = {
+  eth_call: 1,
+  eth_getBalance: 1,
+  eth_getCode: 1,
+  eth_getBlockByNumber: 0,
+};
+const MOVING_BLOCK_TAGS = new Set([undefined, 'latest', 'pending']);
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Error raised when an endpoint fails in a way worth retrying elsewhere.
+ */
+export class RpcEndpointError extends Error {
+  constructor(url, message, { status, retryAfterMs } = {}) {
+    super(`${url}: ${message}`);
+    this.name = 'RpcEndpointError';
+    this.url = url;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Error raised when endpoints answer but do not agree (quorum strategy).
+ * Retried like an endpoint failure, since lagging nodes often catch up.
+ */
+export class RpcQuorumError extends Error {
+  constructor(method, urls) {
+    super(`RPC endpoints disagree on ${method} (${urls.join(', ')})`);
+    this.name = 'RpcQuorumError';
+    this.method = method;
+  }
+}
+
+/**
+ * @typedef {Object} EndpointHealth
+ * @property {string} url - Endpoint URL
+ * @property {number} successes - Successful requests
+ * @property {number} failures - Failed requests
+ * @property {number} consecutiveFailures - Failures since the last success
+ * @property {number|null} latencyMs - Moving average of response time
+ * @property {number} cooldownUntil - Timestamp (ms) before which the endpoint is skipped
+ * @property {string|null} lastError - Last failure message
+ * @property {number} score - Health score between 0 and 1 (higher is better)
+ */
+
+/**
+ * Computes an endpoint's health score from its history.
+ * Success rate (with a neutral prior) minus a latency penalty of up to 0.25.
+ *
+ * @param {EndpointHealth} health - Endpoint health record
+ * @returns {number} Score between 0 and 1
+ */
+export const scoreEndpoint = (health) => {
+  const successRate = (health.successes + 1) / (health.successes + health.failures + 2);
+  const latencyPenalty = health.latencyMs === null ? 0 : Math.min(health.latencyMs / 8000, 0.25);
+  return Math.max(0, successRate - latencyPenalty);
+};
+
+/**
+ * Checks whether a JSON-RPC error is transient. Reverts are never retried,
+ * even when a node reports them with a generic internal error code.
+ *
+ * @param {{code: number, message: string}|undefined} error - JSON-RPC error object
+ * @returns {boolean} True if another attempt may succeed
+ */
+const isRetryableRpcError = (error) => {
+  if (!error) return false;
+  const message = error.message ?? '';
+  if (/revert/i.test(message)) return false;
+  return RETRYABLE_RPC_CODES.has(error.code) || RETRYABLE_RPC_MESSAGE.test(message);
+};
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into milliseconds.
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * JSON-RPC provider backed by several endpoints.
+ *
+ * Only transport failures (network errors, timeouts, HTTP 429/5xx) and
+ * rate-limit style JSON-RPC errors cause a retry; reverts and other
+ * deterministic errors are returned to ethers as-is.
+ */
+export class ResilientJsonRpcProvider extends ethers.JsonRpcProvider {
+  #endpoints;
+  #options;
+  #listeners = new Set();
+  #lastEndpoint = null;
+
+  /**
+   * @param {string[]} urls - RPC endpoint URLs, in order of preference
+   * @param {ethers.Networkish} [network] - Network (defaults to NETWORK.chainId)
+   * @param {Object} [options] - RPC_CONFIG overrides plus ethers JsonRpcApiProviderOptions
+   */
+  constructor(urls, network = NETWORK.chainId, options = {}) {
+    if (!urls || urls.length === 0) throw new Error('At least one RPC endpoint is required');
+
+    const {
+      strategy = RPC_CONFIG.strategy,
+      quorum = RPC_CONFIG.quorum,
+      retries = RPC_CONFIG.retries,
+      baseDelayMs = RPC_CONFIG.baseDelayMs,
+      timeoutMs = RPC_CONFIG.timeoutMs,
+      cooldownMs = RPC_CONFIG.cooldownMs,
+      failuresBeforeCooldown = RPC_CONFIG.failuresBeforeCooldown,
+      ...providerOptions
+    } = options;
+
+    super(urls[0], network, providerOptions);
+
+    this.#options = { strategy, quorum, retries, baseDelayMs, timeoutMs, cooldownMs, failuresBeforeCooldown };
+    this.#endpoints = urls.map((url) => ({
+      url,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      latencyMs: null,
+      cooldownUntil: 0,
+      lastError: null,
+    }));
+  }
+
+  /**
+   * Endpoint that answered the most recent request (null before the first one).
+   *
+   * @returns {string|null} Endpoint URL
+   */
+  get lastEndpoint() {
+    return this.#lastEndpoint;
+  }
+
+  /**
+   * Returns a snapshot of every endpoint's health, best first.
+   *
+   * @returns {EndpointHealth[]} Endpoint health records
+   */
+  getEndpointHealth() {
+    return this.#rankEndpoints().map((endpoint) => ({ ...endpoint, score: scoreEndpoint(endpoint) }));
+  }
+
+  /**
+   * Subscribes to status changes (after every request).
+   *
+   * @param {function({lastEndpoint: string|null, endpoints: EndpointHealth[]}): void} listener
+   * @returns {function(): void} Unsubscribe function
+   */
+  addStatusListener(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  #notify() {
+    const status = { lastEndpoint: this.#lastEndpoint, endpoints: this.getEndpointHealth() };
+    this.#listeners.forEach((listener) => listener(status));
+  }
+
+  /**
+   * Orders endpoints by score, with endpoints in cooldown last.
+   * Ties keep the configured order.
+   */
+  #rankEndpoints() {
+    const now = Date.now();
+    return [...this.#endpoints].sort((a, b) => {
+      const aCooling = a.cooldownUntil > now;
+      const bCooling = b.cooldownUntil > now;
+      if (aCooling !== bCooling) return aCooling ? 1 : -1;
+      return scoreEndpoint(b) - scoreEndpoint(a);
+    });
+  }
+
+  #recordSuccess(endpoint, latencyMs) {
+    endpoint.successes++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.latencyMs =
+      endpoint.latencyMs === null
+        ? latencyMs
+        : endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING;
+  }
+
+  #recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.message;
+
+    const { cooldownMs, failuresBeforeCooldown } = this.#options;
+    if (error.retryAfterMs !== undefined) {
+      endpoint.cooldownUntil = Date.now() + error.retryAfterMs;
+    } else if (endpoint.consecutiveFailures >= failuresBeforeCooldown) {
+      endpoint.cooldownUntil = Date.now() + cooldownMs;
+    }
+  }
+
+  /**
+   * Sends a payload to one endpoint, throwing RpcEndpointError on retryable failures.
+   *
+   * @param {Object} endpoint - Endpoint record
+   * @param {Object|Object[]} payload - JSON-RPC payload or batch
+   * @returns {Promise<Object[]>} JSON-RPC results
+   */
+  async #sendToEndpoint(endpoint, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.#options.timeoutMs);
+    const startedAt = Date.now();
+
+    try {
+      let response;
+      try {
+        response = await fetch(endpoint.url, {
+          method: 'POST',
+          headers: { 'content-type': 'application/json' },
+          body: JSON.stringify(payload),
+          signal: controller.signal,
+        });
+      } catch (error) {
+        const reason = error.name === 'AbortError' ? 'request timed out' : error.message;
+        throw new RpcEndpointError(endpoint.url, reason);
+      }
+
+      if (!response.ok) {
+        throw new RpcEndpointError(endpoint.url, `HTTP ${response.status}`, {
+          status: response.status,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        });
+      }
+
+      let body;
+      try {
+        body = await response.json();
+      } catch {
+        throw new RpcEndpointError(endpoint.url, 'invalid JSON response');
+      }
+      const results = Array.isArray(body) ? body : [body];
+
+      const retryable = results.find((r) => isRetryableRpcError(r.error));
+      if (retryable) throw new RpcEndpointError(endpoint.url, retryable.error.message);
+
+      this.#recordSuccess(endpoint, Date.now() - startedAt);
+      return results;
+    } catch (error) {
+      if (error instanceof RpcEndpointError) this.#recordFailure(endpoint, error);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Tries endpoints best-first until one answers.
+   */
+  async #sendFallback(payload) {
+    let lastError;
+    for (const endpoint of this.#rankEndpoints()) {
+      try {
+        const results = await this.#sendToEndpoint(endpoint, payload);
+        this.#lastEndpoint = endpoint.url;
+        return results;
+      } catch (error) {
+        if (!(error instanceof RpcEndpointError)) throw error;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Rewrites requests that read at a moving block tag ("latest") to read at
+   * the lowest head among the given endpoints, resolved once for the payload,
+   * so every endpoint has the block and all of them answer for the same one.
+   * Requests are returned unchanged when no head could be read.
+   */
+  async #pinMovingBlockTags(requests, endpoints) {
+    const isMoving = (request) => {
+      const index = BLOCK_TAG_PARAM_INDEX[request.method];
+      return index !== undefined && MOVING_BLOCK_TAGS.has(request.params?.[index]);
+    };
+    if (!requests.some(isMoving)) return requests;
+
+    const headRequest = { jsonrpc: '2.0', id: 0, method: 'eth_blockNumber', params: [] };
+    const heads = await Promise.allSettled(
+      endpoints.map((endpoint) => this.#sendToEndpoint(endpoint, headRequest))
+    );
+    const blocks = heads
+      .filter((outcome) => outcome.status === 'fulfilled' && outcome.value[0]?.result)
+      .map((outcome) => BigInt(outcome.value[0].result));
+    if (blocks.length === 0) return requests;
+
+    const pinned = ethers.toQuantity(blocks.reduce((min, block) => (block < min ? block : min)));
+    return requests.map((request) => {
+      if (!isMoving(request)) return request;
+      const params = [...(request.params ?? [])];
+      params[BLOCK_TAG_PARAM_INDEX[request.method]] = pinned;
+      return { ...request, params };
+    });
+  }
+
+  /**
+   * Asks the best `quorum` endpoints in parallel (topping up from the rest on
+   * failure) and accepts each result once `quorum` endpoints agree on it.
+   * Any request without agreement fails the whole payload.
+   */
+  async #sendQuorum(payload) {
+    const quorum = Math.min(this.#options.quorum, this.#endpoints.length);
+    const requests = await this.#pinMovingBlockTags(
+      Array.isArray(payload) ? payload : [payload],
+      this.#rankEndpoints().slice(0, quorum)
+    );
+    const body = Array.isArray(payload) ? requests : requests[0];
+    const pending = this.#rankEndpoints();
+    const answers = [];
+    let lastError;
+
+    while (answers.length < quorum && pending.length > 0) {
+      const batch = pending.splice(0, quorum - answers.length);
+      const settled = await Promise.allSettled(
+        batch.map((endpoint) => this.#sendToEndpoint(endpoint, body))
+      );
+      settled.forEach((outcome, i) => {
+        if (outcome.status === 'fulfilled') answers.push({ url: batch[i].url, results: outcome.value });
+        else if (outcome.reason instanceof RpcEndpointError) lastError = outcome.reason;
+        else throw outcome.reason;
+      });
+    }
+
+    if (answers.length < quorum) {
+      throw lastError ?? new Error(`Quorum of ${quorum} endpoints not reached`);
+    }
+
+    const urls = answers.map((a) => a.url);
+    const merged = requests.map((request) => {
+      const votes = new Map();
+      answers.forEach(({ results }) => {
+        const result = results.find((r) => r.id === request.id);
+        if (!result) return;
+        const key = JSON.stringify(result.error ?? result.result);
+        votes.set(key, [...(votes.get(key) ?? []), result]);
+      });
+
+      if (QUORUM_EXEMPT_METHODS.has(request.method)) return [...votes.values()][0]?.[0];
+
+      const agreed = [...votes.values()].find((group) => group.length >= quorum);
+      if (!agreed) throw new RpcQuorumError(request.method, urls);
+      return agreed[0];
+    });
+
+    this.#lastEndpoint = urls.join(', ');
+    return merged.filter(Boolean);
+  }
+
+  /**
+   * Sends a JSON-RPC payload using the configured strategy, retrying the whole
+   * round with exponential backoff while endpoints keep failing.
+   *
+   * @param {Object|Object[]} payload - JSON-RPC payload or batch
+   * @returns {Promise<Object[]>} JSON-RPC results
+   */
+  async _send(payload) {
+    const { strategy, retries, baseDelayMs } = this.#options;
+    let lastError;
+
+    try {
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) await sleep(baseDelayMs * 2 ** (attempt - 1));
+        try {
+          return strategy === RPC_STRATEGIES.QUORUM
+            ? await this.#sendQuorum(payload)
+            : await this.#sendFallback(payload);
+        } catch (error) {
+          if (!(error instanceof RpcEndpointError || error instanceof RpcQuorumError)) throw error;
+          lastError = error;
+        }
+      }
+      if (lastError instanceof RpcQuorumError) throw lastError;
+      throw new Error(`All RPC endpoints failed (last error: ${lastError.message})`);
+    } finally {
+      this.#notify();
+    }
+  }
+}
 
 let providerInstance = null;
 
@@ -14,11 +427,11 @@ let providerInstance = null;
  * Gets the shared JSON-RPC provider instance.
  * Creates the provider lazily on first call.
  *
- * @returns {ethers.JsonRpcProvider} The shared provider instance
+ * @returns {ResilientJsonRpcProvider} The shared provider instance
  */
 export const getProvider = () => {
   if (!providerInstance) {
-    providerInstance = new ethers.JsonRpcProvider(NETWORK.rpcUrl);
+    providerInstance = new ResilientJsonRpcProvider(NETWORK.rpcUrls, NETWORK.chainId);
   }
   return providerInstance;
 };
@@ -28,5 +441,6 @@ export const getProvider = () => {
  * Useful for testing or when switching networks.
  */
 export const resetProvider = () => {
+  providerInstance?.destroy();
   providerInstance = null;
 };
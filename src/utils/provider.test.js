@@ -0,0 +1,208 @@
+// @vitest-environment node
+/**
+ * Provider Tests
+ *
+ * Runs the multi-endpoint provider against local mock JSON-RPC servers
+ * that fail, rate-limit or disagree on purpose.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { ethers } from 'ethers';
+import { ResilientJsonRpcProvider, RPC_STRATEGIES, scoreEndpoint } from './provider';
+import { startMockRpcServer, erc20Handler, MockRevert } from '../test/mockRpc';
+import { NETWORK } from '../config';
+import { ERC20ABI } from './abi';
+
+const TOKEN = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+const REVERTING = '0x00000000000000000000000000000000000000bb';
+// Nothing listens on port 1, so connections are refused immediately
+const DEAD_URL = 'http://127.0.0.1:1';
+
+const FAST = { retries: 0, baseDelayMs: 1, timeoutMs: 2000, staticNetwork: true };
+
+const servers = [];
+const providers = [];
+
+/**
+ * Starts a mock server answering symbol() for TOKEN and reverting for REVERTING.
+ */
+const startServer = async ({ symbol = 'USDC', intercept } = {}) => {
+  const server = await startMockRpcServer({
+    contracts: {
+      [TOKEN]: erc20Handler(symbol, 6),
+      [REVERTING]: () => {
+        throw new MockRevert('0x34d0b499');
+      },
+    },
+    intercept,
+  });
+  servers.push(server);
+  return server;
+};
+
+const createProvider = (urls, options = {}) => {
+  const provider = new ResilientJsonRpcProvider(urls, NETWORK.chainId, { ...FAST, ...options });
+  providers.push(provider);
+  return provider;
+};
+
+const readSymbol = (provider, address = TOKEN) =>
+  new ethers.Contract(address, ERC20ABI, provider).symbol();
+
+/**
+ * Counts requests that reached a server (ignoring chain id detection).
+ */
+const countCalls = (server) =>
+  server.requests.flat().filter((r) => r.method === 'eth_call').length;
+
+afterEach(async () => {
+  providers.splice(0).forEach((p) => p.destroy());
+  await Promise.all(servers.splice(0).map((s) => s.close()));
+});
+
+describe('ResilientJsonRpcProvider', () => {
+  it('falls back to the next endpoint when one is rate-limited', async () => {
+    const limited = await startServer({ intercept: () => ({ status: 429, body: {} }) });
+    const healthy = await startServer();
+    const provider = createProvider([limited.url, healthy.url]);
+
+    const statuses = [];
+    provider.addStatusListener((status) => statuses.push(status));
+
+    expect(await readSymbol(provider)).toBe('USDC');
+    expect(provider.lastEndpoint).toBe(healthy.url);
+    expect(statuses.at(-1).lastEndpoint).toBe(healthy.url);
+  });
+
+  it('falls back when an endpoint is unreachable', async () => {
+    const healthy = await startServer();
+    const provider = createProvider([DEAD_URL, healthy.url]);
+
+    expect(await readSymbol(provider)).toBe('USDC');
+    const [best, worst] = provider.getEndpointHealth();
+    expect(best.url).toBe(healthy.url);
+    expect(worst.url).toBe(DEAD_URL);
+    expect(worst.failures).toBe(1);
+  });
+
+  it('retries a single endpoint with backoff after transient failures', async () => {
+    let failuresLeft = 2;
+    const flaky = await startServer({
+      intercept: (body) => {
+        if (body.method !== 'eth_call' || failuresLeft === 0) return undefined;
+        failuresLeft--;
+        return { status: 503, body: {} };
+      },
+    });
+    const provider = createProvider([flaky.url], { retries: 2 });
+
+    expect(await readSymbol(provider)).toBe('USDC');
+    expect(countCalls(flaky)).toBe(3);
+  });
+
+  it('treats rate-limit JSON-RPC errors as retryable', async () => {
+    const limited = await startServer({
+      intercept: (body) => ({
+        status: 200,
+        body: { jsonrpc: '2.0', id: body.id, error: { code: -32005, message: 'rate limit exceeded' } },
+      }),
+    });
+    const healthy = await startServer({ symbol: 'OK' });
+    const provider = createProvider([limited.url, healthy.url]);
+
+    expect(await readSymbol(provider)).toBe('OK');
+  });
+
+  it('does not retry reverts', async () => {
+    const first = await startServer();
+    const second = await startServer();
+    const provider = createProvider([first.url, second.url], { retries: 2 });
+
+    await expect(readSymbol(provider, REVERTING)).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+    expect(countCalls(first)).toBe(1);
+    expect(countCalls(second)).toBe(0);
+  });
+
+  it('puts an endpoint in cooldown after repeated failures, honouring Retry-After', async () => {
+    const limited = await startServer({
+      intercept: () => ({ status: 429, body: {}, headers: { 'Retry-After': '60' } }),
+    });
+    const healthy = await startServer();
+    const provider = createProvider([limited.url, healthy.url]);
+
+    await readSymbol(provider);
+    await readSymbol(provider);
+
+    // The second call skips the rate-limited endpoint entirely
+    expect(countCalls(limited)).toBe(1);
+    const limitedHealth = provider.getEndpointHealth().find((e) => e.url === limited.url);
+    expect(limitedHealth.cooldownUntil).toBeGreaterThan(Date.now() + 50_000);
+  });
+
+  it('throws once every endpoint has failed', async () => {
+    const down = await startServer({ intercept: () => ({ status: 502, body: {} }) });
+    const provider = createProvider([DEAD_URL, down.url], { retries: 1 });
+
+    await expect(readSymbol(provider)).rejects.toThrow(/All RPC endpoints failed/);
+  });
+
+  describe('quorum strategy', () => {
+    it('accepts the answer a quorum of endpoints agree on', async () => {
+      const a = await startServer({ symbol: 'USDC' });
+      const b = await startServer({ symbol: 'EVIL' });
+      const c = await startServer({ symbol: 'USDC' });
+      const provider = createProvider([a.url, b.url, c.url], {
+        strategy: RPC_STRATEGIES.QUORUM,
+        quorum: 2,
+      });
+
+      // a and b are asked first and disagree, so the call errors rather than guessing
+      await expect(readSymbol(provider)).rejects.toThrow(/disagree/);
+
+      // With b down, a and c are asked and agree
+      const provider2 = createProvider([a.url, DEAD_URL, c.url], {
+        strategy: RPC_STRATEGIES.QUORUM,
+        quorum: 2,
+      });
+      expect(await readSymbol(provider2)).toBe('USDC');
+      expect(provider2.lastEndpoint).toBe(`${a.url}, ${c.url}`);
+    });
+
+    it('pins "latest" to one block for endpoints at different heights', async () => {
+      // The symbol changes at block 101, which only the second endpoint has reached
+      const startAtHeight = async (blockNumber) => {
+        const server = await startMockRpcServer({
+          blockNumber,
+          contracts: {
+            [TOKEN]: (callData, block) =>
+              erc20Handler(block > 100 ? 'USDC.e' : 'USDC', 6)(callData),
+          },
+        });
+        servers.push(server);
+        return server;
+      };
+      const behind = await startAtHeight(100);
+      const ahead = await startAtHeight(101);
+      const provider = createProvider([behind.url, ahead.url], {
+        strategy: RPC_STRATEGIES.QUORUM,
+        quorum: 2,
+      });
+
+      expect(await readSymbol(provider)).toBe('USDC');
+      // Both endpoints were asked at the lower head
+      [behind, ahead].forEach((server) => {
+        const call = server.requests.flat().find((r) => r.method === 'eth_call');
+        expect(call.params[1]).toBe('0x64');
+      });
+    });
+  });
+});
+
+describe('scoreEndpoint', () => {
+  it('prefers reliable, fast endpoints', () => {
+    const base = { successes: 10, failures: 0, latencyMs: 100 };
+    expect(scoreEndpoint(base)).toBeGreaterThan(scoreEndpoint({ ...base, failures: 5 }));
+    expect(scoreEndpoint(base)).toBeGreaterThan(scoreEndpoint({ ...base, latencyMs: 2000 }));
+    expect(scoreEndpoint({ successes: 0, failures: 0, latencyMs: null })).toBe(0.5);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Metric Reconciliation
+ *
+ * Compares the metrics CashLens reports for a vault with the ones the app
+ * recalculates from token prices and LTV parameters, so drift in the LTV
+ * parameters (e.g. LTV_CONFIG fallbacks) or in the price math shows up
+ * instead of being silently overwritten.
+ */
+
+import { LTV_SOURCES, RECONCILIATION_TOLERANCE_BPS } from './constants.js';
+import { calculateHealthFactor, toUSDFloat } from './calculations.js';
+
+const BPS = 10_000n;
+
+// Metrics CashLens returns that the app recalculates
+export const RECONCILED_METRICS = [
+  { key: 'totalCollateral', label: 'Total collateral' },
+  { key: 'maxBorrow', label: 'Max borrow' },
+];
+
+/**
+ * @typedef {Object} ReconciliationRow
+ * @property {string} key - Metric key
+ * @property {string} label - Display label
+ * @property {'usd'|'ratio'} unit - usd: 6-decimal bigints; ratio: fractions
+ * @property {bigint|number} onChain - Value reported by CashLens
+ * @property {bigint|number} local - Recalculated value
+ * @property {bigint|number} difference - local - onChain
+ * @property {number|null} relativeDifference - difference / onChain (null when onChain is 0)
+ * @property {boolean} flagged - Whether the difference exceeds the tolerance
+ */
+
+/**
+ * @typedef {Object} Reconciliation
+ * @property {ReconciliationRow[]} rows - One row per metric
+ * @property {boolean} flagged - Whether any row is flagged or the recalculation failed
+ * @property {string|null} recalculationError - Why the recalculation failed, if it did
+ * @property {string[]} fallbackTokens - Collateral tokens valued with LTV_CONFIG fallbacks
+ * @property {number} toleranceBps - Tolerance used, in basis points
+ */
+
+/**
+ * Checks whether a difference exceeds a tolerance relative to a reference,
+ * exactly in bigint. Any difference from a zero reference is flagged.
+ *
+ * @param {bigint} difference - Difference
+ * @param {bigint} reference - Reference value
+ * @param {number} toleranceBps - Tolerance in basis points
+ * @returns {boolean} True if the difference is above the tolerance
+ */
+const exceedsTolerance = (difference, reference, toleranceBps) => {
+  const abs = (n) => (n < 0n ? -n : n);
+  return abs(difference) * BPS > abs(reference) * BigInt(toleranceBps);
+};
+
+/**
+ * Reconciles a vault's on-chain metrics with the recalculated ones.
+ * USD metrics are compared relative to the on-chain value; utilisation,
+ * already a fraction, is compared in absolute terms (10 bps = 0.1 points).
+ *
+ * @param {Object} data - Vault data from fetchSafeData (with onChainMetrics)
+ * @param {number} [toleranceBps] - Tolerance in basis points
+ * @returns {Reconciliation|null} Reconciliation, or null without on-chain metrics
+ */
+export const reconcileVault = (data, toleranceBps = RECONCILIATION_TOLERANCE_BPS) => {
+  const onChain = data?.onChainMetrics;
+  if (!onChain) return null;
+
+  const rows = RECONCILED_METRICS.map(({ key, label }) => {
+    const onChainValue = BigInt(onChain[key] ?? 0n);
+    const localValue = BigInt(data[key] ?? 0n);
+    const difference = localValue - onChainValue;
+    return {
+      key,
+      label,
+      unit: 'usd',
+      onChain: onChainValue,
+      local: localValue,
+      difference,
+      relativeDifference:
+        onChainValue === 0n ? null : toUSDFloat(difference) / toUSDFloat(onChainValue),
+      flagged: exceedsTolerance(difference, onChainValue, toleranceBps),
+    };
+  });
+
+  const onChainUtilisation = calculateHealthFactor(
+    toUSDFloat(onChain.totalBorrow),
+    toUSDFloat(onChain.maxBorrow)
+  );
+  const localUtilisation = calculateHealthFactor(
+    toUSDFloat(data.totalBorrow),
+    toUSDFloat(data.maxBorrow)
+  );
+  const utilisationDifference = localUtilisation - onChainUtilisation;
+  rows.push({
+    key: 'utilisation',
+    label: 'Utilisation',
+    unit: 'ratio',
+    onChain: onChainUtilisation,
+    local: localUtilisation,
+    difference: utilisationDifference,
+    relativeDifference: onChainUtilisation === 0 ? null : utilisationDifference / onChainUtilisation,
+    flagged: Math.abs(utilisationDifference) > toleranceBps / Number(BPS),
+  });
+
+  const fallbackTokens = (data.collateralBalances ?? [])
+    .map(({ token }) => token.toLowerCase())
+    .filter((token) => data.ltvMap?.get(token)?.source === LTV_SOURCES.FALLBACK);
+  const recalculationError = data.recalculationError ?? null;
+
+  return {
+    rows,
+    flagged: recalculationError !== null || rows.some((row) => row.flagged),
+    recalculationError,
+    fallbackTokens,
+    toleranceBps,
+  };
+};
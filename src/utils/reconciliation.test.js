@@ -0,0 +1,85 @@
+/**
+ * Metric Reconciliation Tests
+ *
+ * Unit tests for comparing on-chain and recalculated vault metrics.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { reconcileVault } from './reconciliation';
+import { LTV_SOURCES } from './constants';
+
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+const buildData = (overrides = {}) => ({
+  collateralBalances: [
+    { token: WEETH, amount: 10n ** 18n },
+    { token: USDC, amount: 1000n * 10n ** 6n },
+  ],
+  totalCollateral: 3000n * 10n ** 6n,
+  totalBorrow: 1000n * 10n ** 6n,
+  maxBorrow: 2000n * 10n ** 6n,
+  onChainMetrics: {
+    totalCollateral: 3000n * 10n ** 6n,
+    totalBorrow: 1000n * 10n ** 6n,
+    maxBorrow: 2000n * 10n ** 6n,
+  },
+  recalculationError: null,
+  ltvMap: new Map([
+    [WEETH, { ltv: 50, liquidationThreshold: 75, liquidationBonus: 5, source: LTV_SOURCES.ON_CHAIN }],
+    [USDC, { ltv: 90, liquidationThreshold: 90, liquidationBonus: 0, source: LTV_SOURCES.ON_CHAIN }],
+  ]),
+  ...overrides,
+});
+
+describe('reconcileVault', () => {
+  it('reports matching metrics as in sync', () => {
+    const result = reconcileVault(buildData());
+
+    expect(result.flagged).toBe(false);
+    expect(result.rows.map((row) => row.key)).toEqual(['totalCollateral', 'maxBorrow', 'utilisation']);
+    expect(result.rows[1]).toMatchObject({ onChain: 2000n * 10n ** 6n, difference: 0n, flagged: false });
+    expect(result.rows[2]).toMatchObject({ onChain: 0.5, local: 0.5, flagged: false });
+  });
+
+  it('flags differences above the tolerance only', () => {
+    // $1 on $2000 is 0.05%: within the default 0.1%
+    const small = reconcileVault(buildData({ maxBorrow: 2001n * 10n ** 6n }));
+    expect(small.rows[1]).toMatchObject({ difference: 10n ** 6n, flagged: false });
+    expect(small.rows[1].relativeDifference).toBeCloseTo(0.0005);
+
+    // $100 less max borrow moves utilisation from 50% to 52.6%
+    const large = reconcileVault(buildData({ maxBorrow: 1900n * 10n ** 6n }));
+    expect(large.flagged).toBe(true);
+    expect(large.rows[1]).toMatchObject({ difference: -100n * 10n ** 6n, flagged: true });
+    expect(large.rows[2].flagged).toBe(true);
+
+    expect(reconcileVault(buildData({ maxBorrow: 2001n * 10n ** 6n }), 1).rows[1].flagged).toBe(true);
+  });
+
+  it('flags any value against a zero on-chain value', () => {
+    const result = reconcileVault(
+      buildData({ onChainMetrics: { totalCollateral: 0n, totalBorrow: 0n, maxBorrow: 0n } })
+    );
+
+    expect(result.rows[0]).toMatchObject({ relativeDifference: null, flagged: true });
+  });
+
+  it('surfaces a failed recalculation and LTV_CONFIG fallbacks', () => {
+    const result = reconcileVault(
+      buildData({
+        recalculationError: 'metadata call failed',
+        ltvMap: new Map([[USDC, { ltv: 90, liquidationThreshold: 90, source: LTV_SOURCES.FALLBACK }]]),
+      })
+    );
+
+    expect(result.flagged).toBe(true);
+    expect(result.recalculationError).toBe('metadata call failed');
+    expect(result.fallbackTokens).toEqual([USDC]);
+  });
+
+  it('returns null without on-chain metrics', () => {
+    expect(reconcileVault(buildData({ onChainMetrics: undefined }))).toBeNull();
+    expect(reconcileVault(null)).toBeNull();
+  });
+});
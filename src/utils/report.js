@@ -0,0 +1,288 @@
+/**
+ * Risk Reports
+ *
+ * Builds and formats vault risk reports outside the UI (see
+ * scripts/etherfi-risk.js), using the same calculations as the app so a
+ * cron job and the dashboard always agree.
+ */
+
+import { ASSET_GROUPS } from '../config/index.js';
+import {
+  calculateVaultMetrics,
+  calculateLiquidationPrices,
+  getCollateralBreakdown,
+  mergeSimulatedPrices,
+} from './calculations.js';
+import { applyGroupShocks } from './scenarios.js';
+import { summarizeVault } from './portfolio.js';
+import { PRICE_MULTIPLIER } from './constants.js';
+
+export const REPORT_FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * @typedef {Object} CollateralReportRow
+ * @property {string} token - Lowercase token address
+ * @property {string} symbol - Token symbol
+ * @property {number} amount - Balance in human-readable units
+ * @property {number} price - Price in USD
+ * @property {number} valueUSD - Position value in USD
+ * @property {number} ltv - Loan-to-value percentage
+ * @property {number} liquidationThreshold - Liquidation threshold percentage
+ * @property {number|null} liquidationPrice - USD price at which this token alone triggers
+ *   liquidation (null if it cannot)
+ * @property {number|null} liquidationDrop - Fractional drop to the liquidation price
+ */
+
+/**
+ * @typedef {Object} VaultReport
+ * @property {string} address - Vault address
+ * @property {number|string} block - Block the state was read at ("latest" if not pinned)
+ * @property {import('./portfolio.js').VaultSummary} summary - Current metrics
+ * @property {CollateralReportRow[]} collateral - Per-token breakdown
+ * @property {{shocks: Object<string, number>, summary: import('./portfolio.js').VaultSummary}|null} scenario -
+ *   Metrics after the price shocks, if any were given
+ */
+
+/**
+ * Parses `GROUP=PCT` shock arguments such as "ETH=-30%" or "btc=-20".
+ * If a group is given twice, the last value wins.
+ *
+ * @param {string[]} args - Shock arguments
+ * @returns {Object<string, number>} Group key to percentage change
+ * @throws {Error} On an unknown group or a malformed percentage
+ */
+export const parseShockArgs = (args) => {
+  const shocks = {};
+  args.forEach((arg) => {
+    const match = /^([a-z_]+)=([+-]?\d+(?:\.\d+)?)%?$/i.exec(arg.trim());
+    if (!match) throw new Error(`Invalid shock "${arg}", expected GROUP=PCT (e.g. ETH=-30%)`);
+
+    const group = match[1].toUpperCase();
+    if (!ASSET_GROUPS[group]) {
+      throw new Error(
+        `Unknown asset group "${match[1]}". Available: ${Object.keys(ASSET_GROUPS).join(', ')}`
+      );
+    }
+    shocks[group] = Number(match[2]);
+  });
+  return shocks;
+};
+
+/**
+ * Builds a risk report for one vault.
+ *
+ * @param {string} address - Vault address
+ * @param {Object} data - Vault data from fetchSafeData (carries the ltvMap it was calculated with)
+ * @param {Object} options
+ * @param {Map<string, {symbol: string, decimals: number}>} options.metadataMap - Token metadata
+ * @param {Object<string, number>} [options.shocks] - Group price shocks for the scenario
+ * @param {number|string} [options.block] - Block the data was read at
+ * @returns {VaultReport} Report
+ */
+export const buildVaultReport = (address, data, { metadataMap, shocks = {}, block = 'latest' }) => {
+  const ltvMap = data.ltvMap ?? new Map();
+  const priceMap = mergeSimulatedPrices(data.tokenPrices, {});
+
+  const summarize = (prices) =>
+    summarizeVault({
+      ...calculateVaultMetrics(data.collateralBalances, prices, metadataMap, ltvMap),
+      totalBorrow: data.totalBorrow,
+    });
+
+  const liquidationPrices = calculateLiquidationPrices(
+    data.collateralBalances,
+    priceMap,
+    metadataMap,
+    ltvMap,
+    data.totalBorrow
+  );
+  const collateral = getCollateralBreakdown(data.collateralBalances, priceMap, metadataMap, ltvMap).map(
+    (position) => {
+      const liquidation = liquidationPrices.get(position.token);
+      return {
+        ...position,
+        symbol: metadataMap.get(position.token)?.symbol ?? 'UNKNOWN',
+        liquidationPrice: liquidation ? liquidation.price / PRICE_MULTIPLIER : null,
+        liquidationDrop: liquidation ? liquidation.dropPercent : null,
+      };
+    }
+  );
+
+  const hasShocks = Object.keys(shocks).length > 0;
+  const scenario = hasShocks
+    ? {
+        shocks,
+        summary: summarize(
+          mergeSimulatedPrices(data.tokenPrices, applyGroupShocks(data.tokenPrices, shocks))
+        ),
+      }
+    : null;
+
+  return { address, block, summary: summarize(priceMap), collateral, scenario };
+};
+
+const formatNumber = (value, digits = 2) =>
+  Number.isFinite(value)
+    ? value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })
+    : '∞';
+const formatPct = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : '∞');
+
+/**
+ * Pads the cells of a table into aligned columns.
+ *
+ * @param {string[][]} rows - Rows, the first being the header
+ * @returns {string} Aligned table
+ */
+const alignColumns = (rows) => {
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => String(row[col]).length)));
+  return rows
+    .map((row) => row.map((cell, col) => String(cell).padEnd(widths[col])).join('  ').trimEnd())
+    .join('\n');
+};
+
+/**
+ * Formats reports as human-readable text tables.
+ *
+ * @param {VaultReport[]} reports - Reports
+ * @returns {string} Text output
+ */
+export const formatReportTable = (reports) =>
+  reports
+    .map((report) => {
+      const { summary, scenario } = report;
+      const lines = [
+        `Vault ${report.address} @ block ${report.block}`,
+        alignColumns([
+          ['Collateral', 'Debt', 'Max borrow', 'Utilisation', 'Health factor', 'Liq. distance'],
+          [
+            `$${formatNumber(summary.totalCollateral)}`,
+            `$${formatNumber(summary.totalBorrow)}`,
+            `$${formatNumber(summary.maxBorrow)}`,
+            formatPct(summary.utilisation),
+            formatNumber(summary.healthFactor),
+            formatPct(summary.liquidationDistance),
+          ],
+        ]),
+      ];
+
+      if (report.collateral.length > 0) {
+        lines.push(
+          '',
+          alignColumns([
+            ['Token', 'Amount', 'Price', 'Value', 'LTV', 'Liq. threshold', 'Liq. price', 'Drop'],
+            ...report.collateral.map((row) => [
+              row.symbol,
+              formatNumber(row.amount, 6),
+              `$${formatNumber(row.price)}`,
+              `$${formatNumber(row.valueUSD)}`,
+              `${row.ltv}%`,
+              `${row.liquidationThreshold}%`,
+              row.liquidationPrice === null ? '-' : `$${formatNumber(row.liquidationPrice)}`,
+              row.liquidationDrop === null ? '-' : formatPct(row.liquidationDrop),
+            ]),
+          ])
+        );
+      }
+
+      if (scenario) {
+        const label = Object.entries(scenario.shocks)
+          .map(([group, pct]) => `${group} ${pct > 0 ? '+' : ''}${pct}%`)
+          .join(', ');
+        lines.push(
+          '',
+          `Scenario (${label}): collateral $${formatNumber(scenario.summary.totalCollateral)}, ` +
+            `utilisation ${formatPct(scenario.summary.utilisation)}, ` +
+            `health factor ${formatNumber(scenario.summary.healthFactor)}, ` +
+            `liq. distance ${formatPct(scenario.summary.liquidationDistance)}`
+        );
+      }
+
+      return lines.join('\n');
+    })
+    .join('\n\n');
+
+/**
+ * Serializes reports as JSON. Infinite health factors (no debt) become null.
+ *
+ * @param {VaultReport[]} reports - Reports
+ * @returns {string} JSON output
+ */
+export const formatReportJSON = (reports) =>
+  JSON.stringify(
+    reports,
+    (key, value) => (typeof value === 'number' && !Number.isFinite(value) ? null : value),
+    2
+  );
+
+const CSV_COLUMNS = [
+  'address',
+  'block',
+  'totalCollateral',
+  'totalBorrow',
+  'maxBorrow',
+  'utilisation',
+  'healthFactor',
+  'liquidationDistance',
+  'scenarioUtilisation',
+  'scenarioHealthFactor',
+  'scenarioLiquidationDistance',
+  'token',
+  'symbol',
+  'amount',
+  'price',
+  'valueUSD',
+  'ltv',
+  'liquidationThreshold',
+  'liquidationPrice',
+  'liquidationDrop',
+];
+
+/**
+ * Serializes reports as CSV, one row per collateral token with the vault's
+ * metrics repeated on each. A vault without collateral gets one row with
+ * empty token columns.
+ *
+ * @param {VaultReport[]} reports - Reports
+ * @returns {string} CSV output
+ */
+export const formatReportCSV = (reports) => {
+  const toCell = (value) =>
+    value === undefined || value === null || !Number.isFinite(Number(value)) ? '' : value;
+  // Symbols are read from the token contracts and may contain anything
+  const toTextCell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+  const rows = reports.flatMap((report) => {
+    const scenario = report.scenario?.summary;
+    const vaultCells = [
+      report.address,
+      report.block,
+      report.summary.totalCollateral,
+      report.summary.totalBorrow,
+      report.summary.maxBorrow,
+      report.summary.utilisation,
+      toCell(report.summary.healthFactor),
+      report.summary.liquidationDistance,
+      toCell(scenario?.utilisation),
+      toCell(scenario?.healthFactor),
+      toCell(scenario?.liquidationDistance),
+    ];
+    const tokenRows = report.collateral.map((row) => [
+      row.token,
+      toTextCell(row.symbol),
+      row.amount,
+      row.price,
+      row.valueUSD,
+      row.ltv,
+      row.liquidationThreshold,
+      toCell(row.liquidationPrice),
+      toCell(row.liquidationDrop),
+    ]);
+
+    const noTokens = Array(CSV_COLUMNS.length - vaultCells.length).fill('');
+    return (tokenRows.length > 0 ? tokenRows : [noTokens]).map((tokenCells) =>
+      [...vaultCells, ...tokenCells].join(',')
+    );
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
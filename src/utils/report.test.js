@@ -0,0 +1,124 @@
+/**
+ * Risk Report Tests
+ *
+ * Unit tests for shock argument parsing and building and formatting the
+ * CLI risk reports.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseShockArgs,
+  buildVaultReport,
+  formatReportTable,
+  formatReportJSON,
+  formatReportCSV,
+} from './report';
+
+const SAFE = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+// 2 weETH at $2000 (50% LTV, 75% threshold) and $1000 USDC against $1500 debt
+const DATA = {
+  collateralBalances: [
+    { token: WEETH, amount: 2n * 10n ** 18n },
+    { token: USDC, amount: 1000n * 10n ** 6n },
+  ],
+  tokenPrices: [
+    { token: WEETH, amount: 2000n * 10n ** 6n },
+    { token: USDC, amount: 10n ** 6n },
+  ],
+  totalBorrow: 1500n * 10n ** 6n,
+  ltvMap: new Map([
+    [WEETH, { ltv: 50, liquidationThreshold: 75, liquidationBonus: 5 }],
+    [USDC, { ltv: 90, liquidationThreshold: 90, liquidationBonus: 0 }],
+  ]),
+};
+const METADATA = new Map([
+  [WEETH, { symbol: 'weETH', decimals: 18 }],
+  [USDC, { symbol: 'USDC', decimals: 6 }],
+]);
+
+describe('parseShockArgs', () => {
+  it('parses GROUP=PCT with or without a percent sign', () => {
+    expect(parseShockArgs(['ETH=-30%', 'btc=-20', 'STABLE=+1.5%'])).toEqual({
+      ETH: -30,
+      BTC: -20,
+      STABLE: 1.5,
+    });
+  });
+
+  it('rejects unknown groups and malformed values', () => {
+    expect(() => parseShockArgs(['DOGE=-10%'])).toThrow(/Unknown asset group/);
+    expect(() => parseShockArgs(['ETH=-thirty'])).toThrow(/Invalid shock/);
+  });
+});
+
+describe('buildVaultReport', () => {
+  it('reports metrics, liquidation prices and the shocked scenario', () => {
+    const report = buildVaultReport(SAFE, DATA, {
+      metadataMap: METADATA,
+      shocks: { ETH: -30 },
+      block: 1000,
+    });
+
+    expect(report.summary).toMatchObject({
+      totalCollateral: 5000,
+      totalBorrow: 1500,
+      maxBorrow: 2900,
+    });
+    expect(report.collateral[0]).toMatchObject({ symbol: 'weETH', liquidationPrice: 400 });
+    expect(report.collateral[0].liquidationDrop).toBeCloseTo(0.8);
+    expect(report.collateral[1].liquidationPrice).toBeNull();
+    // weETH at $1400: 2800 + 1000 collateral, 1400 + 900 max borrow
+    expect(report.scenario.summary).toMatchObject({ totalCollateral: 3800, maxBorrow: 2300 });
+  });
+
+  it('has no scenario without shocks', () => {
+    expect(buildVaultReport(SAFE, DATA, { metadataMap: METADATA }).scenario).toBeNull();
+  });
+});
+
+describe('report formats', () => {
+  const debtFree = buildVaultReport(SAFE, { ...DATA, totalBorrow: 0n }, { metadataMap: METADATA, block: 7 });
+
+  it('prints a table per vault', () => {
+    const text = formatReportTable([debtFree]);
+    expect(text).toContain(`Vault ${SAFE} @ block 7`);
+    expect(text).toMatch(/weETH\s+2\.000000\s+\$2,000\.00/);
+  });
+
+  it('writes infinite health factors as null in JSON and blank in CSV', () => {
+    expect(JSON.parse(formatReportJSON([debtFree]))[0].summary.healthFactor).toBeNull();
+
+    const [header, weeth, usdc] = formatReportCSV([debtFree]).split('\n');
+    expect(header.split(',')).toHaveLength(weeth.split(',').length);
+    expect(weeth).toBe(`${SAFE},7,5000,0,2900,0,,1,,,,${WEETH},weETH,2,2000,4000,50,75,,`);
+    expect(usdc).toBe(`${SAFE},7,5000,0,2900,0,,1,,,,${USDC},USDC,1000,1,1000,90,90,,`);
+  });
+
+  it('writes one CSV row per collateral token with its liquidation price', () => {
+    const report = buildVaultReport(SAFE, DATA, { metadataMap: METADATA, block: 7 });
+    const [header, ...rows] = formatReportCSV([report]).split('\n');
+    const columns = header.split(',');
+    const cells = rows.map((row) =>
+      Object.fromEntries(row.split(',').map((v, i) => [columns[i], v]))
+    );
+
+    expect(cells.map((c) => c.symbol)).toEqual(['weETH', 'USDC']);
+    expect(cells.every((c) => c.address === SAFE && c.totalBorrow === '1500')).toBe(true);
+    expect(Number(cells[0].liquidationPrice)).toBe(400);
+    expect(Number(cells[0].liquidationDrop)).toBeCloseTo(0.8);
+    expect(cells[1].liquidationPrice).toBe('');
+  });
+
+  it('keeps a row for a vault without collateral', () => {
+    const noCollateral = { ...DATA, collateralBalances: [], totalBorrow: 0n };
+    const empty = buildVaultReport(SAFE, noCollateral, { metadataMap: METADATA });
+    const [header, row, extra] = formatReportCSV([empty]).split('\n');
+
+    expect(row.split(',')).toHaveLength(header.split(',').length);
+    expect(row.split(',')[11]).toBe('');
+    expect(extra).toBeUndefined();
+  });
+});
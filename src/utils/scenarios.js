@@ -0,0 +1,65 @@
+/**
+ * Price Scenario Utilities
+ *
+ * Pure functions for applying correlated price shocks to groups of assets
+ * (e.g. all ETH-beta tokens at once) instead of editing prices one by one.
+ */
+
+import { ASSET_GROUPS } from '../config/index.js';
+import { HUNDRED_PERCENT, applyPercent, percentToWad } from './fixedPoint.js';
+
+/**
+ * Gets the asset group a token belongs to.
+ *
+ * @param {string} tokenAddress - Token contract address
+ * @returns {string|null} Group key (e.g. "ETH") or null if the token is ungrouped
+ */
+export const getTokenGroup = (tokenAddress) => {
+  const addr = tokenAddress.toLowerCase();
+  const entry = Object.entries(ASSET_GROUPS).find(([, group]) => group.tokens.includes(addr));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Combines two sets of group shocks. Shocks on the same group compound,
+ * so -30% followed by -10% gives -37%.
+ *
+ * @param {Object<string, number>} base - Group key to percentage change
+ * @param {Object<string, number>} extra - Group key to percentage change
+ * @returns {Object<string, number>} Combined group shocks
+ */
+export const combineShocks = (base, extra) => {
+  const combined = { ...base };
+  Object.entries(extra).forEach(([group, pct]) => {
+    const current = combined[group] ?? 0;
+    const compounded = ((1 + current / 100) * (1 + pct / 100) - 1) * 100;
+    // Round away float noise such as -37.00000000000001
+    combined[group] = Math.round(compounded * 1e6) / 1e6;
+  });
+  return combined;
+};
+
+/**
+ * Applies group shocks to a set of base prices.
+ * Only tokens whose group appears in `shocks` are returned, so the result can
+ * be spread over an existing simulated price object.
+ *
+ * @param {Array<{token: string, amount: number|bigint}>} basePrices - Original price data (6 decimals)
+ * @param {Object<string, number>} shocks - Group key to percentage change (e.g. { ETH: -30 })
+ * @returns {Object<string, bigint>} Lowercase token address to shocked price (6 decimals)
+ */
+export const applyGroupShocks = (basePrices, shocks) => {
+  const shocked = {};
+  if (!basePrices) return shocked;
+
+  basePrices.forEach((p) => {
+    const group = getTokenGroup(p.token);
+    if (!group || shocks[group] === undefined) return;
+
+    // Price * (100% + shock), exact and rounded down
+    const percent = HUNDRED_PERCENT + percentToWad(shocks[group]);
+    shocked[p.token.toLowerCase()] = percent > 0n ? applyPercent(BigInt(p.amount), percent) : 0n;
+  });
+
+  return shocked;
+};
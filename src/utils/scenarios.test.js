@@ -0,0 +1,62 @@
+/**
+ * Price Scenario Tests
+ *
+ * Unit tests for grouping tokens and applying correlated price shocks.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getTokenGroup, combineShocks, applyGroupShocks } from './scenarios';
+
+const WETH = '0x5300000000000000000000000000000000000004';
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const EBTC = '0x657e8c867d8b37dcc18fa4caead9c45eb088c642';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+describe('getTokenGroup', () => {
+  it('maps tokens to their asset group regardless of case', () => {
+    expect(getTokenGroup(WETH)).toBe('ETH');
+    expect(getTokenGroup(WEETH.toUpperCase().replace('0X', '0x'))).toBe('ETH');
+    expect(getTokenGroup(EBTC)).toBe('BTC');
+    expect(getTokenGroup(USDC)).toBe('STABLE');
+  });
+
+  it('returns null for ungrouped tokens', () => {
+    expect(getTokenGroup('0x0000000000000000000000000000000000000000')).toBeNull();
+  });
+});
+
+describe('combineShocks', () => {
+  it('compounds shocks on the same group and keeps others', () => {
+    expect(combineShocks({ ETH: -30, BTC: -20 }, { ETH: -10, STABLE: -2 })).toEqual({
+      ETH: -37,
+      BTC: -20,
+      STABLE: -2,
+    });
+  });
+});
+
+describe('applyGroupShocks', () => {
+  const basePrices = [
+    { token: WETH, amount: 2000000000 },
+    { token: WEETH, amount: 2100000000 },
+    { token: EBTC, amount: 60000000000n },
+    { token: USDC, amount: 1000000 },
+  ];
+
+  it('moves every token in a shocked group together', () => {
+    const shocked = applyGroupShocks(basePrices, { ETH: -30, STABLE: -2 });
+
+    expect(shocked[WETH]).toBe(1400000000n);
+    expect(shocked[WEETH]).toBe(1470000000n);
+    expect(shocked[USDC]).toBe(980000n);
+    expect(shocked[EBTC]).toBeUndefined();
+  });
+
+  it('restores base prices for groups with a zero shock', () => {
+    expect(applyGroupShocks(basePrices, { BTC: 0 })).toEqual({ [EBTC]: 60000000000n });
+  });
+
+  it('never produces negative prices', () => {
+    expect(applyGroupShocks(basePrices, { ETH: -150 })[WETH]).toBe(0n);
+  });
+});
@@ -0,0 +1,459 @@
+/**
+ * Vault Snapshots
+ *
+ * Captures the loaded vault and the current simulation (prices, debt,
+ * what-if actions) as a self-contained snapshot for export: JSON that keeps
+ * every bigint exact, a per-token CSV and the printable report. Exported
+ * JSON can be imported again to replay the scenario offline.
+ */
+
+import { ethers } from 'ethers';
+import {
+  DEFAULT_TOKEN_DECIMALS,
+  ETH_ADDRESS_REGEX,
+  PRICE_DECIMALS,
+  PRICE_MULTIPLIER,
+} from './constants.js';
+import {
+  buildPriceMap,
+  calculateVaultMetrics,
+  getTokenLTVConfig,
+  toPriceBigInt,
+  toUSDScaled,
+} from './calculations.js';
+import { summarizeVault } from './portfolio.js';
+import { toFloat, tokenToUSD } from './fixedPoint.js';
+
+export const SNAPSHOT_FORMAT = 'etherfi-risk-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+// Bigints are written as {"$bigint": "<decimal digits>"} so they survive JSON exactly
+const BIGINT_TAG = '$bigint';
+
+/**
+ * Serializes a value as JSON, writing bigints as tagged decimal strings and
+ * infinite numbers (e.g. the health factor without debt) as null.
+ *
+ * @param {*} value - Value to serialize
+ * @param {number} [space] - Indentation
+ * @returns {string} JSON text
+ */
+export const stringifyLossless = (value, space = 2) =>
+  JSON.stringify(
+    value,
+    (key, v) => {
+      if (typeof v === 'bigint') return { [BIGINT_TAG]: v.toString() };
+      if (typeof v === 'number' && !Number.isFinite(v)) return null;
+      return v;
+    },
+    space
+  );
+
+/**
+ * Parses JSON written by stringifyLossless, restoring bigints.
+ *
+ * @param {string} text - JSON text
+ * @returns {*} Parsed value
+ */
+export const parseLossless = (text) =>
+  JSON.parse(text, (key, v) => {
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+      const keys = Object.keys(v);
+      if (keys.length === 1 && keys[0] === BIGINT_TAG && /^-?\d+$/.test(v[BIGINT_TAG])) {
+        return BigInt(v[BIGINT_TAG]);
+      }
+    }
+    return v;
+  });
+
+/**
+ * @typedef {Object} SnapshotTokenRow
+ * @property {'collateral'|'borrow'} role - Side of the position
+ * @property {string} token - Lowercase token address
+ * @property {string} symbol - Token symbol
+ * @property {number} decimals - Token decimals
+ * @property {bigint} amountRaw - Balance in native units
+ * @property {string} amount - Balance in human-readable units (exact)
+ * @property {number} originalPrice - On-chain price in USD
+ * @property {number} simulatedPrice - Price used by the simulation in USD
+ * @property {number} valueUSD - Value at the simulated price
+ * @property {number|null} ltv - Loan-to-value percentage (collateral only)
+ * @property {number|null} liquidationThreshold - Liquidation threshold percentage (collateral only)
+ * @property {number|null} liquidationBonus - Liquidation bonus percentage (collateral only)
+ * @property {string|null} ltvSource - Where the LTV came from (collateral only)
+ * @property {number|null} liquidationPrice - USD price at which this token alone triggers liquidation
+ */
+
+/**
+ * @typedef {Object} VaultSnapshot
+ * @property {string} format - SNAPSHOT_FORMAT
+ * @property {number} version - SNAPSHOT_VERSION
+ * @property {string} exportedAt - ISO time of the export
+ * @property {{id: string, name: string, chainId: number}} network - Network the vault was read from
+ * @property {string} address - Vault address
+ * @property {number|string} block - Block the data was read at ("latest" for live data)
+ * @property {Object} vault - Vault data as returned by fetchSafeData (without the ltvMap)
+ * @property {Array<{token: string, symbol: string, decimals: number}>} metadata - Token metadata
+ * @property {Array<{token: string}>} ltvs - Token LTV configs
+ * @property {Array<{token: string, apy: number, source: string}>} borrowRates - Token borrow rates
+ * @property {{simulatedBorrow: bigint|null, positionChanges: Array, excludeWithdrawal: boolean,
+ *   isSimulated: boolean}} scenario - Simulation inputs
+ * @property {Array<{token: string, symbol: string, original: number, simulated: number, change: number}>} prices -
+ *   Original versus simulated prices in USD for every priced token
+ * @property {SnapshotTokenRow[]} tokens - Per-token balances, prices and LTVs under the simulation
+ * @property {{totalCollateral: bigint, totalBorrow: bigint, maxBorrow: bigint, liquidationLimit: bigint}} totals -
+ *   Simulated totals in 6-decimal USD
+ * @property {import('./portfolio.js').VaultSummary} summary - Simulated utilisation, health factor, etc.
+ */
+
+/**
+ * Builds a snapshot of a vault and its current simulation.
+ *
+ * @param {Object} params
+ * @param {string} params.address - Vault address
+ * @param {{id: string, name: string, chainId: number}} params.network - Active network
+ * @param {number|string} [params.block] - Block the data was read at
+ * @param {Object} params.vaultData - Vault data the simulation started from
+ * @param {Object} params.simulationData - Simulated vault data (App's simulationData)
+ * @param {bigint|null} [params.simulatedBorrow] - Debt set by dragging the gauge
+ * @param {Array} [params.positionChanges] - Queued what-if actions
+ * @param {boolean} [params.excludeWithdrawal] - Whether the pending withdrawal is taken out
+ * @param {Map<string, {symbol: string, decimals: number}>} params.metadataMap - Token metadata
+ * @param {Map<string, Object>} params.ltvMap - LTV configs used by the simulation
+ * @param {Map<string, {apy: number, source: string}>} [params.borrowRates] - Borrow rates
+ * @param {Date} [params.now] - Export time
+ * @returns {VaultSnapshot} Snapshot
+ */
+export const buildVaultSnapshot = ({
+  address,
+  network,
+  block = 'latest',
+  vaultData,
+  simulationData,
+  simulatedBorrow = null,
+  positionChanges = [],
+  excludeWithdrawal = true,
+  metadataMap,
+  ltvMap,
+  borrowRates = new Map(),
+  now = new Date(),
+}) => {
+  const originalPrices = new Map(
+    vaultData.tokenPrices.map((p) => [p.token.toLowerCase(), Number(p.amount) / PRICE_MULTIPLIER])
+  );
+  const simulatedPrices = new Map(
+    simulationData.tokenPrices.map((p) => [p.token.toLowerCase(), Number(p.amount) / PRICE_MULTIPLIER])
+  );
+  const simulatedRawPrices = new Map(
+    simulationData.tokenPrices.map((p) => [p.token.toLowerCase(), toPriceBigInt(p.amount)])
+  );
+  const symbolOf = (token) => metadataMap.get(token)?.symbol ?? token.substring(0, 8);
+
+  const prices = [...originalPrices].map(([token, original]) => {
+    const simulated = simulatedPrices.get(token) ?? original;
+    return {
+      token,
+      symbol: symbolOf(token),
+      original,
+      simulated,
+      change: original > 0 ? simulated / original - 1 : 0,
+    };
+  });
+
+  const toRow = (role) => (balance) => {
+    const token = balance.token.toLowerCase();
+    const decimals = metadataMap.get(token)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+    const amount = ethers.formatUnits(balance.amount, decimals);
+    const simulatedPrice = simulatedPrices.get(token) ?? 0;
+    const isCollateral = role === 'collateral';
+    const config = isCollateral ? getTokenLTVConfig(token, ltvMap) : null;
+    const liquidation = isCollateral ? simulationData.liquidationPrices?.get(token) : null;
+
+    return {
+      role,
+      token,
+      symbol: symbolOf(token),
+      decimals,
+      amountRaw: BigInt(balance.amount),
+      amount,
+      originalPrice: originalPrices.get(token) ?? 0,
+      simulatedPrice,
+      valueUSD: toFloat(tokenToUSD(balance.amount, simulatedRawPrices.get(token) ?? 0n, decimals), PRICE_DECIMALS),
+      ltv: config?.ltv ?? null,
+      liquidationThreshold: config?.liquidationThreshold ?? null,
+      liquidationBonus: config?.liquidationBonus ?? null,
+      ltvSource: config?.source ?? null,
+      liquidationPrice: liquidation ? liquidation.price / PRICE_MULTIPLIER : null,
+    };
+  };
+
+  const { ltvMap: _ltvMap, ...vault } = vaultData;
+  const isSimulated =
+    prices.some((p) => p.simulated !== p.original) ||
+    simulatedBorrow !== null ||
+    positionChanges.length > 0;
+
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: now.toISOString(),
+    network: { id: network.id, name: network.name, chainId: network.chainId },
+    address,
+    block,
+    vault,
+    metadata: [...metadataMap].map(([token, meta]) => ({ token, ...meta })),
+    ltvs: [...ltvMap].map(([token, config]) => ({ token, ...config })),
+    borrowRates: [...borrowRates].map(([token, rate]) => ({ token, ...rate })),
+    scenario: { simulatedBorrow, positionChanges, excludeWithdrawal, isSimulated },
+    prices,
+    tokens: [
+      ...simulationData.collateralBalances.map(toRow('collateral')),
+      ...simulationData.borrows.map(toRow('borrow')),
+    ],
+    totals: {
+      totalCollateral: BigInt(simulationData.totalCollateral),
+      totalBorrow: BigInt(simulationData.totalBorrow),
+      maxBorrow: BigInt(simulationData.maxBorrow),
+      liquidationLimit: BigInt(simulationData.liquidationLimit ?? 0),
+    },
+    summary: summarizeVault(simulationData),
+  };
+};
+
+/**
+ * Serializes a snapshot as JSON with exact bigints.
+ *
+ * @param {VaultSnapshot} snapshot - Snapshot
+ * @returns {string} JSON text
+ */
+export const formatSnapshotJSON = (snapshot) => stringifyLossless(snapshot);
+
+const CSV_COLUMNS = [
+  'role',
+  'token',
+  'symbol',
+  'amount',
+  'amountRaw',
+  'originalPrice',
+  'simulatedPrice',
+  'priceChange',
+  'valueUSD',
+  'ltv',
+  'liquidationThreshold',
+  'liquidationBonus',
+  'liquidationPrice',
+];
+
+/**
+ * Escapes a value for a CSV cell; missing values become empty cells.
+ */
+const toCSVCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes a snapshot's tokens as CSV, one row per token.
+ *
+ * @param {VaultSnapshot} snapshot - Snapshot
+ * @returns {string} CSV text
+ */
+export const formatSnapshotCSV = (snapshot) => {
+  const rows = snapshot.tokens.map((row) =>
+    [
+      row.role,
+      row.token,
+      row.symbol,
+      row.amount,
+      row.amountRaw,
+      row.originalPrice,
+      row.simulatedPrice,
+      row.originalPrice > 0 ? row.simulatedPrice / row.originalPrice - 1 : 0,
+      row.valueUSD,
+      row.ltv,
+      row.liquidationThreshold,
+      row.liquidationBonus,
+      row.liquidationPrice,
+    ]
+      .map(toCSVCell)
+      .join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+/**
+ * Suggests a file name for an exported snapshot.
+ *
+ * @param {VaultSnapshot} snapshot - Snapshot
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name, e.g. "vault-0x3f07a5-block-123-2026-01-01.json"
+ */
+export const getSnapshotFilename = (snapshot, extension) =>
+  `vault-${snapshot.address.substring(0, 8).toLowerCase()}-block-${snapshot.block}-` +
+  `${snapshot.exportedAt.substring(0, 10)}.${extension}`;
+
+/**
+ * Converts an amount from an imported snapshot to a bigint.
+ */
+const toBigInt = (value, field) => {
+  try {
+    return BigInt(value);
+  } catch {
+    throw new Error(`Invalid amount in ${field}`);
+  }
+};
+
+/**
+ * Reads a list of {token, amount} entries from an imported snapshot.
+ *
+ * @param {*} list - Entries from the file
+ * @param {string} field - Field name, for error messages
+ * @returns {Array<{token: string, amount: bigint}>} Entries with bigint amounts
+ */
+const toTokenAmounts = (list, field) => {
+  if (!Array.isArray(list)) throw new Error(`Snapshot vault is missing ${field}`);
+  return list.map((entry, i) => {
+    if (!ETH_ADDRESS_REGEX.test(entry?.token ?? '')) {
+      throw new Error(`Invalid token address in ${field}[${i}]`);
+    }
+    return { token: entry.token, amount: toBigInt(entry.amount, `${field}[${i}]`) };
+  });
+};
+
+/**
+ * Builds a lowercase-address map from a snapshot's metadata, LTV or borrow rate list.
+ */
+const toTokenMap = (list = []) => {
+  if (!Array.isArray(list)) throw new Error('Snapshot metadata, ltvs and borrowRates must be arrays');
+  return new Map(list.map(({ token, ...rest }) => [String(token).toLowerCase(), rest]));
+};
+
+/**
+ * @typedef {Object} ImportedSnapshot
+ * @property {string} address - Vault address
+ * @property {{id: string, name: string, chainId: number}|null} network - Network the vault was read from
+ * @property {number|string} block - Block the data was read at
+ * @property {string|null} exportedAt - ISO time of the export
+ * @property {Object} vaultData - Vault data shaped like fetchSafeData's result, including its ltvMap
+ * @property {Map<string, {symbol: string, decimals: number}>} metadataMap - Token metadata
+ * @property {Map<string, Object>} ltvMap - Token LTV configs
+ * @property {Map<string, {apy: number, source: string}>} borrowRates - Token borrow rates
+ *   (empty for files exported before rates were recorded)
+ * @property {{simulatedPrices: Object<string, bigint>, simulatedBorrow: bigint|null,
+ *   positionChanges: Array, excludeWithdrawal: boolean}} scenario -
+ *   Simulation to replay; prices are 6-decimal numbers keyed by lowercase address
+ */
+
+/**
+ * Parses a snapshot exported with formatSnapshotJSON (or written by hand in
+ * the same shape) so the app can run against it without RPC access.
+ * Only the vault balances, borrows and prices are required; card fields
+ * default to empty and missing totals are recalculated from the LTVs.
+ *
+ * @param {string} text - Snapshot JSON
+ * @returns {ImportedSnapshot} Vault data, metadata, LTVs, borrow rates and scenario
+ * @throws {Error} If the file is not a valid snapshot
+ */
+export const parseSnapshotImport = (text) => {
+  let parsed;
+  try {
+    parsed = parseLossless(text);
+  } catch {
+    throw new Error('Snapshot is not valid JSON');
+  }
+
+  if (parsed?.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`Not a vault snapshot (expected format "${SNAPSHOT_FORMAT}")`);
+  }
+  if (!Number.isInteger(parsed.version) || parsed.version > SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${parsed.version}`);
+  }
+  if (!ETH_ADDRESS_REGEX.test(parsed.address ?? '')) {
+    throw new Error('Snapshot has no valid vault address');
+  }
+  const vault = parsed.vault;
+  if (!vault || typeof vault !== 'object') throw new Error('Snapshot has no vault data');
+  if (vault.totalBorrow === undefined) throw new Error('Snapshot vault is missing totalBorrow');
+
+  const metadataMap = toTokenMap(parsed.metadata);
+  const ltvMap = toTokenMap(parsed.ltvs);
+  const borrowRates = toTokenMap(parsed.borrowRates);
+
+  const vaultData = {
+    mode: Number(vault.mode ?? 0),
+    incomingModeStartTime: Number(vault.incomingModeStartTime ?? 0),
+    collateralBalances: toTokenAmounts(vault.collateralBalances, 'collateralBalances'),
+    borrows: toTokenAmounts(vault.borrows, 'borrows'),
+    tokenPrices: toTokenAmounts(vault.tokenPrices, 'tokenPrices'),
+    withdrawalRequest: vault.withdrawalRequest
+      ? {
+          ...vault.withdrawalRequest,
+          tokens: toTokenAmounts(vault.withdrawalRequest.tokens, 'withdrawalRequest.tokens'),
+          finalizeTime: Number(vault.withdrawalRequest.finalizeTime ?? 0),
+        }
+      : null,
+    creditMaxSpend: toBigInt(vault.creditMaxSpend ?? 0n, 'creditMaxSpend'),
+    spendingLimitAllowance: toBigInt(vault.spendingLimitAllowance ?? 0n, 'spendingLimitAllowance'),
+    totalCashbackEarnedInUsd: toBigInt(vault.totalCashbackEarnedInUsd ?? 0n, 'totalCashbackEarnedInUsd'),
+    debitMaxSpend: {
+      spendable: (vault.debitMaxSpend?.spendable ?? []).map((entry, i) => ({
+        token: entry.token,
+        amount: toBigInt(entry.amount, `debitMaxSpend.spendable[${i}]`),
+        amountUSD: toBigInt(entry.amountUSD ?? 0n, `debitMaxSpend.spendable[${i}]`),
+      })),
+      totalSpendableInUsd: toBigInt(vault.debitMaxSpend?.totalSpendableInUsd ?? 0n, 'debitMaxSpend'),
+    },
+    totalBorrow: toBigInt(vault.totalBorrow, 'totalBorrow'),
+    ltvMap,
+  };
+
+  const metrics = calculateVaultMetrics(
+    vaultData.collateralBalances,
+    buildPriceMap(vaultData.tokenPrices),
+    metadataMap,
+    ltvMap
+  );
+  ['totalCollateral', 'maxBorrow', 'liquidationLimit'].forEach((key) => {
+    vaultData[key] = vault[key] === undefined ? metrics[key] : toBigInt(vault[key], key);
+  });
+  if (vault.healthFactor !== undefined && vault.healthFactor !== null) {
+    vaultData.healthFactor = toBigInt(vault.healthFactor, 'healthFactor');
+  }
+  // The contract's own figures, when the snapshot came from fetchSafeData
+  if (vault.onChainMetrics) {
+    vaultData.onChainMetrics = {};
+    ['totalCollateral', 'totalBorrow', 'maxBorrow'].forEach((key) => {
+      vaultData.onChainMetrics[key] = toBigInt(vault.onChainMetrics[key] ?? 0n, `onChainMetrics.${key}`);
+    });
+    vaultData.recalculationError = vault.recalculationError ?? null;
+  }
+
+  // Replay only the prices the exported simulation had changed
+  const simulatedPrices = {};
+  (parsed.prices ?? []).forEach(({ token, original, simulated }) => {
+    if (typeof simulated === 'number' && simulated !== original) {
+      simulatedPrices[String(token).toLowerCase()] = toUSDScaled(simulated);
+    }
+  });
+  const scenario = parsed.scenario ?? {};
+
+  return {
+    address: parsed.address,
+    network: parsed.network ?? null,
+    block: parsed.block ?? 'latest',
+    exportedAt: parsed.exportedAt ?? null,
+    vaultData,
+    metadataMap,
+    ltvMap,
+    borrowRates,
+    scenario: {
+      simulatedPrices,
+      simulatedBorrow:
+        scenario.simulatedBorrow === undefined || scenario.simulatedBorrow === null
+          ? null
+          : toBigInt(scenario.simulatedBorrow, 'scenario.simulatedBorrow'),
+      positionChanges: Array.isArray(scenario.positionChanges) ? scenario.positionChanges : [],
+      excludeWithdrawal: scenario.excludeWithdrawal ?? true,
+    },
+  };
+};
@@ -0,0 +1,269 @@
+/**
+ * Vault Snapshot Tests
+ *
+ * Unit tests for lossless JSON, building snapshots of a simulation, the
+ * per-token CSV export and importing a snapshot for offline use.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SNAPSHOT_FORMAT,
+  stringifyLossless,
+  parseLossless,
+  buildVaultSnapshot,
+  formatSnapshotJSON,
+  formatSnapshotCSV,
+  getSnapshotFilename,
+  parseSnapshotImport,
+} from './snapshot';
+import { calculateLiquidationPrices, mergeSimulatedPrices } from './calculations';
+
+const SAFE = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+const METADATA = new Map([
+  [WEETH, { symbol: 'weETH', decimals: 18 }],
+  [USDC, { symbol: 'USDC', decimals: 6 }],
+]);
+const LTVS = new Map([
+  [
+    WEETH,
+    {
+      ltv: 50,
+      liquidationThreshold: 75,
+      liquidationBonus: 5,
+      ltvWad: 50n * 10n ** 18n,
+      liquidationThresholdWad: 75n * 10n ** 18n,
+      liquidationBonusWad: 5n * 10n ** 18n,
+      source: 'on-chain',
+    },
+  ],
+]);
+
+// 2.5 weETH priced at $2000 on-chain and simulated at $1400, against $1000 of USDC debt
+const VAULT = {
+  collateralBalances: [{ token: WEETH, amount: 2_500000000000000000n }],
+  borrows: [{ token: USDC, amount: 1000n * 10n ** 6n }],
+  tokenPrices: [
+    { token: WEETH, amount: 2000n * 10n ** 6n },
+    { token: USDC, amount: 10n ** 6n },
+  ],
+  totalCollateral: 5000n * 10n ** 6n,
+  totalBorrow: 1000n * 10n ** 6n,
+  maxBorrow: 2500n * 10n ** 6n,
+  liquidationLimit: 3750n * 10n ** 6n,
+  ltvMap: LTVS,
+};
+const SIMULATED_PRICES = mergeSimulatedPrices(VAULT.tokenPrices, { [WEETH]: 1400 * 1e6 });
+const SIMULATION = {
+  ...VAULT,
+  tokenPrices: [...SIMULATED_PRICES].map(([token, amount]) => ({ token, amount })),
+  totalCollateral: 3500n * 10n ** 6n,
+  maxBorrow: 1750n * 10n ** 6n,
+  liquidationLimit: 2625n * 10n ** 6n,
+  liquidationPrices: calculateLiquidationPrices(
+    VAULT.collateralBalances,
+    SIMULATED_PRICES,
+    METADATA,
+    LTVS,
+    VAULT.totalBorrow
+  ),
+};
+
+const buildSnapshot = () =>
+  buildVaultSnapshot({
+    address: SAFE,
+    network: { id: 'scroll', name: 'Scroll', chainId: 534352 },
+    block: 123,
+    vaultData: VAULT,
+    simulationData: SIMULATION,
+    metadataMap: METADATA,
+    ltvMap: LTVS,
+    now: new Date('2026-01-01T00:00:00Z'),
+  });
+
+describe('stringifyLossless / parseLossless', () => {
+  it('round-trips bigints beyond the safe integer range exactly', () => {
+    const value = { amount: 123456789012345678901234567890n, nested: [{ debt: -5n }], label: 'x' };
+    expect(parseLossless(stringifyLossless(value))).toEqual(value);
+  });
+
+  it('writes infinite numbers as null and leaves look-alike objects alone', () => {
+    const parsed = parseLossless(
+      stringifyLossless({ healthFactor: Infinity, other: { $bigint: 'abc' } })
+    );
+    expect(parsed).toEqual({ healthFactor: null, other: { $bigint: 'abc' } });
+  });
+});
+
+describe('buildVaultSnapshot', () => {
+  it('captures original versus simulated prices, balances, LTVs and totals', () => {
+    const snapshot = buildSnapshot();
+
+    expect(snapshot).toMatchObject({
+      format: SNAPSHOT_FORMAT,
+      exportedAt: '2026-01-01T00:00:00.000Z',
+      address: SAFE,
+      block: 123,
+      scenario: { simulatedBorrow: null, positionChanges: [], isSimulated: true },
+    });
+    expect(snapshot.vault.ltvMap).toBeUndefined();
+    expect(snapshot.ltvs).toEqual([{ token: WEETH, ...LTVS.get(WEETH) }]);
+    expect(snapshot.prices[0]).toEqual({
+      token: WEETH,
+      symbol: 'weETH',
+      original: 2000,
+      simulated: 1400,
+      change: expect.closeTo(-0.3),
+    });
+
+    const [collateral, borrow] = snapshot.tokens;
+    expect(collateral).toMatchObject({
+      role: 'collateral',
+      symbol: 'weETH',
+      amountRaw: 2_500000000000000000n,
+      amount: '2.5',
+      valueUSD: 3500,
+      ltv: 50,
+      liquidationThreshold: 75,
+      liquidationBonus: 5,
+    });
+    // 2.5 weETH * price * 75% = $1000 debt
+    expect(collateral.liquidationPrice).toBeCloseTo(533.33, 2);
+    expect(borrow).toMatchObject({ role: 'borrow', symbol: 'USDC', ltv: null, liquidationPrice: null });
+
+    expect(snapshot.totals).toEqual({
+      totalCollateral: 3500n * 10n ** 6n,
+      totalBorrow: 1000n * 10n ** 6n,
+      maxBorrow: 1750n * 10n ** 6n,
+      liquidationLimit: 2625n * 10n ** 6n,
+    });
+    expect(snapshot.summary.utilisation).toBeCloseTo(1000 / 1750);
+  });
+
+  it('keeps every bigint exact through JSON', () => {
+    const snapshot = buildSnapshot();
+    const parsed = parseLossless(formatSnapshotJSON(snapshot));
+
+    expect(parsed.vault).toEqual(snapshot.vault);
+    expect(parsed.totals).toEqual(snapshot.totals);
+    expect(parsed.tokens[0].amountRaw).toBe(2_500000000000000000n);
+  });
+});
+
+describe('formatSnapshotCSV', () => {
+  it('writes one row per token with exact amounts', () => {
+    const lines = formatSnapshotCSV(buildSnapshot()).split('\n');
+
+    expect(lines[0]).toBe(
+      'role,token,symbol,amount,amountRaw,originalPrice,simulatedPrice,priceChange,valueUSD,' +
+        'ltv,liquidationThreshold,liquidationBonus,liquidationPrice'
+    );
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toMatch(new RegExp(`^collateral,${WEETH},weETH,2.5,2500000000000000000,2000,1400,`));
+    expect(lines[2]).toBe(`borrow,${USDC},USDC,1000.0,1000000000,1,1,0,1000,,,,`);
+  });
+});
+
+describe('getSnapshotFilename', () => {
+  it('names the file after the vault, block and date', () => {
+    expect(getSnapshotFilename(buildSnapshot(), 'json')).toBe('vault-0x3f07a5-block-123-2026-01-01.json');
+  });
+});
+
+describe('parseSnapshotImport', () => {
+  it('restores an exported snapshot and its scenario', () => {
+    const snapshot = buildVaultSnapshot({
+      address: SAFE,
+      network: { id: 'scroll', name: 'Scroll', chainId: 534352 },
+      block: 123,
+      vaultData: VAULT,
+      simulationData: SIMULATION,
+      simulatedBorrow: 1200n * 10n ** 6n,
+      positionChanges: [{ type: 'repay', token: USDC, amount: '100' }],
+      metadataMap: METADATA,
+      ltvMap: LTVS,
+      borrowRates: new Map([[USDC, { apy: 5.25, source: 'on-chain' }]]),
+    });
+    const imported = parseSnapshotImport(formatSnapshotJSON(snapshot));
+
+    expect(imported).toMatchObject({ address: SAFE, block: 123, network: { chainId: 534352 } });
+    expect(imported.metadataMap).toEqual(METADATA);
+    expect(imported.ltvMap).toEqual(LTVS);
+    expect(imported.borrowRates).toEqual(new Map([[USDC, { apy: 5.25, source: 'on-chain' }]]));
+    expect(imported.vaultData).toMatchObject({
+      collateralBalances: VAULT.collateralBalances,
+      borrows: VAULT.borrows,
+      tokenPrices: VAULT.tokenPrices,
+      totalCollateral: VAULT.totalCollateral,
+      totalBorrow: VAULT.totalBorrow,
+      maxBorrow: VAULT.maxBorrow,
+      liquidationLimit: VAULT.liquidationLimit,
+      ltvMap: LTVS,
+    });
+    expect(imported.scenario).toEqual({
+      simulatedPrices: { [WEETH]: 1400_000000n },
+      simulatedBorrow: 1200n * 10n ** 6n,
+      positionChanges: [{ type: 'repay', token: USDC, amount: '100' }],
+      excludeWithdrawal: true,
+    });
+  });
+
+  it('fills in card fields and recalculates missing totals from a minimal file', () => {
+    const imported = parseSnapshotImport(
+      JSON.stringify({
+        format: SNAPSHOT_FORMAT,
+        version: 1,
+        address: SAFE,
+        vault: {
+          collateralBalances: [{ token: WEETH, amount: '2500000000000000000' }],
+          borrows: [{ token: USDC, amount: '1000000000' }],
+          tokenPrices: [
+            { token: WEETH, amount: '2000000000' },
+            { token: USDC, amount: '1000000' },
+          ],
+          totalBorrow: '1000000000',
+        },
+        metadata: [
+          { token: WEETH, symbol: 'weETH', decimals: 18 },
+          { token: USDC, symbol: 'USDC', decimals: 6 },
+        ],
+        ltvs: [{ token: WEETH, ltv: 50, liquidationThreshold: 75, liquidationBonus: 5 }],
+      })
+    );
+
+    expect(imported.block).toBe('latest');
+    expect(imported.vaultData).toMatchObject({
+      mode: 0,
+      withdrawalRequest: null,
+      creditMaxSpend: 0n,
+      debitMaxSpend: { spendable: [], totalSpendableInUsd: 0n },
+      totalBorrow: 1000n * 10n ** 6n,
+      totalCollateral: 5000n * 10n ** 6n,
+      maxBorrow: 2500n * 10n ** 6n,
+      liquidationLimit: 3750n * 10n ** 6n,
+    });
+    expect(imported.vaultData.collateralBalances[0].amount).toBe(2_500000000000000000n);
+    expect(imported.scenario).toEqual({
+      simulatedPrices: {},
+      simulatedBorrow: null,
+      positionChanges: [],
+      excludeWithdrawal: true,
+    });
+  });
+
+  it('rejects files that are not usable snapshots', () => {
+    const valid = { format: SNAPSHOT_FORMAT, version: 1, address: SAFE, vault: VAULT };
+    const parse = (value) => () => parseSnapshotImport(stringifyLossless(value));
+
+    expect(() => parseSnapshotImport('{not json')).toThrow('not valid JSON');
+    expect(parse([1, 2])).toThrow('Not a vault snapshot');
+    expect(parse({ ...valid, version: 2 })).toThrow('Unsupported snapshot version');
+    expect(parse({ ...valid, address: '0x123' })).toThrow('no valid vault address');
+    expect(parse({ ...valid, vault: { ...VAULT, borrows: undefined } })).toThrow('missing borrows');
+    expect(
+      parse({ ...valid, vault: { ...VAULT, tokenPrices: [{ token: WEETH, amount: '1.5' }] } })
+    ).toThrow('Invalid amount in tokenPrices[0]');
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Rebalancing Solver
+ *
+ * Finds the minimum repay (per borrowed token) or deposit (per supported
+ * collateral token) that brings a vault to a target utilisation or health
+ * factor. Amounts are solved in bigint and rounded up (to at most
+ * SUGGESTION_DECIMALS places), so applying a suggestion always reaches
+ * the target.
+ */
+
+import { ethers } from 'ethers';
+import { getTokenLTVWads, toPriceBigInt } from './calculations.js';
+import { DEFAULT_TOKEN_DECIMALS } from './constants.js';
+import {
+  HUNDRED_PERCENT,
+  ROUNDING,
+  divRound,
+  mulDiv,
+  pow10,
+  tokenToUSD,
+} from './fixedPoint.js';
+
+export const SOLVER_TARGETS = {
+  UTILISATION: 'utilisation',
+  HEALTH_FACTOR: 'healthFactor',
+};
+
+// Fixed-point scale for targets
+const SCALE = 1_000_000n;
+
+// Suggested amounts are rounded up to this many decimals to stay readable
+export const SUGGESTION_DECIMALS = 6;
+
+// calculateVaultMetrics rounds a token's value and then its weighted value
+// down, so a deposit can count for up to two units less than exact
+const METRICS_ROUNDING_MARGIN = 2n;
+
+/**
+ * @typedef {Object} SolverMetrics
+ * @property {bigint} totalBorrow - Debt in 6-decimal USD
+ * @property {bigint} maxBorrow - Max borrow in 6-decimal USD
+ * @property {bigint} liquidationLimit - Liquidation limit in 6-decimal USD
+ */
+
+/**
+ * @typedef {Object} SolverTarget
+ * @property {string} type - One of SOLVER_TARGETS
+ * @property {number} value - Utilisation as a fraction (0.5 = 50%) or health factor (1.5)
+ */
+
+/**
+ * @typedef {Object} SolverSuggestion
+ * @property {string} token - Token address
+ * @property {bigint} amount - Amount in native units
+ * @property {string} formattedAmount - Human-readable amount (round-trips through parseTokenAmount)
+ * @property {bigint} valueUSD - Value of the amount in 6-decimal USD
+ * @property {boolean} feasible - False when a repay exceeds the outstanding debt in that token
+ */
+
+const toScaled = (value) => BigInt(Math.round(value * Number(SCALE)));
+
+const ceilDiv = (a, b) => divRound(a, b, ROUNDING.CEIL);
+
+const toBigInt = (value) => BigInt(value ?? 0n);
+
+/**
+ * Rounds a token amount up to SUGGESTION_DECIMALS decimal places.
+ *
+ * @param {bigint} amount - Amount in native units
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Rounded amount
+ */
+const roundUpAmount = (amount, decimals) => {
+  if (decimals <= SUGGESTION_DECIMALS) return amount;
+  const step = pow10(decimals - SUGGESTION_DECIMALS);
+  return ceilDiv(amount, step) * step;
+};
+
+/**
+ * Checks whether the metrics already satisfy the target.
+ *
+ * @param {SolverMetrics} metrics - Current vault metrics
+ * @param {SolverTarget} target - Target to reach
+ * @returns {boolean} True if no action is needed
+ */
+export const isTargetMet = (metrics, target) => {
+  const debt = toBigInt(metrics.totalBorrow);
+  if (debt === 0n) return true;
+
+  const scaledTarget = toScaled(target.value);
+  if (target.type === SOLVER_TARGETS.HEALTH_FACTOR) {
+    return toBigInt(metrics.liquidationLimit) * SCALE >= debt * scaledTarget;
+  }
+  return debt * SCALE <= toBigInt(metrics.maxBorrow) * scaledTarget;
+};
+
+/**
+ * Returns the USD reduction in debt needed to reach the target with
+ * collateral unchanged (0 if already met).
+ *
+ * @param {SolverMetrics} metrics - Current vault metrics
+ * @param {SolverTarget} target - Target to reach
+ * @returns {bigint} Required debt reduction in 6-decimal USD
+ */
+const getRequiredRepayUSD = (metrics, target) => {
+  const debt = toBigInt(metrics.totalBorrow);
+  const scaledTarget = toScaled(target.value);
+
+  // Highest debt that still satisfies the target
+  const allowedDebt =
+    target.type === SOLVER_TARGETS.HEALTH_FACTOR
+      ? scaledTarget > 0n
+        ? (toBigInt(metrics.liquidationLimit) * SCALE) / scaledTarget
+        : debt
+      : (toBigInt(metrics.maxBorrow) * scaledTarget) / SCALE;
+
+  return debt > allowedDebt ? debt - allowedDebt : 0n;
+};
+
+/**
+ * Returns the USD increase in weighted collateral (max borrow or liquidation
+ * limit, depending on the target) needed with debt unchanged (0 if already met).
+ *
+ * @param {SolverMetrics} metrics - Current vault metrics
+ * @param {SolverTarget} target - Target to reach
+ * @returns {bigint|null} Required increase in 6-decimal USD, or null if unreachable
+ */
+const getRequiredWeightedUSD = (metrics, target) => {
+  const debt = toBigInt(metrics.totalBorrow);
+  const scaledTarget = toScaled(target.value);
+
+  if (target.type === SOLVER_TARGETS.HEALTH_FACTOR) {
+    const neededLimit = ceilDiv(debt * scaledTarget, SCALE);
+    const current = toBigInt(metrics.liquidationLimit);
+    return neededLimit > current ? neededLimit - current + METRICS_ROUNDING_MARGIN : 0n;
+  }
+
+  if (scaledTarget <= 0n) return debt > 0n ? null : 0n;
+  const neededMaxBorrow = ceilDiv(debt * SCALE, scaledTarget);
+  const current = toBigInt(metrics.maxBorrow);
+  return neededMaxBorrow > current ? neededMaxBorrow - current + METRICS_ROUNDING_MARGIN : 0n;
+};
+
+/**
+ * Converts a USD amount into the minimum token amount worth at least that much.
+ *
+ * @param {bigint} valueUSD - Value in 6-decimal USD
+ * @param {bigint} price - Token price in 6-decimal USD
+ * @param {number} decimals - Token decimals
+ * @param {bigint} [weight] - Percentage applied to the token value, in DebtManager precision
+ * @returns {bigint} Token amount in native units
+ */
+const toTokenAmount = (valueUSD, price, decimals, weight = HUNDRED_PERCENT) =>
+  mulDiv(valueUSD * HUNDRED_PERCENT, pow10(decimals), price * weight, ROUNDING.CEIL);
+
+/**
+ * Solves the minimum repay in each borrowed token that reaches the target.
+ *
+ * @param {SolverMetrics} metrics - Current vault metrics
+ * @param {SolverTarget} target - Target to reach
+ * @param {Array<{token: string, amount: bigint}>} borrows - Outstanding borrows
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, {decimals: number}>} metadataMap - Map of token address to metadata
+ * @returns {SolverSuggestion[]} One suggestion per priced borrowed token (empty if target met)
+ */
+export const solveRepay = (metrics, target, borrows, priceMap, metadataMap) => {
+  const requiredUSD = getRequiredRepayUSD(metrics, target);
+  if (requiredUSD === 0n) return [];
+
+  return borrows
+    .map(({ token, amount: outstanding }) => {
+      const key = token.toLowerCase();
+      const price = toPriceBigInt(priceMap.get(key));
+      if (price <= 0n) return null;
+
+      const decimals = metadataMap.get(key)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+      const exact = toTokenAmount(requiredUSD, price, decimals);
+      const rounded = roundUpAmount(exact, decimals);
+      // Never suggest repaying more than is owed just because of rounding
+      const amount = exact <= toBigInt(outstanding) && rounded > toBigInt(outstanding)
+        ? toBigInt(outstanding)
+        : rounded;
+      return {
+        token,
+        amount,
+        formattedAmount: ethers.formatUnits(amount, decimals),
+        valueUSD: requiredUSD,
+        feasible: amount <= toBigInt(outstanding),
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Solves the minimum deposit in each supported collateral token that reaches
+ * the target. Tokens with a zero LTV (utilisation target) or zero liquidation
+ * threshold (health factor target) cannot help and are skipped.
+ *
+ * @param {SolverMetrics} metrics - Current vault metrics
+ * @param {SolverTarget} target - Target to reach
+ * @param {Array<{token: string}>} tokens - Candidate collateral tokens
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, {decimals: number}>} metadataMap - Map of token address to metadata
+ * @param {Map<string, import('./calculations.js').TokenLTVConfig>} [ltvMap] - LTV configs
+ * @returns {SolverSuggestion[]} One suggestion per usable token (empty if target met)
+ */
+export const solveDeposit = (metrics, target, tokens, priceMap, metadataMap, ltvMap) => {
+  const requiredUSD = getRequiredWeightedUSD(metrics, target);
+  if (requiredUSD === null || requiredUSD === 0n) return [];
+
+  return tokens
+    .map(({ token }) => {
+      const key = token.toLowerCase();
+      const price = toPriceBigInt(priceMap.get(key));
+      const wads = getTokenLTVWads(key, ltvMap);
+      const weight =
+        target.type === SOLVER_TARGETS.HEALTH_FACTOR ? wads.liquidationThreshold : wads.ltv;
+      if (price <= 0n || weight <= 0n) return null;
+
+      const decimals = metadataMap.get(key)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+      const amount = roundUpAmount(toTokenAmount(requiredUSD, price, decimals, weight), decimals);
+      return {
+        token,
+        amount,
+        formattedAmount: ethers.formatUnits(amount, decimals),
+        valueUSD: tokenToUSD(amount, price, decimals),
+        feasible: true,
+      };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,127 @@
+/**
+ * Solver Tests
+ *
+ * Unit tests for the minimum repay / deposit solver. Suggestions are checked
+ * by applying them through applyPositionChanges and calculateVaultMetrics.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { formatUnits } from 'ethers';
+import { SOLVER_TARGETS, isTargetMet, solveRepay, solveDeposit } from './solver';
+import { applyPositionChanges, WHATIF_ACTIONS } from './whatif';
+import { calculateVaultMetrics } from './calculations';
+
+const WETH = '0x5300000000000000000000000000000000000004';
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+const metadataMap = new Map([
+  [WETH, { symbol: 'WETH', decimals: 18 }],
+  [WEETH, { symbol: 'weETH', decimals: 18 }],
+  [USDC, { symbol: 'USDC', decimals: 6 }],
+]);
+const priceMap = new Map([
+  [WETH, 2000_000000],
+  [WEETH, 2137_123456],
+  [USDC, 1_000000],
+]);
+const ltvMap = new Map([
+  [WETH, { ltv: 80, liquidationThreshold: 85, liquidationBonus: 1 }],
+  [WEETH, { ltv: 55, liquidationThreshold: 75, liquidationBonus: 1 }],
+  [USDC, { ltv: 0, liquidationThreshold: 0, liquidationBonus: 0 }],
+]);
+
+// $20,000 of WETH against $12,000 of USDC debt: max borrow $16,000, 75% utilisation
+const vaultData = {
+  collateralBalances: [{ token: WETH, amount: 10n * 10n ** 18n }],
+  borrows: [{ token: USDC, amount: 12000_000000n }],
+  totalBorrow: 12000_000000n,
+};
+
+/**
+ * Applies a suggestion as a what-if action and returns the resulting metrics.
+ */
+const applySuggestion = (type, suggestion) => {
+  const adjusted = applyPositionChanges(
+    vaultData,
+    [{ type, token: suggestion.token, amount: suggestion.formattedAmount }],
+    priceMap,
+    metadataMap
+  );
+  return {
+    ...calculateVaultMetrics(adjusted.collateralBalances, priceMap, metadataMap, ltvMap),
+    totalBorrow: adjusted.totalBorrow,
+  };
+};
+
+const metrics = {
+  ...calculateVaultMetrics(vaultData.collateralBalances, priceMap, metadataMap, ltvMap),
+  totalBorrow: vaultData.totalBorrow,
+};
+
+describe('isTargetMet', () => {
+  it('compares utilisation and health factor against the target', () => {
+    expect(isTargetMet(metrics, { type: SOLVER_TARGETS.UTILISATION, value: 0.75 })).toBe(true);
+    expect(isTargetMet(metrics, { type: SOLVER_TARGETS.UTILISATION, value: 0.5 })).toBe(false);
+    expect(isTargetMet(metrics, { type: SOLVER_TARGETS.HEALTH_FACTOR, value: 1.4 })).toBe(true);
+    expect(isTargetMet(metrics, { type: SOLVER_TARGETS.HEALTH_FACTOR, value: 1.5 })).toBe(false);
+  });
+
+  it('treats a vault without debt as meeting any target', () => {
+    expect(isTargetMet({ ...metrics, totalBorrow: 0n }, { type: 'utilisation', value: 0 })).toBe(true);
+  });
+});
+
+describe('solveRepay', () => {
+  it('returns the exact repay to reach a target utilisation', () => {
+    const target = { type: SOLVER_TARGETS.UTILISATION, value: 0.5 };
+    const [suggestion] = solveRepay(metrics, target, vaultData.borrows, priceMap, metadataMap);
+
+    expect(suggestion.token).toBe(USDC);
+    expect(suggestion.amount).toBe(4000_000000n);
+    expect(suggestion.formattedAmount).toBe('4000.0');
+    expect(suggestion.feasible).toBe(true);
+    expect(isTargetMet(applySuggestion(WHATIF_ACTIONS.REPAY, suggestion), target)).toBe(true);
+  });
+
+  it('flags repays larger than the outstanding debt in that token', () => {
+    // Only $1,000 of the $12,000 debt is in USDC
+    const target = { type: SOLVER_TARGETS.UTILISATION, value: 0.5 };
+    const borrows = [{ token: USDC, amount: 1000_000000n }];
+    const [suggestion] = solveRepay(metrics, target, borrows, priceMap, metadataMap);
+    expect(suggestion.amount).toBe(4000_000000n);
+    expect(suggestion.feasible).toBe(false);
+  });
+
+  it('returns nothing when the target is already met', () => {
+    const target = { type: SOLVER_TARGETS.UTILISATION, value: 0.9 };
+    expect(solveRepay(metrics, target, vaultData.borrows, priceMap, metadataMap)).toEqual([]);
+  });
+});
+
+describe('solveDeposit', () => {
+  const candidates = [{ token: WETH }, { token: WEETH }, { token: USDC }];
+
+  it.each([
+    [SOLVER_TARGETS.UTILISATION, 0.5],
+    [SOLVER_TARGETS.HEALTH_FACTOR, 2],
+  ])('suggests deposits that reach a %s target of %s', (type, value) => {
+    const target = { type, value };
+    const suggestions = solveDeposit(metrics, target, candidates, priceMap, metadataMap, ltvMap);
+
+    // USDC has no LTV or liquidation threshold and cannot help
+    expect(suggestions.map((s) => s.token)).toEqual([WETH, WEETH]);
+    suggestions.forEach((suggestion) => {
+      expect(isTargetMet(applySuggestion(WHATIF_ACTIONS.DEPOSIT, suggestion), target)).toBe(true);
+    });
+  });
+
+  it('suggests the minimum amount at the suggestion precision', () => {
+    const target = { type: SOLVER_TARGETS.UTILISATION, value: 0.5 };
+    const [suggestion] = solveDeposit(metrics, target, [{ token: WEETH }], priceMap, metadataMap, ltvMap);
+    // One step below the suggestion at 6-decimal precision
+    const smaller = { ...suggestion, formattedAmount: formatUnits(suggestion.amount - 10n ** 12n, 18) };
+
+    expect(isTargetMet(applySuggestion(WHATIF_ACTIONS.DEPOSIT, smaller), target)).toBe(false);
+  });
+});
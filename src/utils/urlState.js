@@ -0,0 +1,166 @@
+/**
+ * Shareable Simulation State
+ *
+ * Encodes the network, vault address, simulated price overrides, simulated
+ * debt, queued what-if actions and the pending-withdrawal toggle into the URL
+ * hash so a scenario can be shared as a link. The hash is used
+ * rather than the query string so the state never reaches the server, which
+ * keeps it working on static hosting such as GitHub Pages.
+ *
+ * Format: #network=scroll&vault=0x...&debt=40000&a=deposit:0xtoken:1.5&p.0xtoken=1800
+ * Prices and debt are plain USD values. Each `a` is one what-if action
+ * (type:token:amount in token units), in the order they apply.
+ * `excludeWithdrawal=false` is added when the pending withdrawal is kept.
+ */
+
+import { ETH_ADDRESS_REGEX } from './constants.js';
+import { WHATIF_ACTIONS } from './whatif.js';
+
+const PRICE_PREFIX = 'p.';
+const ACTION_PARAM = 'a';
+const ACTION_SEPARATOR = ':';
+const NETWORK_ID_REGEX = /^[a-z0-9-]+$/;
+const ACTION_TYPES = Object.values(WHATIF_ACTIONS);
+
+/**
+ * @typedef {Object} SimulationState
+ * @property {string|null} [network] - Network registry key (null = current network)
+ * @property {string|null} vault - Vault address
+ * @property {Object<string, number>} prices - Lowercase token address to USD price
+ * @property {number|null} debt - Simulated debt in USD (null = on-chain debt)
+ * @property {import('./whatif.js').PositionChange[]} [positionChanges] - Queued what-if actions
+ * @property {boolean} [excludeWithdrawal] - Whether the pending withdrawal is taken out
+ *   of the balances (defaults to true)
+ */
+
+/**
+ * Parses a non-negative finite number, or returns null.
+ *
+ * @param {string|null} raw - Raw parameter value
+ * @returns {number|null} Parsed number
+ */
+const parseAmount = (raw) => {
+  if (raw === null || raw.trim() === '') return null;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+/**
+ * Parses one encoded what-if action, or returns null if it is malformed.
+ *
+ * @param {string} raw - Raw parameter value (type:token:amount)
+ * @returns {import('./whatif.js').PositionChange|null} Action
+ */
+const parseAction = (raw) => {
+  const [type, token, amount, ...rest] = raw.split(ACTION_SEPARATOR);
+  if (rest.length > 0 || !ACTION_TYPES.includes(type) || !ETH_ADDRESS_REGEX.test(token ?? '')) {
+    return null;
+  }
+  return parseAmount(amount ?? null) === null ? null : { type, token: token.toLowerCase(), amount };
+};
+
+/**
+ * Encodes simulation state as a hash fragment (without the leading '#').
+ * Returns an empty string when there is no vault to share.
+ *
+ * @param {SimulationState} state - Simulation state
+ * @returns {string} Encoded fragment
+ */
+export const encodeSimulationState = ({
+  network = null,
+  vault,
+  prices = {},
+  debt = null,
+  positionChanges = [],
+  excludeWithdrawal = true,
+}) => {
+  if (!vault) return '';
+
+  const params = new URLSearchParams();
+  if (network) params.set('network', network);
+  params.set('vault', vault);
+  if (debt !== null && debt !== undefined) params.set('debt', String(debt));
+  positionChanges.forEach(({ type, token, amount }) => {
+    params.append(
+      ACTION_PARAM,
+      [type, token.toLowerCase(), String(amount).trim()].join(ACTION_SEPARATOR)
+    );
+  });
+  if (!excludeWithdrawal) params.set('excludeWithdrawal', 'false');
+
+  Object.keys(prices)
+    .sort()
+    .forEach((token) => {
+      params.set(`${PRICE_PREFIX}${token.toLowerCase()}`, String(prices[token]));
+    });
+
+  return params.toString();
+};
+
+/**
+ * Decodes a hash fragment into simulation state.
+ * Invalid addresses, amounts and actions are dropped rather than rejected,
+ * so a partially broken link still opens the vault.
+ *
+ * @param {string} hash - Hash fragment, with or without the leading '#'
+ * @returns {SimulationState} Decoded state
+ */
+export const decodeSimulationState = (hash = '') => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+  const network = params.get('network');
+  const vault = params.get('vault');
+  const prices = {};
+  params.forEach((value, key) => {
+    if (!key.startsWith(PRICE_PREFIX)) return;
+    const token = key.slice(PRICE_PREFIX.length);
+    const price = parseAmount(value);
+    if (ETH_ADDRESS_REGEX.test(token) && price !== null) {
+      prices[token.toLowerCase()] = price;
+    }
+  });
+
+  return {
+    network: network && NETWORK_ID_REGEX.test(network) ? network : null,
+    vault: vault && ETH_ADDRESS_REGEX.test(vault) ? vault : null,
+    prices,
+    debt: parseAmount(params.get('debt')),
+    positionChanges: params
+      .getAll(ACTION_PARAM)
+      .map(parseAction)
+      .filter((action) => action !== null),
+    excludeWithdrawal: params.get('excludeWithdrawal') !== 'false',
+  };
+};
+
+/**
+ * Reads simulation state from the current location.
+ *
+ * @param {Location} [location] - Location to read from
+ * @returns {SimulationState} Decoded state
+ */
+export const readSimulationState = (location = globalThis.location) =>
+  decodeSimulationState(location?.hash ?? '');
+
+/**
+ * Writes simulation state to the current location without adding a
+ * history entry. Path and query string are preserved, so the app's base
+ * path is left untouched.
+ *
+ * @param {SimulationState} state - Simulation state
+ * @param {Object} [options]
+ * @param {Location} [options.location] - Location to update
+ * @param {History} [options.history] - History used for replaceState
+ */
+export const writeSimulationState = (
+  state,
+  { location = globalThis.location, history = globalThis.history } = {}
+) => {
+  if (!location || !history) return;
+
+  const fragment = encodeSimulationState(state);
+  const url = `${location.pathname}${location.search}${fragment ? `#${fragment}` : ''}`;
+  if (url !== `${location.pathname}${location.search}${location.hash}`) {
+    history.replaceState(history.state, '', url);
+  }
+};
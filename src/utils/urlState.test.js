@@ -0,0 +1,111 @@
+/**
+ * URL State Tests
+ *
+ * Unit tests for encoding and restoring simulation state from the URL hash.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  encodeSimulationState,
+  decodeSimulationState,
+  readSimulationState,
+  writeSimulationState,
+} from './urlState';
+
+const VAULT = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+const WETH = '0x5300000000000000000000000000000000000004';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+describe('encodeSimulationState / decodeSimulationState', () => {
+  it('round-trips network, vault, price overrides and debt', () => {
+    const hash = encodeSimulationState({
+      network: 'scroll-fork',
+      vault: VAULT,
+      prices: { [WETH]: 1800 },
+      debt: 40000,
+    });
+    expect(decodeSimulationState(`#${hash}`)).toEqual({
+      network: 'scroll-fork',
+      vault: VAULT,
+      prices: { [WETH]: 1800 },
+      debt: 40000,
+      positionChanges: [],
+      excludeWithdrawal: true,
+    });
+  });
+
+  it('round-trips what-if actions in order and a kept pending withdrawal', () => {
+    const positionChanges = [
+      { type: 'deposit', token: WETH, amount: '1.5' },
+      { type: 'repay', token: USDC, amount: '250' },
+      { type: 'deposit', token: WETH, amount: '0.1' },
+    ];
+    const hash = encodeSimulationState({
+      vault: VAULT,
+      prices: {},
+      debt: null,
+      positionChanges,
+      excludeWithdrawal: false,
+    });
+    const state = decodeSimulationState(hash);
+
+    expect(state.positionChanges).toEqual(positionChanges);
+    expect(state.excludeWithdrawal).toBe(false);
+  });
+
+  it('omits debt when it is not simulated', () => {
+    const hash = encodeSimulationState({ vault: VAULT, prices: {}, debt: null });
+    expect(hash).toBe(`vault=${VAULT}`);
+    expect(decodeSimulationState(hash).debt).toBeNull();
+  });
+
+  it('returns an empty fragment without a vault', () => {
+    expect(encodeSimulationState({ vault: null, prices: { [WETH]: 1 } })).toBe('');
+  });
+
+  it('drops invalid addresses and amounts', () => {
+    const state = decodeSimulationState(
+      `#network=Bad%20Id&vault=nope&debt=-5&p.0x123=10&p.${WETH}=abc&p.${WETH.replace('4', '1')}=2.5`
+    );
+    expect(state).toEqual({
+      network: null,
+      vault: null,
+      prices: { [WETH.replace('4', '1')]: 2.5 },
+      debt: null,
+      positionChanges: [],
+      excludeWithdrawal: true,
+    });
+  });
+
+  it('drops malformed what-if actions and keeps the valid ones', () => {
+    const state = decodeSimulationState(
+      `vault=${VAULT}&a=steal:${WETH}:1&a=deposit:0x123:1&a=withdraw:${WETH}:-1` +
+        `&a=deposit:${WETH}&a=borrow:${USDC}:100:extra&a=withdraw:${WETH}:0.5`
+    );
+    expect(state.positionChanges).toEqual([{ type: 'withdraw', token: WETH, amount: '0.5' }]);
+  });
+});
+
+describe('readSimulationState / writeSimulationState', () => {
+  it('keeps the base path and query string when writing', () => {
+    const location = { pathname: '/etherfi-interview/', search: '?x=1', hash: '' };
+    const history = { state: null, replaceState: vi.fn() };
+
+    writeSimulationState({ vault: VAULT, prices: {}, debt: 100 }, { location, history });
+
+    expect(history.replaceState).toHaveBeenCalledWith(
+      null,
+      '',
+      `/etherfi-interview/?x=1#vault=${VAULT}&debt=100`
+    );
+  });
+
+  it('skips replaceState when the hash is unchanged', () => {
+    const location = { pathname: '/', search: '', hash: `#vault=${VAULT}` };
+    const history = { state: null, replaceState: vi.fn() };
+
+    writeSimulationState({ vault: VAULT, prices: {}, debt: null }, { location, history });
+    expect(history.replaceState).not.toHaveBeenCalled();
+    expect(readSimulationState(location).vault).toBe(VAULT);
+  });
+});
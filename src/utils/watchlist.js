@@ -0,0 +1,159 @@
+/**
+ * Watchlist Utilities
+ *
+ * Persistence and import/export for the list of watched vault addresses.
+ * Storage is injected so the functions work with localStorage in the
+ * browser and with an in-memory stand-in in tests.
+ */
+
+import { ETH_ADDRESS_REGEX } from './constants.js';
+
+export const WATCHLIST_STORAGE_KEY = 'etherfi-risk:watchlist';
+
+/**
+ * @typedef {Object} WatchlistEntry
+ * @property {string} address - Vault/Safe address
+ * @property {string} label - Optional user label
+ */
+
+/**
+ * Normalizes and de-duplicates entries (case-insensitive), dropping invalid addresses.
+ *
+ * @param {Array<WatchlistEntry|string>} entries - Raw entries
+ * @returns {{entries: WatchlistEntry[], invalid: string[]}} Valid entries and rejected values
+ */
+export const normalizeWatchlist = (entries) => {
+  const seen = new Set();
+  const valid = [];
+  const invalid = [];
+
+  entries.forEach((entry) => {
+    const address = String(typeof entry === 'string' ? entry : entry?.address ?? '').trim();
+    const label = typeof entry === 'string' ? '' : String(entry?.label ?? '').trim();
+
+    if (!ETH_ADDRESS_REGEX.test(address)) {
+      if (address) invalid.push(address);
+      return;
+    }
+    const key = address.toLowerCase();
+    if (seen.has(key)) return;
+
+    seen.add(key);
+    valid.push({ address, label });
+  });
+
+  return { entries: valid, invalid };
+};
+
+/**
+ * Loads the watchlist from storage.
+ *
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ * @returns {WatchlistEntry[]} Saved entries (empty if none or unreadable)
+ */
+export const loadWatchlist = (storage = globalThis.localStorage) => {
+  try {
+    const raw = storage?.getItem(WATCHLIST_STORAGE_KEY);
+    if (!raw) return [];
+    return normalizeWatchlist(JSON.parse(raw)).entries;
+  } catch (error) {
+    console.warn('Could not read watchlist from storage', error);
+    return [];
+  }
+};
+
+/**
+ * Saves the watchlist to storage.
+ *
+ * @param {WatchlistEntry[]} entries - Entries to save
+ * @param {Storage} [storage] - Storage backend (defaults to localStorage)
+ */
+export const saveWatchlist = (entries, storage = globalThis.localStorage) => {
+  storage?.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(entries));
+};
+
+/**
+ * Escapes a value for a CSV cell.
+ */
+const toCSVCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Splits a CSV line into cells, honouring double-quoted cells.
+ */
+const parseCSVLine = (line) => {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells.map((c) => c.trim());
+};
+
+/**
+ * Serializes the watchlist as JSON.
+ *
+ * @param {WatchlistEntry[]} entries - Entries to export
+ * @returns {string} JSON text
+ */
+export const exportWatchlistJSON = (entries) => JSON.stringify(entries, null, 2);
+
+/**
+ * Serializes the watchlist as CSV with an "address,label" header.
+ *
+ * @param {WatchlistEntry[]} entries - Entries to export
+ * @returns {string} CSV text
+ */
+export const exportWatchlistCSV = (entries) =>
+  ['address,label', ...entries.map((e) => `${toCSVCell(e.address)},${toCSVCell(e.label)}`)].join(
+    '\n'
+  );
+
+/**
+ * Parses an imported watchlist. Accepts JSON (an array of addresses or of
+ * {address, label} objects) or CSV (address first, optional label second,
+ * optional header row).
+ *
+ * @param {string} text - File contents
+ * @returns {{entries: WatchlistEntry[], invalid: string[]}} Parsed entries and rejected values
+ * @throws {Error} If JSON is malformed or not an array
+ */
+export const parseWatchlistImport = (text) => {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    if (!Array.isArray(parsed)) throw new Error('Watchlist JSON must be an array');
+    return normalizeWatchlist(parsed);
+  }
+
+  const rows = trimmed
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .map(parseCSVLine)
+    .filter(([first]) => first.toLowerCase() !== 'address');
+
+  return normalizeWatchlist(rows.map(([address, label]) => ({ address, label })));
+};
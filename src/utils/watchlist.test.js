@@ -0,0 +1,82 @@
+/**
+ * Watchlist Tests
+ *
+ * Unit tests for watchlist persistence and JSON/CSV import and export.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  WATCHLIST_STORAGE_KEY,
+  normalizeWatchlist,
+  loadWatchlist,
+  saveWatchlist,
+  exportWatchlistJSON,
+  exportWatchlistCSV,
+  parseWatchlistImport,
+} from './watchlist';
+import { createMemoryStorage } from '../test/memoryStorage';
+
+const A = '0x3f07a5603665033B04AD0eD4ebc0419F982d9F94';
+const B = '0x00000000000000000000000000000000000000aa';
+
+describe('normalizeWatchlist', () => {
+  it('drops invalid addresses and case-insensitive duplicates', () => {
+    const result = normalizeWatchlist([A, A.toLowerCase(), { address: B, label: ' Ops ' }, '0x123']);
+
+    expect(result.entries).toEqual([
+      { address: A, label: '' },
+      { address: B, label: 'Ops' },
+    ]);
+    expect(result.invalid).toEqual(['0x123']);
+  });
+});
+
+describe('loadWatchlist / saveWatchlist', () => {
+  it('round-trips through storage', () => {
+    const storage = createMemoryStorage();
+    saveWatchlist([{ address: A, label: 'Main' }], storage);
+
+    expect(loadWatchlist(storage)).toEqual([{ address: A, label: 'Main' }]);
+  });
+
+  it('returns an empty list for missing or corrupt data', () => {
+    const storage = createMemoryStorage();
+    expect(loadWatchlist(storage)).toEqual([]);
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    storage.setItem(WATCHLIST_STORAGE_KEY, '{not json');
+    expect(loadWatchlist(storage)).toEqual([]);
+    warn.mockRestore();
+  });
+});
+
+describe('import and export', () => {
+  const entries = [
+    { address: A, label: 'Treasury, main' },
+    { address: B, label: '' },
+  ];
+
+  it('round-trips JSON', () => {
+    expect(parseWatchlistImport(exportWatchlistJSON(entries)).entries).toEqual(entries);
+  });
+
+  it('round-trips CSV with quoted labels', () => {
+    const csv = exportWatchlistCSV(entries);
+
+    expect(csv.split('\n')[0]).toBe('address,label');
+    expect(csv).toContain('"Treasury, main"');
+    expect(parseWatchlistImport(csv).entries).toEqual(entries);
+  });
+
+  it('accepts a JSON array of plain addresses and headerless CSV', () => {
+    expect(parseWatchlistImport(JSON.stringify([A, B])).entries).toHaveLength(2);
+    expect(parseWatchlistImport(`${A}\n${B},Ops\n`).entries).toEqual([
+      { address: A, label: '' },
+      { address: B, label: 'Ops' },
+    ]);
+  });
+
+  it('rejects JSON that is not an array', () => {
+    expect(() => parseWatchlistImport('{"address": "0x"}')).toThrow();
+  });
+});
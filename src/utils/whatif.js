@@ -0,0 +1,119 @@
+/**
+ * What-If Position Changes
+ *
+ * Applies user-controlled changes (deposit or withdraw collateral, repay a
+ * borrowed token, draw more debt) to a vault's balances so the metrics can
+ * be recalculated as if the transactions had happened.
+ */
+
+import { ethers } from 'ethers';
+import { DEFAULT_TOKEN_DECIMALS } from './constants.js';
+import { tokenToUSD } from './fixedPoint.js';
+import { toPriceBigInt } from './calculations.js';
+
+export const WHATIF_ACTIONS = {
+  DEPOSIT: 'deposit',
+  WITHDRAW: 'withdraw',
+  REPAY: 'repay',
+  BORROW: 'borrow',
+};
+
+/**
+ * @typedef {Object} PositionChange
+ * @property {string} type - One of WHATIF_ACTIONS
+ * @property {string} token - Token address
+ * @property {string|number} amount - Human-readable token amount (e.g. "1.5")
+ */
+
+/**
+ * Converts a human-readable amount to the token's native units.
+ * Invalid or negative amounts are treated as 0.
+ *
+ * @param {string|number} amount - Human-readable amount
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in native units
+ */
+export const parseTokenAmount = (amount, decimals) => {
+  try {
+    const parsed = ethers.parseUnits(String(amount).trim(), decimals);
+    return parsed > 0n ? parsed : 0n;
+  } catch {
+    return 0n;
+  }
+};
+
+/**
+ * Adds a delta to a token balance list, dropping the entry if it reaches 0
+ * and clamping at 0 so a withdrawal or repay cannot exceed the balance.
+ *
+ * @param {Array<{token: string, amount: bigint}>} balances - Balance list
+ * @param {string} token - Token address
+ * @param {bigint} delta - Signed change in native units
+ * @returns {{balances: Array<{token: string, amount: bigint}>, applied: bigint}} New list and
+ *   the delta actually applied after clamping
+ */
+const adjustBalance = (balances, token, delta) => {
+  const key = token.toLowerCase();
+  const index = balances.findIndex((b) => b.token.toLowerCase() === key);
+  const current = index >= 0 ? balances[index].amount : 0n;
+  const next = current + delta > 0n ? current + delta : 0n;
+
+  const updated = balances.filter((_, i) => i !== index);
+  if (next > 0n) {
+    const entry = { token: index >= 0 ? balances[index].token : token, amount: next };
+    if (index >= 0) updated.splice(index, 0, entry);
+    else updated.push(entry);
+  }
+
+  return { balances: updated, applied: next - current };
+};
+
+/**
+ * Applies a list of position changes to vault balances.
+ *
+ * Collateral changes update `collateralBalances`. Repays and borrows update
+ * `borrows` and move `totalBorrow` by the token value at the given price.
+ * Withdrawals and repays are capped at the current balance.
+ *
+ * @param {Object} vaultData - Vault data with collateralBalances, borrows and totalBorrow
+ * @param {PositionChange[]} changes - Changes to apply, in order
+ * @param {Map<string, bigint|number>} priceMap - Map of token address to price (6 decimals)
+ * @param {Map<string, {decimals: number}>} metadataMap - Map of token address to metadata
+ * @returns {{collateralBalances: Array, borrows: Array, totalBorrow: bigint}} Adjusted balances
+ */
+export const applyPositionChanges = (vaultData, changes, priceMap, metadataMap) => {
+  let collateralBalances = vaultData.collateralBalances.map((b) => ({ token: b.token, amount: b.amount }));
+  let borrows = vaultData.borrows.map((b) => ({ token: b.token, amount: b.amount }));
+  let totalBorrow = BigInt(vaultData.totalBorrow ?? 0n);
+
+  changes.forEach(({ type, token, amount }) => {
+    const key = token.toLowerCase();
+    const decimals = metadataMap.get(key)?.decimals ?? DEFAULT_TOKEN_DECIMALS;
+    const units = parseTokenAmount(amount, decimals);
+    if (units === 0n) return;
+
+    switch (type) {
+      case WHATIF_ACTIONS.DEPOSIT:
+        ({ balances: collateralBalances } = adjustBalance(collateralBalances, token, units));
+        break;
+      case WHATIF_ACTIONS.WITHDRAW:
+        ({ balances: collateralBalances } = adjustBalance(collateralBalances, token, -units));
+        break;
+      case WHATIF_ACTIONS.REPAY:
+      case WHATIF_ACTIONS.BORROW: {
+        const delta = type === WHATIF_ACTIONS.BORROW ? units : -units;
+        const result = adjustBalance(borrows, token, delta);
+        borrows = result.balances;
+
+        const price = toPriceBigInt(priceMap.get(key));
+        const deltaUSD = tokenToUSD(result.applied, price, decimals);
+        totalBorrow = totalBorrow + deltaUSD > 0n ? totalBorrow + deltaUSD : 0n;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return { collateralBalances, borrows, totalBorrow };
+};
@@ -0,0 +1,110 @@
+/**
+ * What-If Tests
+ *
+ * Unit tests for applying deposit, withdraw, repay and borrow changes.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { WHATIF_ACTIONS, parseTokenAmount, applyPositionChanges } from './whatif';
+
+const WETH = '0x5300000000000000000000000000000000000004';
+const WEETH = '0x01f0a31698c4d065659b9bdc21b3610292a1c506';
+const USDC = '0x06efdbff2a14a7c8e15944d1f4a48f9f95f663a4';
+
+const metadataMap = new Map([
+  [WETH, { symbol: 'WETH', decimals: 18 }],
+  [WEETH, { symbol: 'weETH', decimals: 18 }],
+  [USDC, { symbol: 'USDC', decimals: 6 }],
+]);
+const priceMap = new Map([
+  [WETH, 2000_000000],
+  [WEETH, 2100_000000],
+  [USDC, 1_000000],
+]);
+
+const vaultData = {
+  collateralBalances: [{ token: WETH, amount: 10n ** 18n }],
+  borrows: [{ token: USDC, amount: 500_000000n }],
+  totalBorrow: 500_000000n,
+};
+
+describe('parseTokenAmount', () => {
+  it('parses human amounts using token decimals', () => {
+    expect(parseTokenAmount('1.5', 6)).toBe(1_500000n);
+    expect(parseTokenAmount(2, 18)).toBe(2n * 10n ** 18n);
+  });
+
+  it('treats invalid and negative amounts as 0', () => {
+    expect(parseTokenAmount('abc', 18)).toBe(0n);
+    expect(parseTokenAmount('-1', 18)).toBe(0n);
+    expect(parseTokenAmount('', 18)).toBe(0n);
+  });
+});
+
+describe('applyPositionChanges', () => {
+  it('adds a new collateral token on deposit and tops up an existing one', () => {
+    const result = applyPositionChanges(
+      vaultData,
+      [
+        { type: WHATIF_ACTIONS.DEPOSIT, token: WEETH, amount: '2' },
+        { type: WHATIF_ACTIONS.DEPOSIT, token: WETH, amount: '0.5' },
+      ],
+      priceMap,
+      metadataMap
+    );
+
+    expect(result.collateralBalances).toEqual([
+      { token: WETH, amount: 15n * 10n ** 17n },
+      { token: WEETH, amount: 2n * 10n ** 18n },
+    ]);
+    expect(result.totalBorrow).toBe(500_000000n);
+  });
+
+  it('caps withdrawals at the balance and drops empty positions', () => {
+    const result = applyPositionChanges(
+      vaultData,
+      [{ type: WHATIF_ACTIONS.WITHDRAW, token: WETH, amount: '5' }],
+      priceMap,
+      metadataMap
+    );
+    expect(result.collateralBalances).toEqual([]);
+  });
+
+  it('moves total debt by the repaid or borrowed value, capping repays', () => {
+    const repaid = applyPositionChanges(
+      vaultData,
+      [{ type: WHATIF_ACTIONS.REPAY, token: USDC, amount: '200' }],
+      priceMap,
+      metadataMap
+    );
+    expect(repaid.borrows).toEqual([{ token: USDC, amount: 300_000000n }]);
+    expect(repaid.totalBorrow).toBe(300_000000n);
+
+    const overpaid = applyPositionChanges(
+      vaultData,
+      [{ type: WHATIF_ACTIONS.REPAY, token: USDC, amount: '900' }],
+      priceMap,
+      metadataMap
+    );
+    expect(overpaid.borrows).toEqual([]);
+    expect(overpaid.totalBorrow).toBe(0n);
+
+    const borrowed = applyPositionChanges(
+      vaultData,
+      [{ type: WHATIF_ACTIONS.BORROW, token: USDC, amount: '1000' }],
+      priceMap,
+      metadataMap
+    );
+    expect(borrowed.totalBorrow).toBe(1500_000000n);
+  });
+
+  it('does not mutate the input vault data', () => {
+    applyPositionChanges(
+      vaultData,
+      [{ type: WHATIF_ACTIONS.WITHDRAW, token: WETH, amount: '1' }],
+      priceMap,
+      metadataMap
+    );
+    expect(vaultData.collateralBalances[0].amount).toBe(10n ** 18n);
+  });
+});